@@ -0,0 +1,309 @@
+// backend/src/controllers/adminController.js
+const AdminService = require('../services/adminService');
+
+class AdminController {
+  constructor() {
+    this.adminService = new AdminService();
+  }
+
+  /**
+   * Search users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listUsers(req, res) {
+    try {
+      const result = await this.adminService.listUsers(req.query);
+
+      res.json({
+        ...result,
+        users: result.users.map(user => user.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin list users error:', 'Failed to fetch users');
+    }
+  }
+
+  /**
+   * Get a user and their moderation history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUser(req, res) {
+    try {
+      const { user, history } = await this.adminService.getUser(req.params.userId);
+
+      res.json({
+        user: user.toJSON(),
+        history: history.map(entry => entry.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin get user error:', 'Failed to fetch user');
+    }
+  }
+
+  /**
+   * Suspend a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async suspendUser(req, res) {
+    try {
+      const user = await this.adminService.suspendUser(req.user.id, req.params.userId, req.body.reason);
+
+      res.json({
+        message: 'User suspended',
+        user: user.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin suspend user error:', 'Failed to suspend user');
+    }
+  }
+
+  /**
+   * Lift a user's suspension
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unsuspendUser(req, res) {
+    try {
+      const user = await this.adminService.unsuspendUser(req.user.id, req.params.userId, req.body.reason);
+
+      res.json({
+        message: 'User unsuspended',
+        user: user.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin unsuspend user error:', 'Failed to unsuspend user');
+    }
+  }
+
+  /**
+   * Change a user's type
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async changeUserType(req, res) {
+    try {
+      const user = await this.adminService.changeUserType(
+        req.user.id,
+        req.params.userId,
+        req.body.userType,
+        req.body.reason
+      );
+
+      res.json({
+        message: 'User type changed',
+        user: user.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin change user type error:', 'Failed to change user type');
+    }
+  }
+
+  /**
+   * Mark a user's email as verified
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyUserEmail(req, res) {
+    try {
+      const user = await this.adminService.verifyUserEmail(req.user.id, req.params.userId, req.body.reason);
+
+      res.json({
+        message: 'Email verified',
+        user: user.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin verify email error:', 'Failed to verify email');
+    }
+  }
+
+  /**
+   * Search listings, including inactive and hidden ones
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listListings(req, res) {
+    try {
+      const result = await this.adminService.listListings(req.query);
+
+      res.json({
+        ...result,
+        listings: result.listings.map(listing => listing.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin list listings error:', 'Failed to fetch listings');
+    }
+  }
+
+  /**
+   * Get a listing and its moderation history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getListing(req, res) {
+    try {
+      const { listing, history } = await this.adminService.getListing(req.params.listingId);
+
+      res.json({
+        listing: listing.toJSON(),
+        history: history.map(entry => entry.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin get listing error:', 'Failed to fetch listing');
+    }
+  }
+
+  /**
+   * Hide a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async hideListing(req, res) {
+    try {
+      const listing = await this.adminService.hideListing(req.user.id, req.params.listingId, req.body.reason);
+
+      res.json({
+        message: 'Listing hidden',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin hide listing error:', 'Failed to hide listing');
+    }
+  }
+
+  /**
+   * Approve a listing waiting for review
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approveListing(req, res) {
+    try {
+      const listing = await this.adminService.approveListing(req.user.id, req.params.listingId, req.body.reason);
+
+      res.json({
+        message: 'Listing approved',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin approve listing error:', 'Failed to approve listing');
+    }
+  }
+
+  /**
+   * Send a listing waiting for review back to the seller
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rejectListing(req, res) {
+    try {
+      const listing = await this.adminService.rejectListing(req.user.id, req.params.listingId, req.body.reason);
+
+      res.json({
+        message: 'Listing returned to the seller',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin reject listing error:', 'Failed to reject listing');
+    }
+  }
+
+  /**
+   * Unhide a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unhideListing(req, res) {
+    try {
+      const listing = await this.adminService.unhideListing(req.user.id, req.params.listingId, req.body.reason);
+
+      res.json({
+        message: 'Listing unhidden',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin unhide listing error:', 'Failed to unhide listing');
+    }
+  }
+
+  /**
+   * Delete a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteListing(req, res) {
+    try {
+      await this.adminService.deleteListing(req.user.id, req.params.listingId, req.body.reason);
+
+      res.json({ message: 'Listing deleted' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin delete listing error:', 'Failed to delete listing');
+    }
+  }
+
+  /**
+   * Read the audit log
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listAuditLog(req, res) {
+    try {
+      const result = await this.adminService.listAuditLog(req.query);
+
+      res.json({
+        ...result,
+        entries: result.entries.map(entry => entry.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Admin audit log error:', 'Failed to fetch audit log');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'User not found' || error.message === 'Listing not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message.startsWith('Cannot ') ||
+      error.message.startsWith('User is ') ||
+      error.message.startsWith('Listing is ') ||
+      error.message === 'User email is already verified' ||
+      error.message.includes('cannot be deleted')
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,263 @@
+// backend/src/controllers/agistmentController.js
+const AgistmentService = require('../services/agistmentService');
+
+class AgistmentController {
+  constructor() {
+    this.agistmentService = new AgistmentService();
+  }
+
+  /**
+   * Get a property's availability for a date range
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCalendar(req, res) {
+    try {
+      const calendar = await this.agistmentService.getCalendar(req.params.listingId, req.query);
+
+      res.json(calendar);
+
+    } catch (error) {
+      this.handleError(res, error, 'Get agistment calendar error:', 'Failed to fetch availability');
+    }
+  }
+
+  /**
+   * List a property's capacity periods (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listCapacity(req, res) {
+    try {
+      const periods = await this.agistmentService.listCapacity(req.params.listingId, req.user.id);
+
+      res.json({
+        periods: periods.map(period => period.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List capacity error:', 'Failed to fetch capacity');
+    }
+  }
+
+  /**
+   * Set a property's capacity for a date range (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addCapacity(req, res) {
+    try {
+      const { startDate, endDate, stalls, paddocks, note } = req.body;
+
+      const period = await this.agistmentService.addCapacity(req.params.listingId, req.user.id, {
+        startDate,
+        endDate,
+        stalls,
+        paddocks,
+        note
+      });
+
+      res.status(201).json({
+        message: 'Capacity updated',
+        period: period.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Add capacity error:', 'Failed to update capacity');
+    }
+  }
+
+  /**
+   * Remove a capacity period (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeCapacity(req, res) {
+    try {
+      await this.agistmentService.removeCapacity(req.params.listingId, req.params.periodId, req.user.id);
+
+      res.json({ message: 'Capacity period removed' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Remove capacity error:', 'Failed to remove capacity period');
+    }
+  }
+
+  /**
+   * Request a booking at a property
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestBooking(req, res) {
+    try {
+      const { unitType, units, startDate, endDate, message } = req.body;
+
+      const booking = await this.agistmentService.requestBooking(req.params.listingId, req.user.id, {
+        unitType,
+        units,
+        startDate,
+        endDate,
+        message
+      });
+
+      res.status(201).json({
+        message: 'Booking request sent',
+        booking: booking.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Request booking error:', 'Failed to request booking');
+    }
+  }
+
+  /**
+   * List a property's bookings (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listListingBookings(req, res) {
+    try {
+      const result = await this.agistmentService.listListingBookings(req.params.listingId, req.user.id, req.query);
+
+      res.json({
+        ...result,
+        bookings: result.bookings.map(booking => booking.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List bookings error:', 'Failed to fetch bookings');
+    }
+  }
+
+  /**
+   * Download a property's bookings as an iCalendar file (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportCalendar(req, res) {
+    try {
+      const { fileName, body } = await this.agistmentService.exportCalendar(req.params.listingId, req.user.id);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(body);
+
+    } catch (error) {
+      this.handleError(res, error, 'Export bookings error:', 'Failed to export bookings');
+    }
+  }
+
+  /**
+   * List the bookings the current user requested
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyBookings(req, res) {
+    try {
+      const result = await this.agistmentService.listMyBookings(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        bookings: result.bookings.map(booking => booking.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List my bookings error:', 'Failed to fetch bookings');
+    }
+  }
+
+  /**
+   * Accept a pending booking (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptBooking(req, res) {
+    try {
+      const booking = await this.agistmentService.acceptBooking(req.params.bookingId, req.user.id, req.body.note);
+
+      res.json({
+        message: 'Booking accepted',
+        booking: booking.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Accept booking error:', 'Failed to accept booking');
+    }
+  }
+
+  /**
+   * Reject a pending booking (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rejectBooking(req, res) {
+    try {
+      const booking = await this.agistmentService.rejectBooking(req.params.bookingId, req.user.id, req.body.note);
+
+      res.json({
+        message: 'Booking rejected',
+        booking: booking.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Reject booking error:', 'Failed to reject booking');
+    }
+  }
+
+  /**
+   * Cancel a booking (requester or owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelBooking(req, res) {
+    try {
+      const booking = await this.agistmentService.cancelBooking(req.params.bookingId, req.user.id, req.body.note);
+
+      res.json({
+        message: 'Booking cancelled',
+        booking: booking.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Cancel booking error:', 'Failed to cancel booking');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (
+      error.message === 'Listing not found' ||
+      error.message === 'Booking not found' ||
+      error.message === 'Capacity period not found'
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Not authorized to manage this listing' ||
+      error.message === 'Not authorized to manage this booking'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Cannot ')) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new AgistmentController();
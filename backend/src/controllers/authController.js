@@ -65,28 +65,225 @@ class AuthController {
         return res.status(400).json({ message: 'Email and password are required' });
       }
       
-      const { user, token } = await this.userService.loginUser(email, password);
+      const result = await this.userService.loginUser(
+        email,
+        password,
+        this.getClientMeta(req)
+      );
+      
+      if (result.twoFactorRequired) {
+        return res.json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken
+        });
+      }
       
       res.json({
         message: 'Login successful',
-        user,
-        token
+        ...result
       });
       
     } catch (error) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+      
       console.error('Login error:', error);
       
+      if (error.message === 'Please verify your email before logging in') {
+        // Lets the client offer to resend the verification email
+        return res.status(401).json({ message: error.message, verificationRequired: true });
+      }
+      
+      if (error.message === 'Invalid email or password') {
+        return res.status(401).json({ message: error.message });
+      }
+      
+      if (error.message === 'Your account has been suspended') {
+        return res.status(403).json({ message: error.message });
+      }
+      
+      res.status(500).json({ message: 'Failed to login' });
+    }
+  }
+
+  /**
+   * Complete a login with a two-factor code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+      
+      if (!challengeToken || !code) {
+        return res.status(400).json({ message: 'Challenge token and code are required' });
+      }
+      
+      const result = await this.userService.completeTwoFactorLogin(
+        challengeToken,
+        code,
+        this.getClientMeta(req)
+      );
+      
+      res.json({
+        message: 'Login successful',
+        ...result
+      });
+      
+    } catch (error) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+      
       if (
-        error.message === 'Invalid email or password' ||
-        error.message === 'Please verify your email before logging in'
+        error.message === 'Invalid two-factor code' ||
+        error.message === 'Invalid or expired two-factor challenge'
       ) {
         return res.status(401).json({ message: error.message });
       }
       
+      if (error.message === 'Your account has been suspended') {
+        return res.status(403).json({ message: error.message });
+      }
+      
+      console.error('Two-factor login error:', error);
       res.status(500).json({ message: 'Failed to login' });
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access token (rotates the refresh token)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+      }
+      
+      const result = await this.userService.refreshSession(refreshToken, this.getClientMeta(req));
+      
+      res.json({
+        message: 'Token refreshed',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+      
+    } catch (error) {
+      if (
+        error.message === 'Invalid refresh token' ||
+        error.message === 'Refresh token reuse detected'
+      ) {
+        return res.status(401).json({ message: error.message });
+      }
+      
+      console.error('Token refresh error:', error);
+      res.status(500).json({ message: 'Failed to refresh token' });
+    }
+  }
+
+  /**
+   * Logout by revoking the current session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logout(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+      }
+      
+      await this.userService.logout(refreshToken);
+      
+      // Always succeed so clients can clear their state
+      res.json({ message: 'Logged out successfully' });
+      
+    } catch (error) {
+      if (error.message === 'Invalid refresh token') {
+        return res.json({ message: 'Logged out successfully' });
+      }
+      
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Failed to logout' });
+    }
+  }
+
+  /**
+   * Sign out of all devices
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logoutAll(req, res) {
+    try {
+      const revoked = await this.userService.logoutAll(req.user.id);
+      
+      res.json({
+        message: 'Signed out of all devices',
+        revoked
+      });
+      
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({ message: 'Failed to sign out of all devices' });
+    }
+  }
+
+  /**
+   * List the current user's active sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listSessions(req, res) {
+    try {
+      const sessions = await this.userService.sessionService.listSessions(req.user.id);
+      
+      res.json({
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
+      });
+      
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({ message: 'Failed to fetch sessions' });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    try {
+      const revoked = await this.userService.sessionService.revokeSession(
+        req.params.sessionId,
+        req.user.id
+      );
+      
+      if (!revoked) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+      
+      res.json({ message: 'Session revoked' });
+      
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({ message: 'Failed to revoke session' });
+    }
+  }
+
   /**
    * Verify user email
    * @param {Object} req - Express request object
@@ -118,6 +315,59 @@ class AuthController {
     }
   }
 
+  /**
+   * Send a new verification email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+      
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+      
+      await this.userService.resendVerificationEmail(email);
+      
+      // Same answer whether or not the account exists or needs verifying
+      res.json({
+        message: 'If that account still needs verifying, a new verification link is on its way.'
+      });
+      
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({ message: 'Failed to resend verification email' });
+    }
+  }
+
+  /**
+   * Unlock an account locked after failed logins
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlockAccount(req, res) {
+    try {
+      const { token } = req.params;
+      
+      if (!token) {
+        return res.status(400).json({ message: 'Unlock token is required' });
+      }
+      
+      await this.userService.unlockAccount(token);
+      
+      res.json({ message: 'Account unlocked. You can now log in.' });
+      
+    } catch (error) {
+      if (error.message === 'Invalid or expired unlock token') {
+        return res.status(400).json({ message: error.message });
+      }
+      
+      console.error('Account unlock error:', error);
+      res.status(500).json({ message: 'Failed to unlock account' });
+    }
+  }
+
   /**
    * Request password reset
    * @param {Object} req - Express request object
@@ -176,6 +426,18 @@ class AuthController {
       res.status(500).json({ message: 'Failed to reset password' });
     }
   }
+
+  /**
+   * Get client details recorded on the session
+   * @param {Object} req - Express request object
+   * @returns {{userAgent: string, ipAddress: string}}
+   */
+  getClientMeta(req) {
+    return {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    };
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
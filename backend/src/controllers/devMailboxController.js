@@ -0,0 +1,117 @@
+// backend/src/controllers/devMailboxController.js
+const { getEmailTransport } = require('../utils/emailTransports');
+const { html } = require('../utils/emailTemplates');
+
+class DevMailboxController {
+  /**
+   * The capture transport, or null when email goes out for real
+   * @returns {CaptureTransport|null}
+   */
+  getMailbox() {
+    const transport = getEmailTransport();
+    return transport.name === 'capture' ? transport : null;
+  }
+
+  /**
+   * List captured emails as a page, or as JSON with ?format=json
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMessages(req, res) {
+    try {
+      const mailbox = this.getMailbox();
+      if (!mailbox) {
+        return res.status(404).json({ message: 'Email capture is not enabled; set EMAIL_TRANSPORT=capture' });
+      }
+
+      const messages = await mailbox.list(parseInt(req.query.limit, 10) || 100);
+
+      if (req.query.format === 'json') {
+        return res.json({ messages });
+      }
+
+      const base = req.baseUrl;
+      const page = html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Captured email</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;padding:24px;">
+<h1>Captured email (${messages.length})</h1>
+<table cellpadding="6" style="border-collapse:collapse;">
+<tr><th align="left">Captured</th><th align="left">To</th><th align="left">Subject</th><th></th></tr>
+${messages.map(message => html`<tr style="border-top:1px solid #e5e7eb;">
+<td>${message.capturedAt}</td>
+<td>${message.to}</td>
+<td><a href="${base}/${message.id}">${message.subject}</a></td>
+<td><a href="${base}/${message.id}?format=text">text</a></td>
+</tr>\n`)}
+</table>
+</body>
+</html>`;
+
+      res.type('html').send(page.toString());
+
+    } catch (error) {
+      console.error('Dev mailbox error:', error);
+      res.status(500).json({ message: 'Failed to read captured email' });
+    }
+  }
+
+  /**
+   * Show one captured email: its HTML part, ?format=text, ?format=json or its invite with ?format=ics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMessage(req, res) {
+    try {
+      const mailbox = this.getMailbox();
+      const message = mailbox ? await mailbox.get(req.params.id) : null;
+      if (!message) {
+        return res.status(404).json({ message: 'Captured email not found' });
+      }
+
+      if (req.query.format === 'json') {
+        return res.json({ message });
+      }
+
+      if (req.query.format === 'text') {
+        return res.type('text').send(`From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      }
+
+      if (req.query.format === 'ics') {
+        if (!message.calendarEvent) {
+          return res.status(404).json({ message: 'Captured email has no calendar invite' });
+        }
+        return res.type('text/calendar').send(message.calendarEvent);
+      }
+
+      res.type('html').send(message.html);
+
+    } catch (error) {
+      console.error('Dev mailbox error:', error);
+      res.status(500).json({ message: 'Failed to read captured email' });
+    }
+  }
+
+  /**
+   * Delete every captured email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async clearMessages(req, res) {
+    try {
+      const mailbox = this.getMailbox();
+      if (!mailbox) {
+        return res.status(404).json({ message: 'Email capture is not enabled; set EMAIL_TRANSPORT=capture' });
+      }
+
+      await mailbox.clear();
+      res.json({ message: 'Captured email cleared' });
+
+    } catch (error) {
+      console.error('Dev mailbox error:', error);
+      res.status(500).json({ message: 'Failed to clear captured email' });
+    }
+  }
+}
+
+module.exports = new DevMailboxController();
@@ -0,0 +1,101 @@
+// backend/src/controllers/emailOutboxController.js
+const EmailOutboxService = require('../services/emailOutboxService');
+
+class EmailOutboxController {
+  constructor() {
+    this.emailOutboxService = new EmailOutboxService();
+  }
+
+  /**
+   * List outbox messages, e.g. ?status=dead for the dead-letter queue (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMessages(req, res) {
+    try {
+      const result = await this.emailOutboxService.listMessages(req.query);
+
+      res.json({
+        ...result,
+        messages: result.messages.map(message => this.summarize(message))
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List emails error:', 'Failed to fetch emails');
+    }
+  }
+
+  /**
+   * Get a message with its bodies and send history (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMessage(req, res) {
+    try {
+      const message = await this.emailOutboxService.getMessage(req.params.messageId);
+
+      res.json({ email: message.toJSON() });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get email error:', 'Failed to fetch email');
+    }
+  }
+
+  /**
+   * Queue a dead-lettered message again (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryMessage(req, res) {
+    try {
+      const message = await this.emailOutboxService.retryMessage(req.params.messageId);
+
+      res.json({
+        message: 'Email queued for retry',
+        email: this.summarize(message)
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Retry email error:', 'Failed to retry email');
+    }
+  }
+
+  /**
+   * Message without its bodies, for lists
+   * @param {EmailMessage} message - Outbox message
+   * @returns {Object}
+   */
+  summarize(message) {
+    const summary = message.toJSON();
+    delete summary.htmlBody;
+    delete summary.textBody;
+    return summary;
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Email not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Cannot ')) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new EmailOutboxController();
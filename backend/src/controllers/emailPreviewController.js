@@ -0,0 +1,54 @@
+// backend/src/controllers/emailPreviewController.js
+const { renderSample, listTemplates, html } = require('../utils/emailTemplates');
+
+class EmailPreviewController {
+  /**
+   * List every email template with links to its previews
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listTemplates(req, res) {
+    const base = req.baseUrl;
+    const page = html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Email templates</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;padding:24px;">
+<h1>Email templates</h1>
+<ul>
+${listTemplates().map(name => html`<li>${name}: <a href="${base}/${name}">HTML</a> | <a href="${base}/${name}?format=text">text</a></li>\n`)}
+</ul>
+</body>
+</html>`;
+
+    res.type('html').send(page.toString());
+  }
+
+  /**
+   * Render one template with its sample data
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  previewTemplate(req, res) {
+    const { name } = req.params;
+
+    if (!listTemplates().includes(name)) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    try {
+      const email = renderSample(name);
+
+      if (req.query.format === 'text') {
+        return res.type('text').send(`Subject: ${email.subject}\n\n${email.text}`);
+      }
+
+      res.type('html').send(email.html);
+
+    } catch (error) {
+      console.error('Email preview error:', error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+}
+
+module.exports = new EmailPreviewController();
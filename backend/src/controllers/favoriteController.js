@@ -0,0 +1,95 @@
+// backend/src/controllers/favoriteController.js
+const FavoriteService = require('../services/favoriteService');
+
+class FavoriteController {
+  constructor() {
+    this.favoriteService = new FavoriteService();
+  }
+
+  /**
+   * List the current user's favourite listings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listFavorites(req, res) {
+    try {
+      const result = await this.favoriteService.listFavorites(req.user.id, req.query);
+
+      res.json({
+        listings: result.listings.map(listing => listing.toJSON()),
+        total: result.total,
+        page: result.page,
+        limit: result.limit
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List favourites error:', 'Failed to fetch favourites');
+    }
+  }
+
+  /**
+   * Add a listing to the current user's favourites
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addFavorite(req, res) {
+    try {
+      const added = await this.favoriteService.addFavorite(req.user.id, req.body.listingId);
+
+      res.status(added ? 201 : 200).json({
+        message: added ? 'Listing added to favourites' : 'Listing is already a favourite',
+        listingId: req.body.listingId
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Add favourite error:', 'Failed to add favourite');
+    }
+  }
+
+  /**
+   * Remove a listing from the current user's favourites
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeFavorite(req, res) {
+    try {
+      await this.favoriteService.removeFavorite(req.user.id, req.params.listingId);
+
+      res.json({ message: 'Listing removed from favourites' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Remove favourite error:', 'Failed to remove favourite');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Listing not found' || error.message === 'Favourite not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'You cannot favourite your own listing') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message === 'Listing is no longer available') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new FavoriteController();
@@ -0,0 +1,115 @@
+// backend/src/controllers/horseController.js
+const HorseService = require('../services/horseService');
+
+class HorseController {
+  constructor() {
+    this.horseService = new HorseService();
+  }
+
+  /**
+   * List the current seller's horse profiles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyHorses(req, res) {
+    try {
+      const horses = await this.horseService.listMyHorses(req.user.id);
+
+      res.json({
+        horses: horses.map(horse => horse.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List horses error:', 'Failed to fetch horses');
+    }
+  }
+
+  /**
+   * Create a horse profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createHorse(req, res) {
+    try {
+      const { horse, warnings } = await this.horseService.createHorse(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Horse created successfully',
+        horse: horse.toJSON(),
+        warnings
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create horse error:', 'Failed to create horse');
+    }
+  }
+
+  /**
+   * Get one of the current seller's horse profiles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHorse(req, res) {
+    try {
+      const horse = await this.horseService.getOwnedHorse(req.params.horseId, req.user.id);
+
+      res.json({
+        horse: horse.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get horse error:', 'Failed to fetch horse');
+    }
+  }
+
+  /**
+   * Update a horse profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateHorse(req, res) {
+    try {
+      const { horse, warnings } = await this.horseService.updateHorse(
+        req.params.horseId,
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        message: 'Horse updated successfully',
+        horse: horse.toJSON(),
+        warnings
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Update horse error:', 'Failed to update horse');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Horse not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'Not authorized to modify this horse') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new HorseController();
@@ -0,0 +1,260 @@
+// backend/src/controllers/horseDocumentController.js
+const HorseDocumentService = require('../services/horseDocumentService');
+
+class HorseDocumentController {
+  constructor() {
+    this.horseDocumentService = new HorseDocumentService();
+  }
+
+  /**
+   * List a horse's health documents and the user's access to them
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listDocuments(req, res) {
+    try {
+      const result = await this.horseDocumentService.listDocuments(req.params.horseId, req.user.id);
+
+      res.json({
+        ...result,
+        documents: result.documents.map(document => document.toJSON()),
+        access: result.access ? result.access.toJSON() : null
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List documents error:', 'Failed to fetch documents');
+    }
+  }
+
+  /**
+   * Upload a health document (multipart: "document" file plus details)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async uploadDocument(req, res) {
+    try {
+      const { documentType, documentDate, vetName, description } = req.body;
+
+      const document = await this.horseDocumentService.uploadDocument(
+        req.params.horseId,
+        req.user.id,
+        req.file,
+        { documentType, documentDate, vetName, description }
+      );
+
+      res.status(201).json({
+        message: 'Document uploaded successfully',
+        document: document.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Upload document error:', 'Failed to upload document');
+    }
+  }
+
+  /**
+   * Delete a health document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteDocument(req, res) {
+    try {
+      await this.horseDocumentService.deleteDocument(req.params.horseId, req.params.documentId, req.user.id);
+
+      res.json({ message: 'Document deleted successfully' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Delete document error:', 'Failed to delete document');
+    }
+  }
+
+  /**
+   * Get a short-lived signed URL for a document; the view is logged
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async openDocument(req, res) {
+    try {
+      const { url, expiresAt } = await this.horseDocumentService.openDocument(
+        req.params.horseId,
+        req.params.documentId,
+        req.user.id
+      );
+
+      res.json({ url, expiresAt });
+
+    } catch (error) {
+      this.handleError(res, error, 'Open document error:', 'Failed to open document');
+    }
+  }
+
+  /**
+   * List who viewed a horse's documents
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listViews(req, res) {
+    try {
+      const result = await this.horseDocumentService.listViews(req.params.horseId, req.user.id, req.query);
+
+      res.json(result);
+
+    } catch (error) {
+      this.handleError(res, error, 'List document views error:', 'Failed to fetch document views');
+    }
+  }
+
+  /**
+   * Ask the owner for access to a horse's documents
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestAccess(req, res) {
+    try {
+      const { message, listingId } = req.body;
+
+      const access = await this.horseDocumentService.requestAccess(req.params.horseId, req.user.id, {
+        message,
+        listingId
+      });
+
+      res.status(201).json({
+        message: 'Request sent to the owner',
+        access: access.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Request document access error:', 'Failed to request access');
+    }
+  }
+
+  /**
+   * List access requests for a horse's documents (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listAccessRequests(req, res) {
+    try {
+      const requests = await this.horseDocumentService.listAccessRequests(
+        req.params.horseId,
+        req.user.id,
+        req.query
+      );
+
+      res.json({
+        requests: requests.map(access => access.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List access requests error:', 'Failed to fetch access requests');
+    }
+  }
+
+  /**
+   * Grant a pending access request for a number of days (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async grantAccess(req, res) {
+    try {
+      const access = await this.horseDocumentService.grantAccess(
+        req.params.horseId,
+        req.params.requestId,
+        req.user.id,
+        req.body.days
+      );
+
+      res.json({
+        message: 'Access granted',
+        access: access.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Grant access error:', 'Failed to grant access');
+    }
+  }
+
+  /**
+   * Deny a pending access request (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async denyAccess(req, res) {
+    try {
+      const access = await this.horseDocumentService.denyAccess(
+        req.params.horseId,
+        req.params.requestId,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Access denied',
+        access: access.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Deny access error:', 'Failed to deny access');
+    }
+  }
+
+  /**
+   * Revoke a grant before it expires (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeAccess(req, res) {
+    try {
+      const access = await this.horseDocumentService.revokeAccess(
+        req.params.horseId,
+        req.params.requestId,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Access revoked',
+        access: access.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Revoke access error:', 'Failed to revoke access');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (
+      error.message === 'Horse not found' ||
+      error.message === 'Document not found' ||
+      error.message === 'Access request not found'
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Not authorized to modify this horse' ||
+      error.message === 'Not authorized to view this document'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Cannot ') || error.message === 'You already have a pending request for these documents') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new HorseDocumentController();
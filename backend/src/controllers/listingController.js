@@ -0,0 +1,307 @@
+// backend/src/controllers/listingController.js
+const ListingService = require('../services/listingService');
+const ListingImageService = require('../services/listingImageService');
+const FavoriteService = require('../services/favoriteService');
+
+class ListingController {
+  constructor() {
+    this.listingService = new ListingService();
+    this.listingImageService = new ListingImageService();
+    this.favoriteService = new FavoriteService();
+  }
+
+  /**
+   * List active listings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listListings(req, res) {
+    try {
+      const { userId, listingType, page, limit } = req.query;
+
+      const result = await this.listingService.listListings(
+        { userId, listingType, isActive: true, isHidden: false },
+        { page, limit }
+      );
+
+      res.json({
+        listings: result.listings.map(listing => listing.toJSON()),
+        total: result.total,
+        page: result.page,
+        limit: result.limit
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List listings error:', 'Failed to fetch listings');
+    }
+  }
+
+  /**
+   * Search listings with facet counts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async searchListings(req, res) {
+    try {
+      const result = await this.listingService.searchListings(req.query);
+
+      res.json({
+        listings: result.listings.map(listing => listing.toJSON()),
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        facets: result.facets,
+        ranges: result.ranges,
+        origin: result.origin
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Search listings error:', 'Failed to search listings');
+    }
+  }
+
+  /**
+   * List the current seller's listings, including inactive ones,
+   * with how many users are watching each
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyListings(req, res) {
+    try {
+      const { listingType, status, page, limit } = req.query;
+
+      const result = await this.listingService.listListings(
+        { userId: req.user.id, listingType, status },
+        { page, limit }
+      );
+
+      const watcherCounts = await this.favoriteService.getWatcherCounts(
+        result.listings.map(listing => listing.id)
+      );
+
+      res.json({
+        listings: result.listings.map(listing => ({
+          ...listing.toJSON(),
+          watcherCount: watcherCounts[listing.id]
+        })),
+        total: result.total,
+        page: result.page,
+        limit: result.limit
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List my listings error:', 'Failed to fetch listings');
+    }
+  }
+
+  /**
+   * Get a listing by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getListing(req, res) {
+    try {
+      const listing = await this.listingService.getPublicListing(req.params.listingId);
+      const images = await this.listingImageService.getImages(listing.id);
+
+      res.json({
+        listing: {
+          ...listing.toJSON(),
+          images: images.map(image => image.toJSON())
+        }
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get listing error:', 'Failed to fetch listing');
+    }
+  }
+
+  /**
+   * Create a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createListing(req, res) {
+    try {
+      const listing = await this.listingService.createListing(req.user.id, req.body);
+      const warnings = await this.listingService.getListingWarnings(listing);
+
+      res.status(201).json({
+        message: 'Listing created successfully',
+        listing: listing.toJSON(),
+        warnings
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create listing error:', 'Failed to create listing');
+    }
+  }
+
+  /**
+   * Update a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateListing(req, res) {
+    try {
+      const listing = await this.listingService.updateListing(
+        req.params.listingId,
+        req.user.id,
+        req.body
+      );
+      const warnings = await this.listingService.getListingWarnings(listing);
+
+      res.json({
+        message: 'Listing updated successfully',
+        listing: listing.toJSON(),
+        warnings
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Update listing error:', 'Failed to update listing');
+    }
+  }
+
+  /**
+   * Submit a draft or withdrawn listing for review
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async submitListing(req, res) {
+    try {
+      const listing = await this.listingService.submitListing(
+        req.params.listingId,
+        req.user.id
+      );
+
+      res.json({
+        message: listing.status === 'active' ? 'Listing published' : 'Listing submitted for review',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Submit listing error:', 'Failed to submit listing');
+    }
+  }
+
+  /**
+   * Withdraw a listing from the market
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async withdrawListing(req, res) {
+    try {
+      const listing = await this.listingService.withdrawListing(
+        req.params.listingId,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Listing withdrawn',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Withdraw listing error:', 'Failed to withdraw listing');
+    }
+  }
+
+  /**
+   * Renew an expired or soon-to-expire listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renewListing(req, res) {
+    try {
+      const listing = await this.listingService.renewListing(
+        req.params.listingId,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Listing renewed',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Renew listing error:', 'Failed to renew listing');
+    }
+  }
+
+  /**
+   * Mark a listing as sold
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markListingSold(req, res) {
+    try {
+      const listing = await this.listingService.markListingSold(
+        req.params.listingId,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Listing marked as sold',
+        listing: listing.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Mark listing sold error:', 'Failed to mark listing as sold');
+    }
+  }
+
+  /**
+   * Delete a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteListing(req, res) {
+    try {
+      await this.listingService.deleteListing(req.params.listingId, req.user.id);
+
+      res.json({ message: 'Listing deleted successfully' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Delete listing error:', 'Failed to delete listing');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Listing not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'Not authorized to modify this listing') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (
+      error.message.includes('cannot be deleted') ||
+      error.message === 'Only active listings can be marked as sold' ||
+      error.message.startsWith('Cannot ')
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (
+      error.message.startsWith('Invalid') ||
+      error.message.endsWith('is required') ||
+      error.message === 'Listing type cannot be changed'
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new ListingController();
@@ -0,0 +1,132 @@
+// backend/src/controllers/listingImageController.js
+const ListingImageService = require('../services/listingImageService');
+
+class ListingImageController {
+  constructor() {
+    this.listingImageService = new ListingImageService();
+  }
+
+  /**
+   * Get the images of a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImages(req, res) {
+    try {
+      const images = await this.listingImageService.getImages(req.params.listingId);
+
+      res.json({ images: images.map(image => image.toJSON()) });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get listing images error:', 'Failed to fetch images');
+    }
+  }
+
+  /**
+   * Upload images to a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async uploadImages(req, res) {
+    try {
+      const images = await this.listingImageService.uploadImages(
+        req.params.listingId,
+        req.user.id,
+        req.files
+      );
+
+      res.status(201).json({
+        message: 'Images uploaded successfully',
+        images: images.map(image => image.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Upload listing images error:', 'Failed to upload images');
+    }
+  }
+
+  /**
+   * Reorder the images of a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reorderImages(req, res) {
+    try {
+      const images = await this.listingImageService.reorderImages(
+        req.params.listingId,
+        req.user.id,
+        req.body.imageIds
+      );
+
+      res.json({
+        message: 'Images reordered successfully',
+        images: images.map(image => image.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Reorder listing images error:', 'Failed to reorder images');
+    }
+  }
+
+  /**
+   * Delete an image from a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteImage(req, res) {
+    try {
+      const images = await this.listingImageService.deleteImage(
+        req.params.listingId,
+        req.user.id,
+        req.params.imageId
+      );
+
+      res.json({
+        message: 'Image deleted successfully',
+        images: images.map(image => image.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Delete listing image error:', 'Failed to delete image');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Listing not found' || error.message === 'Image not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'Not authorized to modify this listing') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message === 'Cannot edit a sold listing') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message === 'Invalid image type' || error.message === 'Invalid image file') {
+      return res.status(415).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Invalid image order' ||
+      error.message === 'At least one image is required' ||
+      error.message.startsWith('Listings can have at most')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new ListingImageController();
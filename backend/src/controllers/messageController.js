@@ -0,0 +1,147 @@
+// backend/src/controllers/messageController.js
+const MessageService = require('../services/messageService');
+
+class MessageController {
+  constructor() {
+    this.messageService = new MessageService();
+  }
+
+  /**
+   * List the current user's conversations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConversations(req, res) {
+    try {
+      const result = await this.messageService.getConversations(req.user.id, req.query);
+
+      res.json(result);
+
+    } catch (error) {
+      console.error('Get conversations error:', error);
+      res.status(500).json({ message: 'Failed to fetch conversations' });
+    }
+  }
+
+  /**
+   * Get the message history with a counterpart about a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConversation(req, res) {
+    try {
+      const { listingId, userId } = req.params;
+
+      const result = await this.messageService.getConversation(
+        req.user.id,
+        listingId,
+        userId,
+        req.query
+      );
+
+      res.json({
+        messages: result.messages.map(message => message.toJSON()),
+        total: result.total,
+        page: result.page,
+        limit: result.limit
+      });
+
+    } catch (error) {
+      console.error('Get conversation error:', error);
+      res.status(500).json({ message: 'Failed to fetch messages' });
+    }
+  }
+
+  /**
+   * Send a message about a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async sendMessage(req, res) {
+    try {
+      const { listingId, recipientId, content } = req.body;
+
+      const message = await this.messageService.sendMessage(req.user.id, {
+        listingId,
+        recipientId,
+        content
+      });
+
+      res.status(201).json({
+        message: 'Message sent successfully',
+        data: message.toJSON()
+      });
+
+    } catch (error) {
+      console.error('Send message error:', error);
+
+      if (error.message === 'Listing not found' || error.message === 'Recipient not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      if (
+        error.message === 'You cannot message yourself' ||
+        error.message === 'Cannot send messages about an inactive listing' ||
+        error.message === 'Messages must be sent to the listing owner' ||
+        error.message.startsWith('You can only reply')
+      ) {
+        return res.status(403).json({ message: error.message });
+      }
+
+      if (
+        error.message.endsWith('are required') ||
+        error.message === 'Recipient is required' ||
+        error.message.startsWith('Message must be')
+      ) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: 'Failed to send message' });
+    }
+  }
+
+  /**
+   * Mark a conversation as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markConversationRead(req, res) {
+    try {
+      const { listingId, userId } = req.params;
+
+      const messageIds = await this.messageService.markConversationRead(
+        req.user.id,
+        listingId,
+        userId
+      );
+
+      res.json({
+        message: 'Conversation marked as read',
+        updated: messageIds.length
+      });
+
+    } catch (error) {
+      console.error('Mark conversation read error:', error);
+      res.status(500).json({ message: 'Failed to mark messages as read' });
+    }
+  }
+
+  /**
+   * Get the current user's unread message count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await this.messageService.getUnreadCount(req.user.id);
+
+      res.json({ unreadCount });
+
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      res.status(500).json({ message: 'Failed to fetch unread count' });
+    }
+  }
+}
+
+module.exports = new MessageController();
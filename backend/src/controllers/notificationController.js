@@ -0,0 +1,78 @@
+// backend/src/controllers/notificationController.js
+const NotificationService = require('../services/notificationService');
+
+class NotificationController {
+  constructor() {
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * List the current user's notifications
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listNotifications(req, res) {
+    try {
+      const result = await this.notificationService.listNotifications(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        notifications: result.notifications.map(notification => notification.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List notifications error:', 'Failed to fetch notifications');
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markRead(req, res) {
+    try {
+      await this.notificationService.markRead(req.params.notificationId, req.user.id);
+
+      res.json({ message: 'Notification marked as read' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Mark notification read error:', 'Failed to update notification');
+    }
+  }
+
+  /**
+   * Mark all of the current user's notifications as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markAllRead(req, res) {
+    try {
+      const count = await this.notificationService.markAllRead(req.user.id);
+
+      res.json({ message: 'Notifications marked as read', count });
+
+    } catch (error) {
+      this.handleError(res, error, 'Mark notifications read error:', 'Failed to update notifications');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Notification not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new NotificationController();
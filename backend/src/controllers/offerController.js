@@ -0,0 +1,228 @@
+// backend/src/controllers/offerController.js
+const OfferService = require('../services/offerService');
+
+class OfferController {
+  constructor() {
+    this.offerService = new OfferService();
+  }
+
+  /**
+   * List offers the current user made or received
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyOffers(req, res) {
+    try {
+      const result = await this.offerService.listMyOffers(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        offers: result.offers.map(offer => offer.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List offers error:', 'Failed to fetch offers');
+    }
+  }
+
+  /**
+   * Get the offer history of a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getListingOffers(req, res) {
+    try {
+      const offers = await this.offerService.getListingOffers(req.params.listingId, req.user.id);
+
+      res.json({ offers: offers.map(offer => offer.toJSON()) });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get listing offers error:', 'Failed to fetch offers');
+    }
+  }
+
+  /**
+   * Get an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOffer(req, res) {
+    try {
+      const offer = await this.offerService.getOffer(req.params.offerId, req.user.id);
+
+      res.json({ offer: offer.toJSON() });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get offer error:', 'Failed to fetch offer');
+    }
+  }
+
+  /**
+   * Make an offer on a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async makeOffer(req, res) {
+    try {
+      const { listingId, amount, expiresInHours, message } = req.body;
+
+      const offer = await this.offerService.makeOffer(req.user.id, {
+        listingId,
+        amount,
+        expiresInHours,
+        message
+      });
+
+      res.status(201).json({
+        message: 'Offer sent',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Make offer error:', 'Failed to send offer');
+    }
+  }
+
+  /**
+   * Counter an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async counterOffer(req, res) {
+    try {
+      const { amount, expiresInHours, message } = req.body;
+
+      const offer = await this.offerService.counterOffer(req.params.offerId, req.user.id, {
+        amount,
+        expiresInHours,
+        message
+      });
+
+      res.status(201).json({
+        message: 'Counter-offer sent',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Counter offer error:', 'Failed to send counter-offer');
+    }
+  }
+
+  /**
+   * Accept an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptOffer(req, res) {
+    try {
+      const offer = await this.offerService.acceptOffer(req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Offer accepted',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Accept offer error:', 'Failed to accept offer');
+    }
+  }
+
+  /**
+   * Decline an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async declineOffer(req, res) {
+    try {
+      const offer = await this.offerService.declineOffer(req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Offer declined',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Decline offer error:', 'Failed to decline offer');
+    }
+  }
+
+  /**
+   * Withdraw an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async withdrawOffer(req, res) {
+    try {
+      const offer = await this.offerService.withdrawOffer(req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Offer withdrawn',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Withdraw offer error:', 'Failed to withdraw offer');
+    }
+  }
+
+  /**
+   * Call off the sale agreed by an accepted offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async fallThrough(req, res) {
+    try {
+      const offer = await this.offerService.fallThrough(req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Sale called off; the listing is back on the market',
+        offer: offer.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Offer fall through error:', 'Failed to call off the sale');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Listing not found' || error.message === 'Offer not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'You cannot make an offer on your own listing' ||
+      error.message === 'Only the other party can respond to this offer' ||
+      error.message === 'Only the party who made this offer can withdraw it'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (
+      error.message.startsWith('Cannot ') ||
+      error.message === 'Offer has expired' ||
+      error.message === 'Listing is no longer available' ||
+      error.message === 'Listing is already under offer' ||
+      error.message === 'Offers can only be made on negotiable listings' ||
+      error.message === 'You already have a pending offer on this listing'
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new OfferController();
@@ -0,0 +1,268 @@
+// backend/src/controllers/paymentController.js
+const PaymentService = require('../services/paymentService');
+
+class PaymentController {
+  constructor() {
+    this.paymentService = new PaymentService();
+  }
+
+  /**
+   * Start paying for a listing or accepted offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPayment(req, res) {
+    try {
+      const { listingId, offerId } = req.body;
+
+      const { payment, clientSecret } = await this.paymentService.createPayment(req.user.id, {
+        listingId,
+        offerId
+      });
+
+      res.status(201).json({
+        message: 'Payment created',
+        payment: payment.toJSON(),
+        clientSecret
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create payment error:', 'Failed to create payment');
+    }
+  }
+
+  /**
+   * List payments the current user made or receives
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyPayments(req, res) {
+    try {
+      const result = await this.paymentService.listMyPayments(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        payments: result.payments.map(payment => payment.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List payments error:', 'Failed to fetch payments');
+    }
+  }
+
+  /**
+   * Get a payment and its ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPayment(req, res) {
+    try {
+      const { payment, ledger } = await this.paymentService.getPaymentWithLedger(
+        req.params.paymentId,
+        req.user.id,
+        req.user.userType === 'admin'
+      );
+
+      res.json({ payment: payment.toJSON(), ledger });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get payment error:', 'Failed to fetch payment');
+    }
+  }
+
+  /**
+   * Buyer confirms receipt, releasing the funds to the seller
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async confirmReceipt(req, res) {
+    try {
+      const payment = await this.paymentService.confirmReceipt(req.params.paymentId, req.user.id);
+
+      res.json({
+        message: 'Funds released to the seller',
+        payment: payment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Confirm payment error:', 'Failed to release payment');
+    }
+  }
+
+  /**
+   * Buyer disputes a held payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async openDispute(req, res) {
+    try {
+      const payment = await this.paymentService.openDispute(
+        req.params.paymentId,
+        req.user.id,
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Dispute opened',
+        payment: payment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Dispute payment error:', 'Failed to open dispute');
+    }
+  }
+
+  /**
+   * Seller or admin refunds some or all of a payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refundPayment(req, res) {
+    try {
+      const payment = await this.paymentService.refundPayment(
+        req.params.paymentId,
+        { id: req.user.id, isAdmin: req.user.userType === 'admin' },
+        { amount: req.body.amount, reason: req.body.reason }
+      );
+
+      res.json({
+        message: 'Payment refunded',
+        payment: payment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Refund payment error:', 'Failed to refund payment');
+    }
+  }
+
+  /**
+   * Simulate the provider completing or failing a charge (development only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async simulateCharge(req, res) {
+    try {
+      const payment = await this.paymentService.simulateCharge(
+        req.params.paymentId,
+        req.user.id,
+        req.body.outcome || 'succeeded'
+      );
+
+      res.json({ payment: payment.toJSON() });
+
+    } catch (error) {
+      this.handleError(res, error, 'Simulate payment error:', 'Failed to simulate payment');
+    }
+  }
+
+  /**
+   * Receive a provider webhook. The body must be the raw bytes the provider signed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleWebhook(req, res) {
+    try {
+      const result = await this.paymentService.handleWebhook(req.params.provider, req.body, req.headers);
+
+      res.json(result);
+
+    } catch (error) {
+      if (error.message === 'Unknown payment provider') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      if (error.message.startsWith('Invalid webhook')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Anything else gets a 500 so the provider retries the event
+      console.error('Payment webhook error:', error);
+      res.status(500).json({ message: 'Failed to process webhook' });
+    }
+  }
+
+  /**
+   * List disputed payments (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listDisputes(req, res) {
+    try {
+      const payments = await this.paymentService.listDisputes();
+
+      res.json({ payments: payments.map(payment => payment.toJSON()) });
+
+    } catch (error) {
+      this.handleError(res, error, 'List disputes error:', 'Failed to fetch disputes');
+    }
+  }
+
+  /**
+   * Resolve a dispute by releasing or refunding the payment (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resolveDispute(req, res) {
+    try {
+      const payment = await this.paymentService.resolveDispute(
+        req.params.paymentId,
+        req.user.id,
+        req.body.outcome
+      );
+
+      res.json({
+        message: 'Dispute resolved',
+        payment: payment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Resolve dispute error:', 'Failed to resolve dispute');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (
+      error.message === 'Listing not found' ||
+      error.message === 'Offer not found' ||
+      error.message === 'Payment not found'
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'You cannot pay for your own listing' ||
+      error.message === 'Only the buyer can confirm receipt' ||
+      error.message === 'Only the buyer can dispute a payment' ||
+      error.message === 'Only the seller or an admin can refund a payment' ||
+      error.message === 'Payment simulation is not available'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (
+      error.message.startsWith('Cannot ') ||
+      error.message.startsWith('Only ') ||
+      error.message === 'Listing is no longer available' ||
+      error.message === 'Listing already has a payment in progress'
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,55 @@
+// backend/src/controllers/privateFileController.js
+const { getPrivateStorage } = require('../utils/storage');
+const HorseDocumentService = require('../services/horseDocumentService');
+
+class PrivateFileController {
+  constructor() {
+    this.horseDocumentService = new HorseDocumentService();
+  }
+
+  /**
+   * Serve a private file to whoever holds a valid signed URL. Access checks
+   * happen when the URL is issued; here the signature and expiry are checked
+   * and the view is logged against the user the URL was issued to.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async serveFile(req, res) {
+    const storage = getPrivateStorage();
+    const key = req.params[0];
+    const { expires, signature, context } = req.query;
+
+    if (!storage.verifySignedUrl(key, expires, signature, context)) {
+      return res.status(403).json({ message: 'This link is invalid or has expired' });
+    }
+
+    let filePath;
+    try {
+      filePath = storage.resolvePath(key);
+    } catch {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // PDF viewers fetch large files in ranges; only the first request is a new view
+    const range = req.get('Range');
+    if (context && (!range || /^bytes=0-/.test(range))) {
+      try {
+        await this.horseDocumentService.recordView(context, req.ip);
+      } catch (error) {
+        console.error('Log document view error:', error);
+        return res.status(500).json({ message: 'Failed to send file' });
+      }
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode === 404 || error.code === 'ENOENT' ? 404 : 500)
+          .json({ message: error.code === 'ENOENT' ? 'File not found' : 'Failed to send file' });
+      }
+    });
+  }
+}
+
+module.exports = new PrivateFileController();
@@ -0,0 +1,208 @@
+// backend/src/controllers/reportController.js
+const ReportService = require('../services/reportService');
+
+class ReportController {
+  constructor() {
+    this.reportService = new ReportService();
+  }
+
+  /**
+   * Report a listing or user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createReport(req, res) {
+    try {
+      const { targetType, targetId, category, details } = req.body;
+
+      const report = await this.reportService.createReport(req.user.id, {
+        targetType,
+        targetId,
+        category,
+        details
+      });
+
+      res.status(201).json({
+        message: 'Thanks, our moderators will review your report',
+        report: {
+          id: report.id,
+          targetType: report.targetType,
+          targetId: report.targetId,
+          category: report.category,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create report error:', 'Failed to submit report');
+    }
+  }
+
+  /**
+   * List reports the current user made
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyReports(req, res) {
+    try {
+      const result = await this.reportService.listMyReports(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        reports: result.reports.map(report => report.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List my reports error:', 'Failed to fetch reports');
+    }
+  }
+
+  /**
+   * List the moderation queue (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listQueue(req, res) {
+    try {
+      const result = await this.reportService.listQueue(req.query);
+
+      res.json({
+        ...result,
+        reports: result.reports.map(report => report.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List reports error:', 'Failed to fetch reports');
+    }
+  }
+
+  /**
+   * Get a report and the other reports on its target (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReport(req, res) {
+    try {
+      const { report, related } = await this.reportService.getReport(req.params.reportId);
+
+      res.json({
+        report: report.toJSON(),
+        related: related.map(other => other.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get report error:', 'Failed to fetch report');
+    }
+  }
+
+  /**
+   * Mark a report as triaged (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async triageReport(req, res) {
+    try {
+      const report = await this.reportService.moderateReport(
+        req.user.id,
+        req.params.reportId,
+        'triaged',
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Report triaged',
+        report: report.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Moderate report error:', 'Failed to update report');
+    }
+  }
+
+  /**
+   * Close a report as actioned and tell the reporter (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async actionReport(req, res) {
+    try {
+      const report = await this.reportService.moderateReport(
+        req.user.id,
+        req.params.reportId,
+        'actioned',
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Report actioned',
+        report: report.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Moderate report error:', 'Failed to update report');
+    }
+  }
+
+  /**
+   * Dismiss a report and tell the reporter (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async dismissReport(req, res) {
+    try {
+      const report = await this.reportService.moderateReport(
+        req.user.id,
+        req.params.reportId,
+        'dismissed',
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Report dismissed',
+        report: report.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Moderate report error:', 'Failed to update report');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (
+      error.message === 'Report not found' ||
+      error.message === 'Listing not found' ||
+      error.message === 'User not found'
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'You cannot report your own listing' ||
+      error.message === 'You cannot report yourself'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Cannot ') || error.message === 'You have already reported this') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new ReportController();
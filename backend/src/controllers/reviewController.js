@@ -0,0 +1,113 @@
+// backend/src/controllers/reviewController.js
+const ReviewService = require('../services/reviewService');
+
+class ReviewController {
+  constructor() {
+    this.reviewService = new ReviewService();
+  }
+
+  /**
+   * List a seller's reviews and reputation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSellerReviews(req, res) {
+    try {
+      const result = await this.reviewService.getSellerReviews(req.params.userId, req.query);
+
+      res.json({
+        ...result,
+        reviews: result.reviews.map(review => review.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get reviews error:', 'Failed to fetch reviews');
+    }
+  }
+
+  /**
+   * Review the seller of a listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createReview(req, res) {
+    try {
+      const { listingId, rating, body } = req.body;
+
+      const review = await this.reviewService.createReview(req.user.id, {
+        listingId,
+        rating,
+        body
+      });
+
+      res.status(201).json({
+        message: 'Review posted',
+        review: review.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create review error:', 'Failed to post review');
+    }
+  }
+
+  /**
+   * Post the seller's reply to a review
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replyToReview(req, res) {
+    try {
+      const review = await this.reviewService.replyToReview(
+        req.user.id,
+        req.params.reviewId,
+        req.body.reply
+      );
+
+      res.json({
+        message: 'Reply posted',
+        review: review.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Reply to review error:', 'Failed to post reply');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Listing not found' || error.message === 'Review not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'You cannot review yourself' ||
+      error.message === 'You can only review sellers you have dealt with' ||
+      error.message === 'Only the seller can reply to this review'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'You have already reviewed this listing' ||
+      error.message === 'Review already has a reply'
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,119 @@
+// backend/src/controllers/savedSearchController.js
+const SavedSearchService = require('../services/savedSearchService');
+
+class SavedSearchController {
+  constructor() {
+    this.savedSearchService = new SavedSearchService();
+  }
+
+  /**
+   * List the current user's saved searches
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listSavedSearches(req, res) {
+    try {
+      const savedSearches = await this.savedSearchService.listSavedSearches(req.user.id);
+
+      res.json({
+        savedSearches: savedSearches.map(savedSearch => savedSearch.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List saved searches error:', 'Failed to fetch saved searches');
+    }
+  }
+
+  /**
+   * Save a search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSavedSearch(req, res) {
+    try {
+      const { name, criteria, frequency } = req.body;
+
+      const savedSearch = await this.savedSearchService.createSavedSearch(req.user.id, {
+        name,
+        criteria,
+        frequency
+      });
+
+      res.status(201).json({
+        message: 'Search saved',
+        savedSearch: savedSearch.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Create saved search error:', 'Failed to save search');
+    }
+  }
+
+  /**
+   * Update a saved search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSavedSearch(req, res) {
+    try {
+      const { name, criteria, frequency } = req.body;
+
+      const savedSearch = await this.savedSearchService.updateSavedSearch(
+        req.params.savedSearchId,
+        req.user.id,
+        { name, criteria, frequency }
+      );
+
+      res.json({
+        message: 'Saved search updated',
+        savedSearch: savedSearch.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Update saved search error:', 'Failed to update saved search');
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteSavedSearch(req, res) {
+    try {
+      await this.savedSearchService.deleteSavedSearch(req.params.savedSearchId, req.user.id);
+
+      res.json({ message: 'Saved search deleted' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Delete saved search error:', 'Failed to delete saved search');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'Saved search not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('You can save at most')) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new SavedSearchController();
@@ -0,0 +1,311 @@
+// backend/src/controllers/serviceBookingController.js
+const ServiceBookingService = require('../services/serviceBookingService');
+
+class ServiceBookingController {
+  constructor() {
+    this.serviceBookingService = new ServiceBookingService();
+  }
+
+  /**
+   * Get a provider's availability rules, blackouts and booking rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchedule(req, res) {
+    try {
+      const schedule = await this.serviceBookingService.getSchedule(req.params.listingId);
+
+      res.json({
+        schedule: schedule.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get service schedule error:', 'Failed to fetch schedule');
+    }
+  }
+
+  /**
+   * Set a provider's availability and booking rules (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSchedule(req, res) {
+    try {
+      const {
+        timeZone,
+        slotMinutes,
+        minNoticeHours,
+        horizonDays,
+        cancelCutoffHours,
+        maxReschedules,
+        rules
+      } = req.body;
+
+      const schedule = await this.serviceBookingService.updateSchedule(req.params.listingId, req.user.id, {
+        timeZone,
+        slotMinutes,
+        minNoticeHours,
+        horizonDays,
+        cancelCutoffHours,
+        maxReschedules,
+        rules
+      });
+
+      res.json({
+        message: 'Availability saved',
+        schedule: schedule.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Update service schedule error:', 'Failed to save availability');
+    }
+  }
+
+  /**
+   * Block out days (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addBlackout(req, res) {
+    try {
+      const { startDate, endDate, reason } = req.body;
+
+      const blackout = await this.serviceBookingService.addBlackout(req.params.listingId, req.user.id, {
+        startDate,
+        endDate,
+        reason
+      });
+
+      res.status(201).json({
+        message: 'Blackout added',
+        blackout
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Add blackout error:', 'Failed to add blackout');
+    }
+  }
+
+  /**
+   * Remove a blackout (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeBlackout(req, res) {
+    try {
+      await this.serviceBookingService.removeBlackout(req.params.listingId, req.params.blackoutId, req.user.id);
+
+      res.json({ message: 'Blackout removed' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Remove blackout error:', 'Failed to remove blackout');
+    }
+  }
+
+  /**
+   * List free slots for a date range
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSlots(req, res) {
+    try {
+      const slots = await this.serviceBookingService.getSlots(req.params.listingId, req.query);
+
+      res.json(slots);
+
+    } catch (error) {
+      this.handleError(res, error, 'Get service slots error:', 'Failed to fetch available times');
+    }
+  }
+
+  /**
+   * Book a slot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bookAppointment(req, res) {
+    try {
+      const { startsAt, address, postcode, latitude, longitude, notes } = req.body;
+
+      const appointment = await this.serviceBookingService.bookAppointment(req.params.listingId, req.user.id, {
+        startsAt,
+        address,
+        postcode,
+        latitude,
+        longitude,
+        notes
+      });
+
+      res.status(201).json({
+        message: 'Appointment booked; a calendar invite is on its way',
+        appointment: appointment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Book appointment error:', 'Failed to book appointment');
+    }
+  }
+
+  /**
+   * List a provider's upcoming appointments (owner)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listProviderAppointments(req, res) {
+    try {
+      const result = await this.serviceBookingService.listProviderAppointments(
+        req.params.listingId,
+        req.user.id,
+        req.query
+      );
+
+      res.json({
+        ...result,
+        appointments: result.appointments.map(appointment => appointment.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List provider appointments error:', 'Failed to fetch appointments');
+    }
+  }
+
+  /**
+   * List the appointments the current user booked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listMyAppointments(req, res) {
+    try {
+      const result = await this.serviceBookingService.listMyAppointments(req.user.id, req.query);
+
+      res.json({
+        ...result,
+        appointments: result.appointments.map(appointment => appointment.toJSON())
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'List my appointments error:', 'Failed to fetch appointments');
+    }
+  }
+
+  /**
+   * Get an appointment (client or provider)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAppointment(req, res) {
+    try {
+      const appointment = await this.serviceBookingService.getAppointment(req.params.appointmentId, req.user.id);
+
+      res.json({
+        appointment: appointment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Get appointment error:', 'Failed to fetch appointment');
+    }
+  }
+
+  /**
+   * Download an appointment's calendar invite (client or provider)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvite(req, res) {
+    try {
+      const { fileName, body } = await this.serviceBookingService.getInvite(req.params.appointmentId, req.user.id);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(body);
+
+    } catch (error) {
+      this.handleError(res, error, 'Get appointment invite error:', 'Failed to fetch calendar invite');
+    }
+  }
+
+  /**
+   * Move an appointment to another slot (client or provider)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rescheduleAppointment(req, res) {
+    try {
+      const appointment = await this.serviceBookingService.rescheduleAppointment(
+        req.params.appointmentId,
+        req.user.id,
+        { startsAt: req.body.startsAt }
+      );
+
+      res.json({
+        message: 'Appointment rescheduled',
+        appointment: appointment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Reschedule appointment error:', 'Failed to reschedule appointment');
+    }
+  }
+
+  /**
+   * Cancel an appointment (client or provider)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelAppointment(req, res) {
+    try {
+      const appointment = await this.serviceBookingService.cancelAppointment(
+        req.params.appointmentId,
+        req.user.id,
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Appointment cancelled',
+        appointment: appointment.toJSON()
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Cancel appointment error:', 'Failed to cancel appointment');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Log message prefix
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (
+      error.message === 'Listing not found' ||
+      error.message === 'Appointment not found' ||
+      error.message === 'Blackout not found' ||
+      error.message === 'This provider does not take bookings yet'
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Not authorized to manage this listing' ||
+      error.message === 'Not authorized to view this appointment'
+    ) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Cannot ')) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid') || error.message.endsWith('is required')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new ServiceBookingController();
@@ -0,0 +1,191 @@
+// backend/src/controllers/twoFactorController.js
+const TwoFactorService = require('../services/twoFactorService');
+
+class TwoFactorController {
+  constructor() {
+    this.twoFactorService = new TwoFactorService();
+  }
+
+  /**
+   * Get the current user's two-factor status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await this.twoFactorService.getStatus(req.user.id);
+
+      res.json(status);
+
+    } catch (error) {
+      this.handleError(res, error, 'Get two-factor status error:', 'Failed to fetch two-factor status');
+    }
+  }
+
+  /**
+   * Start two-factor enrolment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setup(req, res) {
+    try {
+      const { secret, otpauthUri, qrCode } = await this.twoFactorService.beginSetup(req.user.id);
+
+      res.json({
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUri,
+        qrCode
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Two-factor setup error:', 'Failed to start two-factor setup');
+    }
+  }
+
+  /**
+   * Confirm enrolment with a code and turn on two-factor authentication
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({ message: 'Code is required' });
+      }
+
+      const backupCodes = await this.twoFactorService.enable(req.user.id, code);
+
+      res.json({
+        message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+        backupCodes
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Enable two-factor error:', 'Failed to enable two-factor authentication');
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disable(req, res) {
+    try {
+      const { password, code } = req.body;
+
+      if (!password || !code) {
+        return res.status(400).json({ message: 'Password and code are required' });
+      }
+
+      await this.twoFactorService.disable(req.user.id, password, code);
+
+      res.json({ message: 'Two-factor authentication disabled' });
+
+    } catch (error) {
+      this.handleError(res, error, 'Disable two-factor error:', 'Failed to disable two-factor authentication');
+    }
+  }
+
+  /**
+   * Replace the current user's backup codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateBackupCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({ message: 'Code is required' });
+      }
+
+      const backupCodes = await this.twoFactorService.regenerateBackupCodes(req.user.id, code);
+
+      res.json({
+        message: 'New backup codes generated. Your old codes no longer work.',
+        backupCodes
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Regenerate backup codes error:', 'Failed to generate backup codes');
+    }
+  }
+
+  /**
+   * List the two-factor policy for every user type (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listPolicies(req, res) {
+    try {
+      const policies = await this.twoFactorService.listPolicies();
+
+      res.json({ policies });
+
+    } catch (error) {
+      this.handleError(res, error, 'List two-factor policies error:', 'Failed to fetch two-factor policies');
+    }
+  }
+
+  /**
+   * Require or stop requiring two-factor authentication for a user type (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePolicy(req, res) {
+    try {
+      const policy = await this.twoFactorService.setPolicy(
+        req.params.userType,
+        req.body.required,
+        req.user.id
+      );
+
+      res.json({
+        message: 'Two-factor policy updated',
+        policy
+      });
+
+    } catch (error) {
+      this.handleError(res, error, 'Update two-factor policy error:', 'Failed to update two-factor policy');
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} logPrefix - Prefix for the error log
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  handleError(res, error, logPrefix, fallbackMessage) {
+    console.error(logPrefix, error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'Two-factor authentication is required for your account type') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Two-factor authentication is already enabled' ||
+      error.message === 'Two-factor authentication is not enabled' ||
+      error.message === 'Two-factor setup has not been started'
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: fallbackMessage });
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -1,11 +1,13 @@
 // backend/src/controllers/userController.js
 const UserService = require('../services/userService');
 const UserRepository = require('../repositories/userRepository');
+const ReviewService = require('../services/reviewService');
 
 class UserController {
   constructor() {
     this.userService = new UserService();
     this.userRepository = new UserRepository();
+    this.reviewService = new ReviewService();
   }
 
   /**
@@ -100,6 +102,9 @@ class UserController {
       
       await this.userRepository.update(userId, { passwordHash });
       
+      // Sign out other devices but keep this session
+      await this.userService.sessionService.revokeAllSessions(userId, req.sessionId);
+      
       res.json({
         message: 'Password changed successfully'
       });
@@ -136,7 +141,8 @@ class UserController {
         firstName: user.firstName,
         lastName: user.lastName,
         businessName: user.businessName,
-        userType: user.userType
+        userType: user.userType,
+        reputation: await this.reviewService.getReputation(user.id)
       };
       
       res.json({ user: publicProfile });
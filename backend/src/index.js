@@ -1,26 +1,87 @@
 // backend/src/index.js
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
+const RealtimeServer = require('./utils/realtimeServer');
+const MessageService = require('./services/messageService');
+const ListingService = require('./services/listingService');
+const FavoriteService = require('./services/favoriteService');
+const SavedSearchService = require('./services/savedSearchService');
+const OfferService = require('./services/offerService');
+const PaymentService = require('./services/paymentService');
+const EmailOutboxService = require('./services/emailOutboxService');
+const ServiceBookingService = require('./services/serviceBookingService');
+const JobRunner = require('./utils/jobRunner');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const listingRoutes = require('./routes/listingRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const horseRoutes = require('./routes/horseRoutes');
+const horseDocumentRoutes = require('./routes/horseDocumentRoutes');
+const privateFileRoutes = require('./routes/privateFileRoutes');
+const agistmentRoutes = require('./routes/agistmentRoutes');
+const serviceBookingRoutes = require('./routes/serviceBookingRoutes');
+const paymentWebhookRoutes = require('./routes/paymentWebhookRoutes');
+const emailPreviewRoutes = require('./routes/emailPreviewRoutes');
+const devMailboxRoutes = require('./routes/devMailboxRoutes');
 
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
+// Payment webhooks are verified against the raw body, so they're mounted before the JSON parser
+app.use('/api/payments/webhooks', paymentWebhookRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
+// Serve uploaded files when using the local storage driver
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use(
+    process.env.UPLOAD_BASE_URL || '/uploads',
+    express.static(path.resolve(process.env.UPLOAD_DIR || 'uploads'))
+  );
+  app.use(process.env.PRIVATE_FILE_BASE_URL || '/private-files', privateFileRoutes);
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/listings', listingRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/horses/:horseId/documents', horseDocumentRoutes);
+app.use('/api/horses', horseRoutes);
+app.use('/api/agistment', agistmentRoutes);
+app.use('/api/services', serviceBookingRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Browse rendered email templates with sample data and email caught by the
+// capture transport. The mailbox shows every user's verification and reset
+// links, so it's only mounted when NODE_ENV is explicitly development.
+if (process.env.NODE_ENV === 'development') {
+  app.use('/dev/emails', emailPreviewRoutes);
+  app.use('/dev/mailbox', devMailboxRoutes);
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -45,7 +106,70 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Backend API listening on port ${port}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
-});
\ No newline at end of file
+});
+
+// Real-time message delivery over WebSockets
+const realtimeServer = new RealtimeServer({ messageService: new MessageService() });
+realtimeServer.attach(server);
+
+// Email and notify users when listings on their watchlist change
+new FavoriteService().subscribe();
+
+// Close open negotiations when a listing is sold or expires
+const offerService = new OfferService();
+offerService.subscribe();
+
+// Background jobs; the advisory lock in JobRunner keeps each one to a single instance
+const minutes = (value, fallback) => (parseInt(value, 10) || fallback) * 60 * 1000;
+const listingService = new ListingService();
+const savedSearchService = new SavedSearchService({ listingService });
+const paymentService = new PaymentService();
+const emailOutboxService = new EmailOutboxService();
+const serviceBookingService = new ServiceBookingService();
+
+const jobRunner = new JobRunner();
+jobRunner
+  // Submit scheduled drafts, email renewal reminders and take expired listings
+  // off the market (watchers are alerted via listing:expired)
+  .register(
+    'listing-lifecycle',
+    minutes(process.env.LISTING_EXPIRY_INTERVAL_MINUTES, 15),
+    () => listingService.runLifecycleTasks()
+  )
+  // Email saved search matches: instant alerts every run, daily and weekly digests when due
+  .register(
+    'saved-search-alerts',
+    minutes(process.env.SAVED_SEARCH_INTERVAL_MINUTES, 10),
+    () => savedSearchService.runDueSearches()
+  )
+  // Lapse offers that weren't answered in time
+  .register(
+    'offer-expiry',
+    minutes(process.env.OFFER_EXPIRY_INTERVAL_MINUTES, 5),
+    () => offerService.expireOffers()
+  )
+  // Release escrow once the dispute window passes and cancel checkouts that were never paid
+  .register(
+    'payment-escrow',
+    minutes(process.env.PAYMENT_JOB_INTERVAL_MINUTES, 5),
+    () => paymentService.runScheduledTasks()
+  )
+  // Deliver queued email; failures are retried with backoff until dead-lettered
+  .register(
+    'email-outbox',
+    minutes(process.env.EMAIL_OUTBOX_INTERVAL_MINUTES, 1),
+    () => emailOutboxService.deliverDue()
+  )
+  // Remind clients and providers of appointments starting soon
+  .register(
+    'appointment-reminders',
+    minutes(process.env.APPOINTMENT_REMINDER_INTERVAL_MINUTES, 15),
+    () => serviceBookingService.sendDueReminders()
+  );
+
+if (process.env.JOBS_ENABLED !== 'false') {
+  jobRunner.start();
+}
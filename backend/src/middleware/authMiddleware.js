@@ -1,6 +1,55 @@
 // backend/src/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const UserRepository = require('../repositories/userRepository');
+const SessionRepository = require('../repositories/sessionRepository');
+const TwoFactorService = require('../services/twoFactorService');
+
+const sessionRepository = new SessionRepository();
+const twoFactorService = new TwoFactorService();
+
+/**
+ * Verify a JWT and load the user it was issued to
+ * Shared by the HTTP middleware and the WebSocket server
+ * @param {string} token - JWT access token
+ * @returns {Promise<{user: Object, decoded: Object}>} - Sanitized user and decoded payload
+ * @throws {Error} - JWT errors, or 'Session has been revoked' / 'User not found' / 'Email not verified' / 'Account suspended'
+ */
+const authenticateToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  
+  // Purpose-bound tokens (such as the 2FA login challenge) aren't access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+  
+  // Access tokens die with their session (logout, sign out all devices)
+  if (decoded.sid) {
+    const session = await sessionRepository.findById(decoded.sid);
+    
+    if (!session || !session.isActive()) {
+      throw new Error('Session has been revoked');
+    }
+  }
+  
+  // Find user
+  const userRepository = new UserRepository();
+  const user = await userRepository.findById(decoded.id);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  if (!user.isVerified) {
+    throw new Error('Email not verified');
+  }
+  
+  if (user.isSuspended()) {
+    throw new Error('Account suspended');
+  }
+  
+  return { user: user.toJSON(), decoded };
+};
 
 /**
  * Authentication middleware
@@ -16,26 +65,22 @@ const authMiddleware = async (req, res, next) => {
     
     const token = authHeader.split(' ')[1];
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // Find user
-    const userRepository = new UserRepository();
-    const user = await userRepository.findById(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-    
-    if (!user.isVerified) {
-      return res.status(401).json({ message: 'Email not verified' });
-    }
-    
-    // Attach user to request
-    req.user = user.toJSON();
+    // Verify token and attach user and session to request
+    const { user, decoded } = await authenticateToken(token);
+    req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
     
   } catch (error) {
+    if (
+      error.message === 'User not found' ||
+      error.message === 'Email not verified' ||
+      error.message === 'Account suspended' ||
+      error.message === 'Session has been revoked'
+    ) {
+      return res.status(401).json({ message: error.message });
+    }
+    
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token' });
     }
@@ -50,7 +95,9 @@ const authMiddleware = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Role-based authorization middleware.
+ * Also enforces the 2FA policy: users whose type requires two-factor
+ * authentication can't use role-restricted routes until they enrol.
  * @param {string[]} roles - Allowed roles
  * @returns {Function} - Middleware function
  */
@@ -60,7 +107,7 @@ const authorize = (roles = []) => {
     roles = [roles];
   }
   
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // authMiddleware should be applied before this
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
@@ -71,11 +118,24 @@ const authorize = (roles = []) => {
       return res.status(403).json({ message: 'Forbidden: insufficient permissions' });
     }
     
+    try {
+      if (!req.user.twoFactorEnabled && await twoFactorService.isRequiredFor(req.user.userType)) {
+        return res.status(403).json({
+          message: 'Two-factor authentication setup required',
+          twoFactorSetupRequired: true
+        });
+      }
+    } catch (error) {
+      console.error('Two-factor policy check error:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+    
     next();
   };
 };
 
 module.exports = {
+  authenticateToken,
   authMiddleware,
   authorize
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+// backend/src/middleware/rateLimitMiddleware.js
+const { getRateLimitStore } = require('../utils/rateLimit');
+
+/**
+ * Create a fixed-window rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Counter namespace, so limiters don't share counts
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} options.keyGenerator - Derives the client key from the request (default: IP)
+ * @param {string} options.message - Response message when the limit is hit
+ * @param {Object} options.store - Store to use (default: the configured rate limit store)
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = req => req.ip,
+  message = 'Too many requests, please try again later',
+  store
+}) => {
+  return async (req, res, next) => {
+    let result;
+    try {
+      // Resolve the store per request so one registered at startup is picked up
+      result = await (store || getRateLimitStore()).increment(
+        `${name}:${keyGenerator(req)}`,
+        windowMs
+      );
+    } catch (error) {
+      // Don't take the API down with the store; let the request through
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - result.count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,99 @@
+// backend/src/middleware/uploadMiddleware.js
+const multer = require('multer');
+const { IMAGE_CONFIG } = require('../utils/imageProcessor');
+const HorseDocument = require('../models/horseDocument');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMAGE_CONFIG.maxFileSize,
+    files: IMAGE_CONFIG.maxFilesPerRequest
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_CONFIG.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new Error('Invalid image type'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Image upload middleware
+ * Parses multipart "images" fields into req.files and maps upload errors to responses
+ */
+const imageUpload = (req, res, next) => {
+  upload.array('images', IMAGE_CONFIG.maxFilesPerRequest)(req, res, error => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Image exceeds maximum size of ${Math.round(IMAGE_CONFIG.maxFileSize / (1024 * 1024))}MB`
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.message === 'Invalid image type') {
+      return res.status(415).json({
+        message: `Invalid image type. Allowed types: ${IMAGE_CONFIG.allowedMimeTypes.join(', ')}`
+      });
+    }
+
+    next(error);
+  });
+};
+
+const DOCUMENT_MIME_TYPES = Object.keys(HorseDocument.FILE_SIGNATURES);
+
+const documentMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: HorseDocument.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Invalid document type'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Health document upload middleware
+ * Parses a single multipart "document" field into req.file and maps upload errors to responses
+ */
+const documentUpload = (req, res, next) => {
+  documentMulter.single('document')(req, res, error => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Document exceeds maximum size of ${Math.round(HorseDocument.MAX_FILE_SIZE / (1024 * 1024))}MB`
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.message === 'Invalid document type') {
+      return res.status(415).json({
+        message: `Invalid document type. Allowed types: ${DOCUMENT_MIME_TYPES.join(', ')}`
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  imageUpload,
+  documentUpload
+};
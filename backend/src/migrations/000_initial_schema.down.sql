@@ -0,0 +1,10 @@
+-- Revert 000_initial_schema: drops every base table
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS listing_images;
+DROP TABLE IF EXISTS service_listings;
+DROP TABLE IF EXISTS agistment_listings;
+DROP TABLE IF EXISTS equipment_listings;
+DROP TABLE IF EXISTS horse_listings;
+DROP TABLE IF EXISTS listings;
+DROP TYPE IF EXISTS listing_type;
+DROP TABLE IF EXISTS users;
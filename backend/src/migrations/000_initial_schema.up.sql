@@ -1,22 +1,31 @@
+-- 000_initial_schema: base tables, formerly database/init/01-schema.sql
+-- Idempotent so databases created from that file can record it as applied.
+
 -- Users table
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY,
     email VARCHAR(255) NOT NULL UNIQUE,
     password_hash VARCHAR(255) NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     phone VARCHAR(20),
-    user_type VARCHAR(20) NOT NULL, -- individual, business, professional
+    user_type VARCHAR(20) NOT NULL, -- buyer, seller, admin
     business_name VARCHAR(100),
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
--- Listing types
-CREATE TYPE listing_type AS ENUM ('horse', 'equipment', 'agistment', 'service');
+-- Listing types (CREATE TYPE has no IF NOT EXISTS)
+DO $$
+BEGIN
+    CREATE TYPE listing_type AS ENUM ('horse', 'equipment', 'agistment', 'service');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END
+$$;
 
 -- Listings table
-CREATE TABLE listings (
+CREATE TABLE IF NOT EXISTS listings (
     id UUID PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES users(id),
     title VARCHAR(255) NOT NULL,
@@ -34,7 +43,7 @@ CREATE TABLE listings (
 );
 
 -- Horse listings
-CREATE TABLE horse_listings (
+CREATE TABLE IF NOT EXISTS horse_listings (
     listing_id UUID PRIMARY KEY REFERENCES listings(id),
     breed VARCHAR(100) NOT NULL,
     age INTEGER,
@@ -49,7 +58,7 @@ CREATE TABLE horse_listings (
 );
 
 -- Equipment listings
-CREATE TABLE equipment_listings (
+CREATE TABLE IF NOT EXISTS equipment_listings (
     listing_id UUID PRIMARY KEY REFERENCES listings(id),
     category VARCHAR(100) NOT NULL, -- saddle, bridle, trailer, etc.
     condition VARCHAR(50) NOT NULL, -- new, used, etc.
@@ -59,7 +68,7 @@ CREATE TABLE equipment_listings (
 );
 
 -- Agistment listings
-CREATE TABLE agistment_listings (
+CREATE TABLE IF NOT EXISTS agistment_listings (
     listing_id UUID PRIMARY KEY REFERENCES listings(id),
     property_size DECIMAL(10, 2), -- in acres/hectares
     stall_count INTEGER,
@@ -72,7 +81,7 @@ CREATE TABLE agistment_listings (
 );
 
 -- Service listings
-CREATE TABLE service_listings (
+CREATE TABLE IF NOT EXISTS service_listings (
     listing_id UUID PRIMARY KEY REFERENCES listings(id),
     service_type VARCHAR(100) NOT NULL, -- vet, farrier, trainer, etc.
     experience_years INTEGER,
@@ -83,7 +92,7 @@ CREATE TABLE service_listings (
 );
 
 -- Listing images
-CREATE TABLE listing_images (
+CREATE TABLE IF NOT EXISTS listing_images (
     id UUID PRIMARY KEY,
     listing_id UUID NOT NULL REFERENCES listings(id),
     image_url VARCHAR(255) NOT NULL,
@@ -92,7 +101,7 @@ CREATE TABLE listing_images (
 );
 
 -- Messages between users
-CREATE TABLE messages (
+CREATE TABLE IF NOT EXISTS messages (
     id UUID PRIMARY KEY,
     listing_id UUID NOT NULL REFERENCES listings(id),
     sender_id UUID NOT NULL REFERENCES users(id),
@@ -100,4 +109,4 @@ CREATE TABLE messages (
     content TEXT NOT NULL,
     is_read BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP NOT NULL DEFAULT NOW()
-);
\ No newline at end of file
+);
@@ -0,0 +1,42 @@
+// backend/src/migrations/002_create_gazetteer_table.js
+
+/**
+ * Migration to create the local gazetteer used to resolve postcodes and
+ * suburbs to coordinates, and to index listing coordinates for radius search
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS gazetteer (
+      id SERIAL PRIMARY KEY,
+      postcode VARCHAR(10),
+      suburb VARCHAR(100) NOT NULL,
+      state VARCHAR(10),
+      latitude DECIMAL(9, 6) NOT NULL,
+      longitude DECIMAL(9, 6) NOT NULL,
+      UNIQUE (postcode, suburb, state)
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_gazetteer_postcode ON gazetteer (postcode);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_gazetteer_suburb ON gazetteer (LOWER(suburb));');
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_listings_coordinates ON listings (latitude, longitude);'
+  );
+  console.log('Created gazetteer table and listing coordinate index');
+}
+
+/**
+ * Migration to drop the gazetteer table and listing coordinate index
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_listings_coordinates;');
+  await client.query('DROP TABLE IF EXISTS gazetteer;');
+  console.log('Dropped gazetteer table and listing coordinate index');
+}
+
+module.exports = {
+  up,
+  down
+};
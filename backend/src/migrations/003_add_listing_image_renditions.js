@@ -0,0 +1,47 @@
+// backend/src/migrations/003_add_listing_image_renditions.js
+
+/**
+ * Migration to add storage keys, renditions and file metadata to listing images
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    ALTER TABLE listing_images
+    ADD COLUMN IF NOT EXISTS storage_key VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS medium_url VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS thumbnail_url VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS content_type VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS size_bytes INTEGER,
+    ADD COLUMN IF NOT EXISTS width INTEGER,
+    ADD COLUMN IF NOT EXISTS height INTEGER;
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_listing_images_order ON listing_images (listing_id, display_order);'
+  );
+  console.log('Added rendition columns to listing_images table');
+}
+
+/**
+ * Migration to remove rendition columns from listing images
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_listing_images_order;');
+  await client.query(`
+    ALTER TABLE listing_images
+    DROP COLUMN IF EXISTS storage_key,
+    DROP COLUMN IF EXISTS medium_url,
+    DROP COLUMN IF EXISTS thumbnail_url,
+    DROP COLUMN IF EXISTS content_type,
+    DROP COLUMN IF EXISTS size_bytes,
+    DROP COLUMN IF EXISTS width,
+    DROP COLUMN IF EXISTS height;
+  `);
+  console.log('Removed rendition columns from listing_images table');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,34 @@
+// backend/src/migrations/004_add_message_indexes.js
+
+/**
+ * Migration to index messages for conversation and unread count queries
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_messages_recipient_unread ON messages (recipient_id) WHERE is_read = false;'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages (sender_id, created_at DESC);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (listing_id, sender_id, recipient_id, created_at DESC);'
+  );
+  console.log('Created message indexes');
+}
+
+/**
+ * Migration to drop the message indexes
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_messages_recipient_unread;');
+  await client.query('DROP INDEX IF EXISTS idx_messages_sender;');
+  await client.query('DROP INDEX IF EXISTS idx_messages_conversation;');
+  console.log('Dropped message indexes');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,42 @@
+// backend/src/migrations/005_create_sessions_table.js
+
+/**
+ * Migration to create the sessions table backing rotating refresh tokens
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      previous_token_hash VARCHAR(64),
+      rotated_at TIMESTAMP,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id) WHERE revoked_at IS NULL;'
+  );
+  console.log('Created sessions table');
+}
+
+/**
+ * Migration to drop the sessions table
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS sessions;');
+  console.log('Dropped sessions table');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,58 @@
+// backend/src/migrations/006_add_two_factor_auth.js
+
+/**
+ * Migration to add TOTP two-factor authentication, backup codes and per-user-type policies
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_backup_codes_user ON two_factor_backup_codes (user_id) WHERE used_at IS NULL;'
+  );
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS two_factor_policies (
+      user_type VARCHAR(20) PRIMARY KEY,
+      required BOOLEAN NOT NULL DEFAULT FALSE,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  console.log('Added two-factor authentication tables and columns');
+}
+
+/**
+ * Migration to remove two-factor authentication
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS two_factor_policies;');
+  await client.query('DROP TABLE IF EXISTS two_factor_backup_codes;');
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS two_factor_enabled,
+    DROP COLUMN IF EXISTS two_factor_secret,
+    DROP COLUMN IF EXISTS two_factor_last_step;
+  `);
+  console.log('Removed two-factor authentication tables and columns');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,41 @@
+// backend/src/migrations/007_create_reviews_table.js
+
+/**
+ * Migration to create seller reviews
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id UUID PRIMARY KEY,
+      seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      listing_id UUID NOT NULL REFERENCES listings(id),
+      rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      body TEXT NOT NULL,
+      reply TEXT,
+      replied_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (reviewer_id, listing_id)
+    );
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_reviews_seller ON reviews (seller_id, created_at DESC);'
+  );
+  console.log('Created reviews table');
+}
+
+/**
+ * Migration to drop seller reviews
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS reviews;');
+  console.log('Dropped reviews table');
+}
+
+module.exports = {
+  up,
+  down
+};
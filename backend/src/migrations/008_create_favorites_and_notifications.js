@@ -0,0 +1,66 @@
+// backend/src/migrations/008_create_favorites_and_notifications.js
+
+/**
+ * Migration to create favourites (watchlists), in-app notifications and the
+ * listing sold marker that watcher alerts key off
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS favorites (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, listing_id)
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_favorites_listing ON favorites (listing_id);'
+  );
+  console.log('Created favorites table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSONB NOT NULL DEFAULT '{}',
+      read_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at DESC);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications (user_id) WHERE read_at IS NULL;'
+  );
+  console.log('Created notifications table');
+
+  await client.query('ALTER TABLE listings ADD COLUMN IF NOT EXISTS sold_at TIMESTAMP;');
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_listings_expiry ON listings (expires_at) WHERE is_active = true;'
+  );
+  console.log('Added listings.sold_at');
+}
+
+/**
+ * Migration to drop favourites, notifications and the sold marker
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_listings_expiry;');
+  await client.query('ALTER TABLE listings DROP COLUMN IF EXISTS sold_at;');
+  await client.query('DROP TABLE IF EXISTS notifications;');
+  await client.query('DROP TABLE IF EXISTS favorites;');
+  console.log('Dropped favorites and notifications tables');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,44 @@
+// backend/src/migrations/009_create_saved_searches_table.js
+
+/**
+ * Migration to create the saved_searches table behind search alerts and digests
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      criteria JSONB NOT NULL DEFAULT '{}',
+      frequency VARCHAR(10) NOT NULL DEFAULT 'daily'
+        CHECK (frequency IN ('instant', 'daily', 'weekly', 'never')),
+      last_checked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_notified_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id, created_at DESC);'
+  );
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches (frequency, last_checked_at) WHERE frequency <> 'never';"
+  );
+  console.log('Created saved_searches table');
+}
+
+/**
+ * Migration to drop the saved_searches table
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS saved_searches;');
+  console.log('Dropped saved_searches table');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,59 @@
+// backend/src/migrations/010_create_offers_table.js
+
+/**
+ * Migration to create the offers table for negotiating on listings, and the
+ * marker for listings with an accepted offer
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS offers (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+      buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      proposed_by VARCHAR(10) NOT NULL CHECK (proposed_by IN ('buyer', 'seller')),
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      message TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      parent_offer_id UUID REFERENCES offers(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      responded_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_offers_listing ON offers (listing_id, created_at);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_offers_buyer ON offers (buyer_id, created_at DESC);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_offers_seller ON offers (seller_id, created_at DESC);'
+  );
+  // One open negotiation per buyer and listing
+  await client.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_one_pending ON offers (listing_id, buyer_id) WHERE status = 'pending';"
+  );
+  console.log('Created offers table');
+
+  await client.query('ALTER TABLE listings ADD COLUMN IF NOT EXISTS under_offer_at TIMESTAMP;');
+  console.log('Added listings.under_offer_at');
+}
+
+/**
+ * Migration to drop the offers table and the under offer marker
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('ALTER TABLE listings DROP COLUMN IF EXISTS under_offer_at;');
+  await client.query('DROP TABLE IF EXISTS offers;');
+  console.log('Dropped offers table');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,114 @@
+// backend/src/migrations/011_create_payments_tables.js
+
+/**
+ * Migration to create escrow payments, their append-only ledger and the
+ * record of processed provider webhooks
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES listings(id),
+      offer_id UUID REFERENCES offers(id),
+      buyer_id UUID NOT NULL REFERENCES users(id),
+      seller_id UUID NOT NULL REFERENCES users(id),
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      currency CHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'requires_payment',
+      provider VARCHAR(30) NOT NULL,
+      provider_reference VARCHAR(255),
+      refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      failure_reason TEXT,
+      dispute_reason TEXT,
+      held_at TIMESTAMP,
+      release_after TIMESTAMP,
+      disputed_at TIMESTAMP,
+      released_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_ref ON payments (provider, provider_reference);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_payments_buyer ON payments (buyer_id, created_at DESC);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_payments_seller ON payments (seller_id, created_at DESC);'
+  );
+  // A listing can only have one payment in flight or completed
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_active ON payments (listing_id)
+    WHERE status IN ('requires_payment', 'held', 'disputed', 'released');
+  `);
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS idx_payments_release_due ON payments (release_after) WHERE status = 'held';"
+  );
+  console.log('Created payments table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payment_ledger (
+      id BIGSERIAL PRIMARY KEY,
+      payment_id UUID NOT NULL REFERENCES payments(id),
+      entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('charge', 'release', 'refund')),
+      amount DECIMAL(10, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      provider_reference VARCHAR(255),
+      actor_id UUID,
+      note TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_payment_ledger_payment ON payment_ledger (payment_id, id);'
+  );
+
+  // Ledger rows are facts; corrections are new entries, never edits
+  await client.query(`
+    CREATE OR REPLACE FUNCTION payment_ledger_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'payment_ledger is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await client.query('DROP TRIGGER IF EXISTS payment_ledger_no_change ON payment_ledger;');
+  await client.query(`
+    CREATE TRIGGER payment_ledger_no_change
+    BEFORE UPDATE OR DELETE ON payment_ledger
+    FOR EACH ROW EXECUTE FUNCTION payment_ledger_immutable();
+  `);
+  console.log('Created payment_ledger table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payment_webhook_events (
+      provider VARCHAR(30) NOT NULL,
+      event_id VARCHAR(255) NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      processed_at TIMESTAMP,
+      PRIMARY KEY (provider, event_id)
+    );
+  `);
+  console.log('Created payment_webhook_events table');
+}
+
+/**
+ * Migration to drop the payments tables
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS payment_webhook_events;');
+  await client.query('DROP TABLE IF EXISTS payment_ledger;');
+  await client.query('DROP FUNCTION IF EXISTS payment_ledger_immutable();');
+  await client.query('DROP TABLE IF EXISTS payments;');
+  console.log('Dropped payments tables');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,67 @@
+// backend/src/migrations/012_add_admin_moderation.js
+
+/**
+ * Migration to add account suspension, hidden listings and the admin audit log
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+  `);
+  console.log('Added suspension columns to users table');
+
+  await client.query(`
+    ALTER TABLE listings
+    ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+  `);
+  console.log('Added hidden columns to listings table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      admin_id UUID NOT NULL REFERENCES users(id),
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(20) NOT NULL,
+      target_id UUID NOT NULL,
+      reason TEXT NOT NULL,
+      details JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Target IDs aren't foreign keys so entries outlive deleted listings
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log (target_type, target_id, created_at DESC);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_admin_audit_admin ON admin_audit_log (admin_id, created_at DESC);'
+  );
+  console.log('Created admin_audit_log table');
+}
+
+/**
+ * Migration to drop the admin audit log and moderation columns
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS admin_audit_log;');
+  await client.query(`
+    ALTER TABLE listings
+    DROP COLUMN IF EXISTS hidden_at,
+    DROP COLUMN IF EXISTS hidden_reason;
+  `);
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS suspended_at,
+    DROP COLUMN IF EXISTS suspension_reason;
+  `);
+  console.log('Dropped admin moderation tables and columns');
+}
+
+module.exports = {
+  up,
+  down
+};
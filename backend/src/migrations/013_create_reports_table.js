@@ -0,0 +1,58 @@
+// backend/src/migrations/013_create_reports_table.js
+
+/**
+ * Migration to create user reports of listings and users, and to record
+ * which admin hid a listing (NULL when it was auto-hidden after reports)
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id UUID PRIMARY KEY,
+      reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('listing', 'user')),
+      target_id UUID NOT NULL,
+      category VARCHAR(30) NOT NULL CHECK (category IN ('scam', 'animal_welfare', 'wrong_category', 'offensive')),
+      details TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      resolution_note TEXT,
+      resolved_by UUID REFERENCES users(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // One report per reporter and target until it has been dealt with
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_one_pending ON reports (reporter_id, target_type, target_id)
+    WHERE status IN ('open', 'triaged');
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_reports_queue ON reports (status, created_at);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_reports_target ON reports (target_type, target_id);'
+  );
+  console.log('Created reports table');
+
+  await client.query(
+    'ALTER TABLE listings ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES users(id);'
+  );
+  console.log('Added hidden_by column to listings table');
+}
+
+/**
+ * Migration to drop the reports table
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('ALTER TABLE listings DROP COLUMN IF EXISTS hidden_by;');
+  await client.query('DROP TABLE IF EXISTS reports;');
+  console.log('Dropped reports table');
+}
+
+module.exports = {
+  up,
+  down
+};
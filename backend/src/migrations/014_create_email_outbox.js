@@ -0,0 +1,70 @@
+// backend/src/migrations/014_create_email_outbox.js
+
+/**
+ * Migration to create the email outbox and its per-attempt send history.
+ * Emails are written here in the same transaction as the change that
+ * triggers them and delivered by the email-outbox job.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id UUID PRIMARY KEY,
+      to_address VARCHAR(255) NOT NULL,
+      template VARCHAR(100),
+      subject VARCHAR(255) NOT NULL,
+      html_body TEXT NOT NULL,
+      text_body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  // The worker only ever scans pending messages that are due
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (next_attempt_at)
+    WHERE status = 'pending';
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox (status, created_at);'
+  );
+  console.log('Created email_outbox table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox_attempts (
+      id BIGSERIAL PRIMARY KEY,
+      message_id UUID NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+      attempt_number INTEGER NOT NULL,
+      transport VARCHAR(50) NOT NULL,
+      succeeded BOOLEAN NOT NULL,
+      provider_message_id VARCHAR(255),
+      error TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_email_outbox_attempts_message ON email_outbox_attempts (message_id, attempt_number);'
+  );
+  console.log('Created email_outbox_attempts table');
+}
+
+/**
+ * Migration to drop the email outbox tables
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS email_outbox_attempts;');
+  await client.query('DROP TABLE IF EXISTS email_outbox;');
+  console.log('Dropped email outbox tables');
+}
+
+module.exports = {
+  up,
+  down
+};
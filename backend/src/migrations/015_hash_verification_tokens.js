@@ -0,0 +1,51 @@
+// backend/src/migrations/015_hash_verification_tokens.js
+
+/**
+ * Migration to store email verification tokens as SHA-256 hashes with an
+ * expiry, and to record when the last verification email was sent so
+ * resends can be rate limited. Outstanding tokens are hashed in place and
+ * given a fresh 24 hour expiry, so links already emailed keep working.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query('ALTER TABLE users RENAME COLUMN verification_token TO verification_token_hash;');
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS verification_token_expires TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP;
+  `);
+
+  await client.query(`
+    UPDATE users
+    SET verification_token_hash = encode(sha256(convert_to(verification_token_hash, 'UTF8')), 'hex'),
+        verification_token_expires = NOW() + INTERVAL '24 hours',
+        verification_sent_at = NOW()
+    WHERE verification_token_hash IS NOT NULL;
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_users_verification_token_hash ON users (verification_token_hash) WHERE verification_token_hash IS NOT NULL;'
+  );
+  console.log('Hashed verification tokens and added verification expiry columns');
+}
+
+/**
+ * Migration to go back to plaintext verification tokens. Hashes can't be
+ * reversed, so outstanding tokens are dropped; users can request a new link.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_users_verification_token_hash;');
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS verification_token_expires,
+    DROP COLUMN IF EXISTS verification_sent_at;
+  `);
+  await client.query('ALTER TABLE users RENAME COLUMN verification_token_hash TO verification_token;');
+  await client.query('UPDATE users SET verification_token = NULL;');
+  console.log('Reverted verification tokens to plaintext');
+}
+
+module.exports = {
+  up,
+  down
+};
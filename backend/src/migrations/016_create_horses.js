@@ -0,0 +1,82 @@
+// backend/src/migrations/016_create_horses.js
+
+/**
+ * Migration to create structured horse profiles, kept apart from listings so
+ * a horse can be listed again: identity (microchip, UELN), foaling date and
+ * markings, breed society registrations, and a pedigree stored one ancestor
+ * per row keyed by its position ('s' sire, 'd' dam, 'sd' sire's dam, ...)
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horses (
+      id UUID PRIMARY KEY,
+      owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      breed VARCHAR(100),
+      sex VARCHAR(20) CHECK (sex IN ('mare', 'gelding', 'stallion', 'colt', 'filly')),
+      color VARCHAR(50),
+      foaling_date DATE,
+      markings TEXT,
+      microchip VARCHAR(20),
+      ueln VARCHAR(15),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horses_owner ON horses (owner_id);');
+  // Not unique: the same chip on two profiles is what the duplicate warning looks for
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horses_microchip ON horses (microchip) WHERE microchip IS NOT NULL;');
+  console.log('Created horses table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horse_registrations (
+      id UUID PRIMARY KEY,
+      horse_id UUID NOT NULL REFERENCES horses(id) ON DELETE CASCADE,
+      society VARCHAR(100) NOT NULL,
+      registration_number VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (horse_id, society)
+    );
+  `);
+  console.log('Created horse_registrations table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horse_pedigree_entries (
+      horse_id UUID NOT NULL REFERENCES horses(id) ON DELETE CASCADE,
+      position VARCHAR(4) NOT NULL CHECK (position ~ '^[sd]{1,4}$'),
+      name VARCHAR(100) NOT NULL,
+      registration_number VARCHAR(50),
+      breed VARCHAR(100),
+      color VARCHAR(50),
+      foaling_year INTEGER,
+      PRIMARY KEY (horse_id, position)
+    );
+  `);
+  console.log('Created horse_pedigree_entries table');
+
+  await client.query(
+    'ALTER TABLE horse_listings ADD COLUMN IF NOT EXISTS horse_id UUID REFERENCES horses(id);'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_horse_listings_horse ON horse_listings (horse_id) WHERE horse_id IS NOT NULL;'
+  );
+  console.log('Added horse_id column to horse_listings table');
+}
+
+/**
+ * Migration to drop horse profiles
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('ALTER TABLE horse_listings DROP COLUMN IF EXISTS horse_id;');
+  await client.query('DROP TABLE IF EXISTS horse_pedigree_entries;');
+  await client.query('DROP TABLE IF EXISTS horse_registrations;');
+  await client.query('DROP TABLE IF EXISTS horses;');
+  console.log('Dropped horse profile tables');
+}
+
+module.exports = {
+  up,
+  down
+};
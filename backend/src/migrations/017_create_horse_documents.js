@@ -0,0 +1,81 @@
+// backend/src/migrations/017_create_horse_documents.js
+
+/**
+ * Migration to create health documents (vet checks, x-rays, vaccination
+ * records) attached to horse profiles, buyers' requests for access to them,
+ * and a log of every time a document is opened
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horse_documents (
+      id UUID PRIMARY KEY,
+      horse_id UUID NOT NULL REFERENCES horses(id) ON DELETE CASCADE,
+      document_type VARCHAR(30) NOT NULL
+        CHECK (document_type IN ('vet_check', 'xray', 'vaccination', 'dental', 'lab_result', 'other')),
+      document_date DATE,
+      vet_name VARCHAR(200),
+      description TEXT,
+      storage_key VARCHAR(500) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horse_documents_horse ON horse_documents (horse_id, document_date DESC);');
+  console.log('Created horse_documents table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horse_document_access (
+      id UUID PRIMARY KEY,
+      horse_id UUID NOT NULL REFERENCES horses(id) ON DELETE CASCADE,
+      requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+      message TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'granted', 'denied', 'revoked')),
+      expires_at TIMESTAMP,
+      decided_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horse_document_access_horse ON horse_document_access (horse_id, created_at DESC);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horse_document_access_requester ON horse_document_access (requester_id, horse_id);');
+  // One open request per buyer and horse
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_horse_document_access_pending
+    ON horse_document_access (horse_id, requester_id) WHERE status = 'pending';
+  `);
+  console.log('Created horse_document_access table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS horse_document_views (
+      id UUID PRIMARY KEY,
+      document_id UUID NOT NULL REFERENCES horse_documents(id) ON DELETE CASCADE,
+      viewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      access_id UUID REFERENCES horse_document_access(id) ON DELETE SET NULL,
+      ip_address VARCHAR(45),
+      viewed_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_horse_document_views_document ON horse_document_views (document_id, viewed_at DESC);');
+  console.log('Created horse_document_views table');
+}
+
+/**
+ * Migration to drop health documents, access requests and the view log
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS horse_document_views;');
+  await client.query('DROP TABLE IF EXISTS horse_document_access;');
+  await client.query('DROP TABLE IF EXISTS horse_documents;');
+  console.log('Dropped horse document tables');
+}
+
+module.exports = {
+  up,
+  down
+};
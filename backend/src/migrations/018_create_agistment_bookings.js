@@ -0,0 +1,71 @@
+// backend/src/migrations/018_create_agistment_bookings.js
+
+/**
+ * Migration to track agistment capacity over time: capacity periods that
+ * override a property's usual stall and paddock counts for a date range, and
+ * booking requests from horse owners. Dates are calendar days, both ends
+ * inclusive.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS agistment_capacity (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      stalls INTEGER NOT NULL CHECK (stalls >= 0),
+      paddocks INTEGER NOT NULL CHECK (paddocks >= 0),
+      note VARCHAR(200),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CHECK (end_date >= start_date)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_agistment_capacity_listing ON agistment_capacity (listing_id, start_date);');
+  console.log('Created agistment_capacity table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS agistment_bookings (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+      requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      unit_type VARCHAR(10) NOT NULL CHECK (unit_type IN ('stall', 'paddock')),
+      units INTEGER NOT NULL CHECK (units > 0),
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      message TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'cancelled')),
+      response_note TEXT,
+      responded_at TIMESTAMP,
+      cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CHECK (end_date >= start_date)
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_agistment_bookings_listing
+    ON agistment_bookings (listing_id, status, start_date, end_date);
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_agistment_bookings_requester
+    ON agistment_bookings (requester_id, created_at DESC);
+  `);
+  console.log('Created agistment_bookings table');
+}
+
+/**
+ * Migration to drop agistment capacity periods and bookings
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS agistment_bookings;');
+  await client.query('DROP TABLE IF EXISTS agistment_capacity;');
+  console.log('Dropped agistment booking tables');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,120 @@
+// backend/src/migrations/019_create_service_appointments.js
+
+/**
+ * Migration to make service listings bookable: a schedule (time zone, slot
+ * length and the reschedule/cancel rules), weekly availability rules,
+ * blackout dates and appointments. Also gives service listings a structured
+ * service area next to the free-text one, and lets outbox emails carry a
+ * calendar invite.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    ALTER TABLE service_listings
+      ADD COLUMN IF NOT EXISTS service_area_type VARCHAR(10) CHECK (service_area_type IN ('radius', 'postcodes')),
+      ADD COLUMN IF NOT EXISTS service_radius_km NUMERIC(6, 1),
+      ADD COLUMN IF NOT EXISTS service_postcodes VARCHAR(4)[];
+  `);
+  console.log('Added structured service area columns to service_listings table');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS service_schedules (
+      listing_id UUID PRIMARY KEY REFERENCES listings(id) ON DELETE CASCADE,
+      time_zone VARCHAR(64) NOT NULL,
+      slot_minutes INTEGER NOT NULL CHECK (slot_minutes BETWEEN 5 AND 480),
+      min_notice_hours INTEGER NOT NULL DEFAULT 24 CHECK (min_notice_hours >= 0),
+      horizon_days INTEGER NOT NULL DEFAULT 60 CHECK (horizon_days > 0),
+      cancel_cutoff_hours INTEGER NOT NULL DEFAULT 24 CHECK (cancel_cutoff_hours >= 0),
+      max_reschedules INTEGER NOT NULL DEFAULT 2 CHECK (max_reschedules >= 0),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  // Weekday 0 is Sunday; times are wall-clock times in the schedule's time zone
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS service_availability_rules (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES service_schedules(listing_id) ON DELETE CASCADE,
+      weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      CHECK (end_time > start_time)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_service_availability_rules_listing ON service_availability_rules (listing_id, weekday);');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS service_blackouts (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES service_schedules(listing_id) ON DELETE CASCADE,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason VARCHAR(200),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CHECK (end_date >= start_date)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_service_blackouts_listing ON service_blackouts (listing_id, start_date);');
+  console.log('Created service schedule tables');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS service_appointments (
+      id UUID PRIMARY KEY,
+      listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+      client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      starts_at TIMESTAMP NOT NULL,
+      ends_at TIMESTAMP NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+      address TEXT,
+      postcode VARCHAR(4),
+      latitude DECIMAL(9, 6),
+      longitude DECIMAL(9, 6),
+      notes TEXT,
+      reschedule_count INTEGER NOT NULL DEFAULT 0,
+      sequence INTEGER NOT NULL DEFAULT 0,
+      reminder_sent_at TIMESTAMP,
+      cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      cancellation_reason TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CHECK (ends_at > starts_at)
+    );
+  `);
+  // Backstop against two bookings of one slot; the service also checks overlaps under a lock
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_service_appointments_slot
+    ON service_appointments (listing_id, starts_at) WHERE status = 'booked';
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_service_appointments_client ON service_appointments (client_id, starts_at DESC);');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_service_appointments_reminders
+    ON service_appointments (starts_at) WHERE status = 'booked' AND reminder_sent_at IS NULL;
+  `);
+  console.log('Created service_appointments table');
+
+  await client.query('ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS calendar_event TEXT;');
+  console.log('Added calendar_event column to email_outbox table');
+}
+
+/**
+ * Migration to drop appointment booking and the structured service area
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('ALTER TABLE email_outbox DROP COLUMN IF EXISTS calendar_event;');
+  await client.query('DROP TABLE IF EXISTS service_appointments;');
+  await client.query('DROP TABLE IF EXISTS service_blackouts;');
+  await client.query('DROP TABLE IF EXISTS service_availability_rules;');
+  await client.query('DROP TABLE IF EXISTS service_schedules;');
+  await client.query(`
+    ALTER TABLE service_listings
+      DROP COLUMN IF EXISTS service_area_type,
+      DROP COLUMN IF EXISTS service_radius_km,
+      DROP COLUMN IF EXISTS service_postcodes;
+  `);
+  console.log('Dropped service appointment tables');
+}
+
+module.exports = {
+  up,
+  down
+};
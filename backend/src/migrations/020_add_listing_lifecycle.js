@@ -0,0 +1,81 @@
+// backend/src/migrations/020_add_listing_lifecycle.js
+
+/**
+ * Migration to give listings a lifecycle status (draft, pending_review,
+ * active, under_offer, sold, expired, withdrawn) alongside is_active, which
+ * stays true exactly while a listing is active or under offer. Existing
+ * listings are backfilled from is_active, sold_at and under_offer_at, and
+ * live listings without an expiry date are given one so the expiry job
+ * starts enforcing it.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query(`
+    ALTER TABLE listings
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'pending_review', 'active', 'under_offer', 'sold', 'expired', 'withdrawn')),
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS published_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS review_note TEXT,
+      ADD COLUMN IF NOT EXISTS renewal_reminder_sent_at TIMESTAMP;
+  `);
+  console.log('Added listing lifecycle columns');
+
+  await client.query(`
+    UPDATE listings SET
+      status = CASE
+        WHEN sold_at IS NOT NULL THEN 'sold'
+        WHEN is_active AND under_offer_at IS NOT NULL THEN 'under_offer'
+        WHEN is_active THEN 'active'
+        WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+        ELSE 'withdrawn'
+      END,
+      status_changed_at = updated_at,
+      published_at = created_at;
+  `);
+  await client.query(`
+    UPDATE listings SET expires_at = NOW() + INTERVAL '60 days'
+    WHERE status IN ('active', 'under_offer') AND expires_at IS NULL;
+  `);
+  console.log('Backfilled listing statuses');
+
+  await client.query('DROP INDEX IF EXISTS idx_listings_expiry;');
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS idx_listings_expiry ON listings (expires_at) WHERE status = 'active';"
+  );
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS idx_listings_publish ON listings (publish_at) WHERE status = 'draft';"
+  );
+  await client.query('CREATE INDEX IF NOT EXISTS idx_listings_status ON listings (status, created_at DESC);');
+  console.log('Created listing lifecycle indexes');
+}
+
+/**
+ * Migration to drop the listing lifecycle columns. is_active, sold_at and
+ * under_offer_at still describe each listing.
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_listings_status;');
+  await client.query('DROP INDEX IF EXISTS idx_listings_publish;');
+  await client.query('DROP INDEX IF EXISTS idx_listings_expiry;');
+  await client.query(`
+    ALTER TABLE listings
+      DROP COLUMN IF EXISTS renewal_reminder_sent_at,
+      DROP COLUMN IF EXISTS review_note,
+      DROP COLUMN IF EXISTS published_at,
+      DROP COLUMN IF EXISTS publish_at,
+      DROP COLUMN IF EXISTS status_changed_at,
+      DROP COLUMN IF EXISTS status;
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS idx_listings_expiry ON listings (expires_at) WHERE is_active = true;'
+  );
+  console.log('Dropped listing lifecycle columns');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,93 @@
+// backend/src/models/agistmentBooking.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Allowed status changes. Only accepted bookings hold capacity; either party
+ * can cancel a pending or accepted booking.
+ */
+const TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled'],
+  accepted: ['cancelled'],
+  rejected: [],
+  cancelled: []
+};
+
+/**
+ * A horse owner's request to agist horses at a property for a range of days.
+ * startDate and endDate are calendar days (YYYY-MM-DD), both inclusive.
+ */
+class AgistmentBooking {
+  /**
+   * Create a new booking request
+   * @param {Object} data - Booking data
+   * @param {string} data.listingId - Agistment listing
+   * @param {string} data.requesterId - Horse owner asking
+   * @param {string} data.unitType - "stall" or "paddock"
+   * @param {number} data.units - How many stalls or paddocks
+   * @param {string} data.startDate - First day, YYYY-MM-DD
+   * @param {string} data.endDate - Last day, YYYY-MM-DD
+   * @param {string} data.message - Note to the property owner (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.requesterId = data.requesterId;
+    this.unitType = data.unitType;
+    this.units = data.units !== undefined && data.units !== null ? Number(data.units) : 1;
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+    this.message = data.message || null;
+    this.status = data.status || 'pending';
+    this.responseNote = data.responseNote || null;
+    this.respondedAt = data.respondedAt || null;
+    this.cancelledBy = data.cancelledBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Joined display fields (optional)
+    if (data.listingTitle !== undefined) {
+      this.listingTitle = data.listingTitle;
+    }
+    if (data.ownerId !== undefined) {
+      this.ownerId = data.ownerId;
+    }
+    if (data.requesterName !== undefined) {
+      this.requesterName = data.requesterName;
+    }
+    if (data.requesterEmail !== undefined) {
+      this.requesterEmail = data.requesterEmail;
+    }
+  }
+
+  /**
+   * Check whether the status can move to the given one
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Number of days booked, counting both ends
+   * @returns {number}
+   */
+  getDayCount() {
+    const start = Date.parse(`${this.startDate}T00:00:00Z`);
+    const end = Date.parse(`${this.endDate}T00:00:00Z`);
+    return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  }
+
+  /**
+   * Get booking data for API responses
+   * @returns {Object} - Booking data
+   */
+  toJSON() {
+    return { ...this, dayCount: this.getDayCount() };
+  }
+}
+
+AgistmentBooking.STATUSES = Object.keys(TRANSITIONS);
+AgistmentBooking.UNIT_TYPES = ['stall', 'paddock'];
+
+module.exports = AgistmentBooking;
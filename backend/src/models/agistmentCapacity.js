@@ -0,0 +1,40 @@
+// backend/src/models/agistmentCapacity.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Stalls and paddocks a property has for a range of days, overriding the
+ * listing's usual stallCount and paddockCount (e.g. a paddock resting over
+ * winter, or extra yards over a show weekend). Dates are inclusive.
+ */
+class AgistmentCapacity {
+  /**
+   * Create a new capacity period
+   * @param {Object} data - Period data
+   * @param {string} data.listingId - Agistment listing
+   * @param {string} data.startDate - First day, YYYY-MM-DD
+   * @param {string} data.endDate - Last day, YYYY-MM-DD
+   * @param {number} data.stalls - Stalls available each day
+   * @param {number} data.paddocks - Paddocks available each day
+   * @param {string} data.note - Why capacity differs (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+    this.stalls = Number(data.stalls);
+    this.paddocks = Number(data.paddocks);
+    this.note = data.note || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Get period data for API responses
+   * @returns {Object} - Period data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+module.exports = AgistmentCapacity;
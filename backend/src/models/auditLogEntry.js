@@ -0,0 +1,59 @@
+// backend/src/models/auditLogEntry.js
+
+/**
+ * Record of an action an admin took, with who did it and why
+ */
+class AuditLogEntry {
+  /**
+   * Create a new audit log entry
+   * @param {Object} data - Entry data
+   * @param {string} data.adminId - Acting admin
+   * @param {string} data.action - Action taken (see AuditLogEntry.ACTIONS)
+   * @param {string} data.targetType - Kind of record acted on (see AuditLogEntry.TARGET_TYPES)
+   * @param {string} data.targetId - ID of the record acted on
+   * @param {string} data.reason - Why the admin took the action
+   * @param {Object} data.details - Action-specific data, e.g. { from, to } (optional)
+   */
+  constructor(data) {
+    this.id = data.id || null;
+    this.adminId = data.adminId;
+    this.action = data.action;
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.reason = data.reason;
+    this.details = data.details || {};
+    this.createdAt = data.createdAt || new Date();
+
+    // Only present when read back with the admin joined
+    if (data.adminName !== undefined) {
+      this.adminName = data.adminName;
+    }
+  }
+
+  /**
+   * Get entry data for API responses
+   * @returns {Object} - Entry data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+AuditLogEntry.ACTIONS = [
+  'user_suspended',
+  'user_unsuspended',
+  'user_type_changed',
+  'user_email_verified',
+  'listing_hidden',
+  'listing_unhidden',
+  'listing_deleted',
+  'listing_approved',
+  'listing_rejected',
+  'report_triaged',
+  'report_actioned',
+  'report_dismissed'
+];
+
+AuditLogEntry.TARGET_TYPES = ['user', 'listing', 'report'];
+
+module.exports = AuditLogEntry;
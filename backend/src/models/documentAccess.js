@@ -0,0 +1,79 @@
+// backend/src/models/documentAccess.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Allowed status changes. A grant lapses on its own at expiresAt; the
+ * owner can also revoke it early. Denied and revoked are final, and the
+ * buyer has to make a new request.
+ */
+const TRANSITIONS = {
+  pending: ['granted', 'denied'],
+  granted: ['revoked'],
+  denied: [],
+  revoked: []
+};
+
+/**
+ * A buyer's request to see a horse's health documents, and the
+ * time-limited grant the owner gives in answer
+ */
+class DocumentAccess {
+  /**
+   * Create a new access request
+   * @param {Object} data - Request data
+   * @param {string} data.horseId - Horse whose documents are requested
+   * @param {string} data.requesterId - Buyer asking for access
+   * @param {string} data.listingId - Listing the buyer came from (optional)
+   * @param {string} data.message - Note to the owner (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.horseId = data.horseId;
+    this.requesterId = data.requesterId;
+    this.listingId = data.listingId || null;
+    this.message = data.message || null;
+    this.status = data.status || 'pending';
+    this.expiresAt = data.expiresAt || null;
+    this.decidedAt = data.decidedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Joined display fields (optional)
+    if (data.requesterName !== undefined) {
+      this.requesterName = data.requesterName;
+    }
+    if (data.horseName !== undefined) {
+      this.horseName = data.horseName;
+    }
+  }
+
+  /**
+   * Check whether the status can move to the given one
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Check whether this is a grant that still lets the buyer open documents
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isActive(now = new Date()) {
+    return this.status === 'granted' && this.expiresAt !== null && new Date(this.expiresAt) > now;
+  }
+
+  /**
+   * Get request data for API responses
+   * @returns {Object} - Request data
+   */
+  toJSON() {
+    return { ...this, active: this.isActive() };
+  }
+}
+
+DocumentAccess.STATUSES = Object.keys(TRANSITIONS);
+
+module.exports = DocumentAccess;
@@ -0,0 +1,63 @@
+// backend/src/models/emailMessage.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * An email in the outbox.
+ * pending -> sending -> sent, or back to pending to retry after a failure,
+ * or dead once every attempt has failed.
+ */
+class EmailMessage {
+  /**
+   * Create a new outbox message
+   * @param {Object} data - Message data
+   * @param {string} data.toAddress - Recipient email
+   * @param {string} data.template - Template it was rendered from (optional)
+   * @param {string} data.subject - Subject
+   * @param {string} data.htmlBody - Rendered HTML part
+   * @param {string} data.textBody - Rendered plain-text part
+   * @param {string} data.calendarEvent - iCalendar invite sent with the email (optional)
+   * @param {number} data.maxAttempts - Attempts before the message is dead-lettered
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.toAddress = data.toAddress;
+    this.template = data.template || null;
+    this.subject = data.subject;
+    this.htmlBody = data.htmlBody;
+    this.textBody = data.textBody;
+    this.calendarEvent = data.calendarEvent || null;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.maxAttempts;
+    this.nextAttemptAt = data.nextAttemptAt || new Date();
+    this.lastError = data.lastError || null;
+    this.sentAt = data.sentAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Only present when read back with its send history
+    if (data.history !== undefined) {
+      this.history = data.history;
+    }
+  }
+
+  /**
+   * Check whether another failure should dead-letter the message
+   * @returns {boolean}
+   */
+  isLastAttempt() {
+    return this.attempts + 1 >= this.maxAttempts;
+  }
+
+  /**
+   * Convert to plain object for API responses
+   * @returns {Object}
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+EmailMessage.STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+module.exports = EmailMessage;
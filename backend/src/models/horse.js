@@ -0,0 +1,189 @@
+// backend/src/models/horse.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Deepest pedigree generation stored (4 = great-great-grandparents)
+ */
+const PEDIGREE_GENERATIONS = 4;
+
+/**
+ * Pedigree fields kept for each ancestor
+ */
+const ANCESTOR_FIELDS = ['name', 'registrationNumber', 'breed', 'color', 'foalingYear'];
+
+/**
+ * A horse's identity and lineage, independent of any listing, so the same
+ * horse can be listed again without re-entering its papers.
+ *
+ * The pedigree is stored flat, one entry per ancestor keyed by its position:
+ * the path from the horse through sires ('s') and dams ('d'), so 's' is the
+ * sire, 'sd' the sire's dam and 'dds' the dam's dam's sire.
+ */
+class Horse {
+  /**
+   * Create a new horse
+   * @param {Object} data - Horse data
+   * @param {string} data.ownerId - Seller who keeps the profile
+   * @param {string} data.name - Name
+   * @param {string} data.breed - Breed (optional)
+   * @param {string} data.sex - One of Horse.SEXES (optional)
+   * @param {string} data.color - Colour (optional)
+   * @param {string} data.foalingDate - Foaling date, YYYY-MM-DD (optional)
+   * @param {string} data.markings - Description of markings (optional)
+   * @param {string} data.microchip - Microchip number (optional)
+   * @param {string} data.ueln - Universal Equine Life Number (optional)
+   * @param {Object[]} data.registrations - Breed society registrations ({society, registrationNumber})
+   * @param {Object[]} data.pedigree - Ancestors ({position, name, registrationNumber, breed, color, foalingYear})
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.ownerId = data.ownerId;
+    this.name = data.name;
+    this.breed = data.breed || null;
+    this.sex = data.sex || null;
+    this.color = data.color || null;
+    this.foalingDate = data.foalingDate || null;
+    this.markings = data.markings || null;
+    this.microchip = data.microchip || null;
+    this.ueln = data.ueln || null;
+    this.registrations = data.registrations || [];
+    this.pedigree = data.pedigree || [];
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Check whether a user keeps this horse's profile
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  isOwnedBy(userId) {
+    return this.ownerId === userId;
+  }
+
+  /**
+   * Age in whole years from the foaling date
+   * @param {Date} now - Reference date (defaults to now)
+   * @returns {number|null} - Null when the foaling date isn't known
+   */
+  getAge(now = new Date()) {
+    if (!this.foalingDate) {
+      return null;
+    }
+
+    // Compare calendar parts; new Date('YYYY-MM-DD') would be UTC midnight
+    const [year, month, day] = String(this.foalingDate).split('-').map(Number);
+    let age = now.getFullYear() - year;
+    const birthdayPassed = now.getMonth() + 1 > month ||
+      (now.getMonth() + 1 === month && now.getDate() >= day);
+
+    if (!birthdayPassed) {
+      age -= 1;
+    }
+
+    return Math.max(age, 0);
+  }
+
+  /**
+   * Pedigree as a tree: { sire, dam }, where each ancestor carries its own
+   * sire and dam. Unknown ancestors are null.
+   * @returns {{sire: Object|null, dam: Object|null}}
+   */
+  getPedigreeTree() {
+    return Horse.buildPedigreeTree(this.pedigree);
+  }
+
+  /**
+   * Nest flat pedigree entries into a tree
+   * @param {Object[]} entries - Ancestors with a position
+   * @returns {{sire: Object|null, dam: Object|null}}
+   */
+  static buildPedigreeTree(entries) {
+    const byPosition = new Map(entries.map(entry => [entry.position, entry]));
+
+    const node = position => {
+      const entry = byPosition.get(position);
+      if (!entry) {
+        return null;
+      }
+
+      const ancestor = {};
+      ANCESTOR_FIELDS.forEach(field => {
+        ancestor[field] = entry[field] !== undefined ? entry[field] : null;
+      });
+
+      if (position.length < PEDIGREE_GENERATIONS) {
+        ancestor.sire = node(`${position}s`);
+        ancestor.dam = node(`${position}d`);
+      }
+
+      return ancestor;
+    };
+
+    return { sire: node('s'), dam: node('d') };
+  }
+
+  /**
+   * Flatten a pedigree tree into entries with positions. Branches deeper
+   * than PEDIGREE_GENERATIONS are rejected rather than silently dropped.
+   * @param {Object} tree - { sire, dam } as returned by buildPedigreeTree
+   * @returns {Object[]} - Ancestors with a position
+   * @throws {Error} - If the tree is too deep or malformed
+   */
+  static flattenPedigree(tree) {
+    const entries = [];
+
+    const visit = (ancestor, position) => {
+      if (ancestor === null || ancestor === undefined) {
+        return;
+      }
+
+      if (typeof ancestor !== 'object' || Array.isArray(ancestor)) {
+        throw new Error('Invalid pedigree: each ancestor must be an object');
+      }
+
+      if (position.length > PEDIGREE_GENERATIONS) {
+        throw new Error(`Invalid pedigree: at most ${PEDIGREE_GENERATIONS} generations are recorded`);
+      }
+
+      const entry = { position };
+      ANCESTOR_FIELDS.forEach(field => {
+        entry[field] = ancestor[field];
+      });
+      entries.push(entry);
+
+      visit(ancestor.sire, `${position}s`);
+      visit(ancestor.dam, `${position}d`);
+    };
+
+    if (tree === null || tree === undefined) {
+      return entries;
+    }
+
+    if (typeof tree !== 'object' || Array.isArray(tree)) {
+      throw new Error('Invalid pedigree: expected { sire, dam }');
+    }
+
+    visit(tree.sire, 's');
+    visit(tree.dam, 'd');
+
+    return entries;
+  }
+
+  /**
+   * Convert to plain object for API responses, with the pedigree as a tree
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...this,
+      age: this.getAge(),
+      pedigree: this.getPedigreeTree()
+    };
+  }
+}
+
+Horse.SEXES = ['mare', 'gelding', 'stallion', 'colt', 'filly'];
+Horse.PEDIGREE_GENERATIONS = PEDIGREE_GENERATIONS;
+
+module.exports = Horse;
@@ -0,0 +1,82 @@
+// backend/src/models/horseDocument.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * A health record attached to a horse profile: a vet check, x-ray,
+ * vaccination record and so on, kept as a PDF or image in private storage.
+ * Anyone can see that a document of a given type and date exists; its details
+ * and the file itself need the owner or a grant.
+ */
+class HorseDocument {
+  /**
+   * Create a new document
+   * @param {Object} data - Document data
+   * @param {string} data.horseId - Horse the document belongs to
+   * @param {string} data.documentType - One of HorseDocument.TYPES
+   * @param {string} data.documentDate - Date of the examination or record, YYYY-MM-DD (optional)
+   * @param {string} data.vetName - Vet or clinic that produced it (optional)
+   * @param {string} data.description - Notes (optional)
+   * @param {string} data.storageKey - Key in private storage
+   * @param {string} data.fileName - Original file name
+   * @param {string} data.contentType - MIME type
+   * @param {number} data.sizeBytes - File size
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.horseId = data.horseId;
+    this.documentType = data.documentType;
+    this.documentDate = data.documentDate || null;
+    this.vetName = data.vetName || null;
+    this.description = data.description || null;
+    this.storageKey = data.storageKey;
+    this.fileName = data.fileName;
+    this.contentType = data.contentType;
+    this.sizeBytes = data.sizeBytes;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Get what a user without access may see: the kind of record and its date.
+   * Vet names, notes and file names can give away the horse's health history.
+   * @returns {Object} - Document summary
+   */
+  toSummary() {
+    return {
+      id: this.id,
+      horseId: this.horseId,
+      documentType: this.documentType,
+      documentDate: this.documentDate
+    };
+  }
+
+  /**
+   * Get document data for API responses; the storage key never leaves the server
+   * @returns {Object} - Document data
+   */
+  toJSON() {
+    const data = { ...this };
+    delete data.storageKey;
+    return data;
+  }
+}
+
+HorseDocument.TYPES = ['vet_check', 'xray', 'vaccination', 'dental', 'lab_result', 'other'];
+
+/**
+ * Accepted uploads: MIME type to the leading bytes every such file starts with
+ */
+HorseDocument.FILE_SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF-'),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47])
+};
+
+HorseDocument.EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+HorseDocument.MAX_FILE_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE_BYTES, 10) || 20 * 1024 * 1024;
+
+module.exports = HorseDocument;
@@ -0,0 +1,193 @@
+// backend/src/models/listing.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Subtype tables for each listing type, with a map of
+ * camelCase model fields to snake_case column names
+ */
+const LISTING_SUBTYPES = {
+  horse: {
+    table: 'horse_listings',
+    required: ['breed', 'gender'],
+    fields: {
+      breed: 'breed',
+      age: 'age',
+      gender: 'gender',
+      height: 'height',
+      color: 'color',
+      discipline: 'discipline',
+      temperament: 'temperament',
+      trainingLevel: 'training_level',
+      healthRecords: 'health_records',
+      pedigree: 'pedigree',
+      horseId: 'horse_id'
+    }
+  },
+  equipment: {
+    table: 'equipment_listings',
+    required: ['category', 'condition'],
+    fields: {
+      category: 'category',
+      condition: 'condition',
+      brand: 'brand',
+      age: 'age',
+      size: 'size'
+    }
+  },
+  agistment: {
+    table: 'agistment_listings',
+    required: [],
+    fields: {
+      propertySize: 'property_size',
+      stallCount: 'stall_count',
+      paddockCount: 'paddock_count',
+      arena: 'arena',
+      arenaType: 'arena_type',
+      facilities: 'facilities',
+      feedIncluded: 'feed_included',
+      availabilityDate: 'availability_date'
+    }
+  },
+  service: {
+    table: 'service_listings',
+    required: ['serviceType'],
+    fields: {
+      serviceType: 'service_type',
+      experienceYears: 'experience_years',
+      qualifications: 'qualifications',
+      serviceArea: 'service_area',
+      serviceAreaType: 'service_area_type',
+      serviceRadiusKm: 'service_radius_km',
+      servicePostcodes: 'service_postcodes',
+      availability: 'availability',
+      insuranceDetails: 'insurance_details'
+    }
+  }
+};
+
+/**
+ * Lifecycle statuses and the statuses each can move to. Sellers submit drafts
+ * for review; active and under offer listings are on the market; sold is final.
+ * An under offer listing goes back to active when the accepted offer falls through.
+ */
+const TRANSITIONS = {
+  draft: ['pending_review', 'withdrawn'],
+  pending_review: ['active', 'draft', 'withdrawn'],
+  active: ['under_offer', 'sold', 'expired', 'withdrawn'],
+  under_offer: ['active', 'sold', 'withdrawn'],
+  sold: [],
+  expired: ['active', 'withdrawn'],
+  withdrawn: ['pending_review']
+};
+
+/**
+ * Statuses in which a listing is on the market (is_active is true)
+ */
+const LIVE_STATUSES = ['active', 'under_offer'];
+
+/**
+ * Listing model representing a marketplace listing and its type-specific details
+ */
+class Listing {
+  /**
+   * Create a new listing
+   * @param {Object} data - Listing data
+   * @param {string} data.userId - ID of the owning seller
+   * @param {string} data.title - Listing title
+   * @param {string} data.description - Listing description
+   * @param {number} data.price - Asking price (optional)
+   * @param {string} data.priceType - Price type (fixed, negotiable, weekly, etc.)
+   * @param {string} data.listingType - Type of listing (horse, equipment, agistment, service)
+   * @param {string} data.location - Human readable location (optional)
+   * @param {number} data.latitude - Latitude (optional)
+   * @param {number} data.longitude - Longitude (optional)
+   * @param {string} data.status - Lifecycle status (see Listing.STATUSES; default draft)
+   * @param {Date} data.publishAt - When a draft is submitted automatically (optional)
+   * @param {Object} data.details - Type-specific details
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.title = data.title;
+    this.description = data.description;
+    this.price = data.price !== undefined && data.price !== null ? Number(data.price) : null;
+    this.priceType = data.priceType;
+    this.listingType = data.listingType;
+    this.location = data.location || null;
+    this.latitude = data.latitude !== undefined && data.latitude !== null ? Number(data.latitude) : null;
+    this.longitude = data.longitude !== undefined && data.longitude !== null ? Number(data.longitude) : null;
+    this.status = data.status || 'draft';
+    this.isActive = data.isActive !== undefined ? data.isActive : LIVE_STATUSES.includes(this.status);
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+    this.statusChangedAt = data.statusChangedAt || null;
+    this.publishAt = data.publishAt || null;
+    this.publishedAt = data.publishedAt || null;
+    this.expiresAt = data.expiresAt || null;
+    this.renewalReminderSentAt = data.renewalReminderSentAt || null;
+    this.reviewNote = data.reviewNote || null;
+    this.soldAt = data.soldAt || null;
+    this.underOfferAt = data.underOfferAt || null;
+    this.hiddenAt = data.hiddenAt || null;
+    this.hiddenReason = data.hiddenReason || null;
+    this.hiddenBy = data.hiddenBy || null;
+    this.details = data.details || {};
+    this.thumbnailUrl = data.thumbnailUrl || null;
+
+    // Only present on search results made from an origin point
+    if (data.distanceKm !== undefined && data.distanceKm !== null) {
+      this.distanceKm = Math.round(Number(data.distanceKm) * 100) / 100;
+    }
+  }
+
+  /**
+   * Check whether a user owns this listing
+   * @param {string} userId - User ID
+   * @returns {boolean} - True if the user is the owning seller
+   */
+  isOwnedBy(userId) {
+    return this.userId === userId;
+  }
+
+  /**
+   * Check whether the listing is on the market: active and not hidden by a moderator
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.isActive && !this.hiddenAt);
+  }
+
+  /**
+   * Check whether the listing may move to a status
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Get the subtype definition for a listing type
+   * @param {string} listingType - Listing type
+   * @returns {Object|null} - Subtype definition or null if the type is unknown
+   */
+  static getSubtype(listingType) {
+    return LISTING_SUBTYPES[listingType] || null;
+  }
+
+  /**
+   * Get listing data for API responses
+   * @returns {Object} - Listing data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Listing.TYPES = Object.keys(LISTING_SUBTYPES);
+Listing.SUBTYPES = LISTING_SUBTYPES;
+Listing.STATUSES = Object.keys(TRANSITIONS);
+Listing.TRANSITIONS = TRANSITIONS;
+Listing.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = Listing;
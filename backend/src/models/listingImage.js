@@ -0,0 +1,44 @@
+// backend/src/models/listingImage.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Listing image with its stored renditions
+ */
+class ListingImage {
+  /**
+   * Create a new listing image
+   * @param {Object} data - Image data
+   * @param {string} data.listingId - Listing ID
+   * @param {string} data.storageKey - Storage key prefix shared by all renditions
+   * @param {string} data.imageUrl - URL of the full-size rendition
+   * @param {string} data.mediumUrl - URL of the medium rendition
+   * @param {string} data.thumbnailUrl - URL of the thumbnail rendition
+   * @param {number} data.displayOrder - Position within the listing's gallery
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.storageKey = data.storageKey || null;
+    this.imageUrl = data.imageUrl;
+    this.mediumUrl = data.mediumUrl || null;
+    this.thumbnailUrl = data.thumbnailUrl || null;
+    this.contentType = data.contentType || null;
+    this.sizeBytes = data.sizeBytes || null;
+    this.width = data.width || null;
+    this.height = data.height || null;
+    this.displayOrder = data.displayOrder || 0;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Get image data for API responses
+   * @returns {Object} - Image data without the internal storage key
+   */
+  toJSON() {
+    const imageData = { ...this };
+    delete imageData.storageKey;
+    return imageData;
+  }
+}
+
+module.exports = ListingImage;
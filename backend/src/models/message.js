@@ -0,0 +1,35 @@
+// backend/src/models/message.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Message between a buyer and a seller about a listing
+ */
+class Message {
+  /**
+   * Create a new message
+   * @param {Object} data - Message data
+   * @param {string} data.listingId - Listing the message is about
+   * @param {string} data.senderId - Sending user ID
+   * @param {string} data.recipientId - Receiving user ID
+   * @param {string} data.content - Message text
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.senderId = data.senderId;
+    this.recipientId = data.recipientId;
+    this.content = data.content;
+    this.isRead = data.isRead || false;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Get message data for API responses
+   * @returns {Object} - Message data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+module.exports = Message;
@@ -0,0 +1,43 @@
+// backend/src/models/notification.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * In-app notification shown to a user (e.g. a watched listing changed)
+ */
+class Notification {
+  /**
+   * Create a new notification
+   * @param {Object} data - Notification data
+   * @param {string} data.userId - Recipient user ID
+   * @param {string} data.type - Notification type (see Notification.TYPES)
+   * @param {string} data.title - Short headline
+   * @param {string} data.body - Longer description (optional)
+   * @param {Object} data.data - Type-specific payload, e.g. { listingId } (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.type = data.type;
+    this.title = data.title;
+    this.body = data.body || null;
+    this.data = data.data || {};
+    this.readAt = data.readAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Get notification data for API responses
+   * @returns {Object} - Notification data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Notification.TYPES = [
+  'listing_price_dropped',
+  'listing_sold',
+  'listing_expired'
+];
+
+module.exports = Notification;
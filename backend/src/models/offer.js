@@ -0,0 +1,115 @@
+// backend/src/models/offer.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Allowed status changes. Pending offers can be answered; an accepted offer can
+ * only fall through, which puts the listing back on the market. Every other
+ * status is final. A counter-offer marks the offer "countered" and starts a
+ * new pending offer from the other party that points back at it.
+ */
+const TRANSITIONS = {
+  pending: ['accepted', 'declined', 'countered', 'withdrawn', 'expired', 'closed'],
+  accepted: ['fell_through'],
+  fell_through: [],
+  declined: [],
+  countered: [],
+  withdrawn: [],
+  expired: [],
+  closed: []
+};
+
+/**
+ * One proposal in a price negotiation between a buyer and a seller
+ */
+class Offer {
+  /**
+   * Create a new offer
+   * @param {Object} data - Offer data
+   * @param {string} data.listingId - Listing being negotiated
+   * @param {string} data.buyerId - Buyer in the negotiation
+   * @param {string} data.sellerId - Seller in the negotiation
+   * @param {string} data.proposedBy - Party making this proposal ("buyer" or "seller")
+   * @param {number} data.amount - Offered price
+   * @param {string} data.message - Note to the other party (optional)
+   * @param {string} data.parentOfferId - Offer this one counters (optional)
+   * @param {Date} data.expiresAt - When the offer lapses if not answered
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.buyerId = data.buyerId;
+    this.sellerId = data.sellerId;
+    this.proposedBy = data.proposedBy;
+    this.amount = data.amount !== undefined && data.amount !== null ? Number(data.amount) : null;
+    this.message = data.message || null;
+    this.status = data.status || 'pending';
+    this.parentOfferId = data.parentOfferId || null;
+    this.expiresAt = data.expiresAt;
+    this.respondedAt = data.respondedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Joined display fields (optional)
+    if (data.listingTitle !== undefined) {
+      this.listingTitle = data.listingTitle;
+    }
+    if (data.buyerName !== undefined) {
+      this.buyerName = data.buyerName;
+    }
+  }
+
+  /**
+   * ID of the user who made this proposal
+   * @returns {string}
+   */
+  getProposerId() {
+    return this.proposedBy === 'buyer' ? this.buyerId : this.sellerId;
+  }
+
+  /**
+   * ID of the user who has to answer this proposal
+   * @returns {string}
+   */
+  getRecipientId() {
+    return this.proposedBy === 'buyer' ? this.sellerId : this.buyerId;
+  }
+
+  /**
+   * Check whether a user is the buyer or seller in this negotiation
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  involves(userId) {
+    return this.buyerId === userId || this.sellerId === userId;
+  }
+
+  /**
+   * Check whether a pending offer has passed its expiry time
+   * @returns {boolean}
+   */
+  hasLapsed() {
+    return this.status === 'pending' && new Date(this.expiresAt) <= new Date();
+  }
+
+  /**
+   * Check whether the offer may move to a status
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Get offer data for API responses
+   * @returns {Object} - Offer data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Offer.STATUSES = Object.keys(TRANSITIONS);
+Offer.TRANSITIONS = TRANSITIONS;
+
+module.exports = Offer;
@@ -0,0 +1,94 @@
+// backend/src/models/payment.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Allowed status changes for an escrow payment.
+ * Funds are held once the charge succeeds, then either released to the seller
+ * (buyer confirms or the dispute window passes) or refunded to the buyer.
+ */
+const TRANSITIONS = {
+  requires_payment: ['held', 'failed', 'canceled'],
+  held: ['released', 'disputed', 'refunded'],
+  disputed: ['released', 'refunded'],
+  released: [],
+  refunded: [],
+  failed: [],
+  canceled: []
+};
+
+/**
+ * Buyer's payment for a listing, held in escrow until released or refunded
+ */
+class Payment {
+  /**
+   * Create a new payment
+   * @param {Object} data - Payment data
+   * @param {string} data.listingId - Listing being paid for
+   * @param {string} data.offerId - Accepted offer the amount comes from (optional)
+   * @param {string} data.buyerId - Paying buyer
+   * @param {string} data.sellerId - Seller receiving the funds
+   * @param {number} data.amount - Amount in major units
+   * @param {string} data.currency - ISO currency code
+   * @param {string} data.provider - Name of the payment provider
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.offerId = data.offerId || null;
+    this.buyerId = data.buyerId;
+    this.sellerId = data.sellerId;
+    this.amount = Number(data.amount);
+    this.currency = data.currency;
+    this.status = data.status || 'requires_payment';
+    this.provider = data.provider;
+    this.providerReference = data.providerReference || null;
+    this.refundedAmount = Number(data.refundedAmount || 0);
+    this.failureReason = data.failureReason || null;
+    this.disputeReason = data.disputeReason || null;
+    this.heldAt = data.heldAt || null;
+    this.releaseAfter = data.releaseAfter || null;
+    this.disputedAt = data.disputedAt || null;
+    this.releasedAt = data.releasedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Amount still held in escrow
+   * @returns {number}
+   */
+  getHeldAmount() {
+    return Math.round((this.amount - this.refundedAmount) * 100) / 100;
+  }
+
+  /**
+   * Check whether a user is the buyer or seller
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  involves(userId) {
+    return this.buyerId === userId || this.sellerId === userId;
+  }
+
+  /**
+   * Check whether the payment may move to a status
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Get payment data for API responses
+   * @returns {Object} - Payment data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Payment.STATUSES = Object.keys(TRANSITIONS);
+Payment.TRANSITIONS = TRANSITIONS;
+
+module.exports = Payment;
@@ -0,0 +1,85 @@
+// backend/src/models/report.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Allowed status changes in the moderation queue.
+ * Triage is optional; a moderator can action or dismiss an open report directly.
+ */
+const TRANSITIONS = {
+  open: ['triaged', 'actioned', 'dismissed'],
+  triaged: ['actioned', 'dismissed'],
+  actioned: [],
+  dismissed: []
+};
+
+/**
+ * A user's report of a listing or another user
+ */
+class Report {
+  /**
+   * Create a new report
+   * @param {Object} data - Report data
+   * @param {string} data.reporterId - Reporting user
+   * @param {string} data.targetType - "listing" or "user"
+   * @param {string} data.targetId - Reported listing or user ID
+   * @param {string} data.category - Reason category (see Report.CATEGORIES)
+   * @param {string} data.details - Reporter's description (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.reporterId = data.reporterId;
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.category = data.category;
+    this.details = data.details || null;
+    this.status = data.status || 'open';
+    this.resolutionNote = data.resolutionNote || null;
+    this.resolvedBy = data.resolvedBy || null;
+    this.resolvedAt = data.resolvedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Only present when read back for the moderation queue
+    if (data.reporterName !== undefined) {
+      this.reporterName = data.reporterName;
+    }
+    if (data.targetLabel !== undefined) {
+      this.targetLabel = data.targetLabel;
+    }
+    if (data.targetReportCount !== undefined) {
+      this.targetReportCount = data.targetReportCount;
+    }
+  }
+
+  /**
+   * Check whether the report is still waiting for a decision
+   * @returns {boolean}
+   */
+  isPending() {
+    return this.status === 'open' || this.status === 'triaged';
+  }
+
+  /**
+   * Check whether the report may move to a status
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return (TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Get report data for API responses
+   * @returns {Object} - Report data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Report.CATEGORIES = ['scam', 'animal_welfare', 'wrong_category', 'offensive'];
+Report.TARGET_TYPES = ['listing', 'user'];
+Report.STATUSES = Object.keys(TRANSITIONS);
+Report.TRANSITIONS = TRANSITIONS;
+
+module.exports = Report;
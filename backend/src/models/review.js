@@ -0,0 +1,50 @@
+// backend/src/models/review.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Buyer's review of a seller, tied to the listing they dealt over
+ */
+class Review {
+  /**
+   * Create a new review
+   * @param {Object} data - Review data
+   * @param {string} data.sellerId - Reviewed seller ID
+   * @param {string} data.reviewerId - Reviewing buyer ID
+   * @param {string} data.listingId - Listing the review is about
+   * @param {number} data.rating - Rating from 1 to 5
+   * @param {string} data.body - Review text
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.sellerId = data.sellerId;
+    this.reviewerId = data.reviewerId;
+    this.listingId = data.listingId;
+    this.rating = data.rating;
+    this.body = data.body;
+    this.reply = data.reply || null;
+    this.repliedAt = data.repliedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Joined display fields (optional)
+    if (data.reviewerName !== undefined) {
+      this.reviewerName = data.reviewerName;
+    }
+    if (data.listingTitle !== undefined) {
+      this.listingTitle = data.listingTitle;
+    }
+  }
+
+  /**
+   * Get review data for API responses
+   * @returns {Object} - Review data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+Review.MIN_RATING = 1;
+Review.MAX_RATING = 5;
+
+module.exports = Review;
@@ -0,0 +1,43 @@
+// backend/src/models/savedSearch.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Search criteria a user saved, re-run on a schedule to alert them of new matches
+ */
+class SavedSearch {
+  /**
+   * Create a new saved search
+   * @param {Object} data - Saved search data
+   * @param {string} data.userId - Owning user ID
+   * @param {string} data.name - Display name
+   * @param {Object} data.criteria - Search query parameters as accepted by GET /api/listings/search
+   * @param {string} data.frequency - Alert frequency (see SavedSearch.FREQUENCIES)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.name = data.name;
+    this.criteria = data.criteria || {};
+    this.frequency = data.frequency || 'daily';
+    this.lastCheckedAt = data.lastCheckedAt || new Date();
+    this.lastNotifiedAt = data.lastNotifiedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Get saved search data for API responses
+   * @returns {Object} - Saved search data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+/**
+ * Alert frequencies; "instant" is checked on every run of the alerts job,
+ * "never" keeps the search without sending anything
+ */
+SavedSearch.FREQUENCIES = ['instant', 'daily', 'weekly', 'never'];
+
+module.exports = SavedSearch;
@@ -0,0 +1,81 @@
+// backend/src/models/serviceAppointment.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * A client's booking of one slot with a service provider. Rescheduling
+ * moves the same appointment and bumps its sequence, so calendar clients
+ * update the invite they already have.
+ */
+class ServiceAppointment {
+  /**
+   * Create a new appointment
+   * @param {Object} data - Appointment data
+   * @param {string} data.listingId - Service listing booked
+   * @param {string} data.clientId - Client booking
+   * @param {Date} data.startsAt - Start
+   * @param {Date} data.endsAt - End
+   * @param {string} data.address - Where the service happens (optional)
+   * @param {string} data.postcode - Postcode of the address (optional)
+   * @param {number} data.latitude - Latitude of the address (optional)
+   * @param {number} data.longitude - Longitude of the address (optional)
+   * @param {string} data.notes - Notes for the provider (optional)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.listingId = data.listingId;
+    this.clientId = data.clientId;
+    this.startsAt = data.startsAt;
+    this.endsAt = data.endsAt;
+    this.status = data.status || 'booked';
+    this.address = data.address || null;
+    this.postcode = data.postcode || null;
+    this.latitude = data.latitude !== undefined && data.latitude !== null ? Number(data.latitude) : null;
+    this.longitude = data.longitude !== undefined && data.longitude !== null ? Number(data.longitude) : null;
+    this.notes = data.notes || null;
+    this.rescheduleCount = data.rescheduleCount || 0;
+    this.sequence = data.sequence || 0;
+    this.reminderSentAt = data.reminderSentAt || null;
+    this.cancelledBy = data.cancelledBy || null;
+    this.cancellationReason = data.cancellationReason || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+
+    // Joined display fields (optional)
+    for (const field of ['listingTitle', 'providerId', 'providerName', 'providerEmail', 'clientName', 'clientEmail', 'timeZone']) {
+      if (data[field] !== undefined) {
+        this[field] = data[field];
+      }
+    }
+  }
+
+  /**
+   * Check whether a user is the client or the provider
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  involves(userId) {
+    return this.clientId === userId || this.providerId === userId;
+  }
+
+  /**
+   * Check whether the client may still cancel or reschedule
+   * @param {number} cutoffHours - Hours before the start after which they can't
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isBeforeCutoff(cutoffHours, now = new Date()) {
+    return new Date(this.startsAt).getTime() - now.getTime() >= cutoffHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get appointment data for API responses
+   * @returns {Object} - Appointment data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+ServiceAppointment.STATUSES = ['booked', 'cancelled'];
+
+module.exports = ServiceAppointment;
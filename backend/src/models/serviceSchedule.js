@@ -0,0 +1,63 @@
+// backend/src/models/serviceSchedule.js
+
+/**
+ * When a service provider can be booked: weekly availability rules in the
+ * provider's time zone, cut into slots of slotMinutes, minus blackout dates.
+ * Also holds the booking rules clients are held to.
+ */
+class ServiceSchedule {
+  /**
+   * Create a schedule
+   * @param {Object} data - Schedule data
+   * @param {string} data.listingId - Service listing
+   * @param {string} data.timeZone - IANA time zone the rules are written in
+   * @param {number} data.slotMinutes - Length of each appointment
+   * @param {number} data.minNoticeHours - How far ahead a slot must be booked
+   * @param {number} data.horizonDays - How far into the future slots are offered
+   * @param {number} data.cancelCutoffHours - Clients can't cancel or reschedule closer to the start than this
+   * @param {number} data.maxReschedules - Times a client may reschedule one appointment
+   * @param {Object[]} data.rules - { weekday (0 = Sunday), startTime, endTime (HH:MM) }
+   * @param {Object[]} data.blackouts - { id, startDate, endDate, reason }
+   */
+  constructor(data) {
+    this.listingId = data.listingId;
+    this.timeZone = data.timeZone;
+    this.slotMinutes = Number(data.slotMinutes);
+    this.minNoticeHours = data.minNoticeHours !== undefined ? Number(data.minNoticeHours) : 24;
+    this.horizonDays = data.horizonDays !== undefined ? Number(data.horizonDays) : 60;
+    this.cancelCutoffHours = data.cancelCutoffHours !== undefined ? Number(data.cancelCutoffHours) : 24;
+    this.maxReschedules = data.maxReschedules !== undefined ? Number(data.maxReschedules) : 2;
+    this.rules = data.rules || [];
+    this.blackouts = data.blackouts || [];
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Availability rules for a weekday
+   * @param {number} weekday - 0 (Sunday) to 6
+   * @returns {Object[]}
+   */
+  getRulesFor(weekday) {
+    return this.rules.filter(rule => rule.weekday === weekday);
+  }
+
+  /**
+   * Check whether a day falls in a blackout
+   * @param {string} day - Day in the schedule's time zone, YYYY-MM-DD
+   * @returns {boolean}
+   */
+  isBlackedOut(day) {
+    return this.blackouts.some(blackout => blackout.startDate <= day && day <= blackout.endDate);
+  }
+
+  /**
+   * Get schedule data for API responses
+   * @returns {Object} - Schedule data
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+module.exports = ServiceSchedule;
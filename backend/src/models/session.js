@@ -0,0 +1,51 @@
+// backend/src/models/session.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Server-side login session; each holds one rotating refresh token
+ */
+class Session {
+  /**
+   * Create a new session
+   * @param {Object} data - Session data
+   * @param {string} data.userId - User ID
+   * @param {string} data.refreshTokenHash - SHA-256 hash of the current refresh token
+   * @param {string} data.userAgent - Client user agent (optional)
+   * @param {string} data.ipAddress - Client IP address (optional)
+   * @param {Date} data.expiresAt - When the session stops accepting refreshes
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.refreshTokenHash = data.refreshTokenHash;
+    this.previousTokenHash = data.previousTokenHash || null;
+    this.rotatedAt = data.rotatedAt || null;
+    this.userAgent = data.userAgent || null;
+    this.ipAddress = data.ipAddress || null;
+    this.createdAt = data.createdAt || new Date();
+    this.lastUsedAt = data.lastUsedAt || new Date();
+    this.expiresAt = data.expiresAt;
+    this.revokedAt = data.revokedAt || null;
+  }
+
+  /**
+   * Check whether the session can still be used
+   * @returns {boolean} - True if not revoked and not expired
+   */
+  isActive() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  /**
+   * Get sanitized session data (without token hashes)
+   * @returns {Object} - Session data
+   */
+  toJSON() {
+    const sessionData = { ...this };
+    delete sessionData.refreshTokenHash;
+    delete sessionData.previousTokenHash;
+    return sessionData;
+  }
+}
+
+module.exports = Session;
@@ -29,9 +29,24 @@ class User {
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.isVerified = data.isVerified || false;
-    this.verificationToken = data.verificationToken || null;
+    this.verificationTokenHash = data.verificationTokenHash || null;
+    this.verificationTokenExpires = data.verificationTokenExpires || null;
+    this.verificationSentAt = data.verificationSentAt || null;
     this.resetPasswordToken = data.resetPasswordToken || null;
     this.resetPasswordExpires = data.resetPasswordExpires || null;
+    this.twoFactorEnabled = data.twoFactorEnabled || false;
+    this.twoFactorSecret = data.twoFactorSecret || null;
+    this.twoFactorLastStep = data.twoFactorLastStep || null;
+    this.suspendedAt = data.suspendedAt || null;
+    this.suspensionReason = data.suspensionReason || null;
+  }
+
+  /**
+   * Check whether an admin has suspended the account
+   * @returns {boolean}
+   */
+  isSuspended() {
+    return Boolean(this.suspendedAt);
   }
 
   /**
@@ -64,9 +79,22 @@ class User {
    * @returns {Object} - User data without password hash and tokens
    */
   toJSON() {
-    const { passwordHash, verificationToken, resetPasswordToken, ...userData } = this;
+    const userData = { ...this };
+    User.PRIVATE_FIELDS.forEach(field => delete userData[field]);
     return userData;
   }
 }
 
+User.TYPES = ['buyer', 'seller', 'admin'];
+
+// Left out of toJSON so they never reach API responses
+User.PRIVATE_FIELDS = [
+  'passwordHash',
+  'verificationTokenHash',
+  'verificationTokenExpires',
+  'resetPasswordToken',
+  'twoFactorSecret',
+  'twoFactorLastStep'
+];
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,355 @@
+// backend/src/repositories/agistmentRepository.js
+const { getPool } = require('../utils/db');
+const AgistmentBooking = require('../models/agistmentBooking');
+const AgistmentCapacity = require('../models/agistmentCapacity');
+
+/**
+ * Booking columns with the listing's title and owner and the requester's name
+ */
+const BOOKING_SELECT = `
+  SELECT b.*, l.title AS listing_title, l.user_id AS owner_id,
+    u.first_name || ' ' || u.last_name AS requester_name, u.email AS requester_email
+  FROM agistment_bookings b
+  JOIN listings l ON l.id = b.listing_id
+  JOIN users u ON u.id = b.requester_id
+`;
+
+/**
+ * Agistment capacity periods and booking requests
+ */
+class AgistmentRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Lock a property's agistment row so capacity checks and the change that
+   * depends on them can't interleave with another booking decision
+   * @param {string} listingId - Agistment listing ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<boolean>} - Whether the listing has an agistment row
+   */
+  async lockListing(listingId, client) {
+    const result = await client.query(
+      'SELECT listing_id FROM agistment_listings WHERE listing_id = $1 FOR UPDATE',
+      [listingId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Capacity and accepted bookings for each day in a range. A capacity period
+   * covering the day wins over the listing's stall and paddock counts.
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} startDate - First day, YYYY-MM-DD
+   * @param {string} endDate - Last day, YYYY-MM-DD
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Object[]>} - { date, stallCapacity, paddockCapacity, stallsBooked, paddocksBooked } per day
+   */
+  async getDailyAvailability(listingId, startDate, endDate, client = this.pool) {
+    const result = await client.query(
+      `SELECT day::date AS day,
+        COALESCE(
+          (SELECT c.stalls FROM agistment_capacity c
+          WHERE c.listing_id = $1 AND day::date BETWEEN c.start_date AND c.end_date
+          ORDER BY c.created_at DESC LIMIT 1),
+          al.stall_count, 0
+        ) AS stall_capacity,
+        COALESCE(
+          (SELECT c.paddocks FROM agistment_capacity c
+          WHERE c.listing_id = $1 AND day::date BETWEEN c.start_date AND c.end_date
+          ORDER BY c.created_at DESC LIMIT 1),
+          al.paddock_count, 0
+        ) AS paddock_capacity,
+        (SELECT COALESCE(SUM(b.units), 0) FROM agistment_bookings b
+        WHERE b.listing_id = $1 AND b.status = 'accepted' AND b.unit_type = 'stall'
+          AND day::date BETWEEN b.start_date AND b.end_date) AS stalls_booked,
+        (SELECT COALESCE(SUM(b.units), 0) FROM agistment_bookings b
+        WHERE b.listing_id = $1 AND b.status = 'accepted' AND b.unit_type = 'paddock'
+          AND day::date BETWEEN b.start_date AND b.end_date) AS paddocks_booked
+      FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS day
+      LEFT JOIN agistment_listings al ON al.listing_id = $1
+      ORDER BY day`,
+      [listingId, startDate, endDate]
+    );
+
+    return result.rows.map(row => ({
+      date: row.day,
+      stallCapacity: Number(row.stall_capacity),
+      paddockCapacity: Number(row.paddock_capacity),
+      stallsBooked: Number(row.stalls_booked),
+      paddocksBooked: Number(row.paddocks_booked)
+    }));
+  }
+
+  /**
+   * List a property's capacity periods, optionally only those touching a range
+   * @param {string} listingId - Agistment listing ID
+   * @param {Object} options - Options
+   * @param {string} options.from - Range start, YYYY-MM-DD (optional)
+   * @param {string} options.to - Range end, YYYY-MM-DD (optional)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<AgistmentCapacity[]>}
+   */
+  async findCapacity(listingId, { from, to } = {}, client = this.pool) {
+    const params = [listingId];
+    const conditions = ['listing_id = $1'];
+
+    if (from) {
+      params.push(from);
+      conditions.push(`end_date >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`start_date <= $${params.length}`);
+    }
+
+    const result = await client.query(
+      `SELECT * FROM agistment_capacity WHERE ${conditions.join(' AND ')} ORDER BY start_date`,
+      params
+    );
+
+    return result.rows.map(row => new AgistmentCapacity(this.mapDbCapacityToModel(row)));
+  }
+
+  /**
+   * Find a capacity period
+   * @param {string} id - Period ID
+   * @returns {Promise<AgistmentCapacity|null>}
+   */
+  async findCapacityById(id) {
+    const result = await this.pool.query('SELECT * FROM agistment_capacity WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AgistmentCapacity(this.mapDbCapacityToModel(result.rows[0]));
+  }
+
+  /**
+   * Save a capacity period
+   * @param {AgistmentCapacity} period - Period to save
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<AgistmentCapacity>}
+   */
+  async createCapacity(period, client = this.pool) {
+    const result = await client.query(
+      `INSERT INTO agistment_capacity (id, listing_id, start_date, end_date, stalls, paddocks, note, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        period.id,
+        period.listingId,
+        period.startDate,
+        period.endDate,
+        period.stalls,
+        period.paddocks,
+        period.note,
+        period.createdAt
+      ]
+    );
+
+    return new AgistmentCapacity(this.mapDbCapacityToModel(result.rows[0]));
+  }
+
+  /**
+   * Delete a capacity period
+   * @param {string} id - Period ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - Whether a row was deleted
+   */
+  async deleteCapacity(id, client = this.pool) {
+    const result = await client.query('DELETE FROM agistment_capacity WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find a booking
+   * @param {string} id - Booking ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<AgistmentBooking|null>}
+   */
+  async findBookingById(id, client = this.pool) {
+    const result = await client.query(`${BOOKING_SELECT} WHERE b.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AgistmentBooking(this.mapDbBookingToModel(result.rows[0]));
+  }
+
+  /**
+   * List a property's bookings by start date
+   * @param {string} listingId - Agistment listing ID
+   * @param {Object} options - Options
+   * @param {string[]} options.statuses - Only these statuses (optional)
+   * @param {string} options.from - Only bookings ending on or after this day (optional)
+   * @param {string} options.to - Only bookings starting on or before this day (optional)
+   * @param {number} options.limit - Page size (optional, all when omitted)
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<{bookings: AgistmentBooking[], total: number}>}
+   */
+  async findBookingsByListing(listingId, { statuses, from, to, limit = null, offset = 0 } = {}) {
+    const params = [listingId];
+    const conditions = ['b.listing_id = $1'];
+
+    if (statuses && statuses.length > 0) {
+      params.push(statuses);
+      conditions.push(`b.status = ANY($${params.length})`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`b.end_date >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`b.start_date <= $${params.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    let query = `${BOOKING_SELECT} ${where} ORDER BY b.start_date, b.created_at`;
+    const queryParams = [...params];
+
+    if (limit !== null) {
+      queryParams.push(limit, offset);
+      query += ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
+    }
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(query, queryParams),
+      this.pool.query(`SELECT COUNT(*) FROM agistment_bookings b ${where}`, params)
+    ]);
+
+    return {
+      bookings: rows.rows.map(row => new AgistmentBooking(this.mapDbBookingToModel(row))),
+      total: parseInt(count.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * List the bookings a horse owner has requested, newest first
+   * @param {string} requesterId - Requester user ID
+   * @param {Object} options - Pagination (limit, offset)
+   * @returns {Promise<{bookings: AgistmentBooking[], total: number}>}
+   */
+  async findBookingsByRequester(requesterId, { limit = 20, offset = 0 } = {}) {
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `${BOOKING_SELECT} WHERE b.requester_id = $1 ORDER BY b.created_at DESC LIMIT $2 OFFSET $3`,
+        [requesterId, limit, offset]
+      ),
+      this.pool.query('SELECT COUNT(*) FROM agistment_bookings WHERE requester_id = $1', [requesterId])
+    ]);
+
+    return {
+      bookings: rows.rows.map(row => new AgistmentBooking(this.mapDbBookingToModel(row))),
+      total: parseInt(count.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Save a booking request
+   * @param {AgistmentBooking} booking - Booking to save
+   * @returns {Promise<AgistmentBooking>}
+   */
+  async createBooking(booking) {
+    await this.pool.query(
+      `INSERT INTO agistment_bookings (
+        id, listing_id, requester_id, unit_type, units, start_date, end_date,
+        message, status, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        booking.id,
+        booking.listingId,
+        booking.requesterId,
+        booking.unitType,
+        booking.units,
+        booking.startDate,
+        booking.endDate,
+        booking.message,
+        booking.status,
+        booking.createdAt,
+        booking.updatedAt
+      ]
+    );
+
+    return this.findBookingById(booking.id);
+  }
+
+  /**
+   * Move a booking between statuses, only if it's still in the expected one
+   * @param {string} id - Booking ID
+   * @param {string} from - Expected current status
+   * @param {string} to - New status
+   * @param {Object} changes - Other changes
+   * @param {string} changes.responseNote - Note from whoever made the change (optional)
+   * @param {string} changes.cancelledBy - User cancelling (cancelled only)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - Whether the booking was updated
+   */
+  async transitionBooking(id, from, to, { responseNote = null, cancelledBy = null } = {}, client = this.pool) {
+    const result = await client.query(
+      `UPDATE agistment_bookings
+      SET status = $3, response_note = COALESCE($4, response_note), cancelled_by = $5,
+        responded_at = CASE WHEN $2 = 'pending' THEN NOW() ELSE responded_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND status = $2`,
+      [id, from, to, responseNote, cancelledBy]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the AgistmentCapacity model
+   * @param {Object} dbCapacity - Database capacity record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbCapacityToModel(dbCapacity) {
+    return {
+      id: dbCapacity.id,
+      listingId: dbCapacity.listing_id,
+      startDate: dbCapacity.start_date,
+      endDate: dbCapacity.end_date,
+      stalls: dbCapacity.stalls,
+      paddocks: dbCapacity.paddocks,
+      note: dbCapacity.note,
+      createdAt: dbCapacity.created_at
+    };
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the AgistmentBooking model
+   * @param {Object} dbBooking - Database booking record with joined fields
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbBookingToModel(dbBooking) {
+    return {
+      id: dbBooking.id,
+      listingId: dbBooking.listing_id,
+      requesterId: dbBooking.requester_id,
+      unitType: dbBooking.unit_type,
+      units: dbBooking.units,
+      startDate: dbBooking.start_date,
+      endDate: dbBooking.end_date,
+      message: dbBooking.message,
+      status: dbBooking.status,
+      responseNote: dbBooking.response_note,
+      respondedAt: dbBooking.responded_at,
+      cancelledBy: dbBooking.cancelled_by,
+      createdAt: dbBooking.created_at,
+      updatedAt: dbBooking.updated_at,
+      listingTitle: dbBooking.listing_title,
+      ownerId: dbBooking.owner_id,
+      requesterName: dbBooking.requester_name,
+      requesterEmail: dbBooking.requester_email
+    };
+  }
+}
+
+module.exports = AgistmentRepository;
@@ -0,0 +1,106 @@
+// backend/src/repositories/auditLogRepository.js
+const { getPool } = require('../utils/db');
+const AuditLogEntry = require('../models/auditLogEntry');
+
+class AuditLogRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {AuditLogEntry} entry - Entry to record
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<AuditLogEntry>}
+   */
+  async record(entry, client = this.pool) {
+    const query = `
+      INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, reason, details, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      entry.adminId,
+      entry.action,
+      entry.targetType,
+      entry.targetId,
+      entry.reason,
+      entry.details,
+      entry.createdAt
+    ]);
+
+    return new AuditLogEntry(this.mapDbEntryToModel(result.rows[0]));
+  }
+
+  /**
+   * Find audit log entries, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.adminId - Only actions by this admin (optional)
+   * @param {string} filters.action - Only this action (optional)
+   * @param {string} filters.targetType - Only actions on this kind of record (optional)
+   * @param {string} filters.targetId - Only actions on this record (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<{entries: AuditLogEntry[], total: number}>}
+   */
+  async find({ adminId, action, targetType, targetId, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const filters = {
+      'a.admin_id': adminId,
+      'a.action': action,
+      'a.target_type': targetType,
+      'a.target_id': targetId
+    };
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `SELECT a.*, u.first_name || ' ' || u.last_name AS admin_name
+        FROM admin_audit_log a
+        JOIN users u ON u.id = a.admin_id
+        ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) FROM admin_audit_log a ${where}`, values)
+    ]);
+
+    return {
+      entries: result.rows.map(row => new AuditLogEntry(this.mapDbEntryToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the AuditLogEntry model
+   * @param {Object} dbEntry - Database audit log record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbEntryToModel(dbEntry) {
+    return {
+      id: Number(dbEntry.id),
+      adminId: dbEntry.admin_id,
+      action: dbEntry.action,
+      targetType: dbEntry.target_type,
+      targetId: dbEntry.target_id,
+      reason: dbEntry.reason,
+      details: dbEntry.details,
+      createdAt: dbEntry.created_at,
+      adminName: dbEntry.admin_name
+    };
+  }
+}
+
+module.exports = AuditLogRepository;
@@ -0,0 +1,82 @@
+// backend/src/repositories/backupCodeRepository.js
+const { getPool } = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+
+class BackupCodeRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Replace all of a user's backup codes
+   * @param {string} userId - User ID
+   * @param {string[]} codeHashes - Hashes of the new codes
+   * @returns {Promise<void>}
+   */
+  async replaceForUser(userId, codeHashes) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+
+      for (const codeHash of codeHashes) {
+        await client.query(
+          'INSERT INTO two_factor_backup_codes (id, user_id, code_hash) VALUES ($1, $2, $3)',
+          [uuidv4(), userId, codeHash]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark an unused backup code as used
+   * @param {string} userId - User ID
+   * @param {string} codeHash - Hash of the presented code
+   * @returns {Promise<boolean>} - True if an unused code matched
+   */
+  async consume(userId, codeHash) {
+    const query = `
+      UPDATE two_factor_backup_codes
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    `;
+
+    const result = await this.pool.query(query, [userId, codeHash]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Count a user's unused backup codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countRemaining(userId) {
+    const query = `
+      SELECT COUNT(*)::int AS count
+      FROM two_factor_backup_codes
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+    const result = await this.pool.query(query, [userId]);
+    return result.rows[0].count;
+  }
+
+  /**
+   * Delete all of a user's backup codes
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteForUser(userId) {
+    await this.pool.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+  }
+}
+
+module.exports = BackupCodeRepository;
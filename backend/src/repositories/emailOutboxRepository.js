@@ -0,0 +1,253 @@
+// backend/src/repositories/emailOutboxRepository.js
+const { getPool, withTransaction } = require('../utils/db');
+const EmailMessage = require('../models/emailMessage');
+
+class EmailOutboxRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Add a message to the outbox
+   * @param {EmailMessage} message - Message to queue
+   * @param {Object} client - Optional client, to queue inside the caller's transaction
+   * @returns {Promise<EmailMessage>}
+   */
+  async create(message, client = this.pool) {
+    const query = `
+      INSERT INTO email_outbox (
+        id, to_address, template, subject, html_body, text_body, calendar_event,
+        status, attempts, max_attempts, next_attempt_at, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `;
+
+    const values = [
+      message.id,
+      message.toAddress,
+      message.template,
+      message.subject,
+      message.htmlBody,
+      message.textBody,
+      message.calendarEvent,
+      message.status,
+      message.attempts,
+      message.maxAttempts,
+      message.nextAttemptAt,
+      message.createdAt,
+      message.updatedAt
+    ];
+
+    const result = await client.query(query, values);
+    return new EmailMessage(this.mapDbMessageToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a message with its send history, oldest attempt first
+   * @param {string} id - Message ID
+   * @returns {Promise<EmailMessage|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM email_outbox WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const history = await this.pool.query(
+      'SELECT * FROM email_outbox_attempts WHERE message_id = $1 ORDER BY attempt_number',
+      [id]
+    );
+
+    return new EmailMessage({
+      ...this.mapDbMessageToModel(result.rows[0]),
+      history: history.rows.map(row => this.mapDbAttemptToModel(row))
+    });
+  }
+
+  /**
+   * Find messages, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Only messages in this status (optional)
+   * @param {string} filters.to - Only messages to this address (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<{messages: EmailMessage[], total: number}>}
+   */
+  async find({ status, to, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to.toLowerCase());
+      conditions.push(`LOWER(to_address) = $${values.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(
+      `SELECT COUNT(*)::int AS total FROM email_outbox ${where}`,
+      values
+    );
+
+    const result = await this.pool.query(
+      `SELECT * FROM email_outbox ${where}
+       ORDER BY created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      messages: result.rows.map(row => new EmailMessage(this.mapDbMessageToModel(row))),
+      total: countResult.rows[0].total
+    };
+  }
+
+  /**
+   * Claim due messages for delivery by marking them as sending.
+   * SKIP LOCKED lets concurrent workers take different messages.
+   * @param {number} limit - Most messages to claim
+   * @returns {Promise<EmailMessage[]>}
+   */
+  async claimDue(limit) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'sending', locked_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [limit]);
+    return result.rows.map(row => new EmailMessage(this.mapDbMessageToModel(row)));
+  }
+
+  /**
+   * Put messages stuck in sending (the worker died mid-send) back in the queue
+   * @param {number} staleAfterMs - How long a claim may be held
+   * @returns {Promise<number>} - Number of messages released
+   */
+  async releaseStale(staleAfterMs) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'pending', locked_at = NULL, updated_at = NOW()
+      WHERE status = 'sending' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')
+    `;
+
+    const result = await this.pool.query(query, [staleAfterMs]);
+    return result.rowCount;
+  }
+
+  /**
+   * Record the outcome of a delivery attempt and update the message
+   * @param {EmailMessage} message - Claimed message
+   * @param {Object} outcome - Attempt outcome
+   * @param {string} outcome.transport - Transport used
+   * @param {string} outcome.status - New status: sent, pending (retry) or dead
+   * @param {Date} outcome.nextAttemptAt - When to retry (pending only)
+   * @param {string} outcome.providerMessageId - Transport's message ID (on success)
+   * @param {string} outcome.error - Failure reason (on failure)
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(message, { transport, status, nextAttemptAt = null, providerMessageId = null, error = null }) {
+    const attemptNumber = message.attempts + 1;
+
+    await withTransaction(async client => {
+      await client.query(
+        `INSERT INTO email_outbox_attempts (
+          message_id, attempt_number, transport, succeeded, provider_message_id, error
+        ) VALUES ($1, $2, $3, $4, $5, $6)`,
+        [message.id, attemptNumber, transport, status === 'sent', providerMessageId, error]
+      );
+
+      await client.query(
+        `UPDATE email_outbox
+         SET status = $2,
+             attempts = $3,
+             next_attempt_at = COALESCE($4, next_attempt_at),
+             last_error = $5,
+             sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END,
+             locked_at = NULL,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [message.id, status, attemptNumber, nextAttemptAt, error]
+      );
+    });
+  }
+
+  /**
+   * Move a dead message back to the queue with a fresh set of attempts
+   * @param {string} id - Message ID
+   * @param {number} extraAttempts - Attempts to allow from now
+   * @returns {Promise<EmailMessage|null>} - Requeued message, or null if it wasn't dead
+   */
+  async requeue(id, extraAttempts) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'pending', max_attempts = attempts + $2, next_attempt_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'dead'
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [id, extraAttempts]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new EmailMessage(this.mapDbMessageToModel(result.rows[0]));
+  }
+
+  /**
+   * Map database row to model properties
+   * @param {Object} dbMessage - Database row
+   * @returns {Object} - Model properties
+   */
+  mapDbMessageToModel(dbMessage) {
+    return {
+      id: dbMessage.id,
+      toAddress: dbMessage.to_address,
+      template: dbMessage.template,
+      subject: dbMessage.subject,
+      htmlBody: dbMessage.html_body,
+      textBody: dbMessage.text_body,
+      calendarEvent: dbMessage.calendar_event,
+      status: dbMessage.status,
+      attempts: dbMessage.attempts,
+      maxAttempts: dbMessage.max_attempts,
+      nextAttemptAt: dbMessage.next_attempt_at,
+      lastError: dbMessage.last_error,
+      sentAt: dbMessage.sent_at,
+      createdAt: dbMessage.created_at,
+      updatedAt: dbMessage.updated_at
+    };
+  }
+
+  /**
+   * Map send history row to a plain object
+   * @param {Object} dbAttempt - Database row
+   * @returns {Object}
+   */
+  mapDbAttemptToModel(dbAttempt) {
+    return {
+      attemptNumber: dbAttempt.attempt_number,
+      transport: dbAttempt.transport,
+      succeeded: dbAttempt.succeeded,
+      providerMessageId: dbAttempt.provider_message_id,
+      error: dbAttempt.error,
+      createdAt: dbAttempt.created_at
+    };
+  }
+}
+
+module.exports = EmailOutboxRepository;
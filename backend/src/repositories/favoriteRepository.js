@@ -0,0 +1,146 @@
+// backend/src/repositories/favoriteRepository.js
+const { getPool } = require('../utils/db');
+const Listing = require('../models/listing');
+const ListingRepository = require('./listingRepository');
+
+class FavoriteRepository {
+  constructor() {
+    this.pool = getPool();
+    // Reused for its row mapper
+    this.listingRepository = new ListingRepository();
+  }
+
+  /**
+   * Add a listing to a user's favourites (no-op if already there)
+   * @param {string} userId - User ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<boolean>} - True if the favourite was newly added
+   */
+  async add(userId, listingId) {
+    const query = `
+      INSERT INTO favorites (user_id, listing_id)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, listing_id) DO NOTHING
+    `;
+
+    const result = await this.pool.query(query, [userId, listingId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Remove a listing from a user's favourites
+   * @param {string} userId - User ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<boolean>} - True if a favourite was removed
+   */
+  async remove(userId, listingId) {
+    const result = await this.pool.query(
+      'DELETE FROM favorites WHERE user_id = $1 AND listing_id = $2',
+      [userId, listingId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find a user's favourite listings, most recently favourited first
+   * @param {string} userId - User ID
+   * @param {number} limit - Page size
+   * @param {number} offset - Page offset
+   * @returns {Promise<{listings: Listing[], total: number}>} - Listings carry a favoritedAt date
+   */
+  async findListingsByUser(userId, limit = 20, offset = 0) {
+    const query = `
+      SELECT fl.*, f.created_at AS favorited_at
+      FROM favorites f
+      JOIN (${ListingRepository.LISTING_SELECT}) fl ON fl.id = f.listing_id
+      WHERE f.user_id = $1
+      ORDER BY f.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(query, [userId, limit, offset]),
+      this.pool.query('SELECT COUNT(*) FROM favorites WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      listings: result.rows.map(row => {
+        const listing = new Listing(this.listingRepository.mapDbListingToModel(row));
+        listing.favoritedAt = row.favorited_at;
+        return listing;
+      }),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Find which of the given listings a user has favourited
+   * @param {string} userId - User ID
+   * @param {string[]} listingIds - Listing IDs to check
+   * @returns {Promise<string[]>} - The favourited subset of listingIds
+   */
+  async findFavoritedIds(userId, listingIds) {
+    if (!listingIds.length) {
+      return [];
+    }
+
+    const result = await this.pool.query(
+      'SELECT listing_id FROM favorites WHERE user_id = $1 AND listing_id = ANY($2::uuid[])',
+      [userId, listingIds]
+    );
+    return result.rows.map(row => row.listing_id);
+  }
+
+  /**
+   * Find the users watching a listing, for alerts
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array<{id: string, email: string, firstName: string}>>}
+   */
+  async findWatchers(listingId) {
+    const query = `
+      SELECT u.id, u.email, u.first_name
+      FROM favorites f
+      JOIN users u ON u.id = f.user_id
+      WHERE f.listing_id = $1
+    `;
+
+    const result = await this.pool.query(query, [listingId]);
+    return result.rows.map(row => ({
+      id: row.id,
+      email: row.email,
+      firstName: row.first_name
+    }));
+  }
+
+  /**
+   * Count watchers for each of the given listings
+   * @param {string[]} listingIds - Listing IDs
+   * @returns {Promise<Object>} - Map of listing ID to watcher count (0 when unwatched)
+   */
+  async countWatchers(listingIds) {
+    const counts = {};
+    for (const id of listingIds) {
+      counts[id] = 0;
+    }
+
+    if (!listingIds.length) {
+      return counts;
+    }
+
+    const result = await this.pool.query(
+      `SELECT listing_id, COUNT(*) AS count
+      FROM favorites
+      WHERE listing_id = ANY($1::uuid[])
+      GROUP BY listing_id`,
+      [listingIds]
+    );
+
+    for (const row of result.rows) {
+      counts[row.listing_id] = parseInt(row.count, 10);
+    }
+
+    return counts;
+  }
+}
+
+module.exports = FavoriteRepository;
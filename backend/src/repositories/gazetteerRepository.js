@@ -0,0 +1,126 @@
+// backend/src/repositories/gazetteerRepository.js
+const { getPool } = require('../utils/db');
+
+/**
+ * Resolves postcodes and suburbs to coordinates using the local gazetteer table.
+ * Any object with the same resolve() method can be passed to ListingService instead.
+ */
+class GazetteerRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Resolve a postcode or suburb name to a place
+   * @param {string} query - Postcode (digits) or suburb name
+   * @param {string} state - Optional state to disambiguate suburbs
+   * @returns {Promise<Object|null>} - Place with latitude/longitude or null if not found
+   */
+  async resolve(query, state) {
+    const trimmed = String(query).trim();
+
+    if (/^\d{3,4}$/.test(trimmed)) {
+      return this.findByPostcode(trimmed);
+    }
+
+    return this.findBySuburb(trimmed, state);
+  }
+
+  /**
+   * Find the first place with a postcode
+   * @param {string} postcode - Postcode
+   * @returns {Promise<Object|null>} - Place or null if not found
+   */
+  async findByPostcode(postcode) {
+    const query = `
+      SELECT * FROM gazetteer
+      WHERE postcode = $1
+      ORDER BY suburb
+      LIMIT 1
+    `;
+
+    const result = await this.pool.query(query, [postcode]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.mapDbPlace(result.rows[0]);
+  }
+
+  /**
+   * Find a place by suburb name (case-insensitive)
+   * @param {string} suburb - Suburb name
+   * @param {string} state - Optional state
+   * @returns {Promise<Object|null>} - Place or null if not found
+   */
+  async findBySuburb(suburb, state) {
+    const values = [suburb];
+    let stateCondition = '';
+
+    if (state) {
+      values.push(state);
+      stateCondition = 'AND UPPER(state) = UPPER($2)';
+    }
+
+    const query = `
+      SELECT * FROM gazetteer
+      WHERE LOWER(suburb) = LOWER($1) ${stateCondition}
+      ORDER BY state, postcode
+      LIMIT 1
+    `;
+
+    const result = await this.pool.query(query, values);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.mapDbPlace(result.rows[0]);
+  }
+
+  /**
+   * Insert or update a batch of places
+   * @param {Object[]} places - Places with postcode, suburb, state, latitude, longitude
+   * @returns {Promise<number>} - Number of rows written
+   */
+  async upsertMany(places) {
+    const query = `
+      INSERT INTO gazetteer (postcode, suburb, state, latitude, longitude)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (postcode, suburb, state)
+      DO UPDATE SET latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude
+    `;
+
+    let count = 0;
+    for (const place of places) {
+      await this.pool.query(query, [
+        place.postcode || null,
+        place.suburb,
+        place.state || null,
+        place.latitude,
+        place.longitude
+      ]);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Maps a gazetteer row to a place object
+   * @param {Object} dbPlace - Database gazetteer record
+   * @returns {Object} - Place
+   */
+  mapDbPlace(dbPlace) {
+    return {
+      postcode: dbPlace.postcode,
+      suburb: dbPlace.suburb,
+      state: dbPlace.state,
+      latitude: Number(dbPlace.latitude),
+      longitude: Number(dbPlace.longitude)
+    };
+  }
+}
+
+module.exports = GazetteerRepository;
@@ -0,0 +1,339 @@
+// backend/src/repositories/horseDocumentRepository.js
+const { getPool } = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const HorseDocument = require('../models/horseDocument');
+const DocumentAccess = require('../models/documentAccess');
+
+/**
+ * Access request columns with the requester's name and the horse's name
+ */
+const ACCESS_SELECT = `
+  SELECT a.*, u.first_name || ' ' || u.last_name AS requester_name, h.name AS horse_name
+  FROM horse_document_access a
+  JOIN users u ON u.id = a.requester_id
+  JOIN horses h ON h.id = a.horse_id
+`;
+
+/**
+ * Health documents on horse profiles, buyers' access requests and grants,
+ * and the log of document views
+ */
+class HorseDocumentRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a document
+   * @param {string} id - Document ID
+   * @returns {Promise<HorseDocument|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM horse_documents WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new HorseDocument(this.mapDbDocumentToModel(result.rows[0]));
+  }
+
+  /**
+   * List a horse's documents, most recent record first
+   * @param {string} horseId - Horse ID
+   * @returns {Promise<HorseDocument[]>}
+   */
+  async findByHorse(horseId) {
+    const result = await this.pool.query(
+      `SELECT * FROM horse_documents
+      WHERE horse_id = $1
+      ORDER BY document_date DESC NULLS LAST, created_at DESC`,
+      [horseId]
+    );
+
+    return result.rows.map(row => new HorseDocument(this.mapDbDocumentToModel(row)));
+  }
+
+  /**
+   * Save a document's details; the file is already in storage
+   * @param {HorseDocument} document - Document to save
+   * @returns {Promise<HorseDocument>}
+   */
+  async create(document) {
+    const result = await this.pool.query(
+      `INSERT INTO horse_documents (
+        id, horse_id, document_type, document_date, vet_name, description,
+        storage_key, file_name, content_type, size_bytes, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        document.id,
+        document.horseId,
+        document.documentType,
+        document.documentDate,
+        document.vetName,
+        document.description,
+        document.storageKey,
+        document.fileName,
+        document.contentType,
+        document.sizeBytes,
+        document.createdAt
+      ]
+    );
+
+    return new HorseDocument(this.mapDbDocumentToModel(result.rows[0]));
+  }
+
+  /**
+   * Delete a document row (its view log goes with it)
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - Whether a row was deleted
+   */
+  async delete(id) {
+    const result = await this.pool.query('DELETE FROM horse_documents WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find an access request
+   * @param {string} id - Request ID
+   * @returns {Promise<DocumentAccess|null>}
+   */
+  async findAccessById(id) {
+    const result = await this.pool.query(`${ACCESS_SELECT} WHERE a.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new DocumentAccess(this.mapDbAccessToModel(result.rows[0]));
+  }
+
+  /**
+   * List the access requests for a horse, newest first
+   * @param {string} horseId - Horse ID
+   * @param {Object} options - Options
+   * @param {string[]} options.statuses - Only these statuses (optional)
+   * @returns {Promise<DocumentAccess[]>}
+   */
+  async findAccessByHorse(horseId, { statuses } = {}) {
+    const params = [horseId];
+    let where = 'WHERE a.horse_id = $1';
+
+    if (statuses && statuses.length > 0) {
+      params.push(statuses);
+      where += ` AND a.status = ANY($${params.length})`;
+    }
+
+    const result = await this.pool.query(`${ACCESS_SELECT} ${where} ORDER BY a.created_at DESC`, params);
+
+    return result.rows.map(row => new DocumentAccess(this.mapDbAccessToModel(row)));
+  }
+
+  /**
+   * Find a buyer's latest request for a horse's documents
+   * @param {string} horseId - Horse ID
+   * @param {string} requesterId - Buyer user ID
+   * @returns {Promise<DocumentAccess|null>}
+   */
+  async findLatestAccess(horseId, requesterId) {
+    const result = await this.pool.query(
+      `${ACCESS_SELECT}
+      WHERE a.horse_id = $1 AND a.requester_id = $2
+      ORDER BY a.created_at DESC
+      LIMIT 1`,
+      [horseId, requesterId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new DocumentAccess(this.mapDbAccessToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a buyer's grant for a horse that hasn't expired or been revoked
+   * @param {string} horseId - Horse ID
+   * @param {string} requesterId - Buyer user ID
+   * @returns {Promise<DocumentAccess|null>}
+   */
+  async findActiveGrant(horseId, requesterId) {
+    const result = await this.pool.query(
+      `${ACCESS_SELECT}
+      WHERE a.horse_id = $1 AND a.requester_id = $2
+        AND a.status = 'granted' AND a.expires_at > NOW()
+      ORDER BY a.expires_at DESC
+      LIMIT 1`,
+      [horseId, requesterId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new DocumentAccess(this.mapDbAccessToModel(result.rows[0]));
+  }
+
+  /**
+   * Save a new access request
+   * @param {DocumentAccess} access - Request to save
+   * @returns {Promise<DocumentAccess>}
+   */
+  async createAccess(access) {
+    await this.pool.query(
+      `INSERT INTO horse_document_access (
+        id, horse_id, requester_id, listing_id, message, status, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        access.id,
+        access.horseId,
+        access.requesterId,
+        access.listingId,
+        access.message,
+        access.status,
+        access.createdAt,
+        access.updatedAt
+      ]
+    );
+
+    return this.findAccessById(access.id);
+  }
+
+  /**
+   * Move a request between statuses, only if it's still in the expected one
+   * @param {string} id - Request ID
+   * @param {string} from - Expected current status
+   * @param {string} to - New status
+   * @param {Object} changes - Other changes
+   * @param {Date|null} changes.expiresAt - When a grant lapses (granted only)
+   * @returns {Promise<boolean>} - Whether the request was updated
+   */
+  async transitionAccess(id, from, to, { expiresAt = null } = {}) {
+    const result = await this.pool.query(
+      `UPDATE horse_document_access
+      SET status = $3,
+        expires_at = CASE WHEN $3 = 'revoked' THEN LEAST(expires_at, NOW()) ELSE $4 END,
+        decided_at = CASE WHEN $2 = 'pending' THEN NOW() ELSE decided_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND status = $2`,
+      [id, from, to, expiresAt]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record that someone opened a document
+   * @param {Object} view - View details
+   * @param {string} view.documentId - Document opened
+   * @param {string} view.viewerId - User who opened it
+   * @param {string|null} view.accessId - Grant it was opened under (null for the owner)
+   * @param {string|null} view.ipAddress - Viewer's IP address
+   * @returns {Promise<void>}
+   */
+  async logView({ documentId, viewerId, accessId, ipAddress }) {
+    await this.pool.query(
+      `INSERT INTO horse_document_views (id, document_id, viewer_id, access_id, ip_address)
+      VALUES ($1, $2, $3, $4, $5)`,
+      [uuidv4(), documentId, viewerId, accessId, ipAddress]
+    );
+  }
+
+  /**
+   * List the views of a horse's documents, newest first
+   * @param {string} horseId - Horse ID
+   * @param {Object} options - Options
+   * @param {string} options.documentId - Only this document (optional)
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<{views: Object[], total: number}>}
+   */
+  async findViews(horseId, { documentId, limit = 50, offset = 0 } = {}) {
+    const params = [horseId];
+    let where = 'WHERE d.horse_id = $1';
+
+    if (documentId) {
+      params.push(documentId);
+      where += ` AND v.document_id = $${params.length}`;
+    }
+
+    const from = `
+      FROM horse_document_views v
+      JOIN horse_documents d ON d.id = v.document_id
+      LEFT JOIN users u ON u.id = v.viewer_id
+      ${where}
+    `;
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `SELECT v.*, d.document_type, d.file_name, u.first_name || ' ' || u.last_name AS viewer_name
+        ${from}
+        ORDER BY v.viewed_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) ${from}`, params)
+    ]);
+
+    return {
+      views: rows.rows.map(row => ({
+        id: row.id,
+        documentId: row.document_id,
+        documentType: row.document_type,
+        fileName: row.file_name,
+        viewerId: row.viewer_id,
+        viewerName: row.viewer_name,
+        accessId: row.access_id,
+        ipAddress: row.ip_address,
+        viewedAt: row.viewed_at
+      })),
+      total: parseInt(count.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the HorseDocument model
+   * @param {Object} dbDocument - Database document record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbDocumentToModel(dbDocument) {
+    return {
+      id: dbDocument.id,
+      horseId: dbDocument.horse_id,
+      documentType: dbDocument.document_type,
+      documentDate: dbDocument.document_date,
+      vetName: dbDocument.vet_name,
+      description: dbDocument.description,
+      storageKey: dbDocument.storage_key,
+      fileName: dbDocument.file_name,
+      contentType: dbDocument.content_type,
+      sizeBytes: dbDocument.size_bytes,
+      createdAt: dbDocument.created_at
+    };
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the DocumentAccess model
+   * @param {Object} dbAccess - Database access record with joined names
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbAccessToModel(dbAccess) {
+    return {
+      id: dbAccess.id,
+      horseId: dbAccess.horse_id,
+      requesterId: dbAccess.requester_id,
+      listingId: dbAccess.listing_id,
+      message: dbAccess.message,
+      status: dbAccess.status,
+      expiresAt: dbAccess.expires_at,
+      decidedAt: dbAccess.decided_at,
+      createdAt: dbAccess.created_at,
+      updatedAt: dbAccess.updated_at,
+      requesterName: dbAccess.requester_name,
+      horseName: dbAccess.horse_name
+    };
+  }
+}
+
+module.exports = HorseDocumentRepository;
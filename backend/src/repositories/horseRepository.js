@@ -0,0 +1,277 @@
+// backend/src/repositories/horseRepository.js
+const { getPool, withTransaction } = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const Horse = require('../models/horse');
+
+/**
+ * Horse columns that can be written directly, model field -> column
+ */
+const HORSE_FIELDS = {
+  name: 'name',
+  breed: 'breed',
+  sex: 'sex',
+  color: 'color',
+  foalingDate: 'foaling_date',
+  markings: 'markings',
+  microchip: 'microchip',
+  ueln: 'ueln'
+};
+
+class HorseRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a horse with its registrations and pedigree
+   * @param {string} id - Horse ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Horse|null>}
+   */
+  async findById(id, client = this.pool) {
+    const result = await client.query('SELECT * FROM horses WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [horse] = await this.withChildren([result.rows[0]], client);
+    return horse;
+  }
+
+  /**
+   * Find the horses a seller keeps profiles for, newest first
+   * @param {string} ownerId - Owner user ID
+   * @returns {Promise<Horse[]>}
+   */
+  async findByOwner(ownerId) {
+    const result = await this.pool.query(
+      'SELECT * FROM horses WHERE owner_id = $1 ORDER BY created_at DESC',
+      [ownerId]
+    );
+
+    return this.withChildren(result.rows);
+  }
+
+  /**
+   * Create a horse with its registrations and pedigree
+   * @param {Horse} horse - Horse to create
+   * @returns {Promise<Horse>}
+   */
+  async create(horse) {
+    return withTransaction(async client => {
+      const query = `
+        INSERT INTO horses (
+          id, owner_id, name, breed, sex, color, foaling_date, markings,
+          microchip, ueln, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `;
+
+      await client.query(query, [
+        horse.id,
+        horse.ownerId,
+        horse.name,
+        horse.breed,
+        horse.sex,
+        horse.color,
+        horse.foalingDate,
+        horse.markings,
+        horse.microchip,
+        horse.ueln,
+        horse.createdAt,
+        horse.updatedAt
+      ]);
+
+      await this.replaceRegistrations(horse.id, horse.registrations, client);
+      await this.replacePedigree(horse.id, horse.pedigree, client);
+
+      return this.findById(horse.id, client);
+    });
+  }
+
+  /**
+   * Update a horse. Registrations and pedigree, when given, replace the stored ones.
+   * @param {string} id - Horse ID
+   * @param {Object} updates - Horse fields to update
+   * @param {Object} children - Replacement child rows
+   * @param {Object[]} children.registrations - Registrations (optional)
+   * @param {Object[]} children.pedigree - Pedigree entries (optional)
+   * @returns {Promise<Horse|null>}
+   */
+  async update(id, updates, { registrations, pedigree } = {}) {
+    return withTransaction(async client => {
+      const setFields = [];
+      const values = [id];
+
+      for (const [field, column] of Object.entries(HORSE_FIELDS)) {
+        if (updates[field] !== undefined) {
+          values.push(updates[field]);
+          setFields.push(`${column} = $${values.length}`);
+        }
+      }
+
+      setFields.push('updated_at = NOW()');
+
+      const result = await client.query(
+        `UPDATE horses SET ${setFields.join(', ')} WHERE id = $1`,
+        values
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      if (registrations) {
+        await this.replaceRegistrations(id, registrations, client);
+      }
+      if (pedigree) {
+        await this.replacePedigree(id, pedigree, client);
+      }
+
+      return this.findById(id, client);
+    });
+  }
+
+  /**
+   * Find available listings from other sellers for horses with the given microchip
+   * @param {string} microchip - Normalised microchip number
+   * @param {string} excludeUserId - Seller whose own listings don't count
+   * @returns {Promise<Object[]>} - { listingId, title, userId, horseId }
+   */
+  async findListingsWithMicrochip(microchip, excludeUserId) {
+    const query = `
+      SELECT l.id AS listing_id, l.title, l.user_id, hr.id AS horse_id
+      FROM horses hr
+      JOIN horse_listings h ON h.horse_id = hr.id
+      JOIN listings l ON l.id = h.listing_id
+      WHERE hr.microchip = $1
+        AND l.user_id <> $2
+        AND l.is_active = true
+        AND l.hidden_at IS NULL
+      ORDER BY l.created_at
+    `;
+
+    const result = await this.pool.query(query, [microchip, excludeUserId]);
+
+    return result.rows.map(row => ({
+      listingId: row.listing_id,
+      title: row.title,
+      userId: row.user_id,
+      horseId: row.horse_id
+    }));
+  }
+
+  /**
+   * Replace a horse's registrations
+   * @param {string} horseId - Horse ID
+   * @param {Object[]} registrations - { society, registrationNumber }
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async replaceRegistrations(horseId, registrations, client) {
+    await client.query('DELETE FROM horse_registrations WHERE horse_id = $1', [horseId]);
+
+    for (const registration of registrations) {
+      await client.query(
+        `INSERT INTO horse_registrations (id, horse_id, society, registration_number)
+         VALUES ($1, $2, $3, $4)`,
+        [uuidv4(), horseId, registration.society, registration.registrationNumber]
+      );
+    }
+  }
+
+  /**
+   * Replace a horse's pedigree
+   * @param {string} horseId - Horse ID
+   * @param {Object[]} entries - Ancestors with a position
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async replacePedigree(horseId, entries, client) {
+    await client.query('DELETE FROM horse_pedigree_entries WHERE horse_id = $1', [horseId]);
+
+    for (const entry of entries) {
+      await client.query(
+        `INSERT INTO horse_pedigree_entries (
+          horse_id, position, name, registration_number, breed, color, foaling_year
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          horseId,
+          entry.position,
+          entry.name,
+          entry.registrationNumber || null,
+          entry.breed || null,
+          entry.color || null,
+          entry.foalingYear || null
+        ]
+      );
+    }
+  }
+
+  /**
+   * Load registrations and pedigree for horse rows
+   * @param {Object[]} rows - horses rows
+   * @param {Object} client - Optional client to run the queries on
+   * @returns {Promise<Horse[]>}
+   */
+  async withChildren(rows, client = this.pool) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(row => row.id);
+
+    const registrations = await client.query(
+      'SELECT * FROM horse_registrations WHERE horse_id = ANY($1) ORDER BY society',
+      [ids]
+    );
+    const pedigree = await client.query(
+      'SELECT * FROM horse_pedigree_entries WHERE horse_id = ANY($1) ORDER BY LENGTH(position), position',
+      [ids]
+    );
+
+    return rows.map(row => new Horse({
+      ...this.mapDbHorseToModel(row),
+      registrations: registrations.rows
+        .filter(registration => registration.horse_id === row.id)
+        .map(registration => ({
+          society: registration.society,
+          registrationNumber: registration.registration_number
+        })),
+      pedigree: pedigree.rows
+        .filter(entry => entry.horse_id === row.id)
+        .map(entry => ({
+          position: entry.position,
+          name: entry.name,
+          registrationNumber: entry.registration_number,
+          breed: entry.breed,
+          color: entry.color,
+          foalingYear: entry.foaling_year
+        }))
+    }));
+  }
+
+  /**
+   * Map database row to model properties
+   * @param {Object} dbHorse - Database row
+   * @returns {Object} - Model properties
+   */
+  mapDbHorseToModel(dbHorse) {
+    return {
+      id: dbHorse.id,
+      ownerId: dbHorse.owner_id,
+      name: dbHorse.name,
+      breed: dbHorse.breed,
+      sex: dbHorse.sex,
+      color: dbHorse.color,
+      foalingDate: dbHorse.foaling_date,
+      markings: dbHorse.markings,
+      microchip: dbHorse.microchip,
+      ueln: dbHorse.ueln,
+      createdAt: dbHorse.created_at,
+      updatedAt: dbHorse.updated_at
+    };
+  }
+}
+
+module.exports = HorseRepository;
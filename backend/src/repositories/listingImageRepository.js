@@ -0,0 +1,208 @@
+// backend/src/repositories/listingImageRepository.js
+const { getPool } = require('../utils/db');
+const ListingImage = require('../models/listingImage');
+
+class ListingImageRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Run a callback inside a transaction holding a lock on the listing row,
+   * so concurrent uploads and reorders can't interleave display_order changes
+   * @param {string} listingId - Listing ID to lock
+   * @param {Function} callback - Receives a connected client, returns a promise
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async withListingLock(listingId, callback) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM listings WHERE id = $1 FOR UPDATE', [listingId]);
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find all images for a listing in display order
+   * @param {string} listingId - Listing ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<ListingImage[]>}
+   */
+  async findByListingId(listingId, client = this.pool) {
+    const query = `
+      SELECT * FROM listing_images
+      WHERE listing_id = $1
+      ORDER BY display_order, created_at
+    `;
+
+    const result = await client.query(query, [listingId]);
+    return result.rows.map(row => new ListingImage(this.mapDbImageToModel(row)));
+  }
+
+  /**
+   * Find an image by ID
+   * @param {string} id - Image ID
+   * @returns {Promise<ListingImage|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM listing_images WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ListingImage(this.mapDbImageToModel(result.rows[0]));
+  }
+
+  /**
+   * Count the images on a listing
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<number>}
+   */
+  async countByListingId(listingId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) FROM listing_images WHERE listing_id = $1',
+      [listingId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Append images to the end of a listing's gallery
+   * @param {string} listingId - Listing ID
+   * @param {ListingImage[]} images - Images to insert
+   * @returns {Promise<ListingImage[]>} - All images for the listing
+   */
+  async createMany(listingId, images) {
+    return this.withListingLock(listingId, async client => {
+      const orderResult = await client.query(
+        'SELECT COALESCE(MAX(display_order) + 1, 0) AS next FROM listing_images WHERE listing_id = $1',
+        [listingId]
+      );
+      let displayOrder = orderResult.rows[0].next;
+
+      const query = `
+        INSERT INTO listing_images (
+          id, listing_id, image_url, display_order, created_at, storage_key,
+          medium_url, thumbnail_url, content_type, size_bytes, width, height
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `;
+
+      for (const image of images) {
+        await client.query(query, [
+          image.id,
+          listingId,
+          image.imageUrl,
+          displayOrder++,
+          image.createdAt,
+          image.storageKey,
+          image.mediumUrl,
+          image.thumbnailUrl,
+          image.contentType,
+          image.sizeBytes,
+          image.width,
+          image.height
+        ]);
+      }
+
+      return this.findByListingId(listingId, client);
+    });
+  }
+
+  /**
+   * Set the gallery order of a listing's images
+   * @param {string} listingId - Listing ID
+   * @param {string[]} imageIds - Every image ID of the listing, in the new order
+   * @returns {Promise<ListingImage[]|null>} - Reordered images, or null if the IDs
+   *   don't match the listing's images exactly
+   */
+  async reorder(listingId, imageIds) {
+    return this.withListingLock(listingId, async client => {
+      const current = await this.findByListingId(listingId, client);
+      const currentIds = current.map(image => image.id).sort();
+      const requestedIds = [...imageIds].sort();
+
+      if (
+        currentIds.length !== requestedIds.length ||
+        currentIds.some((id, index) => id !== requestedIds[index])
+      ) {
+        return null;
+      }
+
+      for (const [index, id] of imageIds.entries()) {
+        await client.query(
+          'UPDATE listing_images SET display_order = $1 WHERE id = $2',
+          [index, id]
+        );
+      }
+
+      return this.findByListingId(listingId, client);
+    });
+  }
+
+  /**
+   * Delete an image and close the gap it leaves in display_order
+   * @param {string} listingId - Listing ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<ListingImage|null>} - Deleted image or null if not found
+   */
+  async delete(listingId, imageId) {
+    return this.withListingLock(listingId, async client => {
+      const result = await client.query(
+        'DELETE FROM listing_images WHERE id = $1 AND listing_id = $2 RETURNING *',
+        [imageId, listingId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      // Renumber the remaining images 0..n-1
+      await client.query(`
+        UPDATE listing_images li
+        SET display_order = ordered.position - 1
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY display_order, created_at) AS position
+          FROM listing_images
+          WHERE listing_id = $1
+        ) ordered
+        WHERE li.id = ordered.id
+      `, [listingId]);
+
+      return new ListingImage(this.mapDbImageToModel(result.rows[0]));
+    });
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the ListingImage model
+   * @param {Object} dbImage - Database image record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbImageToModel(dbImage) {
+    return {
+      id: dbImage.id,
+      listingId: dbImage.listing_id,
+      storageKey: dbImage.storage_key,
+      imageUrl: dbImage.image_url,
+      mediumUrl: dbImage.medium_url,
+      thumbnailUrl: dbImage.thumbnail_url,
+      contentType: dbImage.content_type,
+      sizeBytes: dbImage.size_bytes,
+      width: dbImage.width,
+      height: dbImage.height,
+      displayOrder: dbImage.display_order,
+      createdAt: dbImage.created_at
+    };
+  }
+}
+
+module.exports = ListingImageRepository;
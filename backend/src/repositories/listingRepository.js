@@ -0,0 +1,733 @@
+// backend/src/repositories/listingRepository.js
+const { getPool, withTransaction } = require('../utils/db');
+const Listing = require('../models/listing');
+
+/**
+ * Listings joined to every subtype table, aliased h/e/a/s
+ */
+const LISTING_FROM = `
+  FROM listings l
+  LEFT JOIN horse_listings h ON h.listing_id = l.id
+  LEFT JOIN equipment_listings e ON e.listing_id = l.id
+  LEFT JOIN agistment_listings a ON a.listing_id = l.id
+  LEFT JOIN service_listings s ON s.listing_id = l.id
+`;
+
+/**
+ * Listing columns with the subtype row folded into a JSON "details" column
+ */
+const LISTING_COLUMNS = `
+  l.*,
+  COALESCE(to_jsonb(h), to_jsonb(e), to_jsonb(a), to_jsonb(s)) AS details,
+  (
+    SELECT li.thumbnail_url FROM listing_images li
+    WHERE li.listing_id = l.id
+    ORDER BY li.display_order, li.created_at
+    LIMIT 1
+  ) AS thumbnail_url
+`;
+
+/**
+ * Base query selecting listings with their details
+ */
+const LISTING_SELECT = `SELECT ${LISTING_COLUMNS} ${LISTING_FROM}`;
+
+/**
+ * Approximate kilometres per degree of latitude, used for bounding boxes
+ */
+const KM_PER_DEGREE = 111.045;
+
+/**
+ * Facetable search filters and the column each one matches against.
+ * Array columns match when they overlap ("any") or contain ("all") the requested values.
+ */
+const SEARCH_FACETS = {
+  listingType: { column: 'l.listing_type' },
+  priceType: { column: 'l.price_type' },
+  breed: { column: 'h.breed' },
+  gender: { column: 'h.gender' },
+  color: { column: 'h.color' },
+  discipline: { column: 'h.discipline', array: 'any' },
+  category: { column: 'e.category' },
+  condition: { column: 'e.condition' },
+  brand: { column: 'e.brand' },
+  facilities: { column: 'a.facilities', array: 'all' },
+  arena: { column: 'a.arena', boolean: true },
+  feedIncluded: { column: 'a.feed_included', boolean: true },
+  serviceType: { column: 's.service_type' }
+};
+
+/**
+ * Range filters as [column, operator] pairs
+ */
+const SEARCH_RANGES = {
+  minPrice: ['l.price', '>='],
+  maxPrice: ['l.price', '<='],
+  minAge: ['h.age', '>='],
+  maxAge: ['h.age', '<='],
+  minHeight: ['h.height', '>='],
+  maxHeight: ['h.height', '<=']
+};
+
+/**
+ * Sort options for search results
+ */
+const SEARCH_SORTS = {
+  newest: 'l.created_at DESC',
+  oldest: 'l.created_at ASC',
+  price_asc: 'l.price ASC NULLS LAST, l.created_at DESC',
+  price_desc: 'l.price DESC NULLS LAST, l.created_at DESC',
+  distance: 'distance_km ASC, l.created_at DESC'
+};
+
+class ListingRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a listing by its ID
+   * @param {string} id - Listing ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Listing|null>} - Listing instance or null if not found
+   */
+  async findById(id, client = this.pool) {
+    const query = `${LISTING_SELECT} WHERE l.id = $1`;
+    const result = await client.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Listing(this.mapDbListingToModel(result.rows[0]));
+  }
+
+  /**
+   * Find listings with optional filters
+   * @param {Object} filters - Query filters
+   * @param {string} filters.userId - Only listings owned by this user
+   * @param {string} filters.listingType - Only listings of this type
+   * @param {boolean} filters.isActive - Only active or inactive listings
+   * @param {string[]} filters.statuses - Only listings in these lifecycle statuses (optional)
+   * @param {boolean} filters.isHidden - Only listings hidden or not hidden by moderators (optional)
+   * @param {string} filters.q - Keyword matched against title and description (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<{listings: Listing[], total: number}>}
+   */
+  async findAll({ userId, listingType, isActive, statuses, isHidden, q, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (userId) {
+      values.push(userId);
+      conditions.push(`l.user_id = $${values.length}`);
+    }
+
+    if (listingType) {
+      values.push(listingType);
+      conditions.push(`l.listing_type = $${values.length}`);
+    }
+
+    if (isActive !== undefined) {
+      values.push(isActive);
+      conditions.push(`l.is_active = $${values.length}`);
+    }
+
+    if (statuses && statuses.length > 0) {
+      values.push(statuses);
+      conditions.push(`l.status = ANY($${values.length})`);
+    }
+
+    if (isHidden !== undefined) {
+      conditions.push(isHidden ? 'l.hidden_at IS NOT NULL' : 'l.hidden_at IS NULL');
+    }
+
+    if (q) {
+      values.push(`%${q}%`);
+      conditions.push(`(l.title ILIKE $${values.length} OR l.description ILIKE $${values.length})`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(
+      `SELECT COUNT(*) FROM listings l ${where}`,
+      values
+    );
+
+    const query = `
+      ${LISTING_SELECT}
+      ${where}
+      ORDER BY l.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const result = await this.pool.query(query, [...values, limit, offset]);
+
+    return {
+      listings: result.rows.map(row => new Listing(this.mapDbListingToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Search listings and compute facet counts for the matching set
+   * @param {Object} criteria - Parsed search criteria
+   * @param {string} criteria.q - Keyword matched against title and description
+   * @param {Object} criteria.facets - Facet filters keyed by SEARCH_FACETS name
+   * @param {Object} criteria.ranges - Range filters keyed by SEARCH_RANGES name
+   * @param {Object} criteria.geo - Optional origin point ({latitude, longitude, radiusKm})
+   * @param {Date} criteria.createdAfter - Only listings published after this time (optional)
+   * @param {Date} criteria.createdBefore - Only listings published at or before this time (optional)
+   * @param {number} criteria.soldVisibleDays - How long sold listings stay in results, in days
+   * @param {string} criteria.sort - Key of SEARCH_SORTS
+   * @param {number} criteria.limit - Page size
+   * @param {number} criteria.offset - Page offset
+   * @returns {Promise<{listings: Listing[], total: number, facets: Object, ranges: Object}>}
+   */
+  async search(criteria) {
+    const { limit = 20, offset = 0, sort = 'newest' } = criteria;
+
+    const where = this.buildSearchWhere(criteria);
+    const orderBy = SEARCH_SORTS[sort] || SEARCH_SORTS.newest;
+
+    const distanceColumn = where.distanceSql ? `, ${where.distanceSql} AS distance_km` : '';
+
+    const listingsQuery = this.pool.query(
+      `SELECT ${LISTING_COLUMNS}${distanceColumn}
+      ${LISTING_FROM}
+      ${where.sql}
+      ORDER BY ${orderBy}
+      LIMIT $${where.values.length + 1} OFFSET $${where.values.length + 2}`,
+      [...where.values, limit, offset]
+    );
+
+    const countQuery = this.pool.query(`SELECT COUNT(*) ${LISTING_FROM} ${where.sql}`, where.values);
+
+    // Each facet is counted with every filter applied except its own,
+    // so selecting one breed still shows the counts for the other breeds
+    const facetNames = Object.keys(SEARCH_FACETS);
+    const facetQueries = facetNames.map(name => this.countFacet(name, criteria));
+
+    // Range bounds ignore the range filters themselves
+    const rangeWhere = this.buildSearchWhere({ ...criteria, ranges: {} });
+    const rangeQuery = this.pool.query(
+      `SELECT MIN(l.price) AS min_price, MAX(l.price) AS max_price,
+        MIN(h.age) AS min_age, MAX(h.age) AS max_age,
+        MIN(h.height) AS min_height, MAX(h.height) AS max_height
+      ${LISTING_FROM} ${rangeWhere.sql}`,
+      rangeWhere.values
+    );
+
+    const [listingsResult, countResult, rangeResult, ...facetCounts] = await Promise.all([
+      listingsQuery,
+      countQuery,
+      rangeQuery,
+      ...facetQueries
+    ]);
+
+    const facets = {};
+    facetNames.forEach((name, index) => {
+      facets[name] = facetCounts[index];
+    });
+
+    const bounds = rangeResult.rows[0];
+    const toNumber = value => (value === null ? null : Number(value));
+
+    return {
+      listings: listingsResult.rows.map(row => new Listing(this.mapDbListingToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10),
+      facets,
+      ranges: {
+        price: { min: toNumber(bounds.min_price), max: toNumber(bounds.max_price) },
+        age: { min: toNumber(bounds.min_age), max: toNumber(bounds.max_age) },
+        height: { min: toNumber(bounds.min_height), max: toNumber(bounds.max_height) }
+      }
+    };
+  }
+
+  /**
+   * Count listings per value of a facet, ignoring that facet's own filter
+   * @param {string} name - Facet name
+   * @param {Object} criteria - Parsed search criteria
+   * @returns {Promise<Array<{value: *, count: number}>>}
+   */
+  async countFacet(name, criteria) {
+    const { column, array } = SEARCH_FACETS[name];
+    const otherFacets = { ...criteria.facets };
+    delete otherFacets[name];
+
+    const where = this.buildSearchWhere({ ...criteria, facets: otherFacets });
+
+    const query = array
+      ? `SELECT f.value, COUNT(*) AS count
+        ${LISTING_FROM}
+        CROSS JOIN LATERAL unnest(${column}) AS f(value)
+        ${where.sql}
+        GROUP BY f.value
+        ORDER BY count DESC, f.value`
+      : `SELECT ${column} AS value, COUNT(*) AS count
+        ${LISTING_FROM}
+        ${where.sql ? `${where.sql} AND` : 'WHERE'} ${column} IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY count DESC, value`;
+
+    const result = await this.pool.query(query, where.values);
+
+    return result.rows.map(row => ({
+      value: row.value,
+      count: parseInt(row.count, 10)
+    }));
+  }
+
+  /**
+   * Build the WHERE clause for a search
+   * @param {Object} criteria - Parsed search criteria
+   * @returns {{sql: string, values: Array, distanceSql: string|null}} - WHERE clause
+   *   (or empty string), its values, and the distance expression when searching from a point
+   */
+  buildSearchWhere({
+    q, facets = {}, ranges = {}, geo, createdAfter, createdBefore, soldVisibleDays = 0
+  }) {
+    const values = [];
+    const param = value => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    // Only listings on the market, or sold within the read-only period, show up
+    // in search; hidden, unpublished, expired and withdrawn listings never do
+    const conditions = [
+      'l.hidden_at IS NULL',
+      `(l.status = ANY(${param(Listing.LIVE_STATUSES)}) OR (
+        l.status = 'sold' AND l.sold_at > NOW() - (${param(soldVisibleDays)} * INTERVAL '1 day')
+      ))`
+    ];
+
+    // Listings count as new from when they went live, which is later than creation for reviewed drafts
+    if (createdAfter) {
+      conditions.push(`COALESCE(l.published_at, l.created_at) > ${param(createdAfter)}`);
+    }
+
+    if (createdBefore) {
+      conditions.push(`COALESCE(l.published_at, l.created_at) <= ${param(createdBefore)}`);
+    }
+
+    if (q) {
+      const pattern = param(`%${q}%`);
+      conditions.push(`(l.title ILIKE ${pattern} OR l.description ILIKE ${pattern})`);
+    }
+
+    for (const [name, value] of Object.entries(facets)) {
+      const facet = SEARCH_FACETS[name];
+      if (!facet || value === undefined) {
+        continue;
+      }
+
+      if (facet.boolean) {
+        conditions.push(`${facet.column} = ${param(value)}`);
+      } else if (facet.array) {
+        const operator = facet.array === 'all' ? '@>' : '&&';
+        conditions.push(`${facet.column}::text[] ${operator} ${param(value)}::text[]`);
+      } else {
+        conditions.push(`${facet.column}::text = ANY(${param(value)}::text[])`);
+      }
+    }
+
+    for (const [name, value] of Object.entries(ranges)) {
+      const range = SEARCH_RANGES[name];
+      if (!range || value === undefined) {
+        continue;
+      }
+
+      const [column, operator] = range;
+      conditions.push(`${column} ${operator} ${param(value)}`);
+    }
+
+    let distanceSql = null;
+
+    if (geo) {
+      const latitude = `${param(geo.latitude)}::double precision`;
+      const longitude = `${param(geo.longitude)}::double precision`;
+
+      // Haversine great-circle distance in kilometres
+      distanceSql = `(6371 * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(l.latitude - ${latitude}) / 2), 2) +
+        COS(RADIANS(${latitude})) * COS(RADIANS(l.latitude)) *
+        POWER(SIN(RADIANS(l.longitude - ${longitude}) / 2), 2)
+      )))`;
+
+      conditions.push('l.latitude IS NOT NULL AND l.longitude IS NOT NULL');
+
+      if (geo.radiusKm) {
+        // Bounding box first so the coordinate index can narrow the candidates
+        const latDelta = geo.radiusKm / KM_PER_DEGREE;
+        const lngDelta = geo.radiusKm /
+          (KM_PER_DEGREE * Math.max(Math.cos(geo.latitude * Math.PI / 180), 0.01));
+
+        conditions.push(
+          `l.latitude BETWEEN ${param(geo.latitude - latDelta)} AND ${param(geo.latitude + latDelta)}`
+        );
+        conditions.push(
+          `l.longitude BETWEEN ${param(geo.longitude - lngDelta)} AND ${param(geo.longitude + lngDelta)}`
+        );
+        conditions.push(`${distanceSql} <= ${param(geo.radiusKm)}`);
+      }
+    }
+
+    return {
+      sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+      values,
+      distanceSql
+    };
+  }
+
+  /**
+   * Create a listing and its subtype row in one transaction
+   * @param {Listing} listing - Listing instance to create
+   * @returns {Promise<Listing>} - Created listing
+   */
+  async create(listing) {
+    return withTransaction(async client => {
+      const query = `
+        INSERT INTO listings (
+          id, user_id, title, description, price, price_type, listing_type,
+          location, latitude, longitude, is_active, created_at, updated_at, expires_at,
+          status, status_changed_at, publish_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      `;
+
+      await client.query(query, [
+        listing.id,
+        listing.userId,
+        listing.title,
+        listing.description,
+        listing.price,
+        listing.priceType,
+        listing.listingType,
+        listing.location,
+        listing.latitude,
+        listing.longitude,
+        listing.isActive,
+        listing.createdAt,
+        listing.updatedAt,
+        listing.expiresAt,
+        listing.status,
+        listing.createdAt,
+        listing.publishAt
+      ]);
+
+      const subtype = Listing.getSubtype(listing.listingType);
+      const columns = ['listing_id'];
+      const values = [listing.id];
+
+      for (const [field, column] of Object.entries(subtype.fields)) {
+        if (listing.details[field] !== undefined) {
+          columns.push(column);
+          values.push(listing.details[field]);
+        }
+      }
+
+      const placeholders = values.map((value, index) => `$${index + 1}`);
+      await client.query(
+        `INSERT INTO ${subtype.table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+        values
+      );
+
+      return this.findById(listing.id, client);
+    });
+  }
+
+  /**
+   * Update a listing and its subtype row in one transaction. Status and
+   * expiry only change through transition().
+   * @param {string} id - Listing ID
+   * @param {Object} updates - Base listing fields to update
+   * @param {Object} detailUpdates - Subtype fields to update
+   * @returns {Promise<Listing>} - Updated listing
+   */
+  async update(id, updates, detailUpdates = {}) {
+    return withTransaction(async client => {
+      const setFields = [];
+      const values = [id];
+
+      const validFields = [
+        'title', 'description', 'price', 'price_type', 'location',
+        'latitude', 'longitude', 'publish_at'
+      ];
+
+      for (const [key, value] of Object.entries(updates)) {
+        // Convert camelCase to snake_case
+        const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+
+        if (validFields.includes(snakeKey) && value !== undefined) {
+          values.push(value);
+          setFields.push(`${snakeKey} = $${values.length}`);
+        }
+      }
+
+      // Always update the updated_at timestamp
+      values.push(new Date());
+      setFields.push(`updated_at = $${values.length}`);
+
+      const result = await client.query(
+        `UPDATE listings SET ${setFields.join(', ')} WHERE id = $1 RETURNING listing_type`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const subtype = Listing.getSubtype(result.rows[0].listing_type);
+      const detailFields = [];
+      const detailValues = [id];
+
+      for (const [field, column] of Object.entries(subtype.fields)) {
+        if (detailUpdates[field] !== undefined) {
+          detailValues.push(detailUpdates[field]);
+          detailFields.push(`${column} = $${detailValues.length}`);
+        }
+      }
+
+      if (detailFields.length) {
+        await client.query(
+          `UPDATE ${subtype.table} SET ${detailFields.join(', ')} WHERE listing_id = $1`,
+          detailValues
+        );
+      }
+
+      return this.findById(id, client);
+    });
+  }
+
+  /**
+   * Move a listing to a new lifecycle status if it's still in one of the
+   * expected statuses; is_active follows the status, and under_offer_at is
+   * cleared whenever the listing isn't under offer
+   * @param {string} id - Listing ID
+   * @param {string[]} fromStatuses - Statuses the listing must be in
+   * @param {string} toStatus - New status
+   * @param {Object} changes - Other columns to set (expiresAt, publishAt, publishedAt,
+   *   soldAt, underOfferAt, reviewNote, renewalReminderSentAt)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Listing|null>} - Updated listing or null if it wasn't in fromStatuses
+   */
+  async transition(id, fromStatuses, toStatus, changes = {}, client = this.pool) {
+    const values = [id, fromStatuses, toStatus, Listing.LIVE_STATUSES.includes(toStatus)];
+    const setFields = ['status = $3', 'is_active = $4', 'status_changed_at = NOW()', 'updated_at = NOW()'];
+
+    if (toStatus !== 'under_offer') {
+      setFields.push('under_offer_at = NULL');
+    }
+
+    const columns = {
+      expiresAt: 'expires_at',
+      publishAt: 'publish_at',
+      publishedAt: 'published_at',
+      soldAt: 'sold_at',
+      underOfferAt: 'under_offer_at',
+      reviewNote: 'review_note',
+      renewalReminderSentAt: 'renewal_reminder_sent_at'
+    };
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        setFields.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE listings SET ${setFields.join(', ')} WHERE id = $1 AND status = ANY($2)`,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, client);
+  }
+
+  /**
+   * Push back the expiry of an active listing
+   * @param {string} id - Listing ID
+   * @param {Date} expiresAt - New expiry
+   * @returns {Promise<Listing|null>} - Renewed listing or null if it wasn't active
+   */
+  async extendExpiry(id, expiresAt) {
+    const result = await this.pool.query(
+      `UPDATE listings
+      SET expires_at = $2, renewal_reminder_sent_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status = 'active'`,
+      [id, expiresAt]
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Hide a listing from buyers, or show it again
+   * @param {string} id - Listing ID
+   * @param {Object} options - Hide options
+   * @param {boolean} options.hidden - True to hide, false to unhide
+   * @param {string} options.reason - Why the listing was hidden (ignored when unhiding)
+   * @param {string} options.hiddenBy - Admin hiding it; null when hidden automatically
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - False if the listing was already in that state
+   */
+  async setHidden(id, { hidden, reason = null, hiddenBy = null }, client = this.pool) {
+    const query = hidden
+      ? `UPDATE listings SET hidden_at = NOW(), hidden_reason = $2, hidden_by = $3, updated_at = NOW()
+        WHERE id = $1 AND hidden_at IS NULL`
+      : `UPDATE listings SET hidden_at = NULL, hidden_reason = NULL, hidden_by = NULL, updated_at = NOW()
+        WHERE id = $1 AND hidden_at IS NOT NULL`;
+
+    const result = await client.query(query, hidden ? [id, reason, hiddenBy] : [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Expire every active listing whose expiry date has passed. Listings under
+   * offer are left alone until the sale completes or falls through.
+   * @returns {Promise<Listing[]>} - Listings that were expired by this call
+   */
+  async expireDue() {
+    const query = `
+      UPDATE listings
+      SET status = 'expired', is_active = false, status_changed_at = NOW(), updated_at = NOW()
+      WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= NOW()
+      RETURNING id
+    `;
+
+    const result = await this.pool.query(query);
+    const listings = await Promise.all(result.rows.map(row => this.findById(row.id)));
+
+    return listings.filter(Boolean);
+  }
+
+  /**
+   * Claim active listings expiring before a time whose seller hasn't been
+   * reminded, marking them reminded so the reminder goes out once
+   * @param {Date} before - Latest expiry to remind about
+   * @returns {Promise<Listing[]>}
+   */
+  async claimRenewalReminders(before) {
+    const result = await this.pool.query(
+      `UPDATE listings
+      SET renewal_reminder_sent_at = NOW()
+      WHERE status = 'active' AND renewal_reminder_sent_at IS NULL
+        AND expires_at IS NOT NULL AND expires_at > NOW() AND expires_at <= $1
+      RETURNING id`,
+      [before]
+    );
+
+    const listings = await Promise.all(result.rows.map(row => this.findById(row.id)));
+    return listings.filter(Boolean);
+  }
+
+  /**
+   * Claim drafts whose scheduled publish time has passed, clearing the
+   * schedule so each is submitted once
+   * @returns {Promise<Listing[]>}
+   */
+  async claimDueToPublish() {
+    const result = await this.pool.query(
+      `UPDATE listings
+      SET publish_at = NULL, updated_at = NOW()
+      WHERE status = 'draft' AND publish_at IS NOT NULL AND publish_at <= NOW()
+      RETURNING id`
+    );
+
+    const listings = await Promise.all(result.rows.map(row => this.findById(row.id)));
+    return listings.filter(Boolean);
+  }
+
+  /**
+   * Delete a listing together with its subtype row and image rows.
+   * Stored image files are removed by the service once this succeeds.
+   * @param {string} id - Listing ID
+   * @param {Object} client - Client of an enclosing transaction (optional; one is started otherwise)
+   * @returns {Promise<boolean>} - True if a listing was deleted
+   */
+  async delete(id, client = null) {
+    const remove = async client => {
+      const typeResult = await client.query(
+        'SELECT listing_type FROM listings WHERE id = $1',
+        [id]
+      );
+
+      if (typeResult.rows.length === 0) {
+        return false;
+      }
+
+      const subtype = Listing.getSubtype(typeResult.rows[0].listing_type);
+
+      await client.query(`DELETE FROM ${subtype.table} WHERE listing_id = $1`, [id]);
+      await client.query('DELETE FROM listing_images WHERE listing_id = $1', [id]);
+      const result = await client.query('DELETE FROM listings WHERE id = $1', [id]);
+
+      return result.rowCount > 0;
+    };
+
+    return client ? remove(client) : withTransaction(remove);
+  }
+
+  /**
+   * Maps a snake_case database row to camelCase for the Listing model
+   * @param {Object} dbListing - Database listing record with a "details" JSON column
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbListingToModel(dbListing) {
+    const subtype = Listing.getSubtype(dbListing.listing_type);
+    const details = {};
+
+    if (subtype && dbListing.details) {
+      for (const [field, column] of Object.entries(subtype.fields)) {
+        details[field] = dbListing.details[column] !== undefined ? dbListing.details[column] : null;
+      }
+    }
+
+    return {
+      id: dbListing.id,
+      userId: dbListing.user_id,
+      title: dbListing.title,
+      description: dbListing.description,
+      price: dbListing.price,
+      priceType: dbListing.price_type,
+      listingType: dbListing.listing_type,
+      location: dbListing.location,
+      latitude: dbListing.latitude,
+      longitude: dbListing.longitude,
+      status: dbListing.status,
+      isActive: dbListing.is_active,
+      createdAt: dbListing.created_at,
+      updatedAt: dbListing.updated_at,
+      statusChangedAt: dbListing.status_changed_at,
+      publishAt: dbListing.publish_at,
+      publishedAt: dbListing.published_at,
+      expiresAt: dbListing.expires_at,
+      renewalReminderSentAt: dbListing.renewal_reminder_sent_at,
+      reviewNote: dbListing.review_note,
+      soldAt: dbListing.sold_at,
+      underOfferAt: dbListing.under_offer_at,
+      hiddenAt: dbListing.hidden_at,
+      hiddenReason: dbListing.hidden_reason,
+      hiddenBy: dbListing.hidden_by,
+      thumbnailUrl: dbListing.thumbnail_url,
+      distanceKm: dbListing.distance_km,
+      details
+    };
+  }
+}
+
+ListingRepository.LISTING_SELECT = LISTING_SELECT;
+ListingRepository.SEARCH_FACETS = SEARCH_FACETS;
+ListingRepository.SEARCH_RANGES = SEARCH_RANGES;
+ListingRepository.SEARCH_SORTS = SEARCH_SORTS;
+
+module.exports = ListingRepository;
@@ -0,0 +1,231 @@
+// backend/src/repositories/messageRepository.js
+const { getPool } = require('../utils/db');
+const Message = require('../models/message');
+
+class MessageRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Create a new message
+   * @param {Message} message - Message instance to create
+   * @returns {Promise<Message>} - Created message
+   */
+  async create(message) {
+    const query = `
+      INSERT INTO messages (id, listing_id, sender_id, recipient_id, content, is_read, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      message.id,
+      message.listingId,
+      message.senderId,
+      message.recipientId,
+      message.content,
+      message.isRead,
+      message.createdAt
+    ]);
+
+    return new Message(this.mapDbMessageToModel(result.rows[0]));
+  }
+
+  /**
+   * Check whether two users have exchanged any message about a listing
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - First user ID
+   * @param {string} otherUserId - Second user ID
+   * @returns {Promise<boolean>}
+   */
+  async conversationExists(listingId, userId, otherUserId) {
+    const query = `
+      SELECT EXISTS (
+        SELECT 1 FROM messages
+        WHERE listing_id = $1
+          AND ((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))
+      ) AS exists
+    `;
+
+    const result = await this.pool.query(query, [listingId, userId, otherUserId]);
+    return result.rows[0].exists;
+  }
+
+  /**
+   * Check whether both users have sent each other messages about a listing
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - User ID
+   * @param {string} otherUserId - Other user ID
+   * @returns {Promise<boolean>}
+   */
+  async hasTwoWayConversation(listingId, userId, otherUserId) {
+    const query = `
+      SELECT
+        EXISTS (
+          SELECT 1 FROM messages
+          WHERE listing_id = $1 AND sender_id = $2 AND recipient_id = $3
+        )
+        AND EXISTS (
+          SELECT 1 FROM messages
+          WHERE listing_id = $1 AND sender_id = $3 AND recipient_id = $2
+        ) AS exists
+    `;
+
+    const result = await this.pool.query(query, [listingId, userId, otherUserId]);
+    return result.rows[0].exists;
+  }
+
+  /**
+   * List a user's conversations, one row per listing and counterpart,
+   * with the latest message and the number of unread messages
+   * @param {string} userId - User ID
+   * @param {number} limit - Page size
+   * @param {number} offset - Page offset
+   * @returns {Promise<{conversations: Object[], total: number}>}
+   */
+  async findConversations(userId, limit = 20, offset = 0) {
+    const threads = `
+      SELECT m.*,
+        CASE WHEN m.sender_id = $1 THEN m.recipient_id ELSE m.sender_id END AS counterpart_id
+      FROM messages m
+      WHERE m.sender_id = $1 OR m.recipient_id = $1
+    `;
+
+    const query = `
+      WITH threads AS (${threads}),
+      ranked AS (
+        SELECT threads.*,
+          ROW_NUMBER() OVER (
+            PARTITION BY listing_id, counterpart_id ORDER BY created_at DESC
+          ) AS position,
+          COUNT(*) FILTER (WHERE recipient_id = $1 AND NOT is_read) OVER (
+            PARTITION BY listing_id, counterpart_id
+          ) AS unread_count
+        FROM threads
+      )
+      SELECT r.*,
+        l.title AS listing_title, l.is_active AS listing_is_active, l.user_id AS listing_owner_id,
+        u.first_name, u.last_name, u.business_name
+      FROM ranked r
+      JOIN listings l ON l.id = r.listing_id
+      JOIN users u ON u.id = r.counterpart_id
+      WHERE r.position = 1
+      ORDER BY r.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const countQuery = `
+      WITH threads AS (${threads})
+      SELECT COUNT(DISTINCT (listing_id, counterpart_id)) FROM threads
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(query, [userId, limit, offset]),
+      this.pool.query(countQuery, [userId])
+    ]);
+
+    return {
+      conversations: result.rows.map(row => ({
+        listing: {
+          id: row.listing_id,
+          title: row.listing_title,
+          isActive: row.listing_is_active,
+          ownerId: row.listing_owner_id
+        },
+        counterpart: {
+          id: row.counterpart_id,
+          firstName: row.first_name,
+          lastName: row.last_name,
+          businessName: row.business_name
+        },
+        lastMessage: new Message(this.mapDbMessageToModel(row)).toJSON(),
+        unreadCount: parseInt(row.unread_count, 10)
+      })),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Get the messages between two users about a listing, newest first
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - Current user ID
+   * @param {string} counterpartId - Other user ID
+   * @param {number} limit - Page size
+   * @param {number} offset - Page offset
+   * @returns {Promise<{messages: Message[], total: number}>}
+   */
+  async findConversationMessages(listingId, userId, counterpartId, limit = 50, offset = 0) {
+    const where = `
+      WHERE listing_id = $1
+        AND ((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM messages ${where} ORDER BY created_at DESC LIMIT $4 OFFSET $5`,
+        [listingId, userId, counterpartId, limit, offset]
+      ),
+      this.pool.query(
+        `SELECT COUNT(*) FROM messages ${where}`,
+        [listingId, userId, counterpartId]
+      )
+    ]);
+
+    return {
+      messages: result.rows.map(row => new Message(this.mapDbMessageToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Mark every message a user received from a counterpart about a listing as read
+   * @param {string} listingId - Listing ID
+   * @param {string} recipientId - Reading user ID
+   * @param {string} senderId - Counterpart user ID
+   * @returns {Promise<string[]>} - IDs of the messages that were marked read
+   */
+  async markConversationRead(listingId, recipientId, senderId) {
+    const query = `
+      UPDATE messages
+      SET is_read = true
+      WHERE listing_id = $1 AND recipient_id = $2 AND sender_id = $3 AND is_read = false
+      RETURNING id
+    `;
+
+    const result = await this.pool.query(query, [listingId, recipientId, senderId]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Count a user's unread messages
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countUnread(userId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) FROM messages WHERE recipient_id = $1 AND is_read = false',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Message model
+   * @param {Object} dbMessage - Database message record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbMessageToModel(dbMessage) {
+    return {
+      id: dbMessage.id,
+      listingId: dbMessage.listing_id,
+      senderId: dbMessage.sender_id,
+      recipientId: dbMessage.recipient_id,
+      content: dbMessage.content,
+      isRead: dbMessage.is_read,
+      createdAt: dbMessage.created_at
+    };
+  }
+}
+
+module.exports = MessageRepository;
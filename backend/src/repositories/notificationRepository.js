@@ -0,0 +1,123 @@
+// backend/src/repositories/notificationRepository.js
+const { getPool } = require('../utils/db');
+const Notification = require('../models/notification');
+
+class NotificationRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Create a notification
+   * @param {Notification} notification - Notification instance to create
+   * @returns {Promise<Notification>}
+   */
+  async create(notification) {
+    const query = `
+      INSERT INTO notifications (id, user_id, type, title, body, data, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      notification.id,
+      notification.userId,
+      notification.type,
+      notification.title,
+      notification.body,
+      notification.data,
+      notification.createdAt
+    ]);
+
+    return new Notification(this.mapDbNotificationToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.unreadOnly - Only unread notifications
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Page offset
+   * @returns {Promise<{notifications: Notification[], total: number}>}
+   */
+  async findByUser(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    const where = `WHERE user_id = $1${unreadOnly ? ' AND read_at IS NULL' : ''}`;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM notifications ${where} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) FROM notifications ${where}`, [userId])
+    ]);
+
+    return {
+      notifications: result.rows.map(row => new Notification(this.mapDbNotificationToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countUnread(userId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - Owning user ID
+   * @returns {Promise<boolean>} - True if the notification exists and belongs to the user
+   */
+  async markRead(id, userId) {
+    const query = `
+      UPDATE notifications
+      SET read_at = COALESCE(read_at, NOW())
+      WHERE id = $1 AND user_id = $2
+    `;
+
+    const result = await this.pool.query(query, [id, userId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of notifications marked
+   */
+  async markAllRead(userId) {
+    const result = await this.pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Notification model
+   * @param {Object} dbNotification - Database notification record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbNotificationToModel(dbNotification) {
+    return {
+      id: dbNotification.id,
+      userId: dbNotification.user_id,
+      type: dbNotification.type,
+      title: dbNotification.title,
+      body: dbNotification.body,
+      data: dbNotification.data,
+      readAt: dbNotification.read_at,
+      createdAt: dbNotification.created_at
+    };
+  }
+}
+
+module.exports = NotificationRepository;
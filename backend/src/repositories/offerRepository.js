@@ -0,0 +1,326 @@
+// backend/src/repositories/offerRepository.js
+const { getPool, withTransaction } = require('../utils/db');
+const Offer = require('../models/offer');
+
+/**
+ * Offers with the listing title and the buyer's display name
+ */
+const OFFER_SELECT = `
+  SELECT o.*,
+    l.title AS listing_title,
+    TRIM(CONCAT(u.first_name, ' ', LEFT(u.last_name, 1))) AS buyer_name
+  FROM offers o
+  JOIN listings l ON l.id = o.listing_id
+  JOIN users u ON u.id = o.buyer_id
+`;
+
+/**
+ * Statuses that record an answer from the recipient
+ */
+const RESPONSE_STATUSES = ['accepted', 'declined', 'countered'];
+
+class OfferRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find an offer by ID
+   * @param {string} id - Offer ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Offer|null>}
+   */
+  async findById(id, client = this.pool) {
+    const result = await client.query(`${OFFER_SELECT} WHERE o.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Offer(this.mapDbOfferToModel(result.rows[0]));
+  }
+
+  /**
+   * Get the offer history of a listing, oldest first
+   * @param {string} listingId - Listing ID
+   * @param {string} buyerId - Only this buyer's negotiation (optional)
+   * @returns {Promise<Offer[]>}
+   */
+  async findByListing(listingId, buyerId = null) {
+    const query = `
+      ${OFFER_SELECT}
+      WHERE o.listing_id = $1 AND ($2::uuid IS NULL OR o.buyer_id = $2)
+      ORDER BY o.created_at
+    `;
+
+    const result = await this.pool.query(query, [listingId, buyerId]);
+    return result.rows.map(row => new Offer(this.mapDbOfferToModel(row)));
+  }
+
+  /**
+   * Find offers a user is part of, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} options.role - "buyer" or "seller" to only match that side (optional)
+   * @param {string} options.status - Only offers in this status (optional)
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Page offset
+   * @returns {Promise<{offers: Offer[], total: number}>}
+   */
+  async findByUser(userId, { role, status, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    if (role === 'buyer') {
+      conditions.push('o.buyer_id = $1');
+    } else if (role === 'seller') {
+      conditions.push('o.seller_id = $1');
+    } else {
+      conditions.push('(o.buyer_id = $1 OR o.seller_id = $1)');
+    }
+    conditions.push('($2::varchar IS NULL OR o.status = $2)');
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const values = [userId, status || null];
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `${OFFER_SELECT} ${where} ORDER BY o.created_at DESC LIMIT $3 OFFSET $4`,
+        [...values, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*)::int AS total FROM offers o ${where}`, values)
+    ]);
+
+    return {
+      offers: rows.rows.map(row => new Offer(this.mapDbOfferToModel(row))),
+      total: count.rows[0].total
+    };
+  }
+
+  /**
+   * Check whether a buyer already has an open negotiation on a listing
+   * @param {string} listingId - Listing ID
+   * @param {string} buyerId - Buyer ID
+   * @returns {Promise<boolean>}
+   */
+  async hasPending(listingId, buyerId) {
+    const result = await this.pool.query(
+      `SELECT EXISTS (
+        SELECT 1 FROM offers WHERE listing_id = $1 AND buyer_id = $2 AND status = 'pending'
+      ) AS exists`,
+      [listingId, buyerId]
+    );
+    return result.rows[0].exists;
+  }
+
+  /**
+   * Create an offer
+   * @param {Offer} offer - Offer instance to create
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Offer>}
+   */
+  async create(offer, client = this.pool) {
+    const query = `
+      INSERT INTO offers (
+        id, listing_id, buyer_id, seller_id, proposed_by, amount, message,
+        status, parent_offer_id, expires_at, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `;
+
+    await client.query(query, [
+      offer.id,
+      offer.listingId,
+      offer.buyerId,
+      offer.sellerId,
+      offer.proposedBy,
+      offer.amount,
+      offer.message,
+      offer.status,
+      offer.parentOfferId,
+      offer.expiresAt,
+      offer.createdAt,
+      offer.updatedAt
+    ]);
+
+    return this.findById(offer.id, client);
+  }
+
+  /**
+   * Move an offer between statuses. Only succeeds if the offer is still in
+   * the expected status, so two concurrent answers can't both win.
+   * @param {string} id - Offer ID
+   * @param {string} fromStatus - Status the offer must currently have
+   * @param {string} toStatus - New status
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Offer|null>} - Updated offer or null if the status had already changed
+   */
+  async transition(id, fromStatus, toStatus, client = this.pool) {
+    const query = `
+      UPDATE offers
+      SET status = $3,
+        responded_at = CASE WHEN $4 THEN NOW() ELSE responded_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND status = $2
+    `;
+
+    const result = await client.query(query, [
+      id,
+      fromStatus,
+      toStatus,
+      RESPONSE_STATUSES.includes(toStatus)
+    ]);
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, client);
+  }
+
+  /**
+   * Counter a pending offer: mark it countered and create the counter-offer
+   * @param {string} id - Offer being countered
+   * @param {Offer} counterOffer - New offer from the other party
+   * @returns {Promise<Offer|null>} - Created counter-offer or null if the offer was no longer pending
+   */
+  async counter(id, counterOffer) {
+    return withTransaction(async client => {
+      const countered = await this.transition(id, 'pending', 'countered', client);
+      if (!countered) {
+        return null;
+      }
+
+      return this.create(counterOffer, client);
+    });
+  }
+
+  /**
+   * Accept a pending offer, mark the listing under offer and close every
+   * other pending offer on it, all in one transaction
+   * @param {string} id - Offer ID
+   * @returns {Promise<{offer: Offer, closed: Offer[]}|null>} - Null if the offer was no longer pending
+   * @throws {Error} - If the listing is inactive or already under offer
+   */
+  async accept(id) {
+    return withTransaction(async client => {
+      const offer = await this.transition(id, 'pending', 'accepted', client);
+      if (!offer) {
+        return null;
+      }
+
+      const listingResult = await client.query(
+        `UPDATE listings
+        SET status = 'under_offer', under_offer_at = NOW(), status_changed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'active'`,
+        [offer.listingId]
+      );
+
+      if (listingResult.rowCount === 0) {
+        throw new Error('Listing is no longer available');
+      }
+
+      const closed = await this.closePendingForListing(offer.listingId, client);
+
+      return { offer, closed };
+    });
+  }
+
+  /**
+   * Mark an accepted offer as fallen through and put its listing back on the
+   * market, all in one transaction
+   * @param {string} id - Offer ID
+   * @returns {Promise<Offer|null>} - Null if the offer was no longer accepted
+   * @throws {Error} - If the listing isn't under offer or a payment is in progress
+   */
+  async fallThrough(id) {
+    return withTransaction(async client => {
+      const offer = await this.transition(id, 'accepted', 'fell_through', client);
+      if (!offer) {
+        return null;
+      }
+
+      // Same statuses as idx_payments_one_active: money is moving or has moved
+      const paymentResult = await client.query(
+        `SELECT 1 FROM payments
+        WHERE listing_id = $1 AND status IN ('requires_payment', 'held', 'disputed', 'released')
+        LIMIT 1`,
+        [offer.listingId]
+      );
+
+      if (paymentResult.rowCount > 0) {
+        throw new Error('Cannot reopen the listing while a payment for it is in progress');
+      }
+
+      const listingResult = await client.query(
+        `UPDATE listings
+        SET status = 'active', is_active = true, under_offer_at = NULL, status_changed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'under_offer'`,
+        [offer.listingId]
+      );
+
+      if (listingResult.rowCount === 0) {
+        throw new Error('Cannot reopen a listing that is no longer under offer');
+      }
+
+      return offer;
+    });
+  }
+
+  /**
+   * Close every pending offer on a listing
+   * @param {string} listingId - Listing ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Offer[]>} - Offers that were closed
+   */
+  async closePendingForListing(listingId, client = this.pool) {
+    const result = await client.query(
+      `UPDATE offers
+      SET status = 'closed', updated_at = NOW()
+      WHERE listing_id = $1 AND status = 'pending'
+      RETURNING id`,
+      [listingId]
+    );
+
+    return Promise.all(result.rows.map(row => this.findById(row.id, client)));
+  }
+
+  /**
+   * Expire every pending offer past its expiry time
+   * @returns {Promise<Offer[]>} - Offers that were expired
+   */
+  async expireDue() {
+    const result = await this.pool.query(
+      `UPDATE offers
+      SET status = 'expired', updated_at = NOW()
+      WHERE status = 'pending' AND expires_at <= NOW()
+      RETURNING id`
+    );
+
+    return Promise.all(result.rows.map(row => this.findById(row.id)));
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Offer model
+   * @param {Object} dbOffer - Database offer record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbOfferToModel(dbOffer) {
+    return {
+      id: dbOffer.id,
+      listingId: dbOffer.listing_id,
+      buyerId: dbOffer.buyer_id,
+      sellerId: dbOffer.seller_id,
+      proposedBy: dbOffer.proposed_by,
+      amount: dbOffer.amount,
+      message: dbOffer.message,
+      status: dbOffer.status,
+      parentOfferId: dbOffer.parent_offer_id,
+      expiresAt: dbOffer.expires_at,
+      respondedAt: dbOffer.responded_at,
+      createdAt: dbOffer.created_at,
+      updatedAt: dbOffer.updated_at,
+      listingTitle: dbOffer.listing_title,
+      buyerName: dbOffer.buyer_name
+    };
+  }
+}
+
+module.exports = OfferRepository;
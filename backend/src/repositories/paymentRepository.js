@@ -0,0 +1,323 @@
+// backend/src/repositories/paymentRepository.js
+const { getPool } = require('../utils/db');
+const Payment = require('../models/payment');
+
+/**
+ * Payment columns that can be changed after creation, camelCase -> snake_case
+ */
+const UPDATABLE_FIELDS = {
+  status: 'status',
+  providerReference: 'provider_reference',
+  refundedAmount: 'refunded_amount',
+  failureReason: 'failure_reason',
+  disputeReason: 'dispute_reason',
+  heldAt: 'held_at',
+  releaseAfter: 'release_after',
+  disputedAt: 'disputed_at',
+  releasedAt: 'released_at'
+};
+
+class PaymentRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a payment by ID
+   * @param {string} id - Payment ID
+   * @param {Object} client - Optional client to run the query on
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
+   * @returns {Promise<Payment|null>}
+   */
+  async findById(id, client = this.pool, forUpdate = false) {
+    const result = await client.query(
+      `SELECT * FROM payments WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Payment(this.mapDbPaymentToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a payment by its provider charge reference
+   * @param {string} provider - Provider name
+   * @param {string} reference - Charge reference
+   * @param {Object} client - Optional client to run the query on
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
+   * @returns {Promise<Payment|null>}
+   */
+  async findByProviderReference(provider, reference, client = this.pool, forUpdate = false) {
+    const result = await client.query(
+      `SELECT * FROM payments WHERE provider = $1 AND provider_reference = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+      [provider, reference]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Payment(this.mapDbPaymentToModel(result.rows[0]));
+  }
+
+  /**
+   * Find payments a user made or receives, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} options.role - "buyer" or "seller" to only match that side (optional)
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Page offset
+   * @returns {Promise<{payments: Payment[], total: number}>}
+   */
+  async findByUser(userId, { role, limit = 20, offset = 0 } = {}) {
+    let where = 'WHERE (buyer_id = $1 OR seller_id = $1)';
+    if (role === 'buyer') {
+      where = 'WHERE buyer_id = $1';
+    } else if (role === 'seller') {
+      where = 'WHERE seller_id = $1';
+    }
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM payments ${where} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*)::int AS total FROM payments ${where}`, [userId])
+    ]);
+
+    return {
+      payments: rows.rows.map(row => new Payment(this.mapDbPaymentToModel(row))),
+      total: count.rows[0].total
+    };
+  }
+
+  /**
+   * Find payments in a status, oldest first
+   * @param {string} status - Payment status
+   * @param {number} limit - Maximum number of payments
+   * @returns {Promise<Payment[]>}
+   */
+  async findByStatus(status, limit = 100) {
+    const result = await this.pool.query(
+      'SELECT * FROM payments WHERE status = $1 ORDER BY updated_at LIMIT $2',
+      [status, limit]
+    );
+    return result.rows.map(row => new Payment(this.mapDbPaymentToModel(row)));
+  }
+
+  /**
+   * Find held payments whose dispute window has passed
+   * @param {number} limit - Maximum number of payments
+   * @returns {Promise<string[]>} - Payment IDs
+   */
+  async findReleaseDue(limit = 100) {
+    const result = await this.pool.query(
+      `SELECT id FROM payments
+      WHERE status = 'held' AND release_after <= NOW()
+      ORDER BY release_after
+      LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Find payments still waiting for the buyer after a cutoff
+   * @param {Date} createdBefore - Cutoff
+   * @param {number} limit - Maximum number of payments
+   * @returns {Promise<string[]>} - Payment IDs
+   */
+  async findUnpaidBefore(createdBefore, limit = 100) {
+    const result = await this.pool.query(
+      `SELECT id FROM payments
+      WHERE status = 'requires_payment' AND created_at < $1
+      ORDER BY created_at
+      LIMIT $2`,
+      [createdBefore, limit]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Create a payment
+   * @param {Payment} payment - Payment instance to create
+   * @returns {Promise<Payment>}
+   */
+  async create(payment) {
+    const query = `
+      INSERT INTO payments (
+        id, listing_id, offer_id, buyer_id, seller_id, amount, currency,
+        status, provider, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      payment.id,
+      payment.listingId,
+      payment.offerId,
+      payment.buyerId,
+      payment.sellerId,
+      payment.amount,
+      payment.currency,
+      payment.status,
+      payment.provider,
+      payment.createdAt,
+      payment.updatedAt
+    ]);
+
+    return new Payment(this.mapDbPaymentToModel(result.rows[0]));
+  }
+
+  /**
+   * Update a payment
+   * @param {string} id - Payment ID
+   * @param {Object} updates - Fields to update (keys of UPDATABLE_FIELDS)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Payment>}
+   */
+  async update(id, updates, client = this.pool) {
+    const setFields = [];
+    const values = [id];
+
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        setFields.push(`${column} = $${values.length}`);
+      }
+    }
+
+    setFields.push('updated_at = NOW()');
+
+    const result = await client.query(
+      `UPDATE payments SET ${setFields.join(', ')} WHERE id = $1 RETURNING *`,
+      values
+    );
+
+    return new Payment(this.mapDbPaymentToModel(result.rows[0]));
+  }
+
+  /**
+   * Append an entry to the payment ledger
+   * @param {Object} entry - Ledger entry
+   * @param {string} entry.paymentId - Payment ID
+   * @param {string} entry.entryType - "charge", "release" or "refund"
+   * @param {number} entry.amount - Signed amount; charges add to escrow, releases and refunds take from it
+   * @param {string} entry.currency - ISO currency code
+   * @param {string} entry.providerReference - Provider reference for the money movement (optional)
+   * @param {string} entry.actorId - User who caused the entry; null for the system (optional)
+   * @param {string} entry.note - Free-text note (optional)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<void>}
+   */
+  async addLedgerEntry(entry, client = this.pool) {
+    const query = `
+      INSERT INTO payment_ledger (
+        payment_id, entry_type, amount, currency, provider_reference, actor_id, note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+
+    await client.query(query, [
+      entry.paymentId,
+      entry.entryType,
+      entry.amount,
+      entry.currency,
+      entry.providerReference || null,
+      entry.actorId || null,
+      entry.note || null
+    ]);
+  }
+
+  /**
+   * Get a payment's ledger entries in order
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object[]>}
+   */
+  async findLedger(paymentId) {
+    const result = await this.pool.query(
+      'SELECT * FROM payment_ledger WHERE payment_id = $1 ORDER BY id',
+      [paymentId]
+    );
+
+    return result.rows.map(row => ({
+      id: Number(row.id),
+      entryType: row.entry_type,
+      amount: Number(row.amount),
+      currency: row.currency,
+      providerReference: row.provider_reference,
+      actorId: row.actor_id,
+      note: row.note,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Record a received webhook event
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @param {string} eventType - Event type
+   * @returns {Promise<boolean>} - False if the event was already processed
+   */
+  async recordWebhookEvent(provider, eventId, eventType) {
+    await this.pool.query(
+      `INSERT INTO payment_webhook_events (provider, event_id, event_type)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (provider, event_id) DO NOTHING`,
+      [provider, eventId, eventType]
+    );
+
+    const result = await this.pool.query(
+      'SELECT processed_at FROM payment_webhook_events WHERE provider = $1 AND event_id = $2',
+      [provider, eventId]
+    );
+
+    return !result.rows[0].processed_at;
+  }
+
+  /**
+   * Mark a webhook event as processed
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<void>}
+   */
+  async markWebhookProcessed(provider, eventId) {
+    await this.pool.query(
+      'UPDATE payment_webhook_events SET processed_at = NOW() WHERE provider = $1 AND event_id = $2',
+      [provider, eventId]
+    );
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Payment model
+   * @param {Object} dbPayment - Database payment record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbPaymentToModel(dbPayment) {
+    return {
+      id: dbPayment.id,
+      listingId: dbPayment.listing_id,
+      offerId: dbPayment.offer_id,
+      buyerId: dbPayment.buyer_id,
+      sellerId: dbPayment.seller_id,
+      amount: dbPayment.amount,
+      currency: dbPayment.currency,
+      status: dbPayment.status,
+      provider: dbPayment.provider,
+      providerReference: dbPayment.provider_reference,
+      refundedAmount: dbPayment.refunded_amount,
+      failureReason: dbPayment.failure_reason,
+      disputeReason: dbPayment.dispute_reason,
+      heldAt: dbPayment.held_at,
+      releaseAfter: dbPayment.release_after,
+      disputedAt: dbPayment.disputed_at,
+      releasedAt: dbPayment.released_at,
+      createdAt: dbPayment.created_at,
+      updatedAt: dbPayment.updated_at
+    };
+  }
+}
+
+module.exports = PaymentRepository;
@@ -0,0 +1,215 @@
+// backend/src/repositories/reportRepository.js
+const { getPool } = require('../utils/db');
+const Report = require('../models/report');
+
+/**
+ * Reports with the reporter's name, a label for the target and how many
+ * people currently have a pending report on the same target
+ */
+const REPORT_SELECT = `
+  SELECT
+    r.*,
+    ru.first_name || ' ' || ru.last_name AS reporter_name,
+    COALESCE(tl.title, tu.first_name || ' ' || tu.last_name) AS target_label,
+    (
+      SELECT COUNT(DISTINCT p.reporter_id)::int FROM reports p
+      WHERE p.target_type = r.target_type AND p.target_id = r.target_id
+        AND p.status IN ('open', 'triaged')
+    ) AS target_report_count
+  FROM reports r
+  JOIN users ru ON ru.id = r.reporter_id
+  LEFT JOIN listings tl ON r.target_type = 'listing' AND tl.id = r.target_id
+  LEFT JOIN users tu ON r.target_type = 'user' AND tu.id = r.target_id
+`;
+
+class ReportRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a report by ID
+   * @param {string} id - Report ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<Report|null>}
+   */
+  async findById(id, client = this.pool) {
+    const result = await client.query(`${REPORT_SELECT} WHERE r.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Report(this.mapDbReportToModel(result.rows[0]));
+  }
+
+  /**
+   * Find reports for the moderation queue; targets with the most pending reports come first
+   * @param {Object} filters - Query filters
+   * @param {string[]} filters.statuses - Only reports in these statuses
+   * @param {string} filters.targetType - Only reports on listings or users (optional)
+   * @param {string} filters.category - Only reports in this category (optional)
+   * @param {string} filters.targetId - Only reports on this listing or user (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<{reports: Report[], total: number}>}
+   */
+  async findQueue({ statuses, targetType, category, targetId, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (statuses && statuses.length) {
+      values.push(statuses);
+      conditions.push(`r.status = ANY($${values.length})`);
+    }
+
+    const filters = {
+      'r.target_type': targetType,
+      'r.category': category,
+      'r.target_id': targetId
+    };
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `${REPORT_SELECT}
+        ${where}
+        ORDER BY target_report_count DESC, r.created_at ASC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) FROM reports r ${where}`, values)
+    ]);
+
+    return {
+      reports: result.rows.map(row => new Report(this.mapDbReportToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Find reports a user made, newest first
+   * @param {string} reporterId - Reporting user ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Page offset
+   * @returns {Promise<{reports: Report[], total: number}>}
+   */
+  async findByReporter(reporterId, { limit = 20, offset = 0 } = {}) {
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `${REPORT_SELECT} WHERE r.reporter_id = $1 ORDER BY r.created_at DESC LIMIT $2 OFFSET $3`,
+        [reporterId, limit, offset]
+      ),
+      this.pool.query('SELECT COUNT(*) FROM reports WHERE reporter_id = $1', [reporterId])
+    ]);
+
+    return {
+      reports: result.rows.map(row => new Report(this.mapDbReportToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Count the distinct users with a pending report on a target
+   * @param {string} targetType - "listing" or "user"
+   * @param {string} targetId - Target ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<number>}
+   */
+  async countPendingReporters(targetType, targetId, client = this.pool) {
+    const result = await client.query(
+      `SELECT COUNT(DISTINCT reporter_id)::int AS total FROM reports
+      WHERE target_type = $1 AND target_id = $2 AND status IN ('open', 'triaged')`,
+      [targetType, targetId]
+    );
+    return result.rows[0].total;
+  }
+
+  /**
+   * Create a report
+   * @param {Report} report - Report instance to create
+   * @returns {Promise<Report>}
+   */
+  async create(report) {
+    const query = `
+      INSERT INTO reports (
+        id, reporter_id, target_type, target_id, category, details, status, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `;
+
+    await this.pool.query(query, [
+      report.id,
+      report.reporterId,
+      report.targetType,
+      report.targetId,
+      report.category,
+      report.details,
+      report.status,
+      report.createdAt,
+      report.updatedAt
+    ]);
+
+    return this.findById(report.id);
+  }
+
+  /**
+   * Move a report from one status to another. Fails if a moderator changed it first.
+   * @param {string} id - Report ID
+   * @param {string} from - Expected current status
+   * @param {string} to - New status
+   * @param {Object} resolution - Resolution details
+   * @param {string} resolution.note - Moderator's note
+   * @param {string} resolution.resolvedBy - Moderating admin
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - False if the report wasn't in the expected status
+   */
+  async transition(id, from, to, { note, resolvedBy }, client = this.pool) {
+    const isFinal = to === 'actioned' || to === 'dismissed';
+
+    const result = await client.query(
+      `UPDATE reports
+      SET status = $3, resolution_note = $4, resolved_by = $5,
+        resolved_at = ${isFinal ? 'NOW()' : 'NULL'}, updated_at = NOW()
+      WHERE id = $1 AND status = $2`,
+      [id, from, to, note, resolvedBy]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Report model
+   * @param {Object} dbReport - Database report record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbReportToModel(dbReport) {
+    return {
+      id: dbReport.id,
+      reporterId: dbReport.reporter_id,
+      targetType: dbReport.target_type,
+      targetId: dbReport.target_id,
+      category: dbReport.category,
+      details: dbReport.details,
+      status: dbReport.status,
+      resolutionNote: dbReport.resolution_note,
+      resolvedBy: dbReport.resolved_by,
+      resolvedAt: dbReport.resolved_at,
+      createdAt: dbReport.created_at,
+      updatedAt: dbReport.updated_at,
+      reporterName: dbReport.reporter_name,
+      targetLabel: dbReport.target_label,
+      targetReportCount: dbReport.target_report_count
+    };
+  }
+}
+
+module.exports = ReportRepository;
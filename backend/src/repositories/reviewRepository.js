@@ -0,0 +1,168 @@
+// backend/src/repositories/reviewRepository.js
+const { getPool } = require('../utils/db');
+const Review = require('../models/review');
+
+/**
+ * Reviews with the reviewer's display name and the listing title
+ */
+const REVIEW_SELECT = `
+  SELECT r.*,
+    TRIM(CONCAT(u.first_name, ' ', LEFT(u.last_name, 1))) AS reviewer_name,
+    l.title AS listing_title
+  FROM reviews r
+  JOIN users u ON u.id = r.reviewer_id
+  JOIN listings l ON l.id = r.listing_id
+`;
+
+class ReviewRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a review by ID
+   * @param {string} id - Review ID
+   * @returns {Promise<Review|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query(`${REVIEW_SELECT} WHERE r.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Review(this.mapDbReviewToModel(result.rows[0]));
+  }
+
+  /**
+   * List a seller's reviews, newest first
+   * @param {string} sellerId - Seller ID
+   * @param {number} limit - Page size
+   * @param {number} offset - Page offset
+   * @returns {Promise<{reviews: Review[], total: number}>}
+   */
+  async findBySeller(sellerId, limit = 20, offset = 0) {
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `${REVIEW_SELECT} WHERE r.seller_id = $1 ORDER BY r.created_at DESC LIMIT $2 OFFSET $3`,
+        [sellerId, limit, offset]
+      ),
+      this.pool.query('SELECT COUNT(*)::int AS total FROM reviews WHERE seller_id = $1', [sellerId])
+    ]);
+
+    return {
+      reviews: rows.rows.map(row => new Review(this.mapDbReviewToModel(row))),
+      total: count.rows[0].total
+    };
+  }
+
+  /**
+   * Check whether a user already reviewed a listing
+   * @param {string} reviewerId - Reviewer ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<boolean>}
+   */
+  async existsForListing(reviewerId, listingId) {
+    const result = await this.pool.query(
+      'SELECT EXISTS (SELECT 1 FROM reviews WHERE reviewer_id = $1 AND listing_id = $2) AS exists',
+      [reviewerId, listingId]
+    );
+    return result.rows[0].exists;
+  }
+
+  /**
+   * Compute a seller's average rating and review count
+   * @param {string} sellerId - Seller ID
+   * @returns {Promise<{averageRating: number|null, reviewCount: number}>}
+   */
+  async getAggregate(sellerId) {
+    const query = `
+      SELECT ROUND(AVG(rating)::numeric, 2) AS average_rating, COUNT(*)::int AS review_count
+      FROM reviews
+      WHERE seller_id = $1
+    `;
+
+    const result = await this.pool.query(query, [sellerId]);
+    const row = result.rows[0];
+
+    return {
+      averageRating: row.average_rating === null ? null : Number(row.average_rating),
+      reviewCount: row.review_count
+    };
+  }
+
+  /**
+   * Create a new review
+   * @param {Review} review - Review instance to create
+   * @returns {Promise<Review>} - Created review
+   */
+  async create(review) {
+    const query = `
+      INSERT INTO reviews (
+        id, seller_id, reviewer_id, listing_id, rating, body, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      review.id,
+      review.sellerId,
+      review.reviewerId,
+      review.listingId,
+      review.rating,
+      review.body,
+      review.createdAt,
+      review.updatedAt
+    ]);
+
+    return new Review(this.mapDbReviewToModel(result.rows[0]));
+  }
+
+  /**
+   * Add the seller's reply to a review that has none yet
+   * @param {string} id - Review ID
+   * @param {string} sellerId - Seller ID (must own the review)
+   * @param {string} reply - Reply text
+   * @returns {Promise<Review|null>} - Updated review, or null if not found or already replied
+   */
+  async setReply(id, sellerId, reply) {
+    const query = `
+      UPDATE reviews
+      SET reply = $3, replied_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND seller_id = $2 AND reply IS NULL
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [id, sellerId, reply]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Review(this.mapDbReviewToModel(result.rows[0]));
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Review model
+   * @param {Object} dbReview - Database review record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbReviewToModel(dbReview) {
+    return {
+      id: dbReview.id,
+      sellerId: dbReview.seller_id,
+      reviewerId: dbReview.reviewer_id,
+      listingId: dbReview.listing_id,
+      rating: dbReview.rating,
+      body: dbReview.body,
+      reply: dbReview.reply,
+      repliedAt: dbReview.replied_at,
+      createdAt: dbReview.created_at,
+      updatedAt: dbReview.updated_at,
+      reviewerName: dbReview.reviewer_name,
+      listingTitle: dbReview.listing_title
+    };
+  }
+}
+
+module.exports = ReviewRepository;
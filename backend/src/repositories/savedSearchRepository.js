@@ -0,0 +1,181 @@
+// backend/src/repositories/savedSearchRepository.js
+const { getPool } = require('../utils/db');
+const SavedSearch = require('../models/savedSearch');
+
+class SavedSearchRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a saved search by ID
+   * @param {string} id - Saved search ID
+   * @returns {Promise<SavedSearch|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM saved_searches WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new SavedSearch(this.mapDbSavedSearchToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a user's saved searches, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<SavedSearch[]>}
+   */
+  async findByUser(userId) {
+    const result = await this.pool.query(
+      'SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => new SavedSearch(this.mapDbSavedSearchToModel(row)));
+  }
+
+  /**
+   * Count a user's saved searches
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countByUser(userId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) FROM saved_searches WHERE user_id = $1',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Find searches due for an alert run, oldest check first, with their owner's contact details
+   * @param {number} limit - Maximum number of searches
+   * @returns {Promise<Array<{search: SavedSearch, user: {email: string, firstName: string}}>>}
+   */
+  async findDue(limit = 100) {
+    const query = `
+      SELECT s.*, u.email, u.first_name
+      FROM saved_searches s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.frequency = 'instant'
+        OR (s.frequency = 'daily' AND s.last_checked_at <= NOW() - INTERVAL '1 day')
+        OR (s.frequency = 'weekly' AND s.last_checked_at <= NOW() - INTERVAL '7 days')
+      ORDER BY s.last_checked_at
+      LIMIT $1
+    `;
+
+    const result = await this.pool.query(query, [limit]);
+    return result.rows.map(row => ({
+      search: new SavedSearch(this.mapDbSavedSearchToModel(row)),
+      user: { email: row.email, firstName: row.first_name }
+    }));
+  }
+
+  /**
+   * Create a saved search
+   * @param {SavedSearch} savedSearch - Saved search instance to create
+   * @returns {Promise<SavedSearch>}
+   */
+  async create(savedSearch) {
+    const query = `
+      INSERT INTO saved_searches (
+        id, user_id, name, criteria, frequency, last_checked_at, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      savedSearch.id,
+      savedSearch.userId,
+      savedSearch.name,
+      savedSearch.criteria,
+      savedSearch.frequency,
+      savedSearch.lastCheckedAt,
+      savedSearch.createdAt,
+      savedSearch.updatedAt
+    ]);
+
+    return new SavedSearch(this.mapDbSavedSearchToModel(result.rows[0]));
+  }
+
+  /**
+   * Update a saved search's name, criteria or frequency
+   * @param {string} id - Saved search ID
+   * @param {Object} updates - Fields to update (name, criteria, frequency)
+   * @returns {Promise<SavedSearch|null>} - Updated search or null if not found
+   */
+  async update(id, { name, criteria, frequency }) {
+    const query = `
+      UPDATE saved_searches
+      SET name = COALESCE($2, name),
+        criteria = COALESCE($3, criteria),
+        frequency = COALESCE($4, frequency),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      id,
+      name === undefined ? null : name,
+      criteria === undefined ? null : criteria,
+      frequency === undefined ? null : frequency
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new SavedSearch(this.mapDbSavedSearchToModel(result.rows[0]));
+  }
+
+  /**
+   * Record an alert run so the next one only looks at newer listings
+   * @param {string} id - Saved search ID
+   * @param {Date} checkedAt - Upper bound of the listings the run covered
+   * @param {boolean} notified - Whether an alert was sent
+   * @returns {Promise<void>}
+   */
+  async markChecked(id, checkedAt, notified) {
+    const query = `
+      UPDATE saved_searches
+      SET last_checked_at = $2,
+        last_notified_at = CASE WHEN $3 THEN $2 ELSE last_notified_at END
+      WHERE id = $1
+    `;
+
+    await this.pool.query(query, [id, checkedAt, notified]);
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   * @returns {Promise<boolean>} - True if a search was deleted
+   */
+  async delete(id) {
+    const result = await this.pool.query('DELETE FROM saved_searches WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the SavedSearch model
+   * @param {Object} dbSavedSearch - Database saved search record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbSavedSearchToModel(dbSavedSearch) {
+    return {
+      id: dbSavedSearch.id,
+      userId: dbSavedSearch.user_id,
+      name: dbSavedSearch.name,
+      criteria: dbSavedSearch.criteria,
+      frequency: dbSavedSearch.frequency,
+      lastCheckedAt: dbSavedSearch.last_checked_at,
+      lastNotifiedAt: dbSavedSearch.last_notified_at,
+      createdAt: dbSavedSearch.created_at,
+      updatedAt: dbSavedSearch.updated_at
+    };
+  }
+}
+
+module.exports = SavedSearchRepository;
@@ -0,0 +1,416 @@
+// backend/src/repositories/serviceBookingRepository.js
+const { getPool, withTransaction } = require('../utils/db');
+const { v4: uuidv4 } = require('uuid');
+const ServiceSchedule = require('../models/serviceSchedule');
+const ServiceAppointment = require('../models/serviceAppointment');
+
+/**
+ * Appointment columns with the listing, both parties and the provider's time zone
+ */
+const APPOINTMENT_SELECT = `
+  SELECT a.*, l.title AS listing_title, l.user_id AS provider_id,
+    p.first_name || ' ' || p.last_name AS provider_name, p.email AS provider_email,
+    c.first_name || ' ' || c.last_name AS client_name, c.email AS client_email,
+    s.time_zone
+  FROM service_appointments a
+  JOIN listings l ON l.id = a.listing_id
+  JOIN users p ON p.id = l.user_id
+  JOIN users c ON c.id = a.client_id
+  LEFT JOIN service_schedules s ON s.listing_id = a.listing_id
+`;
+
+/**
+ * Service provider schedules (rules and blackouts) and appointments
+ */
+class ServiceBookingRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a listing's schedule with its rules and blackouts
+   * @param {string} listingId - Service listing ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<ServiceSchedule|null>}
+   */
+  async findSchedule(listingId, client = this.pool) {
+    const result = await client.query('SELECT * FROM service_schedules WHERE listing_id = $1', [listingId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [rules, blackouts] = await Promise.all([
+      client.query(
+        'SELECT * FROM service_availability_rules WHERE listing_id = $1 ORDER BY weekday, start_time',
+        [listingId]
+      ),
+      client.query(
+        'SELECT * FROM service_blackouts WHERE listing_id = $1 ORDER BY start_date',
+        [listingId]
+      )
+    ]);
+
+    const row = result.rows[0];
+
+    return new ServiceSchedule({
+      listingId: row.listing_id,
+      timeZone: row.time_zone,
+      slotMinutes: row.slot_minutes,
+      minNoticeHours: row.min_notice_hours,
+      horizonDays: row.horizon_days,
+      cancelCutoffHours: row.cancel_cutoff_hours,
+      maxReschedules: row.max_reschedules,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      rules: rules.rows.map(rule => ({
+        weekday: rule.weekday,
+        startTime: rule.start_time.slice(0, 5),
+        endTime: rule.end_time.slice(0, 5)
+      })),
+      blackouts: blackouts.rows.map(blackout => ({
+        id: blackout.id,
+        startDate: blackout.start_date,
+        endDate: blackout.end_date,
+        reason: blackout.reason
+      }))
+    });
+  }
+
+  /**
+   * Create or replace a schedule and its weekly rules. Blackouts are kept.
+   * @param {ServiceSchedule} schedule - Schedule to save
+   * @returns {Promise<ServiceSchedule>}
+   */
+  async saveSchedule(schedule) {
+    return withTransaction(async client => {
+      await client.query(
+        `INSERT INTO service_schedules (
+          listing_id, time_zone, slot_minutes, min_notice_hours, horizon_days,
+          cancel_cutoff_hours, max_reschedules
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (listing_id) DO UPDATE SET
+          time_zone = EXCLUDED.time_zone,
+          slot_minutes = EXCLUDED.slot_minutes,
+          min_notice_hours = EXCLUDED.min_notice_hours,
+          horizon_days = EXCLUDED.horizon_days,
+          cancel_cutoff_hours = EXCLUDED.cancel_cutoff_hours,
+          max_reschedules = EXCLUDED.max_reschedules,
+          updated_at = NOW()`,
+        [
+          schedule.listingId,
+          schedule.timeZone,
+          schedule.slotMinutes,
+          schedule.minNoticeHours,
+          schedule.horizonDays,
+          schedule.cancelCutoffHours,
+          schedule.maxReschedules
+        ]
+      );
+
+      await client.query('DELETE FROM service_availability_rules WHERE listing_id = $1', [schedule.listingId]);
+
+      for (const rule of schedule.rules) {
+        await client.query(
+          `INSERT INTO service_availability_rules (id, listing_id, weekday, start_time, end_time)
+          VALUES ($1, $2, $3, $4, $5)`,
+          [uuidv4(), schedule.listingId, rule.weekday, rule.startTime, rule.endTime]
+        );
+      }
+
+      return this.findSchedule(schedule.listingId, client);
+    });
+  }
+
+  /**
+   * Add a blackout to a schedule
+   * @param {string} listingId - Service listing ID
+   * @param {Object} blackout - { startDate, endDate, reason }
+   * @returns {Promise<Object>} - The saved blackout
+   */
+  async createBlackout(listingId, { startDate, endDate, reason }) {
+    const result = await this.pool.query(
+      `INSERT INTO service_blackouts (id, listing_id, start_date, end_date, reason)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *`,
+      [uuidv4(), listingId, startDate, endDate, reason]
+    );
+
+    const row = result.rows[0];
+    return {
+      id: row.id,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      reason: row.reason
+    };
+  }
+
+  /**
+   * Delete a blackout from a schedule
+   * @param {string} listingId - Service listing ID
+   * @param {string} blackoutId - Blackout ID
+   * @returns {Promise<boolean>} - Whether a row was deleted
+   */
+  async deleteBlackout(listingId, blackoutId) {
+    const result = await this.pool.query(
+      'DELETE FROM service_blackouts WHERE id = $1 AND listing_id = $2',
+      [blackoutId, listingId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Lock a provider's schedule row so the overlap check and the booking
+   * that depends on it can't interleave with another booking
+   * @param {string} listingId - Service listing ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async lockSchedule(listingId, client) {
+    await client.query('SELECT listing_id FROM service_schedules WHERE listing_id = $1 FOR UPDATE', [listingId]);
+  }
+
+  /**
+   * Booked appointments overlapping a time range
+   * @param {string} listingId - Service listing ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {Object} options - Options
+   * @param {string} options.excludeId - Appointment to leave out, e.g. the one being moved (optional)
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<{startsAt: Date, endsAt: Date}[]>}
+   */
+  async findBookedBetween(listingId, from, to, { excludeId = null } = {}, client = this.pool) {
+    const result = await client.query(
+      `SELECT id, starts_at, ends_at FROM service_appointments
+      WHERE listing_id = $1 AND status = 'booked' AND starts_at < $3 AND ends_at > $2
+        AND ($4::uuid IS NULL OR id <> $4)
+      ORDER BY starts_at`,
+      [listingId, from, to, excludeId]
+    );
+
+    return result.rows.map(row => ({ id: row.id, startsAt: row.starts_at, endsAt: row.ends_at }));
+  }
+
+  /**
+   * Save a new appointment
+   * @param {ServiceAppointment} appointment - Appointment to save
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<ServiceAppointment>}
+   */
+  async createAppointment(appointment, client = this.pool) {
+    await client.query(
+      `INSERT INTO service_appointments (
+        id, listing_id, client_id, starts_at, ends_at, status, address, postcode,
+        latitude, longitude, notes, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        appointment.id,
+        appointment.listingId,
+        appointment.clientId,
+        appointment.startsAt,
+        appointment.endsAt,
+        appointment.status,
+        appointment.address,
+        appointment.postcode,
+        appointment.latitude,
+        appointment.longitude,
+        appointment.notes,
+        appointment.createdAt,
+        appointment.updatedAt
+      ]
+    );
+
+    return this.findAppointmentById(appointment.id, client);
+  }
+
+  /**
+   * Find an appointment with both parties' details
+   * @param {string} id - Appointment ID
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<ServiceAppointment|null>}
+   */
+  async findAppointmentById(id, client = this.pool) {
+    const result = await client.query(`${APPOINTMENT_SELECT} WHERE a.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ServiceAppointment(this.mapDbAppointmentToModel(result.rows[0]));
+  }
+
+  /**
+   * List a provider's appointments by start time
+   * @param {string} listingId - Service listing ID
+   * @param {Object} options - Options (statuses, from, to, limit, offset)
+   * @returns {Promise<{appointments: ServiceAppointment[], total: number}>}
+   */
+  async findAppointmentsByListing(listingId, { statuses, from, to, limit = 20, offset = 0 } = {}) {
+    return this.findAppointments('a.listing_id = $1', [listingId], { statuses, from, to, limit, offset }, 'a.starts_at');
+  }
+
+  /**
+   * List a client's appointments, latest start first
+   * @param {string} clientId - Client user ID
+   * @param {Object} options - Options (statuses, from, to, limit, offset)
+   * @returns {Promise<{appointments: ServiceAppointment[], total: number}>}
+   */
+  async findAppointmentsByClient(clientId, { statuses, from, to, limit = 20, offset = 0 } = {}) {
+    return this.findAppointments('a.client_id = $1', [clientId], { statuses, from, to, limit, offset }, 'a.starts_at DESC');
+  }
+
+  /**
+   * Shared filtered, paginated appointment query
+   * @param {string} baseCondition - Condition on $1
+   * @param {Array} baseParams - Its parameters
+   * @param {Object} options - Options (statuses, from, to, limit, offset)
+   * @param {string} orderBy - ORDER BY expression
+   * @returns {Promise<{appointments: ServiceAppointment[], total: number}>}
+   */
+  async findAppointments(baseCondition, baseParams, { statuses, from, to, limit, offset }, orderBy) {
+    const params = [...baseParams];
+    const conditions = [baseCondition];
+
+    if (statuses && statuses.length > 0) {
+      params.push(statuses);
+      conditions.push(`a.status = ANY($${params.length})`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`a.ends_at > $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`a.starts_at < $${params.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(
+        `${APPOINTMENT_SELECT} ${where} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) FROM service_appointments a ${where}`, params)
+    ]);
+
+    return {
+      appointments: rows.rows.map(row => new ServiceAppointment(this.mapDbAppointmentToModel(row))),
+      total: parseInt(count.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Move a booked appointment to a new slot. The invite sequence goes up and
+   * the reminder is due again.
+   * @param {string} id - Appointment ID
+   * @param {Object} changes - Changes
+   * @param {Date} changes.startsAt - New start
+   * @param {Date} changes.endsAt - New end
+   * @param {boolean} changes.countsTowardsLimit - Whether this uses one of the client's reschedules
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - Whether the appointment was moved
+   */
+  async reschedule(id, { startsAt, endsAt, countsTowardsLimit }, client = this.pool) {
+    const result = await client.query(
+      `UPDATE service_appointments
+      SET starts_at = $2, ends_at = $3, sequence = sequence + 1,
+        reschedule_count = reschedule_count + $4, reminder_sent_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status = 'booked'`,
+      [id, startsAt, endsAt, countsTowardsLimit ? 1 : 0]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Cancel a booked appointment
+   * @param {string} id - Appointment ID
+   * @param {Object} changes - Changes
+   * @param {string} changes.cancelledBy - User cancelling
+   * @param {string} changes.reason - Why (optional)
+   * @returns {Promise<boolean>} - Whether the appointment was cancelled
+   */
+  async cancel(id, { cancelledBy, reason }) {
+    const result = await this.pool.query(
+      `UPDATE service_appointments
+      SET status = 'cancelled', cancelled_by = $2, cancellation_reason = $3,
+        sequence = sequence + 1, updated_at = NOW()
+      WHERE id = $1 AND status = 'booked'`,
+      [id, cancelledBy, reason]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Claim booked appointments starting before a time that haven't had their
+   * reminder, marking them reminded so no other worker sends it too
+   * @param {Date} before - Latest start to remind about
+   * @param {number} limit - Most appointments to claim
+   * @param {Object} client - Transaction client; the claim holds only if it commits
+   * @returns {Promise<ServiceAppointment[]>}
+   */
+  async claimDueReminders(before, limit, client) {
+    const result = await client.query(
+      `UPDATE service_appointments
+      SET reminder_sent_at = NOW()
+      WHERE id IN (
+        SELECT id FROM service_appointments
+        WHERE status = 'booked' AND reminder_sent_at IS NULL
+          AND starts_at > NOW() AND starts_at <= $1
+        ORDER BY starts_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id`,
+      [before, limit]
+    );
+
+    const appointments = [];
+    for (const row of result.rows) {
+      appointments.push(await this.findAppointmentById(row.id, client));
+    }
+    return appointments;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the ServiceAppointment model
+   * @param {Object} dbAppointment - Database appointment record with joined fields
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbAppointmentToModel(dbAppointment) {
+    return {
+      id: dbAppointment.id,
+      listingId: dbAppointment.listing_id,
+      clientId: dbAppointment.client_id,
+      startsAt: dbAppointment.starts_at,
+      endsAt: dbAppointment.ends_at,
+      status: dbAppointment.status,
+      address: dbAppointment.address,
+      postcode: dbAppointment.postcode,
+      latitude: dbAppointment.latitude,
+      longitude: dbAppointment.longitude,
+      notes: dbAppointment.notes,
+      rescheduleCount: dbAppointment.reschedule_count,
+      sequence: dbAppointment.sequence,
+      reminderSentAt: dbAppointment.reminder_sent_at,
+      cancelledBy: dbAppointment.cancelled_by,
+      cancellationReason: dbAppointment.cancellation_reason,
+      createdAt: dbAppointment.created_at,
+      updatedAt: dbAppointment.updated_at,
+      listingTitle: dbAppointment.listing_title,
+      providerId: dbAppointment.provider_id,
+      providerName: dbAppointment.provider_name,
+      providerEmail: dbAppointment.provider_email,
+      clientName: dbAppointment.client_name,
+      clientEmail: dbAppointment.client_email,
+      timeZone: dbAppointment.time_zone
+    };
+  }
+}
+
+module.exports = ServiceBookingRepository;
@@ -0,0 +1,164 @@
+// backend/src/repositories/sessionRepository.js
+const { getPool } = require('../utils/db');
+const Session = require('../models/session');
+
+class SessionRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Find a session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Session|null>}
+   */
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM sessions WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Session(this.mapDbSessionToModel(result.rows[0]));
+  }
+
+  /**
+   * Find a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Session[]>}
+   */
+  async findActiveByUserId(userId) {
+    const query = `
+      SELECT * FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+
+    const result = await this.pool.query(query, [userId]);
+    return result.rows.map(row => new Session(this.mapDbSessionToModel(row)));
+  }
+
+  /**
+   * Create a new session
+   * @param {Session} session - Session instance to create
+   * @returns {Promise<Session>}
+   */
+  async create(session) {
+    const query = `
+      INSERT INTO sessions (
+        id, user_id, refresh_token_hash, user_agent, ip_address,
+        created_at, last_used_at, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      session.id,
+      session.userId,
+      session.refreshTokenHash,
+      session.userAgent,
+      session.ipAddress,
+      session.createdAt,
+      session.lastUsedAt,
+      session.expiresAt
+    ]);
+
+    return new Session(this.mapDbSessionToModel(result.rows[0]));
+  }
+
+  /**
+   * Replace the refresh token of an active session.
+   * Only succeeds if the presented hash is still the current one, so two
+   * concurrent refreshes with the same token can't both rotate.
+   * @param {string} id - Session ID
+   * @param {string} currentHash - Hash of the presented refresh token
+   * @param {string} newHash - Hash of the new refresh token
+   * @param {Object} meta - Client details (userAgent, ipAddress)
+   * @returns {Promise<Session|null>} - Updated session or null if the rotation lost
+   */
+  async rotate(id, currentHash, newHash, { userAgent, ipAddress } = {}) {
+    const query = `
+      UPDATE sessions
+      SET previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $3,
+        rotated_at = NOW(),
+        last_used_at = NOW(),
+        user_agent = COALESCE($4, user_agent),
+        ip_address = COALESCE($5, ip_address)
+      WHERE id = $1 AND refresh_token_hash = $2
+        AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [
+      id,
+      currentHash,
+      newHash,
+      userAgent || null,
+      ipAddress || null
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Session(this.mapDbSessionToModel(result.rows[0]));
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} id - Session ID
+   * @param {string} userId - Optional owner check
+   * @returns {Promise<boolean>} - True if a session was revoked
+   */
+  async revoke(id, userId = null) {
+    const query = `
+      UPDATE sessions
+      SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR user_id = $2)
+    `;
+
+    const result = await this.pool.query(query, [id, userId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} exceptSessionId - Session to keep (optional)
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    const query = `
+      UPDATE sessions
+      SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2)
+    `;
+
+    const result = await this.pool.query(query, [userId, exceptSessionId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase for the Session model
+   * @param {Object} dbSession - Database session record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbSessionToModel(dbSession) {
+    return {
+      id: dbSession.id,
+      userId: dbSession.user_id,
+      refreshTokenHash: dbSession.refresh_token_hash,
+      previousTokenHash: dbSession.previous_token_hash,
+      rotatedAt: dbSession.rotated_at,
+      userAgent: dbSession.user_agent,
+      ipAddress: dbSession.ip_address,
+      createdAt: dbSession.created_at,
+      lastUsedAt: dbSession.last_used_at,
+      expiresAt: dbSession.expires_at,
+      revokedAt: dbSession.revoked_at
+    };
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,53 @@
+// backend/src/repositories/twoFactorPolicyRepository.js
+const { getPool } = require('../utils/db');
+
+class TwoFactorPolicyRepository {
+  constructor() {
+    this.pool = getPool();
+  }
+
+  /**
+   * Get every stored policy
+   * @returns {Promise<Object[]>} - Policies ({userType, required, updatedBy, updatedAt})
+   */
+  async findAll() {
+    const result = await this.pool.query('SELECT * FROM two_factor_policies ORDER BY user_type');
+    return result.rows.map(row => this.mapDbPolicyToModel(row));
+  }
+
+  /**
+   * Create or update the policy for a user type
+   * @param {string} userType - User type
+   * @param {boolean} required - Whether 2FA is required
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} - Saved policy
+   */
+  async upsert(userType, required, updatedBy) {
+    const query = `
+      INSERT INTO two_factor_policies (user_type, required, updated_by, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (user_type)
+      DO UPDATE SET required = EXCLUDED.required, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [userType, required, updatedBy]);
+    return this.mapDbPolicyToModel(result.rows[0]);
+  }
+
+  /**
+   * Maps snake_case database fields to camelCase
+   * @param {Object} dbPolicy - Database policy record
+   * @returns {Object} - Object with camelCase keys
+   */
+  mapDbPolicyToModel(dbPolicy) {
+    return {
+      userType: dbPolicy.user_type,
+      required: dbPolicy.required,
+      updatedBy: dbPolicy.updated_by,
+      updatedAt: dbPolicy.updated_at
+    };
+  }
+}
+
+module.exports = TwoFactorPolicyRepository;
@@ -1,12 +1,10 @@
 // backend/src/repositories/userRepository.js
-const { Pool } = require('pg');
+const { getPool } = require('../utils/db');
 const User = require('../models/user');
 
 class UserRepository {
   constructor() {
-    this.pool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-    });
+    this.pool = getPool();
   }
 
   /**
@@ -22,7 +20,7 @@ class UserRepository {
       return null;
     }
     
-    return new User(result.rows[0]);
+    return new User(this.mapDbUserToModel(result.rows[0]));
   }
 
   /**
@@ -38,21 +36,23 @@ class UserRepository {
       return null;
     }
     
-    return new User(result.rows[0]);
+    return new User(this.mapDbUserToModel(result.rows[0]));
   }
 
   /**
    * Create a new user in the database
    * @param {User} user - User instance to create
+   * @param {Object} client - Optional client to run the query on
    * @returns {Promise<User>} - Created user
    */
-  async create(user) {
+  async create(user, client = this.pool) {
     const query = `
       INSERT INTO users (
         id, email, password_hash, first_name, last_name, 
         phone, user_type, business_name, created_at, updated_at,
-        is_verified, verification_token
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        is_verified, verification_token_hash, verification_token_expires,
+        verification_sent_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
     
@@ -68,10 +68,12 @@ class UserRepository {
       user.createdAt,
       user.updatedAt,
       user.isVerified,
-      user.verificationToken
+      user.verificationTokenHash,
+      user.verificationTokenExpires,
+      user.verificationSentAt
     ];
     
-    const result = await this.pool.query(query, values);
+    const result = await client.query(query, values);
     return new User(this.mapDbUserToModel(result.rows[0]));
   }
 
@@ -79,9 +81,10 @@ class UserRepository {
    * Update an existing user
    * @param {string} id - User ID
    * @param {Object} updates - Fields to update
+   * @param {Object} client - Optional client to run the query on
    * @returns {Promise<User>} - Updated user
    */
-  async update(id, updates) {
+  async update(id, updates, client = this.pool) {
     // Build SET part of query dynamically based on provided updates
     const setFields = [];
     const values = [id];
@@ -90,7 +93,10 @@ class UserRepository {
     const validFields = [
       'email', 'password_hash', 'first_name', 'last_name', 
       'phone', 'user_type', 'business_name', 'is_verified',
-      'verification_token', 'reset_password_token', 'reset_password_expires'
+      'verification_token_hash', 'verification_token_expires', 'verification_sent_at',
+      'reset_password_token', 'reset_password_expires',
+      'two_factor_enabled', 'two_factor_secret', 'two_factor_last_step',
+      'suspended_at', 'suspension_reason'
     ];
     
     // Convert camelCase to snake_case and add to query
@@ -116,41 +122,104 @@ class UserRepository {
       RETURNING *
     `;
     
-    const result = await this.pool.query(query, values);
+    const result = await client.query(query, values);
     return new User(this.mapDbUserToModel(result.rows[0]));
   }
 
   /**
-   * Save verification token for a user
+   * Search users for the admin console, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.q - Matched against email, names and business name (optional)
+   * @param {string} filters.userType - Only users of this type (optional)
+   * @param {string} filters.status - "active", "suspended" or "unverified" (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<{users: User[], total: number}>}
+   */
+  async search({ q, userType, status, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (q) {
+      values.push(`%${q}%`);
+      const pattern = `$${values.length}`;
+      conditions.push(
+        `(email ILIKE ${pattern} OR first_name || ' ' || last_name ILIKE ${pattern} OR business_name ILIKE ${pattern})`
+      );
+    }
+
+    if (userType) {
+      values.push(userType);
+      conditions.push(`user_type = $${values.length}`);
+    }
+
+    if (status === 'suspended') {
+      conditions.push('suspended_at IS NOT NULL');
+    } else if (status === 'active') {
+      conditions.push('suspended_at IS NULL AND is_verified = true');
+    } else if (status === 'unverified') {
+      conditions.push('is_verified = false');
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM users ${where} ORDER BY created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      ),
+      this.pool.query(`SELECT COUNT(*) FROM users ${where}`, values)
+    ]);
+
+    return {
+      users: result.rows.map(row => new User(this.mapDbUserToModel(row))),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Replace a user's verification token, unless one was issued within the cooldown.
+   * The check and update are one statement, so concurrent resends can't both pass.
    * @param {string} userId - User ID
-   * @param {string} token - Verification token
-   * @returns {Promise<boolean>} - Success status
+   * @param {string} tokenHash - SHA-256 hash of the new token
+   * @param {Date} expires - When the new token stops working
+   * @param {number} cooldownMs - Minimum time since the last token was issued
+   * @param {Object} client - Optional client to run the query on
+   * @returns {Promise<boolean>} - True if the token was replaced
    */
-  async saveVerificationToken(userId, token) {
+  async replaceVerificationToken(userId, tokenHash, expires, cooldownMs, client = this.pool) {
     const query = `
       UPDATE users
-      SET verification_token = $1, updated_at = NOW()
-      WHERE id = $2
+      SET verification_token_hash = $2,
+          verification_token_expires = $3,
+          verification_sent_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+        AND is_verified = false
+        AND (verification_sent_at IS NULL OR verification_sent_at <= NOW() - ($4 * INTERVAL '1 millisecond'))
     `;
     
-    const result = await this.pool.query(query, [token, userId]);
+    const result = await client.query(query, [userId, tokenHash, expires, cooldownMs]);
     return result.rowCount > 0;
   }
 
   /**
    * Verify a user's email using their verification token
-   * @param {string} token - Verification token
-   * @returns {Promise<User|null>} - Verified user or null
+   * @param {string} tokenHash - SHA-256 hash of the verification token
+   * @returns {Promise<User|null>} - Verified user, or null if the token is unknown or expired
    */
-  async verifyEmail(token) {
+  async verifyEmail(tokenHash) {
     const query = `
       UPDATE users
-      SET is_verified = true, verification_token = NULL, updated_at = NOW()
-      WHERE verification_token = $1
+      SET is_verified = true,
+          verification_token_hash = NULL,
+          verification_token_expires = NULL,
+          updated_at = NOW()
+      WHERE verification_token_hash = $1 AND verification_token_expires > NOW()
       RETURNING *
     `;
     
-    const result = await this.pool.query(query, [token]);
+    const result = await this.pool.query(query, [tokenHash]);
     
     if (result.rows.length === 0) {
       return null;
@@ -159,6 +228,24 @@ class UserRepository {
     return new User(this.mapDbUserToModel(result.rows[0]));
   }
 
+  /**
+   * Record the TOTP time step a code was accepted for.
+   * Fails if that step (or a later one) was already used, so a code can't be replayed.
+   * @param {string} id - User ID
+   * @param {number} step - Accepted time step
+   * @returns {Promise<boolean>} - True if the step was claimed
+   */
+  async claimTwoFactorStep(id, step) {
+    const query = `
+      UPDATE users
+      SET two_factor_last_step = $2
+      WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+    `;
+    
+    const result = await this.pool.query(query, [id, step]);
+    return result.rowCount > 0;
+  }
+
   /**
    * Maps snake_case database fields to camelCase for User model
    * @param {Object} dbUser - Database user record
@@ -177,9 +264,18 @@ class UserRepository {
       createdAt: dbUser.created_at,
       updatedAt: dbUser.updated_at,
       isVerified: dbUser.is_verified,
-      verificationToken: dbUser.verification_token,
+      verificationTokenHash: dbUser.verification_token_hash,
+      verificationTokenExpires: dbUser.verification_token_expires,
+      verificationSentAt: dbUser.verification_sent_at,
       resetPasswordToken: dbUser.reset_password_token,
-      resetPasswordExpires: dbUser.reset_password_expires
+      resetPasswordExpires: dbUser.reset_password_expires,
+      twoFactorEnabled: dbUser.two_factor_enabled,
+      twoFactorSecret: dbUser.two_factor_secret,
+      twoFactorLastStep: dbUser.two_factor_last_step === null || dbUser.two_factor_last_step === undefined
+        ? null
+        : Number(dbUser.two_factor_last_step),
+      suspendedAt: dbUser.suspended_at,
+      suspensionReason: dbUser.suspension_reason
     };
   }
 }
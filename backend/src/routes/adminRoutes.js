@@ -0,0 +1,200 @@
+// backend/src/routes/adminRoutes.js
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const twoFactorController = require('../controllers/twoFactorController');
+const paymentController = require('../controllers/paymentController');
+const reportController = require('../controllers/reportController');
+const emailOutboxController = require('../controllers/emailOutboxController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authMiddleware, authorize(['admin']));
+
+/**
+ * @route GET /api/admin/2fa-policies
+ * @desc List whether two-factor authentication is required for each user type
+ * @access Private (admin)
+ */
+router.get('/2fa-policies', twoFactorController.listPolicies.bind(twoFactorController));
+
+/**
+ * @route PUT /api/admin/2fa-policies/:userType
+ * @desc Require or stop requiring two-factor authentication for a user type
+ * @access Private (admin)
+ */
+router.put('/2fa-policies/:userType', twoFactorController.updatePolicy.bind(twoFactorController));
+
+/**
+ * @route GET /api/admin/users
+ * @desc Search users (?q=&userType=&status=active|suspended|unverified&page=&limit=)
+ * @access Private (admin)
+ */
+router.get('/users', adminController.listUsers.bind(adminController));
+
+/**
+ * @route GET /api/admin/users/:userId
+ * @desc Get a user with the admin actions taken on their account
+ * @access Private (admin)
+ */
+router.get('/users/:userId', adminController.getUser.bind(adminController));
+
+/**
+ * @route POST /api/admin/users/:userId/suspend
+ * @desc Suspend an account and sign it out everywhere ({ reason })
+ * @access Private (admin)
+ */
+router.post('/users/:userId/suspend', adminController.suspendUser.bind(adminController));
+
+/**
+ * @route POST /api/admin/users/:userId/unsuspend
+ * @desc Lift a suspension ({ reason })
+ * @access Private (admin)
+ */
+router.post('/users/:userId/unsuspend', adminController.unsuspendUser.bind(adminController));
+
+/**
+ * @route PUT /api/admin/users/:userId/user-type
+ * @desc Change a user's type ({ userType: buyer|seller|admin, reason })
+ * @access Private (admin)
+ */
+router.put('/users/:userId/user-type', adminController.changeUserType.bind(adminController));
+
+/**
+ * @route POST /api/admin/users/:userId/verify-email
+ * @desc Mark a user's email as verified ({ reason })
+ * @access Private (admin)
+ */
+router.post('/users/:userId/verify-email', adminController.verifyUserEmail.bind(adminController));
+
+/**
+ * @route GET /api/admin/listings
+ * @desc Search listings, including inactive and hidden ones (?q=&listingType=&userId=&status=inactive|hidden|draft|
+ *       pending_review|active|under_offer|sold|expired|withdrawn)
+ * @access Private (admin)
+ */
+router.get('/listings', adminController.listListings.bind(adminController));
+
+/**
+ * @route GET /api/admin/listings/:listingId
+ * @desc Get a listing with the admin actions taken on it
+ * @access Private (admin)
+ */
+router.get('/listings/:listingId', adminController.getListing.bind(adminController));
+
+/**
+ * @route POST /api/admin/listings/:listingId/approve
+ * @desc Approve a listing waiting for review and put it on the market ({ reason })
+ * @access Private (admin)
+ */
+router.post('/listings/:listingId/approve', adminController.approveListing.bind(adminController));
+
+/**
+ * @route POST /api/admin/listings/:listingId/reject
+ * @desc Send a listing waiting for review back to the seller as a draft ({ reason }, emailed to them)
+ * @access Private (admin)
+ */
+router.post('/listings/:listingId/reject', adminController.rejectListing.bind(adminController));
+
+/**
+ * @route POST /api/admin/listings/:listingId/hide
+ * @desc Hide a listing from search and its public page ({ reason })
+ * @access Private (admin)
+ */
+router.post('/listings/:listingId/hide', adminController.hideListing.bind(adminController));
+
+/**
+ * @route POST /api/admin/listings/:listingId/unhide
+ * @desc Show a hidden listing again ({ reason })
+ * @access Private (admin)
+ */
+router.post('/listings/:listingId/unhide', adminController.unhideListing.bind(adminController));
+
+/**
+ * @route DELETE /api/admin/listings/:listingId
+ * @desc Delete a listing ({ reason })
+ * @access Private (admin)
+ */
+router.delete('/listings/:listingId', adminController.deleteListing.bind(adminController));
+
+/**
+ * @route GET /api/admin/reports
+ * @desc Moderation queue; pending reports by default, targets with most reports first
+ *       (?status=open|triaged|actioned|dismissed|all&targetType=&category=&targetId=)
+ * @access Private (admin)
+ */
+router.get('/reports', reportController.listQueue.bind(reportController));
+
+/**
+ * @route GET /api/admin/reports/:reportId
+ * @desc Get a report with the other reports on the same listing or user
+ * @access Private (admin)
+ */
+router.get('/reports/:reportId', reportController.getReport.bind(reportController));
+
+/**
+ * @route POST /api/admin/reports/:reportId/triage
+ * @desc Mark a report as being looked at ({ reason })
+ * @access Private (admin)
+ */
+router.post('/reports/:reportId/triage', reportController.triageReport.bind(reportController));
+
+/**
+ * @route POST /api/admin/reports/:reportId/action
+ * @desc Close a report as actioned and email the reporter ({ reason })
+ * @access Private (admin)
+ */
+router.post('/reports/:reportId/action', reportController.actionReport.bind(reportController));
+
+/**
+ * @route POST /api/admin/reports/:reportId/dismiss
+ * @desc Dismiss a report and email the reporter; an auto-hidden listing is shown again
+ *       once too few reports remain ({ reason })
+ * @access Private (admin)
+ */
+router.post('/reports/:reportId/dismiss', reportController.dismissReport.bind(reportController));
+
+/**
+ * @route GET /api/admin/audit-log
+ * @desc Read the audit trail of admin actions (?adminId=&action=&targetType=&targetId=&page=&limit=)
+ * @access Private (admin)
+ */
+router.get('/audit-log', adminController.listAuditLog.bind(adminController));
+
+/**
+ * @route GET /api/admin/payments/disputes
+ * @desc List disputed payments waiting to be resolved
+ * @access Private (admin)
+ */
+router.get('/payments/disputes', paymentController.listDisputes.bind(paymentController));
+
+/**
+ * @route POST /api/admin/payments/:paymentId/resolve
+ * @desc Resolve a dispute by releasing the funds to the seller or refunding the buyer ({ outcome: release|refund })
+ * @access Private (admin)
+ */
+router.post('/payments/:paymentId/resolve', paymentController.resolveDispute.bind(paymentController));
+
+/**
+ * @route GET /api/admin/emails
+ * @desc List outbox email; ?status=dead is the dead-letter queue (?status=&to=&page=&limit=)
+ * @access Private (admin)
+ */
+router.get('/emails', emailOutboxController.listMessages.bind(emailOutboxController));
+
+/**
+ * @route GET /api/admin/emails/:messageId
+ * @desc Get an outbox email with its send history
+ * @access Private (admin)
+ */
+router.get('/emails/:messageId', emailOutboxController.getMessage.bind(emailOutboxController));
+
+/**
+ * @route POST /api/admin/emails/:messageId/retry
+ * @desc Queue a dead-lettered email again with a fresh set of attempts
+ * @access Private (admin)
+ */
+router.post('/emails/:messageId/retry', emailOutboxController.retryMessage.bind(emailOutboxController));
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// backend/src/routes/agistmentRoutes.js
+const express = require('express');
+const agistmentController = require('../controllers/agistmentController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/agistment/listings/:listingId/calendar
+ * @desc Stalls and paddocks available per date range (?from, to as YYYY-MM-DD;
+ *       defaults to the next 90 days, at most 366)
+ * @access Public
+ */
+router.get('/listings/:listingId/calendar', agistmentController.getCalendar.bind(agistmentController));
+
+/**
+ * @route GET /api/agistment/listings/:listingId/capacity
+ * @desc List capacity periods that override the usual stall and paddock counts
+ * @access Private (owner)
+ */
+router.get('/listings/:listingId/capacity', authMiddleware, agistmentController.listCapacity.bind(agistmentController));
+
+/**
+ * @route POST /api/agistment/listings/:listingId/capacity
+ * @desc Set capacity for a date range ({ startDate, endDate, stalls, paddocks, note });
+ *       refused if it overlaps another period or leaves accepted bookings without room
+ * @access Private (owner)
+ */
+router.post('/listings/:listingId/capacity', authMiddleware, agistmentController.addCapacity.bind(agistmentController));
+
+/**
+ * @route DELETE /api/agistment/listings/:listingId/capacity/:periodId
+ * @desc Remove a capacity period
+ * @access Private (owner)
+ */
+router.delete('/listings/:listingId/capacity/:periodId', authMiddleware, agistmentController.removeCapacity.bind(agistmentController));
+
+/**
+ * @route GET /api/agistment/listings/:listingId/bookings
+ * @desc List a property's bookings (?status, from, to, page, limit)
+ * @access Private (owner)
+ */
+router.get('/listings/:listingId/bookings', authMiddleware, agistmentController.listListingBookings.bind(agistmentController));
+
+/**
+ * @route GET /api/agistment/listings/:listingId/bookings.ics
+ * @desc Download accepted and pending bookings as an iCalendar file
+ * @access Private (owner)
+ */
+router.get('/listings/:listingId/bookings.ics', authMiddleware, agistmentController.exportCalendar.bind(agistmentController));
+
+/**
+ * @route POST /api/agistment/listings/:listingId/bookings
+ * @desc Request a booking ({ unitType: stall|paddock, units, startDate, endDate, message })
+ * @access Private
+ */
+router.post('/listings/:listingId/bookings', authMiddleware, agistmentController.requestBooking.bind(agistmentController));
+
+/**
+ * @route GET /api/agistment/bookings/mine
+ * @desc List bookings you requested
+ * @access Private
+ */
+router.get('/bookings/mine', authMiddleware, agistmentController.listMyBookings.bind(agistmentController));
+
+/**
+ * @route POST /api/agistment/bookings/:bookingId/accept
+ * @desc Accept a pending booking ({ note }); refused if any day would be overbooked
+ * @access Private (owner)
+ */
+router.post('/bookings/:bookingId/accept', authMiddleware, agistmentController.acceptBooking.bind(agistmentController));
+
+/**
+ * @route POST /api/agistment/bookings/:bookingId/reject
+ * @desc Reject a pending booking ({ note })
+ * @access Private (owner)
+ */
+router.post('/bookings/:bookingId/reject', authMiddleware, agistmentController.rejectBooking.bind(agistmentController));
+
+/**
+ * @route POST /api/agistment/bookings/:bookingId/cancel
+ * @desc Cancel a pending or accepted booking ({ note })
+ * @access Private (requester or owner)
+ */
+router.post('/bookings/:bookingId/cancel', authMiddleware, agistmentController.cancelBooking.bind(agistmentController));
+
+module.exports = router;
@@ -1,9 +1,61 @@
 // backend/src/routes/authRoutes.js
 const express = require('express');
 const authController = require('../controllers/authController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
 
 const router = express.Router();
 
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rate limit for every auth route, per IP
+ */
+router.use(rateLimit({
+  name: 'auth',
+  windowMs: (parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 100
+}));
+
+/**
+ * Password reset emails, limited per IP and per target address
+ */
+const forgotPasswordLimits = [
+  rateLimit({
+    name: 'forgot-password:ip',
+    windowMs: HOUR_MS,
+    max: 10,
+    message: 'Too many password reset requests, please try again later'
+  }),
+  rateLimit({
+    name: 'forgot-password:email',
+    windowMs: HOUR_MS,
+    max: 3,
+    keyGenerator: req => String(req.body.email || '').trim().toLowerCase(),
+    message: 'Too many password reset requests, please try again later'
+  })
+];
+
+/**
+ * Verification email resends, limited per IP and one per cooldown per target address.
+ * The per-address limit applies whether or not the account exists, so it reveals nothing.
+ */
+const resendVerificationLimits = [
+  rateLimit({
+    name: 'resend-verification:ip',
+    windowMs: HOUR_MS,
+    max: 10,
+    message: 'Too many verification email requests, please try again later'
+  }),
+  rateLimit({
+    name: 'resend-verification:email',
+    windowMs: (parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_MINUTES, 10) || 2) * 60 * 1000,
+    max: 1,
+    keyGenerator: req => String(req.body.email || '').trim().toLowerCase(),
+    message: 'A verification email was sent recently, please wait a few minutes before asking again'
+  })
+];
+
 /**
  * @route POST /api/auth/register
  * @desc Register a new user
@@ -18,6 +70,48 @@ router.post('/register', authController.register.bind(authController));
  */
 router.post('/login', authController.login.bind(authController));
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @desc Complete a login with a TOTP or backup code
+ * @access Public (requires challenge token from /login)
+ */
+router.post('/login/2fa', authController.loginTwoFactor.bind(authController));
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public (requires refresh token)
+ */
+router.post('/refresh', authController.refresh.bind(authController));
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the session a refresh token belongs to
+ * @access Public (requires refresh token)
+ */
+router.post('/logout', authController.logout.bind(authController));
+
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Sign out of all devices
+ * @access Private
+ */
+router.post('/logout-all', authMiddleware, authController.logoutAll.bind(authController));
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List the current user's active sessions
+ * @access Private
+ */
+router.get('/sessions', authMiddleware, authController.listSessions.bind(authController));
+
+/**
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Revoke one of the current user's sessions
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', authMiddleware, authController.revokeSession.bind(authController));
+
 /**
  * @route GET /api/auth/verify/:token
  * @desc Verify user email
@@ -25,12 +119,30 @@ router.post('/login', authController.login.bind(authController));
  */
 router.get('/verify/:token', authController.verifyEmail.bind(authController));
 
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Email a new verification link to an unverified account ({ email })
+ * @access Public
+ */
+router.post(
+  '/resend-verification',
+  resendVerificationLimits,
+  authController.resendVerification.bind(authController)
+);
+
+/**
+ * @route GET /api/auth/unlock/:token
+ * @desc Unlock an account locked after failed logins
+ * @access Public
+ */
+router.get('/unlock/:token', authController.unlockAccount.bind(authController));
+
 /**
  * @route POST /api/auth/forgot-password
  * @desc Request password reset
  * @access Public
  */
-router.post('/forgot-password', authController.requestPasswordReset.bind(authController));
+router.post('/forgot-password', forgotPasswordLimits, authController.requestPasswordReset.bind(authController));
 
 /**
  * @route POST /api/auth/reset-password
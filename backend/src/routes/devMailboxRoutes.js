@@ -0,0 +1,30 @@
+// backend/src/routes/devMailboxRoutes.js
+const express = require('express');
+const devMailboxController = require('../controllers/devMailboxController');
+
+const router = express.Router();
+
+// Development only: index.js doesn't mount these routes in production
+
+/**
+ * @route GET /dev/mailbox
+ * @desc List email captured by the capture transport (?format=json)
+ * @access Public (development only)
+ */
+router.get('/', devMailboxController.listMessages.bind(devMailboxController));
+
+/**
+ * @route DELETE /dev/mailbox
+ * @desc Delete all captured email
+ * @access Public (development only)
+ */
+router.delete('/', devMailboxController.clearMessages.bind(devMailboxController));
+
+/**
+ * @route GET /dev/mailbox/:id
+ * @desc Show a captured email (?format=text|json|ics)
+ * @access Public (development only)
+ */
+router.get('/:id', devMailboxController.getMessage.bind(devMailboxController));
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/src/routes/emailPreviewRoutes.js
+const express = require('express');
+const emailPreviewController = require('../controllers/emailPreviewController');
+
+const router = express.Router();
+
+// Development only: index.js doesn't mount these routes in production
+
+/**
+ * @route GET /dev/emails
+ * @desc List email templates
+ * @access Public (development only)
+ */
+router.get('/', emailPreviewController.listTemplates.bind(emailPreviewController));
+
+/**
+ * @route GET /dev/emails/:name
+ * @desc Render a template with sample data (?format=text for the plain-text part)
+ * @access Public (development only)
+ */
+router.get('/:name', emailPreviewController.previewTemplate.bind(emailPreviewController));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// backend/src/routes/horseDocumentRoutes.js
+const express = require('express');
+const horseDocumentController = require('../controllers/horseDocumentController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+const { documentUpload } = require('../middleware/uploadMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+// Mounted at /api/horses/:horseId/documents
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+/**
+ * Access requests per user per day
+ */
+const accessRequestLimit = rateLimit({
+  name: 'document-access-requests',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: parseInt(process.env.DOCUMENT_ACCESS_REQUESTS_PER_DAY, 10) || 20,
+  keyGenerator: req => req.user.id,
+  message: 'Too many access requests, please try again later'
+});
+
+/**
+ * @route GET /api/horses/:horseId/documents
+ * @desc List a horse's health documents (details only), whether you can open
+ *       them, and your latest access request
+ * @access Private
+ */
+router.get('/', horseDocumentController.listDocuments.bind(horseDocumentController));
+
+/**
+ * @route POST /api/horses/:horseId/documents
+ * @desc Upload a health document (multipart: document file (PDF, JPEG or PNG),
+ *       documentType, documentDate, vetName, description)
+ * @access Private (owner)
+ */
+router.post('/', authorize(['seller']), documentUpload, horseDocumentController.uploadDocument.bind(horseDocumentController));
+
+/**
+ * @route GET /api/horses/:horseId/documents/views
+ * @desc List who opened the documents and when (?documentId, page, limit)
+ * @access Private (owner)
+ */
+router.get('/views', horseDocumentController.listViews.bind(horseDocumentController));
+
+/**
+ * @route GET /api/horses/:horseId/documents/access-requests
+ * @desc List access requests (?status=pending|granted|denied|revoked)
+ * @access Private (owner)
+ */
+router.get('/access-requests', horseDocumentController.listAccessRequests.bind(horseDocumentController));
+
+/**
+ * @route POST /api/horses/:horseId/documents/access-requests
+ * @desc Ask the owner for access ({ message, listingId })
+ * @access Private
+ */
+router.post('/access-requests', accessRequestLimit, horseDocumentController.requestAccess.bind(horseDocumentController));
+
+/**
+ * @route POST /api/horses/:horseId/documents/access-requests/:requestId/grant
+ * @desc Grant a pending request ({ days }, default DOCUMENT_ACCESS_DEFAULT_DAYS)
+ * @access Private (owner)
+ */
+router.post('/access-requests/:requestId/grant', horseDocumentController.grantAccess.bind(horseDocumentController));
+
+/**
+ * @route POST /api/horses/:horseId/documents/access-requests/:requestId/deny
+ * @desc Deny a pending request
+ * @access Private (owner)
+ */
+router.post('/access-requests/:requestId/deny', horseDocumentController.denyAccess.bind(horseDocumentController));
+
+/**
+ * @route POST /api/horses/:horseId/documents/access-requests/:requestId/revoke
+ * @desc End a grant before it expires
+ * @access Private (owner)
+ */
+router.post('/access-requests/:requestId/revoke', horseDocumentController.revokeAccess.bind(horseDocumentController));
+
+/**
+ * @route GET /api/horses/:horseId/documents/:documentId/url
+ * @desc Get a short-lived signed URL for a document; each fetch of the URL is logged as a view
+ * @access Private (owner or a buyer with an unexpired grant)
+ */
+router.get('/:documentId/url', horseDocumentController.openDocument.bind(horseDocumentController));
+
+/**
+ * @route DELETE /api/horses/:horseId/documents/:documentId
+ * @desc Delete a health document
+ * @access Private (owner)
+ */
+router.delete('/:documentId', horseDocumentController.deleteDocument.bind(horseDocumentController));
+
+module.exports = router;
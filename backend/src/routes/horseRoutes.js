@@ -0,0 +1,40 @@
+// backend/src/routes/horseRoutes.js
+const express = require('express');
+const horseController = require('../controllers/horseController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware, authorize(['seller']));
+
+/**
+ * @route GET /api/horses/mine
+ * @desc List the current seller's horse profiles
+ * @access Private (seller)
+ */
+router.get('/mine', horseController.listMyHorses.bind(horseController));
+
+/**
+ * @route POST /api/horses
+ * @desc Create a horse profile ({ name, breed, sex, color, foalingDate, markings,
+ *       microchip, ueln, registrations: [{ society, registrationNumber }],
+ *       pedigree: { sire: { name, ..., sire, dam }, dam: { ... } } })
+ * @access Private (seller)
+ */
+router.post('/', horseController.createHorse.bind(horseController));
+
+/**
+ * @route GET /api/horses/:horseId
+ * @desc Get one of your horse profiles with its pedigree tree
+ * @access Private (seller)
+ */
+router.get('/:horseId', horseController.getHorse.bind(horseController));
+
+/**
+ * @route PUT /api/horses/:horseId
+ * @desc Update a horse profile; registrations and pedigree, when sent, replace the old ones
+ * @access Private (seller)
+ */
+router.put('/:horseId', horseController.updateHorse.bind(horseController));
+
+module.exports = router;
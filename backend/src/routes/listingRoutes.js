@@ -0,0 +1,133 @@
+// backend/src/routes/listingRoutes.js
+const express = require('express');
+const listingController = require('../controllers/listingController');
+const listingImageController = require('../controllers/listingImageController');
+const offerController = require('../controllers/offerController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+const { imageUpload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/listings
+ * @desc List active listings
+ * @access Public
+ */
+router.get('/', listingController.listListings.bind(listingController));
+
+/**
+ * @route GET /api/listings/search
+ * @desc Search listings with type-specific filters and facet counts
+ * @access Public
+ */
+router.get('/search', listingController.searchListings.bind(listingController));
+
+/**
+ * @route GET /api/listings/mine
+ * @desc List the current seller's listings in every status, with watcher counts
+ *       (?status=draft|pending_review|active|under_offer|sold|expired|withdrawn)
+ * @access Private (seller)
+ */
+router.get('/mine', authMiddleware, authorize(['seller']), listingController.listMyListings.bind(listingController));
+
+/**
+ * @route GET /api/listings/:listingId
+ * @desc Get a listing on the market, or sold within the read-only period
+ * @access Public
+ */
+router.get('/:listingId', listingController.getListing.bind(listingController));
+
+/**
+ * @route POST /api/listings
+ * @desc Create a listing; it's submitted for review unless { draft: true } or
+ *       a future { publishAt } is given
+ * @access Private (seller)
+ */
+router.post('/', authMiddleware, authorize(['seller']), listingController.createListing.bind(listingController));
+
+/**
+ * @route PUT /api/listings/:listingId
+ * @desc Update a listing; sold listings are read-only and only drafts can change publishAt
+ * @access Private (owning seller)
+ */
+router.put('/:listingId', authMiddleware, authorize(['seller']), listingController.updateListing.bind(listingController));
+
+/**
+ * @route POST /api/listings/:listingId/submit
+ * @desc Submit a draft or withdrawn listing for review
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/submit', authMiddleware, authorize(['seller']), listingController.submitListing.bind(listingController));
+
+/**
+ * @route POST /api/listings/:listingId/withdraw
+ * @desc Withdraw a listing from the market
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/withdraw', authMiddleware, authorize(['seller']), listingController.withdrawListing.bind(listingController));
+
+/**
+ * @route POST /api/listings/:listingId/deactivate
+ * @desc Same as /withdraw; kept for older clients
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/deactivate', authMiddleware, authorize(['seller']), listingController.withdrawListing.bind(listingController));
+
+/**
+ * @route POST /api/listings/:listingId/renew
+ * @desc Put an expired listing back on the market, or extend an active one
+ *       in the days before it expires
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/renew', authMiddleware, authorize(['seller']), listingController.renewListing.bind(listingController));
+
+/**
+ * @route POST /api/listings/:listingId/sold
+ * @desc Mark a listing as sold (alerts users watching it)
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/sold', authMiddleware, authorize(['seller']), listingController.markListingSold.bind(listingController));
+
+/**
+ * @route DELETE /api/listings/:listingId
+ * @desc Delete a listing
+ * @access Private (owning seller)
+ */
+router.delete('/:listingId', authMiddleware, authorize(['seller']), listingController.deleteListing.bind(listingController));
+
+/**
+ * @route GET /api/listings/:listingId/offers
+ * @desc Offer history of a listing (all negotiations for the seller, your own otherwise)
+ * @access Private
+ */
+router.get('/:listingId/offers', authMiddleware, offerController.getListingOffers.bind(offerController));
+
+/**
+ * @route GET /api/listings/:listingId/images
+ * @desc Get the images of a listing in display order
+ * @access Public
+ */
+router.get('/:listingId/images', listingImageController.getImages.bind(listingImageController));
+
+/**
+ * @route POST /api/listings/:listingId/images
+ * @desc Upload images (multipart field "images") and generate renditions
+ * @access Private (owning seller)
+ */
+router.post('/:listingId/images', authMiddleware, authorize(['seller']), imageUpload, listingImageController.uploadImages.bind(listingImageController));
+
+/**
+ * @route PUT /api/listings/:listingId/images/order
+ * @desc Reorder images ({ imageIds: [...] } listing every image ID)
+ * @access Private (owning seller)
+ */
+router.put('/:listingId/images/order', authMiddleware, authorize(['seller']), listingImageController.reorderImages.bind(listingImageController));
+
+/**
+ * @route DELETE /api/listings/:listingId/images/:imageId
+ * @desc Delete an image and its renditions
+ * @access Private (owning seller)
+ */
+router.delete('/:listingId/images/:imageId', authMiddleware, authorize(['seller']), listingImageController.deleteImage.bind(listingImageController));
+
+module.exports = router;
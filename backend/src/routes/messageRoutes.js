@@ -0,0 +1,46 @@
+// backend/src/routes/messageRoutes.js
+const express = require('express');
+const messageController = require('../controllers/messageController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All message routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/messages/conversations
+ * @desc List the current user's conversations (one per listing and counterpart)
+ * @access Private
+ */
+router.get('/conversations', messageController.getConversations.bind(messageController));
+
+/**
+ * @route GET /api/messages/unread-count
+ * @desc Get the current user's unread message count
+ * @access Private
+ */
+router.get('/unread-count', messageController.getUnreadCount.bind(messageController));
+
+/**
+ * @route GET /api/messages/conversations/:listingId/:userId
+ * @desc Get the paginated message history with a user about a listing
+ * @access Private
+ */
+router.get('/conversations/:listingId/:userId', messageController.getConversation.bind(messageController));
+
+/**
+ * @route POST /api/messages/conversations/:listingId/:userId/read
+ * @desc Mark the messages received from a user about a listing as read
+ * @access Private
+ */
+router.post('/conversations/:listingId/:userId/read', messageController.markConversationRead.bind(messageController));
+
+/**
+ * @route POST /api/messages
+ * @desc Send a message about a listing
+ * @access Private
+ */
+router.post('/', messageController.sendMessage.bind(messageController));
+
+module.exports = router;
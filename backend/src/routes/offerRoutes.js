@@ -0,0 +1,66 @@
+// backend/src/routes/offerRoutes.js
+const express = require('express');
+const offerController = require('../controllers/offerController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/offers
+ * @desc List offers you made or received (?role=buyer|seller&status=pending)
+ * @access Private
+ */
+router.get('/', offerController.listMyOffers.bind(offerController));
+
+/**
+ * @route POST /api/offers
+ * @desc Make an offer on a negotiable listing ({ listingId, amount, expiresInHours, message })
+ * @access Private
+ */
+router.post('/', offerController.makeOffer.bind(offerController));
+
+/**
+ * @route GET /api/offers/:offerId
+ * @desc Get an offer you are the buyer or seller in
+ * @access Private
+ */
+router.get('/:offerId', offerController.getOffer.bind(offerController));
+
+/**
+ * @route POST /api/offers/:offerId/accept
+ * @desc Accept a pending offer; the listing goes under offer and other offers close
+ * @access Private (recipient of the offer)
+ */
+router.post('/:offerId/accept', offerController.acceptOffer.bind(offerController));
+
+/**
+ * @route POST /api/offers/:offerId/decline
+ * @desc Decline a pending offer
+ * @access Private (recipient of the offer)
+ */
+router.post('/:offerId/decline', offerController.declineOffer.bind(offerController));
+
+/**
+ * @route POST /api/offers/:offerId/counter
+ * @desc Answer a pending offer with a new amount ({ amount, expiresInHours, message })
+ * @access Private (recipient of the offer)
+ */
+router.post('/:offerId/counter', offerController.counterOffer.bind(offerController));
+
+/**
+ * @route POST /api/offers/:offerId/withdraw
+ * @desc Withdraw a pending offer you made
+ * @access Private (maker of the offer)
+ */
+router.post('/:offerId/withdraw', offerController.withdrawOffer.bind(offerController));
+
+/**
+ * @route POST /api/offers/:offerId/fall-through
+ * @desc Call off the sale agreed by an accepted offer; the listing goes back on the market
+ * @access Private (buyer or seller of the offer)
+ */
+router.post('/:offerId/fall-through', offerController.fallThrough.bind(offerController));
+
+module.exports = router;
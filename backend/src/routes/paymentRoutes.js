@@ -0,0 +1,60 @@
+// backend/src/routes/paymentRoutes.js
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/payments
+ * @desc List payments you made or receive (?role=buyer|seller)
+ * @access Private
+ */
+router.get('/', paymentController.listMyPayments.bind(paymentController));
+
+/**
+ * @route POST /api/payments
+ * @desc Pay for an accepted offer ({ offerId }) or a fixed price listing ({ listingId });
+ *       returns a client secret for completing the charge with the provider
+ * @access Private
+ */
+router.post('/', paymentController.createPayment.bind(paymentController));
+
+/**
+ * @route GET /api/payments/:paymentId
+ * @desc Get a payment you are the buyer or seller of, with its ledger
+ * @access Private
+ */
+router.get('/:paymentId', paymentController.getPayment.bind(paymentController));
+
+/**
+ * @route POST /api/payments/:paymentId/confirm
+ * @desc Confirm you received the item, releasing the held funds to the seller
+ * @access Private (buyer)
+ */
+router.post('/:paymentId/confirm', paymentController.confirmReceipt.bind(paymentController));
+
+/**
+ * @route POST /api/payments/:paymentId/dispute
+ * @desc Dispute a held payment within the dispute window ({ reason })
+ * @access Private (buyer)
+ */
+router.post('/:paymentId/dispute', paymentController.openDispute.bind(paymentController));
+
+/**
+ * @route POST /api/payments/:paymentId/refund
+ * @desc Refund all or part of a held or disputed payment ({ amount, reason })
+ * @access Private (seller or admin)
+ */
+router.post('/:paymentId/refund', paymentController.refundPayment.bind(paymentController));
+
+/**
+ * @route POST /api/payments/:paymentId/simulate
+ * @desc Have the fake provider complete or fail the charge ({ outcome: succeeded|failed })
+ * @access Private (buyer; not available in production)
+ */
+router.post('/:paymentId/simulate', paymentController.simulateCharge.bind(paymentController));
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// backend/src/routes/paymentWebhookRoutes.js
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Signatures are computed over the exact bytes sent, so keep the body raw.
+// Mounted before express.json() in index.js for the same reason.
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+/**
+ * @route POST /api/payments/webhooks/:provider
+ * @desc Receive signed charge events from the payment provider
+ * @access Public (verified by signature)
+ */
+router.post('/:provider', paymentController.handleWebhook.bind(paymentController));
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// backend/src/routes/privateFileRoutes.js
+const express = require('express');
+const privateFileController = require('../controllers/privateFileController');
+
+const router = express.Router();
+
+// Local storage driver only: index.js mounts these at PRIVATE_FILE_BASE_URL
+
+/**
+ * @route GET /private-files/:key
+ * @desc Download a private file (?expires=&signature=&context= from a signed URL)
+ * @access Public (signed URL)
+ */
+router.get('/*', privateFileController.serveFile.bind(privateFileController));
+
+module.exports = router;
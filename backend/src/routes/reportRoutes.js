@@ -0,0 +1,37 @@
+// backend/src/routes/reportRoutes.js
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * Reports submitted per user per day
+ */
+const reportLimit = rateLimit({
+  name: 'reports',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: parseInt(process.env.REPORT_RATE_LIMIT_PER_DAY, 10) || 10,
+  keyGenerator: req => req.user.id,
+  message: 'Too many reports, please try again later'
+});
+
+/**
+ * @route GET /api/reports
+ * @desc List reports you made and their status
+ * @access Private
+ */
+router.get('/', reportController.listMyReports.bind(reportController));
+
+/**
+ * @route POST /api/reports
+ * @desc Report a listing or user ({ targetType: listing|user, targetId,
+ *       category: scam|animal_welfare|wrong_category|offensive, details })
+ * @access Private
+ */
+router.post('/', reportLimit, reportController.createReport.bind(reportController));
+
+module.exports = router;
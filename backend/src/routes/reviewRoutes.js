@@ -0,0 +1,39 @@
+// backend/src/routes/reviewRoutes.js
+const express = require('express');
+const reviewController = require('../controllers/reviewController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+const router = express.Router();
+
+/**
+ * Reviews posted per user per day
+ */
+const reviewLimit = rateLimit({
+  name: 'reviews',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: parseInt(process.env.REVIEW_RATE_LIMIT_PER_DAY, 10) || 5,
+  keyGenerator: req => req.user.id,
+  message: 'Too many reviews, please try again later'
+});
+
+/**
+ * @route POST /api/reviews
+ * @desc Review the seller of a listing you exchanged messages about
+ * @access Private
+ */
+router.post('/', authMiddleware, reviewLimit, reviewController.createReview.bind(reviewController));
+
+/**
+ * @route POST /api/reviews/:reviewId/reply
+ * @desc Post the seller's public reply to a review
+ * @access Private (seller)
+ */
+router.post(
+  '/:reviewId/reply',
+  authMiddleware,
+  authorize(['seller']),
+  reviewController.replyToReview.bind(reviewController)
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// backend/src/routes/serviceBookingRoutes.js
+const express = require('express');
+const serviceBookingController = require('../controllers/serviceBookingController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/services/listings/:listingId/schedule
+ * @desc Weekly availability, blackouts, slot length and booking rules
+ * @access Public
+ */
+router.get('/listings/:listingId/schedule', serviceBookingController.getSchedule.bind(serviceBookingController));
+
+/**
+ * @route PUT /api/services/listings/:listingId/schedule
+ * @desc Set availability ({ timeZone, slotMinutes, minNoticeHours, horizonDays,
+ *       cancelCutoffHours, maxReschedules, rules: [{ weekday: 0-6, startTime, endTime }] });
+ *       rules are HH:MM in the schedule's time zone and replace the existing ones
+ * @access Private (owner)
+ */
+router.put('/listings/:listingId/schedule', authMiddleware, serviceBookingController.updateSchedule.bind(serviceBookingController));
+
+/**
+ * @route POST /api/services/listings/:listingId/schedule/blackouts
+ * @desc Block out days ({ startDate, endDate, reason }); existing appointments are kept
+ * @access Private (owner)
+ */
+router.post('/listings/:listingId/schedule/blackouts', authMiddleware, serviceBookingController.addBlackout.bind(serviceBookingController));
+
+/**
+ * @route DELETE /api/services/listings/:listingId/schedule/blackouts/:blackoutId
+ * @desc Remove a blackout
+ * @access Private (owner)
+ */
+router.delete('/listings/:listingId/schedule/blackouts/:blackoutId', authMiddleware, serviceBookingController.removeBlackout.bind(serviceBookingController));
+
+/**
+ * @route GET /api/services/listings/:listingId/slots
+ * @desc Free slots (?from, to as YYYY-MM-DD in the provider's time zone;
+ *       defaults to the next 14 days, at most 31)
+ * @access Public
+ */
+router.get('/listings/:listingId/slots', serviceBookingController.getSlots.bind(serviceBookingController));
+
+/**
+ * @route GET /api/services/listings/:listingId/appointments
+ * @desc List upcoming appointments (?status, from, to, page, limit)
+ * @access Private (owner)
+ */
+router.get('/listings/:listingId/appointments', authMiddleware, serviceBookingController.listProviderAppointments.bind(serviceBookingController));
+
+/**
+ * @route POST /api/services/listings/:listingId/appointments
+ * @desc Book a slot ({ startsAt, address, postcode, latitude, longitude, notes });
+ *       the address must be inside the provider's service area
+ * @access Private
+ */
+router.post('/listings/:listingId/appointments', authMiddleware, serviceBookingController.bookAppointment.bind(serviceBookingController));
+
+/**
+ * @route GET /api/services/appointments/mine
+ * @desc List appointments you booked (?status, page, limit)
+ * @access Private
+ */
+router.get('/appointments/mine', authMiddleware, serviceBookingController.listMyAppointments.bind(serviceBookingController));
+
+/**
+ * @route GET /api/services/appointments/:appointmentId
+ * @desc Get an appointment
+ * @access Private (client or provider)
+ */
+router.get('/appointments/:appointmentId', authMiddleware, serviceBookingController.getAppointment.bind(serviceBookingController));
+
+/**
+ * @route GET /api/services/appointments/:appointmentId/invite.ics
+ * @desc Download the appointment's calendar invite
+ * @access Private (client or provider)
+ */
+router.get('/appointments/:appointmentId/invite.ics', authMiddleware, serviceBookingController.getInvite.bind(serviceBookingController));
+
+/**
+ * @route POST /api/services/appointments/:appointmentId/reschedule
+ * @desc Move to another free slot ({ startsAt }); clients only before the
+ *       cancellation cutoff and up to the provider's reschedule limit
+ * @access Private (client or provider)
+ */
+router.post('/appointments/:appointmentId/reschedule', authMiddleware, serviceBookingController.rescheduleAppointment.bind(serviceBookingController));
+
+/**
+ * @route POST /api/services/appointments/:appointmentId/cancel
+ * @desc Cancel ({ reason }); clients only before the cancellation cutoff
+ * @access Private (client or provider)
+ */
+router.post('/appointments/:appointmentId/cancel', authMiddleware, serviceBookingController.cancelAppointment.bind(serviceBookingController));
+
+module.exports = router;
@@ -1,6 +1,11 @@
 // backend/src/routes/userRoutes.js
 const express = require('express');
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
+const reviewController = require('../controllers/reviewController');
+const favoriteController = require('../controllers/favoriteController');
+const notificationController = require('../controllers/notificationController');
+const savedSearchController = require('../controllers/savedSearchController');
 const { authMiddleware, authorize } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -26,6 +31,111 @@ router.put('/me', authMiddleware, userController.updateProfile.bind(userControll
  */
 router.post('/change-password', authMiddleware, userController.changePassword.bind(userController));
 
+/**
+ * @route GET /api/users/me/2fa
+ * @desc Get two-factor authentication status
+ * @access Private
+ */
+router.get('/me/2fa', authMiddleware, twoFactorController.getStatus.bind(twoFactorController));
+
+/**
+ * @route POST /api/users/me/2fa/setup
+ * @desc Start two-factor enrolment (returns secret, otpauth URI and QR code)
+ * @access Private
+ */
+router.post('/me/2fa/setup', authMiddleware, twoFactorController.setup.bind(twoFactorController));
+
+/**
+ * @route POST /api/users/me/2fa/enable
+ * @desc Confirm enrolment with a code (returns backup codes)
+ * @access Private
+ */
+router.post('/me/2fa/enable', authMiddleware, twoFactorController.enable.bind(twoFactorController));
+
+/**
+ * @route POST /api/users/me/2fa/disable
+ * @desc Turn off two-factor authentication (requires password and code)
+ * @access Private
+ */
+router.post('/me/2fa/disable', authMiddleware, twoFactorController.disable.bind(twoFactorController));
+
+/**
+ * @route POST /api/users/me/2fa/backup-codes
+ * @desc Replace backup codes (requires a current code)
+ * @access Private
+ */
+router.post('/me/2fa/backup-codes', authMiddleware, twoFactorController.regenerateBackupCodes.bind(twoFactorController));
+
+/**
+ * @route GET /api/users/me/favorites
+ * @desc List the current user's favourite listings
+ * @access Private
+ */
+router.get('/me/favorites', authMiddleware, favoriteController.listFavorites.bind(favoriteController));
+
+/**
+ * @route POST /api/users/me/favorites
+ * @desc Add a listing to favourites ({ listingId }); watchers get price drop, sold and expiry alerts
+ * @access Private
+ */
+router.post('/me/favorites', authMiddleware, favoriteController.addFavorite.bind(favoriteController));
+
+/**
+ * @route DELETE /api/users/me/favorites/:listingId
+ * @desc Remove a listing from favourites
+ * @access Private
+ */
+router.delete('/me/favorites/:listingId', authMiddleware, favoriteController.removeFavorite.bind(favoriteController));
+
+/**
+ * @route GET /api/users/me/notifications
+ * @desc List in-app notifications with the unread count (?unreadOnly=true)
+ * @access Private
+ */
+router.get('/me/notifications', authMiddleware, notificationController.listNotifications.bind(notificationController));
+
+/**
+ * @route POST /api/users/me/notifications/read-all
+ * @desc Mark all notifications as read
+ * @access Private
+ */
+router.post('/me/notifications/read-all', authMiddleware, notificationController.markAllRead.bind(notificationController));
+
+/**
+ * @route POST /api/users/me/notifications/:notificationId/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.post('/me/notifications/:notificationId/read', authMiddleware, notificationController.markRead.bind(notificationController));
+
+/**
+ * @route GET /api/users/me/saved-searches
+ * @desc List saved searches
+ * @access Private
+ */
+router.get('/me/saved-searches', authMiddleware, savedSearchController.listSavedSearches.bind(savedSearchController));
+
+/**
+ * @route POST /api/users/me/saved-searches
+ * @desc Save a search ({ name, criteria, frequency: instant|daily|weekly|never })
+ * @access Private
+ */
+router.post('/me/saved-searches', authMiddleware, savedSearchController.createSavedSearch.bind(savedSearchController));
+
+/**
+ * @route PUT /api/users/me/saved-searches/:savedSearchId
+ * @desc Update a saved search's name, criteria or frequency
+ * @access Private
+ */
+router.put('/me/saved-searches/:savedSearchId', authMiddleware, savedSearchController.updateSavedSearch.bind(savedSearchController));
+
+/**
+ * @route DELETE /api/users/me/saved-searches/:savedSearchId
+ * @desc Delete a saved search
+ * @access Private
+ */
+router.delete('/me/saved-searches/:savedSearchId', authMiddleware, savedSearchController.deleteSavedSearch.bind(savedSearchController));
+
 /**
  * @route GET /api/users/:userId
  * @desc Get user by ID (public profile)
@@ -33,4 +143,11 @@ router.post('/change-password', authMiddleware, userController.changePassword.bi
  */
 router.get('/:userId', userController.getUserById.bind(userController));
 
+/**
+ * @route GET /api/users/:userId/reviews
+ * @desc List a seller's reviews with their average rating
+ * @access Public
+ */
+router.get('/:userId/reviews', reviewController.getSellerReviews.bind(reviewController));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,483 @@
+// backend/src/services/adminService.js
+const User = require('../models/user');
+const Listing = require('../models/listing');
+const AuditLogEntry = require('../models/auditLogEntry');
+const UserRepository = require('../repositories/userRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const AuditLogRepository = require('../repositories/auditLogRepository');
+const SessionService = require('./sessionService');
+const ListingImageService = require('./listingImageService');
+const ListingService = require('./listingService');
+const { withTransaction } = require('../utils/db');
+
+/**
+ * Longest reason an admin can give for an action
+ */
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Admin moderation of users and listings. Every change is written to the
+ * audit log in the same transaction, with the acting admin and their reason.
+ */
+class AdminService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.listingRepository = new ListingRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.sessionService = new SessionService();
+    this.listingImageService = new ListingImageService();
+    this.listingService = new ListingService();
+  }
+
+  /**
+   * Search users
+   * @param {Object} query - Filters (q, userType, status, page, limit)
+   * @returns {Promise<{users: User[], total: number, page: number, limit: number}>}
+   */
+  async listUsers({ q, userType, status, page, limit } = {}) {
+    if (userType && !User.TYPES.includes(userType)) {
+      throw new Error('Invalid user type');
+    }
+
+    if (status && !['active', 'suspended', 'unverified'].includes(status)) {
+      throw new Error('Invalid status; must be active, suspended or unverified');
+    }
+
+    const { safePage, safeLimit } = this.paginate(page, limit);
+
+    const { users, total } = await this.userRepository.search({
+      q: typeof q === 'string' ? q.trim() : undefined,
+      userType,
+      status,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { users, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get a user with the admin actions taken on their account
+   * @param {string} userId - User ID
+   * @returns {Promise<{user: User, history: AuditLogEntry[]}>}
+   */
+  async getUser(userId) {
+    const user = await this.findUser(userId);
+    const { entries } = await this.auditLogRepository.find({
+      targetType: 'user',
+      targetId: user.id,
+      limit: 50
+    });
+
+    return { user, history: entries };
+  }
+
+  /**
+   * Suspend an account. The user is signed out everywhere and can't log in until unsuspended.
+   * @param {string} adminId - Acting admin
+   * @param {string} userId - User to suspend
+   * @param {string} reason - Why
+   * @returns {Promise<User>}
+   */
+  async suspendUser(adminId, userId, reason) {
+    const text = this.requireReason(reason);
+    if (adminId === userId) {
+      throw new Error('Cannot suspend your own account');
+    }
+
+    const user = await this.findUser(userId);
+    if (user.isSuspended()) {
+      throw new Error('User is already suspended');
+    }
+
+    const updated = await withTransaction(async client => {
+      const suspended = await this.userRepository.update(user.id, {
+        suspendedAt: new Date(),
+        suspensionReason: text
+      }, client);
+
+      await this.audit(client, adminId, 'user_suspended', 'user', user.id, text);
+
+      return suspended;
+    });
+
+    await this.sessionService.revokeAllSessions(user.id);
+
+    return updated;
+  }
+
+  /**
+   * Lift a suspension
+   * @param {string} adminId - Acting admin
+   * @param {string} userId - User to unsuspend
+   * @param {string} reason - Why
+   * @returns {Promise<User>}
+   */
+  async unsuspendUser(adminId, userId, reason) {
+    const text = this.requireReason(reason);
+    const user = await this.findUser(userId);
+    if (!user.isSuspended()) {
+      throw new Error('User is not suspended');
+    }
+
+    return await withTransaction(async client => {
+      const updated = await this.userRepository.update(user.id, {
+        suspendedAt: null,
+        suspensionReason: null
+      }, client);
+
+      await this.audit(client, adminId, 'user_unsuspended', 'user', user.id, text, {
+        suspendedAt: user.suspendedAt,
+        suspensionReason: user.suspensionReason
+      });
+
+      return updated;
+    });
+  }
+
+  /**
+   * Change a user's type (buyer, seller or admin)
+   * @param {string} adminId - Acting admin
+   * @param {string} userId - User to change
+   * @param {string} userType - New user type
+   * @param {string} reason - Why
+   * @returns {Promise<User>}
+   */
+  async changeUserType(adminId, userId, userType, reason) {
+    const text = this.requireReason(reason);
+    if (!User.TYPES.includes(userType)) {
+      throw new Error(`Invalid user type; must be one of ${User.TYPES.join(', ')}`);
+    }
+
+    if (adminId === userId) {
+      throw new Error('Cannot change your own user type');
+    }
+
+    const user = await this.findUser(userId);
+    if (user.userType === userType) {
+      throw new Error(`User is already a ${userType}`);
+    }
+
+    return await withTransaction(async client => {
+      const updated = await this.userRepository.update(user.id, { userType }, client);
+
+      await this.audit(client, adminId, 'user_type_changed', 'user', user.id, text, {
+        from: user.userType,
+        to: userType
+      });
+
+      return updated;
+    });
+  }
+
+  /**
+   * Mark a user's email as verified without the emailed link
+   * @param {string} adminId - Acting admin
+   * @param {string} userId - User to verify
+   * @param {string} reason - Why
+   * @returns {Promise<User>}
+   */
+  async verifyUserEmail(adminId, userId, reason) {
+    const text = this.requireReason(reason);
+    const user = await this.findUser(userId);
+    if (user.isVerified) {
+      throw new Error('User email is already verified');
+    }
+
+    return await withTransaction(async client => {
+      const updated = await this.userRepository.update(user.id, {
+        isVerified: true,
+        verificationTokenHash: null,
+        verificationTokenExpires: null
+      }, client);
+
+      await this.audit(client, adminId, 'user_email_verified', 'user', user.id, text);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Search listings for review, including inactive and hidden ones
+   * @param {Object} query - Filters (q, status, listingType, userId, page, limit); status is
+   *   inactive, hidden or a lifecycle status (active also leaves out hidden listings)
+   * @returns {Promise<{listings: Listing[], total: number, page: number, limit: number}>}
+   */
+  async listListings({ q, status, listingType, userId, page, limit } = {}) {
+    const statusFilters = {
+      inactive: { isActive: false },
+      hidden: { isHidden: true }
+    };
+    for (const lifecycleStatus of Listing.STATUSES) {
+      statusFilters[lifecycleStatus] = { statuses: [lifecycleStatus] };
+    }
+    statusFilters.active.isHidden = false;
+
+    if (status && !statusFilters[status]) {
+      throw new Error(`Invalid status; must be one of ${Object.keys(statusFilters).join(', ')}`);
+    }
+
+    const { safePage, safeLimit } = this.paginate(page, limit);
+
+    const { listings, total } = await this.listingRepository.findAll({
+      ...(statusFilters[status] || {}),
+      q: typeof q === 'string' ? q.trim() : undefined,
+      listingType,
+      userId,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { listings, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get a listing with the admin actions taken on it
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<{listing: Listing, history: AuditLogEntry[]}>}
+   */
+  async getListing(listingId) {
+    const listing = await this.findListing(listingId);
+    const { entries } = await this.auditLogRepository.find({
+      targetType: 'listing',
+      targetId: listing.id,
+      limit: 50
+    });
+
+    return { listing, history: entries };
+  }
+
+  /**
+   * Approve a listing waiting for review; it goes on the market and the
+   * seller is emailed
+   * @param {string} adminId - Acting admin
+   * @param {string} listingId - Listing to approve
+   * @param {string} reason - Why
+   * @returns {Promise<Listing>}
+   */
+  async approveListing(adminId, listingId, reason) {
+    const text = this.requireReason(reason);
+    const listing = await this.findListing(listingId);
+
+    return await withTransaction(async client => {
+      const approved = await this.listingService.approveListing(listing.id, client);
+      await this.audit(client, adminId, 'listing_approved', 'listing', listing.id, text);
+      return approved;
+    });
+  }
+
+  /**
+   * Send a listing waiting for review back to the seller as a draft; the
+   * reason is emailed to them
+   * @param {string} adminId - Acting admin
+   * @param {string} listingId - Listing to reject
+   * @param {string} reason - What the seller needs to change
+   * @returns {Promise<Listing>}
+   */
+  async rejectListing(adminId, listingId, reason) {
+    const text = this.requireReason(reason);
+    const listing = await this.findListing(listingId);
+
+    return await withTransaction(async client => {
+      const rejected = await this.listingService.rejectListing(listing.id, text, client);
+      await this.audit(client, adminId, 'listing_rejected', 'listing', listing.id, text);
+      return rejected;
+    });
+  }
+
+  /**
+   * Hide a listing from search and its public page; the seller still sees it
+   * @param {string} adminId - Acting admin
+   * @param {string} listingId - Listing to hide
+   * @param {string} reason - Why
+   * @returns {Promise<Listing>}
+   */
+  async hideListing(adminId, listingId, reason) {
+    const text = this.requireReason(reason);
+    const listing = await this.findListing(listingId);
+
+    await withTransaction(async client => {
+      const changed = await this.listingRepository.setHidden(listing.id, {
+        hidden: true,
+        reason: text,
+        hiddenBy: adminId
+      }, client);
+
+      if (!changed) {
+        throw new Error('Listing is already hidden');
+      }
+
+      await this.audit(client, adminId, 'listing_hidden', 'listing', listing.id, text);
+    });
+
+    return await this.listingRepository.findById(listing.id);
+  }
+
+  /**
+   * Show a hidden listing again
+   * @param {string} adminId - Acting admin
+   * @param {string} listingId - Listing to unhide
+   * @param {string} reason - Why
+   * @returns {Promise<Listing>}
+   */
+  async unhideListing(adminId, listingId, reason) {
+    const text = this.requireReason(reason);
+    const listing = await this.findListing(listingId);
+
+    await withTransaction(async client => {
+      const changed = await this.listingRepository.setHidden(listing.id, { hidden: false }, client);
+
+      if (!changed) {
+        throw new Error('Listing is not hidden');
+      }
+
+      await this.audit(client, adminId, 'listing_unhidden', 'listing', listing.id, text, {
+        hiddenReason: listing.hiddenReason
+      });
+    });
+
+    return await this.listingRepository.findById(listing.id);
+  }
+
+  /**
+   * Delete a listing outright. The audit entry keeps its title and owner.
+   * @param {string} adminId - Acting admin
+   * @param {string} listingId - Listing to delete
+   * @param {string} reason - Why
+   * @returns {Promise<void>}
+   */
+  async deleteListing(adminId, listingId, reason) {
+    const text = this.requireReason(reason);
+    const listing = await this.findListing(listingId);
+    const images = await this.listingImageService.getImages(listing.id);
+
+    try {
+      await withTransaction(async client => {
+        await this.listingRepository.delete(listing.id, client);
+
+        await this.audit(client, adminId, 'listing_deleted', 'listing', listing.id, text, {
+          title: listing.title,
+          userId: listing.userId,
+          listingType: listing.listingType
+        });
+      });
+    } catch (error) {
+      // Foreign key violation: offers, payments or messages still reference the listing
+      if (error.code === '23503') {
+        throw new Error('Listing has related records and cannot be deleted; hide it instead');
+      }
+      throw error;
+    }
+
+    await Promise.all(images.map(image => this.listingImageService.deleteFiles(image)));
+  }
+
+  /**
+   * Read the audit log
+   * @param {Object} query - Filters (adminId, action, targetType, targetId, page, limit)
+   * @returns {Promise<{entries: AuditLogEntry[], total: number, page: number, limit: number}>}
+   */
+  async listAuditLog({ adminId, action, targetType, targetId, page, limit } = {}) {
+    if (action && !AuditLogEntry.ACTIONS.includes(action)) {
+      throw new Error('Invalid action');
+    }
+
+    if (targetType && !AuditLogEntry.TARGET_TYPES.includes(targetType)) {
+      throw new Error('Invalid target type');
+    }
+
+    const { safePage, safeLimit } = this.paginate(page, limit);
+
+    const { entries, total } = await this.auditLogRepository.find({
+      adminId,
+      action,
+      targetType,
+      targetId,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { entries, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Write an audit log entry on the action's transaction
+   * @param {Object} client - Transaction client
+   * @param {string} adminId - Acting admin
+   * @param {string} action - One of AuditLogEntry.ACTIONS
+   * @param {string} targetType - One of AuditLogEntry.TARGET_TYPES
+   * @param {string} targetId - Record acted on
+   * @param {string} reason - Admin's reason
+   * @param {Object} details - Action-specific data (optional)
+   * @returns {Promise<AuditLogEntry>}
+   */
+  async audit(client, adminId, action, targetType, targetId, reason, details = {}) {
+    return await this.auditLogRepository.record(new AuditLogEntry({
+      adminId,
+      action,
+      targetType,
+      targetId,
+      reason,
+      details
+    }), client);
+  }
+
+  /**
+   * Check that an admin gave a reason for an action
+   * @param {string} reason - Raw reason
+   * @returns {string} - Trimmed reason
+   */
+  requireReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (!text) {
+      throw new Error('Reason is required');
+    }
+
+    if (text.length > MAX_REASON_LENGTH) {
+      throw new Error(`Invalid reason; must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Find a user or throw
+   * @param {string} userId - User ID
+   * @returns {Promise<User>}
+   */
+  async findUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Find a listing or throw
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async findListing(listingId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return listing;
+  }
+
+  /**
+   * Clamp page and limit query parameters
+   * @param {*} page - Requested page
+   * @param {*} limit - Requested page size
+   * @returns {{safePage: number, safeLimit: number}}
+   */
+  paginate(page, limit) {
+    return {
+      safePage: Math.max(parseInt(page, 10) || 1, 1),
+      safeLimit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100)
+    };
+  }
+}
+
+module.exports = AdminService;
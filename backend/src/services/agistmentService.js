@@ -0,0 +1,647 @@
+// backend/src/services/agistmentService.js
+const AgistmentBooking = require('../models/agistmentBooking');
+const AgistmentCapacity = require('../models/agistmentCapacity');
+const AgistmentRepository = require('../repositories/agistmentRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const UserRepository = require('../repositories/userRepository');
+const EmailOutboxService = require('./emailOutboxService');
+const { buildCalendar } = require('../utils/ical');
+const { withTransaction } = require('../utils/db');
+
+/**
+ * Longest range the calendar returns and a booking may cover, in days
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Calendar range when none is given, in days from today
+ */
+const DEFAULT_CALENDAR_DAYS = 90;
+
+/**
+ * Most stalls or paddocks one booking can ask for
+ */
+const MAX_UNITS_PER_BOOKING = 50;
+
+/**
+ * Agistment availability and bookings. Capacity for a day is the listing's
+ * stall and paddock counts unless a capacity period covers it; accepted
+ * bookings use it up, and nothing is accepted beyond it.
+ */
+class AgistmentService {
+  constructor() {
+    this.agistmentRepository = new AgistmentRepository();
+    this.listingRepository = new ListingRepository();
+    this.userRepository = new UserRepository();
+    this.emailOutbox = new EmailOutboxService();
+  }
+
+  /**
+   * Availability for a date range, as runs of days with the same numbers
+   * @param {string} listingId - Agistment listing ID
+   * @param {Object} query - Range (from, to as YYYY-MM-DD; defaults to the next 90 days)
+   * @returns {Promise<Object>} - listingId, from, to, ranges
+   */
+  async getCalendar(listingId, { from, to } = {}) {
+    const listing = await this.getAgistmentListing(listingId);
+    if (listing.hiddenAt) {
+      throw new Error('Listing not found');
+    }
+
+    const start = from ? this.parseDay(from, 'from') : this.today();
+    const end = to ? this.parseDay(to, 'to') : this.addDays(start, DEFAULT_CALENDAR_DAYS - 1);
+    this.checkRange(start, end);
+
+    const days = await this.agistmentRepository.getDailyAvailability(listingId, start, end);
+
+    return { listingId, from: start, to: end, ranges: this.groupDays(days) };
+  }
+
+  /**
+   * List a property's capacity periods
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} userId - Owner
+   * @returns {Promise<AgistmentCapacity[]>}
+   */
+  async listCapacity(listingId, userId) {
+    await this.getOwnedAgistmentListing(listingId, userId);
+    return await this.agistmentRepository.findCapacity(listingId);
+  }
+
+  /**
+   * Set a property's capacity for a date range
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} userId - Owner
+   * @param {Object} data - Period (startDate, endDate, stalls, paddocks, note)
+   * @returns {Promise<AgistmentCapacity>}
+   * @throws {Error} - If the period overlaps another or leaves accepted bookings without room
+   */
+  async addCapacity(listingId, userId, data) {
+    await this.getOwnedAgistmentListing(listingId, userId);
+
+    const startDate = this.parseDay(data.startDate, 'startDate');
+    const endDate = this.parseDay(data.endDate, 'endDate');
+    this.checkRange(startDate, endDate);
+
+    const period = new AgistmentCapacity({
+      listingId,
+      startDate,
+      endDate,
+      stalls: this.parseCount(data.stalls, 'stalls'),
+      paddocks: this.parseCount(data.paddocks, 'paddocks'),
+      note: data.note ? String(data.note).trim().slice(0, 200) : null
+    });
+
+    return await withTransaction(async client => {
+      await this.agistmentRepository.lockListing(listingId, client);
+
+      const [overlap] = await this.agistmentRepository.findCapacity(listingId, { from: startDate, to: endDate }, client);
+      if (overlap) {
+        throw new Error(`Cannot add capacity: it overlaps the period from ${overlap.startDate} to ${overlap.endDate}`);
+      }
+
+      const saved = await this.agistmentRepository.createCapacity(period, client);
+      await this.checkNotOverbooked(listingId, startDate, endDate, client, 'Cannot set capacity');
+
+      return saved;
+    });
+  }
+
+  /**
+   * Remove a capacity period; those days go back to the listing's usual counts
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} periodId - Period ID
+   * @param {string} userId - Owner
+   * @returns {Promise<void>}
+   */
+  async removeCapacity(listingId, periodId, userId) {
+    await this.getOwnedAgistmentListing(listingId, userId);
+
+    const period = await this.agistmentRepository.findCapacityById(periodId);
+    if (!period || period.listingId !== listingId) {
+      throw new Error('Capacity period not found');
+    }
+
+    await withTransaction(async client => {
+      await this.agistmentRepository.lockListing(listingId, client);
+      await this.agistmentRepository.deleteCapacity(period.id, client);
+      await this.checkNotOverbooked(listingId, period.startDate, period.endDate, client, 'Cannot remove capacity');
+    });
+  }
+
+  /**
+   * Ask to agist horses at a property
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} userId - Horse owner asking
+   * @param {Object} data - Request (unitType, units, startDate, endDate, message)
+   * @returns {Promise<AgistmentBooking>}
+   * @throws {Error} - If the property is already full on any of the days
+   */
+  async requestBooking(listingId, userId, data) {
+    const listing = await this.getAgistmentListing(listingId);
+
+    if (!listing.isAvailable()) {
+      throw new Error('Cannot book: this listing is no longer available');
+    }
+
+    if (listing.isOwnedBy(userId)) {
+      throw new Error('Cannot book your own property');
+    }
+
+    if (!AgistmentBooking.UNIT_TYPES.includes(data.unitType)) {
+      throw new Error(`Invalid unitType; must be one of ${AgistmentBooking.UNIT_TYPES.join(', ')}`);
+    }
+
+    const units = data.units === undefined || data.units === null || data.units === ''
+      ? 1
+      : this.parseCount(data.units, 'units');
+    if (units < 1 || units > MAX_UNITS_PER_BOOKING) {
+      throw new Error(`Invalid units: must be from 1 to ${MAX_UNITS_PER_BOOKING}`);
+    }
+
+    const startDate = this.parseDay(data.startDate, 'startDate');
+    const endDate = this.parseDay(data.endDate, 'endDate');
+    this.checkRange(startDate, endDate);
+
+    if (startDate < this.today()) {
+      throw new Error('Invalid startDate: it is in the past');
+    }
+
+    const booking = new AgistmentBooking({
+      listingId,
+      requesterId: userId,
+      unitType: data.unitType,
+      units,
+      startDate,
+      endDate,
+      message: data.message ? String(data.message).trim().slice(0, 1000) : null
+    });
+
+    // Refuse up front when it can't fit; accepting checks again under a lock
+    const days = await this.agistmentRepository.getDailyAvailability(listingId, startDate, endDate);
+    this.checkFits(booking, days, 'Cannot book');
+
+    const saved = await this.agistmentRepository.createBooking(booking);
+
+    await this.notify(listing.userId, `Agistment request: ${listing.title}`, [
+      `${saved.requesterName} would like ${this.describeBooking(saved)}.`,
+      saved.message ? `Message: "${saved.message}"` : null
+    ], 'Review the request');
+
+    return saved;
+  }
+
+  /**
+   * Accept a pending booking, if the property still has room for it
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Property owner
+   * @param {string} note - Note to the requester (optional)
+   * @returns {Promise<AgistmentBooking>}
+   * @throws {Error} - If accepting would overbook any day
+   */
+  async acceptBooking(bookingId, userId, note) {
+    const booking = await this.getBookingForOwner(bookingId, userId);
+    this.checkTransition(booking, 'accepted');
+
+    await withTransaction(async client => {
+      await this.agistmentRepository.lockListing(booking.listingId, client);
+
+      const days = await this.agistmentRepository.getDailyAvailability(
+        booking.listingId,
+        booking.startDate,
+        booking.endDate,
+        client
+      );
+      this.checkFits(booking, days, 'Cannot accept');
+
+      await this.applyTransition(booking, 'accepted', { responseNote: this.cleanNote(note) }, client);
+    });
+
+    const accepted = await this.agistmentRepository.findBookingById(booking.id);
+
+    await this.notify(accepted.requesterId, `Agistment confirmed: ${accepted.listingTitle}`, [
+      `Your request for ${this.describeBooking(accepted)} has been accepted.`,
+      accepted.responseNote ? `Note from the owner: "${accepted.responseNote}"` : null
+    ], 'View your bookings');
+
+    return accepted;
+  }
+
+  /**
+   * Reject a pending booking
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Property owner
+   * @param {string} note - Note to the requester (optional)
+   * @returns {Promise<AgistmentBooking>}
+   */
+  async rejectBooking(bookingId, userId, note) {
+    const booking = await this.getBookingForOwner(bookingId, userId);
+    this.checkTransition(booking, 'rejected');
+
+    await this.applyTransition(booking, 'rejected', { responseNote: this.cleanNote(note) });
+    const rejected = await this.agistmentRepository.findBookingById(booking.id);
+
+    await this.notify(rejected.requesterId, `Agistment request declined: ${rejected.listingTitle}`, [
+      `Your request for ${this.describeBooking(rejected)} was declined.`,
+      rejected.responseNote ? `Note from the owner: "${rejected.responseNote}"` : null
+    ], 'View your bookings');
+
+    return rejected;
+  }
+
+  /**
+   * Cancel a pending or accepted booking; either party may cancel
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Requester or property owner
+   * @param {string} note - Reason (optional)
+   * @returns {Promise<AgistmentBooking>}
+   */
+  async cancelBooking(bookingId, userId, note) {
+    const booking = await this.agistmentRepository.findBookingById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.requesterId !== userId && booking.ownerId !== userId) {
+      throw new Error('Not authorized to manage this booking');
+    }
+
+    this.checkTransition(booking, 'cancelled');
+    await this.applyTransition(booking, 'cancelled', { responseNote: this.cleanNote(note), cancelledBy: userId });
+    const cancelled = await this.agistmentRepository.findBookingById(booking.id);
+
+    const otherPartyId = userId === booking.ownerId ? booking.requesterId : booking.ownerId;
+    await this.notify(otherPartyId, `Agistment cancelled: ${cancelled.listingTitle}`, [
+      `The booking for ${this.describeBooking(cancelled)} has been cancelled.`,
+      cancelled.responseNote ? `Reason: "${cancelled.responseNote}"` : null
+    ], 'View bookings');
+
+    return cancelled;
+  }
+
+  /**
+   * List a property's bookings (owner)
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} userId - Owner
+   * @param {Object} query - Filters (status, from, to, page, limit)
+   * @returns {Promise<Object>} - bookings, total, page, limit
+   */
+  async listListingBookings(listingId, userId, { status, from, to, page, limit } = {}) {
+    await this.getOwnedAgistmentListing(listingId, userId);
+
+    if (status && !AgistmentBooking.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be one of ${AgistmentBooking.STATUSES.join(', ')}`);
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { bookings, total } = await this.agistmentRepository.findBookingsByListing(listingId, {
+      statuses: status ? [status] : undefined,
+      from: from ? this.parseDay(from, 'from') : undefined,
+      to: to ? this.parseDay(to, 'to') : undefined,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { bookings, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * List the bookings a horse owner has requested
+   * @param {string} userId - Requester
+   * @param {Object} query - Pagination (page, limit)
+   * @returns {Promise<Object>} - bookings, total, page, limit
+   */
+  async listMyBookings(userId, { page, limit } = {}) {
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { bookings, total } = await this.agistmentRepository.findBookingsByRequester(userId, {
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { bookings, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Export a property's accepted and pending bookings as an iCalendar file
+   * @param {string} listingId - Agistment listing ID
+   * @param {string} userId - Owner
+   * @returns {Promise<{fileName: string, body: string}>}
+   */
+  async exportCalendar(listingId, userId) {
+    const listing = await this.getOwnedAgistmentListing(listingId, userId);
+
+    const { bookings } = await this.agistmentRepository.findBookingsByListing(listingId, {
+      statuses: ['accepted', 'pending'],
+      from: this.addDays(this.today(), -MAX_RANGE_DAYS)
+    });
+
+    const body = buildCalendar({
+      name: `Agistment: ${listing.title}`,
+      events: bookings.map(booking => ({
+        uid: `agistment-${booking.id}@equestrian-marketplace`,
+        allDay: true,
+        start: booking.startDate,
+        end: booking.endDate,
+        summary: `${booking.requesterName}: ${this.describeUnits(booking)}${booking.status === 'pending' ? ' (requested)' : ''}`,
+        description: [
+          `${this.describeUnits(booking)} for ${booking.requesterName} <${booking.requesterEmail}>`,
+          booking.message ? `Message: ${booking.message}` : null
+        ].filter(Boolean).join('\n'),
+        location: listing.location,
+        status: booking.status === 'accepted' ? 'CONFIRMED' : 'TENTATIVE',
+        updatedAt: booking.updatedAt
+      }))
+    });
+
+    return { fileName: `agistment-${listing.id}.ics`, body };
+  }
+
+  /**
+   * Find an agistment listing
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async getAgistmentListing(listingId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing || listing.listingType !== 'agistment') {
+      throw new Error('Listing not found');
+    }
+    return listing;
+  }
+
+  /**
+   * Find an agistment listing and check the user owns it
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Listing>}
+   */
+  async getOwnedAgistmentListing(listingId, userId) {
+    const listing = await this.getAgistmentListing(listingId);
+    if (!listing.isOwnedBy(userId)) {
+      throw new Error('Not authorized to manage this listing');
+    }
+    return listing;
+  }
+
+  /**
+   * Find a booking and check the user owns its property
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - User ID
+   * @returns {Promise<AgistmentBooking>}
+   */
+  async getBookingForOwner(bookingId, userId) {
+    const booking = await this.agistmentRepository.findBookingById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.ownerId !== userId) {
+      throw new Error('Not authorized to manage this booking');
+    }
+    return booking;
+  }
+
+  /**
+   * @param {AgistmentBooking} booking - Booking
+   * @param {string} status - Target status
+   * @throws {Error} - If the booking can't move to the status
+   */
+  checkTransition(booking, status) {
+    if (!booking.canTransitionTo(status)) {
+      throw new Error(`Cannot change a ${booking.status} booking to ${status}`);
+    }
+  }
+
+  /**
+   * Move a booking to a new status
+   * @param {AgistmentBooking} booking - Booking as last read
+   * @param {string} status - New status
+   * @param {Object} changes - responseNote, cancelledBy
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<void>}
+   */
+  async applyTransition(booking, status, changes, client) {
+    const updated = await this.agistmentRepository.transitionBooking(booking.id, booking.status, status, changes, client);
+    if (!updated) {
+      throw new Error('Cannot update the booking: it was changed by someone else');
+    }
+  }
+
+  /**
+   * Check a booking fits in the room left on every day it covers
+   * @param {AgistmentBooking} booking - Booking
+   * @param {Object[]} days - Daily availability for the booking's range
+   * @param {string} prefix - Error message prefix
+   * @throws {Error} - Naming the first day that's too full
+   */
+  checkFits(booking, days, prefix) {
+    for (const day of days) {
+      const free = booking.unitType === 'stall'
+        ? day.stallCapacity - day.stallsBooked
+        : day.paddockCapacity - day.paddocksBooked;
+
+      if (free < booking.units) {
+        throw new Error(
+          `${prefix}: only ${Math.max(free, 0)} ${this.pluralize(booking.unitType, Math.max(free, 0))} free on ${day.date}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Check accepted bookings still fit after a capacity change
+   * @param {string} listingId - Listing ID
+   * @param {string} startDate - First day changed
+   * @param {string} endDate - Last day changed
+   * @param {Object} client - Transaction client
+   * @param {string} prefix - Error message prefix
+   * @throws {Error} - Naming the first overbooked day; the transaction rolls back
+   */
+  async checkNotOverbooked(listingId, startDate, endDate, client, prefix) {
+    const days = await this.agistmentRepository.getDailyAvailability(listingId, startDate, endDate, client);
+
+    for (const day of days) {
+      if (day.stallsBooked > day.stallCapacity) {
+        throw new Error(`${prefix}: ${day.stallsBooked} stalls are already booked on ${day.date}`);
+      }
+      if (day.paddocksBooked > day.paddockCapacity) {
+        throw new Error(`${prefix}: ${day.paddocksBooked} paddocks are already booked on ${day.date}`);
+      }
+    }
+  }
+
+  /**
+   * Merge consecutive days with the same capacity and bookings into ranges
+   * @param {Object[]} days - Daily availability, in date order
+   * @returns {Object[]} - { startDate, endDate, stallCapacity, paddockCapacity, stallsAvailable, paddocksAvailable }
+   */
+  groupDays(days) {
+    const ranges = [];
+
+    for (const day of days) {
+      const range = {
+        startDate: day.date,
+        endDate: day.date,
+        stallCapacity: day.stallCapacity,
+        paddockCapacity: day.paddockCapacity,
+        stallsAvailable: Math.max(day.stallCapacity - day.stallsBooked, 0),
+        paddocksAvailable: Math.max(day.paddockCapacity - day.paddocksBooked, 0)
+      };
+      const last = ranges[ranges.length - 1];
+
+      if (
+        last &&
+        last.stallCapacity === range.stallCapacity &&
+        last.paddockCapacity === range.paddockCapacity &&
+        last.stallsAvailable === range.stallsAvailable &&
+        last.paddocksAvailable === range.paddocksAvailable
+      ) {
+        last.endDate = day.date;
+      } else {
+        ranges.push(range);
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Validate a calendar day
+   * @param {string} value - Day, YYYY-MM-DD
+   * @param {string} field - Field name for error messages
+   * @returns {string}
+   * @throws {Error} - If it's missing or not a real date
+   */
+  parseDay(value, field) {
+    if (!value) {
+      throw new Error(`${field} is required`);
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+    if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw new Error(`Invalid ${field}: expected YYYY-MM-DD`);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * @param {*} value - Count from the request
+   * @param {string} field - Field name for error messages
+   * @returns {number}
+   * @throws {Error} - If it isn't a whole number of at least zero
+   */
+  parseCount(value, field) {
+    const count = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isInteger(count) || count < 0) {
+      throw new Error(`Invalid ${field}: must be a whole number`);
+    }
+    return count;
+  }
+
+  /**
+   * @param {string} startDate - First day
+   * @param {string} endDate - Last day
+   * @throws {Error} - If the range is backwards or too long
+   */
+  checkRange(startDate, endDate) {
+    if (endDate < startDate) {
+      throw new Error('Invalid date range: the end is before the start');
+    }
+    if (this.addDays(startDate, MAX_RANGE_DAYS - 1) < endDate) {
+      throw new Error(`Invalid date range: at most ${MAX_RANGE_DAYS} days`);
+    }
+  }
+
+  /**
+   * @param {string} day - Day, YYYY-MM-DD
+   * @param {number} count - Days to add (may be negative)
+   * @returns {string}
+   */
+  addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @returns {string} - Today (UTC), YYYY-MM-DD
+   */
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {string} note - Raw note
+   * @returns {string|null}
+   */
+  cleanNote(note) {
+    return note ? String(note).trim().slice(0, 1000) || null : null;
+  }
+
+  /**
+   * @param {string} unitType - "stall" or "paddock"
+   * @param {number} count - Count
+   * @returns {string}
+   */
+  pluralize(unitType, count) {
+    return count === 1 ? unitType : `${unitType}s`;
+  }
+
+  /**
+   * Describe what was booked, e.g. "2 stalls"
+   * @param {AgistmentBooking} booking - Booking
+   * @returns {string}
+   */
+  describeUnits(booking) {
+    return `${booking.units} ${this.pluralize(booking.unitType, booking.units)}`;
+  }
+
+  /**
+   * Describe a booking for emails, e.g. "2 stalls from 2026-11-01 to 2026-11-30"
+   * @param {AgistmentBooking} booking - Booking
+   * @returns {string}
+   */
+  describeBooking(booking) {
+    return `${this.describeUnits(booking)} from ${booking.startDate} to ${booking.endDate}`;
+  }
+
+  /**
+   * Email one party about a booking. Failures are logged, not thrown, so the
+   * booking change itself still succeeds.
+   * @param {string} userId - Recipient user ID
+   * @param {string} subject - Email subject
+   * @param {string[]} lines - Paragraphs of the email
+   * @param {string} actionLabel - Button text
+   * @returns {Promise<void>}
+   */
+  async notify(userId, subject, lines, actionLabel) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        return;
+      }
+
+      await this.emailOutbox.queue({
+        to: user.email,
+        template: 'agistmentBookingUpdate',
+        data: {
+          firstName: user.firstName,
+          subject,
+          paragraphs: lines.filter(Boolean),
+          actionUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          actionLabel
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to send agistment email to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = AgistmentService;
@@ -0,0 +1,192 @@
+// backend/src/services/emailOutboxService.js
+const EmailMessage = require('../models/emailMessage');
+const EmailOutboxRepository = require('../repositories/emailOutboxRepository');
+const { renderEmail } = require('../utils/emailTemplates');
+const { sendEmail } = require('../utils/emailService');
+const { getEmailTransport } = require('../utils/emailTransports');
+
+/**
+ * A claim older than this means the worker died mid-send
+ */
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Durable email delivery. Emails are rendered and written to the outbox,
+ * ideally in the same transaction as the change that triggers them, and a
+ * background job delivers them. Failed sends are retried with exponential
+ * backoff until the message runs out of attempts and is dead-lettered.
+ */
+class EmailOutboxService {
+  constructor() {
+    this.emailOutboxRepository = new EmailOutboxRepository();
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+    this.retryBaseMs = (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 60) * 1000;
+    this.retryMaxMs = (parseInt(process.env.EMAIL_RETRY_MAX_SECONDS, 10) || 6 * 60 * 60) * 1000;
+    this.batchSize = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE, 10) || 50;
+  }
+
+  /**
+   * Render a template and add it to the outbox
+   * @param {Object} email - Email to queue
+   * @param {string} email.to - Recipient email
+   * @param {string} email.template - Template name (see utils/emailTemplates)
+   * @param {Object} email.data - Template variables
+   * @param {string} email.calendarEvent - iCalendar invite to send with it (optional, see utils/ical)
+   * @param {Object} client - Optional transaction client; the email is only sent if it commits
+   * @returns {Promise<EmailMessage>}
+   */
+  async queue({ to, template, data, calendarEvent }, client) {
+    const { subject, html, text } = renderEmail(template, data);
+
+    const message = new EmailMessage({
+      toAddress: to,
+      template,
+      subject,
+      htmlBody: html,
+      textBody: text,
+      calendarEvent,
+      maxAttempts: this.maxAttempts
+    });
+
+    return await this.emailOutboxRepository.create(message, client);
+  }
+
+  /**
+   * Deliver every message that is due. Run by the email-outbox job.
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async deliverDue() {
+    const released = await this.emailOutboxRepository.releaseStale(STALE_CLAIM_MS);
+    if (released > 0) {
+      console.warn(`Released ${released} stale email outbox claims`);
+    }
+
+    const result = { sent: 0, failed: 0 };
+    let batch;
+
+    do {
+      batch = await this.emailOutboxRepository.claimDue(this.batchSize);
+
+      for (const message of batch) {
+        const sent = await this.deliver(message);
+        result[sent ? 'sent' : 'failed'] += 1;
+      }
+    } while (batch.length === this.batchSize);
+
+    return result;
+  }
+
+  /**
+   * Try to send one claimed message and record the attempt
+   * @param {EmailMessage} message - Message claimed by deliverDue
+   * @returns {Promise<boolean>} - True if it was sent
+   */
+  async deliver(message) {
+    try {
+      const { transport, messageId } = await sendEmail({
+        to: message.toAddress,
+        subject: message.subject,
+        text: message.textBody,
+        html: message.htmlBody,
+        calendarEvent: message.calendarEvent
+      });
+
+      await this.emailOutboxRepository.recordAttempt(message, {
+        transport,
+        status: 'sent',
+        providerMessageId: messageId
+      });
+
+      return true;
+    } catch (error) {
+      const dead = message.isLastAttempt();
+
+      await this.emailOutboxRepository.recordAttempt(message, {
+        transport: this.transportName(),
+        status: dead ? 'dead' : 'pending',
+        nextAttemptAt: dead ? null : new Date(Date.now() + this.retryDelayMs(message.attempts + 1)),
+        error: error.message
+      });
+
+      if (dead) {
+        console.error(`Email ${message.id} to ${message.toAddress} dead-lettered after ${message.attempts + 1} attempts:`, error);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Delay before the next try: doubles after every failure, up to the maximum
+   * @param {number} attemptNumber - Attempt that just failed, starting at 1
+   * @returns {number} - Milliseconds
+   */
+  retryDelayMs(attemptNumber) {
+    return Math.min(this.retryBaseMs * 2 ** (attemptNumber - 1), this.retryMaxMs);
+  }
+
+  /**
+   * List outbox messages (admin)
+   * @param {Object} query - Filters (status, to, page, limit)
+   * @returns {Promise<{messages: EmailMessage[], total: number, page: number, limit: number}>}
+   */
+  async listMessages({ status, to, page = 1, limit = 20 } = {}) {
+    if (status && !EmailMessage.STATUSES.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { messages, total } = await this.emailOutboxRepository.find({
+      status,
+      to,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { messages, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get a message with its send history (admin)
+   * @param {string} messageId - Message ID
+   * @returns {Promise<EmailMessage>}
+   */
+  async getMessage(messageId) {
+    const message = await this.emailOutboxRepository.findById(messageId);
+    if (!message) {
+      throw new Error('Email not found');
+    }
+    return message;
+  }
+
+  /**
+   * Give a dead-lettered message a fresh set of attempts (admin)
+   * @param {string} messageId - Message ID
+   * @returns {Promise<EmailMessage>}
+   */
+  async retryMessage(messageId) {
+    await this.getMessage(messageId);
+
+    const message = await this.emailOutboxRepository.requeue(messageId, this.maxAttempts);
+    if (!message) {
+      throw new Error('Cannot retry an email that has not failed');
+    }
+    return message;
+  }
+
+  /**
+   * Name of the configured transport, for the send history
+   * @returns {string}
+   */
+  transportName() {
+    try {
+      return getEmailTransport().name;
+    } catch {
+      return process.env.EMAIL_TRANSPORT || 'smtp';
+    }
+  }
+}
+
+module.exports = EmailOutboxService;
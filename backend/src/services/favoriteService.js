@@ -0,0 +1,170 @@
+// backend/src/services/favoriteService.js
+const FavoriteRepository = require('../repositories/favoriteRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const NotificationService = require('./notificationService');
+const EmailOutboxService = require('./emailOutboxService');
+const eventBus = require('../utils/eventBus');
+
+/**
+ * Listing events that alert watchers, with how each one is worded
+ */
+const WATCHER_ALERTS = {
+  'listing:price-dropped': {
+    type: 'listing_price_dropped',
+    title: ({ listing }) => `Price drop: ${listing.title}`,
+    body: ({ listing, previousPrice }) =>
+      `Now ${formatPrice(listing.price)}, down from ${formatPrice(previousPrice)}.`
+  },
+  'listing:sold': {
+    type: 'listing_sold',
+    title: ({ listing }) => `Sold: ${listing.title}`,
+    body: () => 'A listing on your watchlist has been sold.'
+  },
+  'listing:expired': {
+    type: 'listing_expired',
+    title: ({ listing }) => `Expired: ${listing.title}`,
+    body: () => 'A listing on your watchlist has expired and is no longer available.'
+  }
+};
+
+/**
+ * Format a price for alert text
+ * @param {number} price - Price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  return `$${Number(price).toLocaleString('en-AU')}`;
+}
+
+class FavoriteService {
+  constructor() {
+    this.favoriteRepository = new FavoriteRepository();
+    this.listingRepository = new ListingRepository();
+    this.notificationService = new NotificationService();
+    this.emailOutbox = new EmailOutboxService();
+  }
+
+  /**
+   * Add a listing to a user's favourites
+   * @param {string} userId - User ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<boolean>} - True if newly added, false if it was already a favourite
+   */
+  async addFavorite(userId, listingId) {
+    if (!listingId) {
+      throw new Error('Listing is required');
+    }
+
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.isOwnedBy(userId)) {
+      throw new Error('You cannot favourite your own listing');
+    }
+
+    if (!listing.isAvailable()) {
+      throw new Error('Listing is no longer available');
+    }
+
+    return await this.favoriteRepository.add(userId, listingId);
+  }
+
+  /**
+   * Remove a listing from a user's favourites
+   * @param {string} userId - User ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<void>}
+   * @throws {Error} - If the listing wasn't a favourite
+   */
+  async removeFavorite(userId, listingId) {
+    const removed = await this.favoriteRepository.remove(userId, listingId);
+    if (!removed) {
+      throw new Error('Favourite not found');
+    }
+  }
+
+  /**
+   * List a user's favourite listings
+   * @param {string} userId - User ID
+   * @param {Object} pagination - Pagination options (page, limit)
+   * @returns {Promise<{listings: Listing[], total: number, page: number, limit: number}>}
+   */
+  async listFavorites(userId, { page, limit } = {}) {
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { listings, total } = await this.favoriteRepository.findListingsByUser(
+      userId,
+      safeLimit,
+      (safePage - 1) * safeLimit
+    );
+
+    return { listings, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get how many users are watching each listing
+   * @param {string[]} listingIds - Listing IDs
+   * @returns {Promise<Object>} - Map of listing ID to watcher count
+   */
+  async getWatcherCounts(listingIds) {
+    return await this.favoriteRepository.countWatchers(listingIds);
+  }
+
+  /**
+   * Start alerting watchers when listings they favourited change
+   */
+  subscribe() {
+    for (const [event, alert] of Object.entries(WATCHER_ALERTS)) {
+      eventBus.on(event, payload => {
+        this.alertWatchers(alert, payload).catch(error => {
+          console.error(`Watcher alert error (${event}):`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Email and notify everyone watching a listing.
+   * One failed email doesn't stop the other watchers being alerted.
+   * @param {Object} alert - Entry of WATCHER_ALERTS
+   * @param {Object} payload - Event payload ({ listing, ... })
+   * @returns {Promise<void>}
+   */
+  async alertWatchers(alert, payload) {
+    const { listing } = payload;
+    const watchers = await this.favoriteRepository.findWatchers(listing.id);
+
+    const title = alert.title(payload);
+    const body = alert.body(payload);
+    const listingUrl = `${process.env.FRONTEND_URL}/listings/${listing.id}`;
+
+    await Promise.all(watchers.map(async watcher => {
+      try {
+        await this.notificationService.notify(watcher.id, alert.type, {
+          title,
+          body,
+          data: { listingId: listing.id }
+        });
+
+        await this.emailOutbox.queue({
+          to: watcher.email,
+          template: 'watchlistAlert',
+          data: {
+            firstName: watcher.firstName,
+            title,
+            body,
+            listingTitle: listing.title,
+            listingUrl
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to alert watcher ${watcher.id}:`, error);
+      }
+    }));
+  }
+}
+
+module.exports = FavoriteService;
@@ -0,0 +1,434 @@
+// backend/src/services/horseDocumentService.js
+const path = require('path');
+const HorseDocument = require('../models/horseDocument');
+const DocumentAccess = require('../models/documentAccess');
+const HorseDocumentRepository = require('../repositories/horseDocumentRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const UserRepository = require('../repositories/userRepository');
+const HorseService = require('./horseService');
+const EmailOutboxService = require('./emailOutboxService');
+const { getPrivateStorage } = require('../utils/storage');
+
+/**
+ * Health documents on horse profiles. Files live in private storage; the
+ * owner and buyers holding an unexpired grant get short-lived signed URLs,
+ * and every URL handed out is logged as a view.
+ */
+class HorseDocumentService {
+  constructor() {
+    this.horseDocumentRepository = new HorseDocumentRepository();
+    this.listingRepository = new ListingRepository();
+    this.userRepository = new UserRepository();
+    this.horseService = new HorseService();
+    this.emailOutbox = new EmailOutboxService();
+    this.storage = getPrivateStorage();
+    this.urlTtlSeconds = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS, 10) || 300;
+    this.defaultGrantDays = parseInt(process.env.DOCUMENT_ACCESS_DEFAULT_DAYS, 10) || 7;
+    this.maxGrantDays = parseInt(process.env.DOCUMENT_ACCESS_MAX_DAYS, 10) || 30;
+  }
+
+  /**
+   * List a horse's documents. Anyone signed in can see the type and date of
+   * each; the rest of the metadata needs the owner or an active grant. The
+   * response says whether the user can open them and where their request stands.
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - Current user
+   * @returns {Promise<{documents: Array<HorseDocument|Object>, isOwner: boolean, canView: boolean, access: DocumentAccess|null}>}
+   */
+  async listDocuments(horseId, userId) {
+    const horse = await this.horseService.getHorse(horseId);
+    const documents = await this.horseDocumentRepository.findByHorse(horseId);
+
+    if (horse.isOwnedBy(userId)) {
+      return { documents, isOwner: true, canView: true, access: null };
+    }
+
+    const access = await this.horseDocumentRepository.findLatestAccess(horseId, userId);
+    const canView = Boolean(access && access.isActive());
+
+    return {
+      documents: canView ? documents : documents.map(document => document.toSummary()),
+      isOwner: false,
+      canView,
+      access
+    };
+  }
+
+  /**
+   * Attach a document to a horse the user keeps a profile for
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - Owner uploading
+   * @param {Object} file - Multer file (buffer, mimetype, size, originalname)
+   * @param {Object} data - Document details (documentType, documentDate, vetName, description)
+   * @returns {Promise<HorseDocument>}
+   */
+  async uploadDocument(horseId, userId, file, data) {
+    await this.horseService.getOwnedHorse(horseId, userId);
+
+    if (!file) {
+      throw new Error('document file is required');
+    }
+
+    const signature = HorseDocument.FILE_SIGNATURES[file.mimetype];
+    if (!signature || !file.buffer.subarray(0, signature.length).equals(signature)) {
+      throw new Error('Invalid document file: its contents do not match its type');
+    }
+
+    if (!HorseDocument.TYPES.includes(data.documentType)) {
+      throw new Error(`Invalid documentType; must be one of ${HorseDocument.TYPES.join(', ')}`);
+    }
+
+    const vetName = data.vetName ? String(data.vetName).trim() : null;
+    if (vetName && vetName.length > 200) {
+      throw new Error('Invalid vetName: at most 200 characters');
+    }
+
+    const document = new HorseDocument({
+      horseId,
+      documentType: data.documentType,
+      documentDate: data.documentDate ? this.horseService.parsePastDate(data.documentDate, 'documentDate') : null,
+      vetName,
+      description: data.description ? String(data.description).trim() : null,
+      fileName: this.cleanFileName(file.originalname, file.mimetype),
+      contentType: file.mimetype,
+      sizeBytes: file.size
+    });
+    document.storageKey = `horses/${horseId}/documents/${document.id}.${HorseDocument.EXTENSIONS[file.mimetype]}`;
+
+    await this.storage.put(document.storageKey, file.buffer, file.mimetype);
+
+    try {
+      return await this.horseDocumentRepository.create(document);
+    } catch (error) {
+      // Don't leave an orphaned file behind when the insert fails
+      await this.storage.delete(document.storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a document and its file
+   * @param {string} horseId - Horse ID
+   * @param {string} documentId - Document ID
+   * @param {string} userId - Owner
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(horseId, documentId, userId) {
+    await this.horseService.getOwnedHorse(horseId, userId);
+    const document = await this.getHorseDocument(horseId, documentId);
+
+    await this.horseDocumentRepository.delete(document.id);
+    await this.storage.delete(document.storageKey);
+  }
+
+  /**
+   * Hand out a short-lived signed URL for a document. The URL carries who it
+   * was issued to, so the view is logged when the file is fetched (recordView).
+   * @param {string} horseId - Horse ID
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User opening it
+   * @returns {Promise<{url: string, expiresAt: Date}>}
+   * @throws {Error} - If the user is neither the owner nor holds an unexpired grant
+   */
+  async openDocument(horseId, documentId, userId) {
+    const horse = await this.horseService.getHorse(horseId);
+    const document = await this.getHorseDocument(horseId, documentId);
+
+    let accessId = null;
+    if (!horse.isOwnedBy(userId)) {
+      const grant = await this.horseDocumentRepository.findActiveGrant(horseId, userId);
+      if (!grant) {
+        throw new Error('Not authorized to view this document');
+      }
+      accessId = grant.id;
+    }
+
+    const context = [document.id, userId, accessId || ''].join('.');
+
+    return {
+      url: this.storage.getSignedUrl(document.storageKey, this.urlTtlSeconds, context),
+      expiresAt: new Date(Date.now() + this.urlTtlSeconds * 1000)
+    };
+  }
+
+  /**
+   * Log a view of a document fetched through a signed URL from openDocument
+   * @param {string} context - Context from the signed URL, already verified
+   * @param {string|null} ipAddress - Viewer's IP address
+   * @returns {Promise<void>}
+   * @throws {Error} - If the context wasn't made by openDocument
+   */
+  async recordView(context, ipAddress = null) {
+    const [documentId, viewerId, accessId] = String(context).split('.');
+    if (!documentId || !viewerId || accessId === undefined) {
+      throw new Error('Invalid document link');
+    }
+
+    await this.horseDocumentRepository.logView({
+      documentId,
+      viewerId,
+      accessId: accessId || null,
+      ipAddress
+    });
+  }
+
+  /**
+   * List who opened a horse's documents and when
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - Owner
+   * @param {Object} query - Options (documentId, page, limit)
+   * @returns {Promise<Object>} - views, total, page, limit
+   */
+  async listViews(horseId, userId, { documentId, page, limit } = {}) {
+    await this.horseService.getOwnedHorse(horseId, userId);
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+    const { views, total } = await this.horseDocumentRepository.findViews(horseId, {
+      documentId,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { views, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Ask the owner for access to a horse's documents
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - Buyer asking
+   * @param {Object} data - Request data
+   * @param {string} data.message - Note to the owner (optional)
+   * @param {string} data.listingId - Listing the buyer came from (optional)
+   * @returns {Promise<DocumentAccess>}
+   */
+  async requestAccess(horseId, userId, { message, listingId } = {}) {
+    const horse = await this.horseService.getHorse(horseId);
+
+    if (horse.isOwnedBy(userId)) {
+      throw new Error('Cannot request access to your own horse');
+    }
+
+    const documents = await this.horseDocumentRepository.findByHorse(horseId);
+    if (documents.length === 0) {
+      throw new Error('Cannot request access: this horse has no health documents');
+    }
+
+    if (await this.horseDocumentRepository.findActiveGrant(horseId, userId)) {
+      throw new Error('Cannot request access: you already have access');
+    }
+
+    if (listingId) {
+      const listing = await this.listingRepository.findById(listingId);
+      if (!listing || listing.details.horseId !== horseId) {
+        throw new Error('Invalid listingId: the listing is not for this horse');
+      }
+    }
+
+    const note = message ? String(message).trim() : null;
+    if (note && note.length > 1000) {
+      throw new Error('Invalid message: at most 1000 characters');
+    }
+
+    let access;
+    try {
+      access = await this.horseDocumentRepository.createAccess(new DocumentAccess({
+        horseId,
+        requesterId: userId,
+        listingId: listingId || null,
+        message: note
+      }));
+    } catch (error) {
+      // Unique violation: the buyer already has a pending request for this horse
+      if (error.code === '23505') {
+        throw new Error('You already have a pending request for these documents');
+      }
+      throw error;
+    }
+
+    await this.notify(horse.ownerId, `Request to see ${horse.name}'s health records`, [
+      `${access.requesterName} asked to see the health records for ${horse.name}.`,
+      note ? `Message: "${note}"` : null,
+      'Nothing is shared until you grant access, and you choose how long it lasts.'
+    ], `${process.env.FRONTEND_URL}/dashboard`, 'Review the request');
+
+    return access;
+  }
+
+  /**
+   * List the access requests for a horse's documents
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - Owner
+   * @param {Object} query - Options (status)
+   * @returns {Promise<DocumentAccess[]>}
+   */
+  async listAccessRequests(horseId, userId, { status } = {}) {
+    await this.horseService.getOwnedHorse(horseId, userId);
+
+    if (status && !DocumentAccess.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be one of ${DocumentAccess.STATUSES.join(', ')}`);
+    }
+
+    return await this.horseDocumentRepository.findAccessByHorse(horseId, {
+      statuses: status ? [status] : undefined
+    });
+  }
+
+  /**
+   * Grant a pending request for a number of days
+   * @param {string} horseId - Horse ID
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Owner
+   * @param {number} days - How long the grant lasts (defaults to DOCUMENT_ACCESS_DEFAULT_DAYS)
+   * @returns {Promise<DocumentAccess>}
+   */
+  async grantAccess(horseId, requestId, userId, days) {
+    const grantDays = days === undefined || days === null || days === ''
+      ? this.defaultGrantDays
+      : Number(days);
+
+    if (!Number.isInteger(grantDays) || grantDays < 1 || grantDays > this.maxGrantDays) {
+      throw new Error(`Invalid days: must be a whole number from 1 to ${this.maxGrantDays}`);
+    }
+
+    const expiresAt = new Date(Date.now() + grantDays * 24 * 60 * 60 * 1000);
+    const access = await this.decide(horseId, requestId, userId, 'granted', { expiresAt });
+
+    await this.notify(access.requesterId, `Health records shared: ${access.horseName}`, [
+      `You can now view the health records for ${access.horseName}.`,
+      `Access ends on ${expiresAt.toUTCString()}.`
+    ], this.requesterUrl(access), 'View the records');
+
+    return access;
+  }
+
+  /**
+   * Deny a pending request
+   * @param {string} horseId - Horse ID
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Owner
+   * @returns {Promise<DocumentAccess>}
+   */
+  async denyAccess(horseId, requestId, userId) {
+    const access = await this.decide(horseId, requestId, userId, 'denied');
+
+    await this.notify(access.requesterId, `Health records: ${access.horseName}`, [
+      `The owner of ${access.horseName} has decided not to share its health records.`
+    ], this.requesterUrl(access), 'View the listing');
+
+    return access;
+  }
+
+  /**
+   * End a grant before it expires
+   * @param {string} horseId - Horse ID
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Owner
+   * @returns {Promise<DocumentAccess>}
+   */
+  async revokeAccess(horseId, requestId, userId) {
+    return await this.decide(horseId, requestId, userId, 'revoked');
+  }
+
+  /**
+   * Move one of the owner's access requests to a new status
+   * @param {string} horseId - Horse ID
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Owner
+   * @param {string} status - New status
+   * @param {Object} changes - Other changes (expiresAt)
+   * @returns {Promise<DocumentAccess>} - The updated request
+   */
+  async decide(horseId, requestId, userId, status, changes = {}) {
+    await this.horseService.getOwnedHorse(horseId, userId);
+
+    const access = await this.horseDocumentRepository.findAccessById(requestId);
+    if (!access || access.horseId !== horseId) {
+      throw new Error('Access request not found');
+    }
+
+    if (!access.canTransitionTo(status)) {
+      throw new Error(`Cannot change a ${access.status} request to ${status}`);
+    }
+
+    const updated = await this.horseDocumentRepository.transitionAccess(access.id, access.status, status, changes);
+    if (!updated) {
+      throw new Error('Cannot update the request: it was changed by someone else');
+    }
+
+    return await this.horseDocumentRepository.findAccessById(access.id);
+  }
+
+  /**
+   * Find a document and check it belongs to the horse in the URL
+   * @param {string} horseId - Horse ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<HorseDocument>}
+   */
+  async getHorseDocument(horseId, documentId) {
+    const document = await this.horseDocumentRepository.findById(documentId);
+    if (!document || document.horseId !== horseId) {
+      throw new Error('Document not found');
+    }
+    return document;
+  }
+
+  /**
+   * Keep the last part of an uploaded file name, without control characters,
+   * and make sure it ends in the extension for its type
+   * @param {string} originalName - Name the browser sent
+   * @param {string} mimeType - File type
+   * @returns {string}
+   */
+  cleanFileName(originalName, mimeType) {
+    const extension = HorseDocument.EXTENSIONS[mimeType];
+    const base = Array.from(path.basename(String(originalName || '')))
+      .filter(char => char.codePointAt(0) > 0x1f && !'"\\/'.includes(char))
+      .join('')
+      .trim();
+    const name = base || `document.${extension}`;
+
+    return (name.toLowerCase().endsWith(`.${extension}`) ? name : `${name}.${extension}`).slice(-255);
+  }
+
+  /**
+   * Link for emails to a buyer: the listing they came from, or their dashboard
+   * @param {DocumentAccess} access - Request
+   * @returns {string}
+   */
+  requesterUrl(access) {
+    return access.listingId
+      ? `${process.env.FRONTEND_URL}/listings/${access.listingId}`
+      : `${process.env.FRONTEND_URL}/dashboard`;
+  }
+
+  /**
+   * Email a user about a document request. Failures are logged, not thrown,
+   * so the request change itself still succeeds.
+   * @param {string} userId - Recipient user ID
+   * @param {string} subject - Email subject
+   * @param {string[]} lines - Paragraphs of the email
+   * @param {string} actionUrl - Button link
+   * @param {string} actionLabel - Button text
+   * @returns {Promise<void>}
+   */
+  async notify(userId, subject, lines, actionUrl, actionLabel) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        return;
+      }
+
+      await this.emailOutbox.queue({
+        to: user.email,
+        template: 'documentAccessUpdate',
+        data: { firstName: user.firstName, subject, paragraphs: lines.filter(Boolean), actionUrl, actionLabel }
+      });
+    } catch (error) {
+      console.error(`Failed to send document access email to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = HorseDocumentService;
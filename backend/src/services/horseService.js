@@ -0,0 +1,289 @@
+// backend/src/services/horseService.js
+const Horse = require('../models/horse');
+const HorseRepository = require('../repositories/horseRepository');
+
+/**
+ * Most breed society registrations kept per horse
+ */
+const MAX_REGISTRATIONS = 10;
+
+/**
+ * Horse profiles: identity, registrations and pedigree, kept by a seller
+ * and linked from horse listings through details.horseId
+ */
+class HorseService {
+  constructor() {
+    this.horseRepository = new HorseRepository();
+  }
+
+  /**
+   * Create a horse profile
+   * @param {string} ownerId - Seller creating it
+   * @param {Object} data - Horse data; pedigree is a { sire, dam } tree
+   * @returns {Promise<{horse: Horse, warnings: string[]}>}
+   */
+  async createHorse(ownerId, data) {
+    if (!data.name || !String(data.name).trim()) {
+      throw new Error('name is required');
+    }
+
+    const fields = this.normalizeFields(data);
+    const horse = new Horse({
+      ...fields,
+      ownerId,
+      registrations: this.normalizeRegistrations(data.registrations || []),
+      pedigree: this.normalizePedigree(data.pedigree)
+    });
+
+    const saved = await this.horseRepository.create(horse);
+
+    return { horse: saved, warnings: await this.getMicrochipWarnings(saved) };
+  }
+
+  /**
+   * Update a horse profile. Registrations and pedigree, when given, replace the old ones.
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - User making the change
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<{horse: Horse, warnings: string[]}>}
+   */
+  async updateHorse(horseId, userId, updates) {
+    await this.getOwnedHorse(horseId, userId);
+
+    if (updates.name !== undefined && !String(updates.name || '').trim()) {
+      throw new Error('name is required');
+    }
+
+    const horse = await this.horseRepository.update(horseId, this.normalizeFields(updates), {
+      registrations: updates.registrations !== undefined
+        ? this.normalizeRegistrations(updates.registrations || [])
+        : undefined,
+      pedigree: updates.pedigree !== undefined ? this.normalizePedigree(updates.pedigree) : undefined
+    });
+
+    return { horse, warnings: await this.getMicrochipWarnings(horse) };
+  }
+
+  /**
+   * List the horses a seller keeps profiles for
+   * @param {string} ownerId - Owner user ID
+   * @returns {Promise<Horse[]>}
+   */
+  async listMyHorses(ownerId) {
+    return await this.horseRepository.findByOwner(ownerId);
+  }
+
+  /**
+   * Get a horse profile
+   * @param {string} horseId - Horse ID
+   * @returns {Promise<Horse>}
+   */
+  async getHorse(horseId) {
+    const horse = await this.horseRepository.findById(horseId);
+    if (!horse) {
+      throw new Error('Horse not found');
+    }
+    return horse;
+  }
+
+  /**
+   * Find a horse and check that the user keeps its profile
+   * @param {string} horseId - Horse ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Horse>}
+   * @throws {Error} - If the horse doesn't exist or belongs to someone else
+   */
+  async getOwnedHorse(horseId, userId) {
+    const horse = await this.getHorse(horseId);
+    if (!horse.isOwnedBy(userId)) {
+      throw new Error('Not authorized to modify this horse');
+    }
+    return horse;
+  }
+
+  /**
+   * Warn when other sellers have live listings for a horse with the same
+   * microchip: either a typo or the same horse being sold twice
+   * @param {Horse} horse - Horse to check
+   * @returns {Promise<string[]>} - Warning messages, empty when there's no clash
+   */
+  async getMicrochipWarnings(horse) {
+    if (!horse.microchip) {
+      return [];
+    }
+
+    const clashes = await this.horseRepository.findListingsWithMicrochip(horse.microchip, horse.ownerId);
+
+    return clashes.map(clash =>
+      `Microchip ${horse.microchip} is also on the active listing "${clash.title}" from another seller. Please check the number.`
+    );
+  }
+
+  /**
+   * Validate and normalise the horse's own fields; missing fields are left out
+   * @param {Object} data - Raw fields
+   * @returns {Object} - Fields to store
+   * @throws {Error} - If a value is invalid
+   */
+  normalizeFields(data) {
+    const fields = {};
+
+    for (const field of ['name', 'breed', 'color', 'markings']) {
+      if (data[field] !== undefined) {
+        fields[field] = data[field] === null ? null : String(data[field]).trim() || null;
+      }
+    }
+
+    if (fields.name && fields.name.length > 100) {
+      throw new Error('Invalid name: at most 100 characters');
+    }
+
+    if (data.sex !== undefined) {
+      if (data.sex !== null && !Horse.SEXES.includes(data.sex)) {
+        throw new Error(`Invalid sex; must be one of ${Horse.SEXES.join(', ')}`);
+      }
+      fields.sex = data.sex;
+    }
+
+    if (data.foalingDate !== undefined) {
+      fields.foalingDate = this.parsePastDate(data.foalingDate, 'foalingDate');
+    }
+
+    // Identifiers are compared for the duplicate check, so store them in one canonical form
+    if (data.microchip !== undefined) {
+      const microchip = this.compactIdentifier(data.microchip);
+      if (microchip && !/^[0-9A-Z]{9,15}$/.test(microchip)) {
+        throw new Error('Invalid microchip number');
+      }
+      fields.microchip = microchip;
+    }
+
+    if (data.ueln !== undefined) {
+      const ueln = this.compactIdentifier(data.ueln);
+      if (ueln && !/^[0-9A-Z]{15}$/.test(ueln)) {
+        throw new Error('Invalid UELN: expected 15 letters and digits');
+      }
+      fields.ueln = ueln;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Validate a past calendar date
+   * @param {string|null} value - Date, YYYY-MM-DD
+   * @param {string} field - Field name for error messages
+   * @returns {string|null}
+   * @throws {Error} - If the date is malformed or in the future
+   */
+  parsePastDate(value, field) {
+    if (value === null || value === '') {
+      return null;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+    if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw new Error(`Invalid ${field}: expected YYYY-MM-DD`);
+    }
+
+    if (date > new Date()) {
+      throw new Error(`Invalid ${field}: it is in the future`);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Strip spaces and separators from an identifier and upper-case it
+   * @param {string|null} value - Raw identifier
+   * @returns {string|null}
+   */
+  compactIdentifier(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return String(value).replace(/[\s.-]/g, '').toUpperCase() || null;
+  }
+
+  /**
+   * @param {Object[]} registrations - { society, registrationNumber }
+   * @returns {Object[]}
+   * @throws {Error} - If an entry is incomplete or a society repeats
+   */
+  normalizeRegistrations(registrations) {
+    if (!Array.isArray(registrations)) {
+      throw new Error('Invalid registrations: expected a list');
+    }
+
+    if (registrations.length > MAX_REGISTRATIONS) {
+      throw new Error(`Invalid registrations: at most ${MAX_REGISTRATIONS}`);
+    }
+
+    const societies = new Set();
+
+    return registrations.map(registration => {
+      const society = String((registration && registration.society) || '').trim();
+      const registrationNumber = String((registration && registration.registrationNumber) || '').trim();
+
+      if (!society || !registrationNumber) {
+        throw new Error('Invalid registrations: each needs a society and registrationNumber');
+      }
+
+      if (societies.has(society.toLowerCase())) {
+        throw new Error(`Invalid registrations: ${society} is listed twice`);
+      }
+      societies.add(society.toLowerCase());
+
+      return { society, registrationNumber };
+    });
+  }
+
+  /**
+   * Flatten and validate a { sire, dam } pedigree tree
+   * @param {Object|null} tree - Pedigree tree
+   * @returns {Object[]} - Ancestors with a position
+   * @throws {Error} - If an ancestor is unnamed or the tree is malformed
+   */
+  normalizePedigree(tree) {
+    const currentYear = new Date().getFullYear();
+
+    return Horse.flattenPedigree(tree).map(entry => {
+      const name = String(entry.name || '').trim();
+      if (!name) {
+        throw new Error(`Invalid pedigree: the ${this.describePosition(entry.position)} needs a name`);
+      }
+
+      let foalingYear = null;
+      if (entry.foalingYear !== undefined && entry.foalingYear !== null && entry.foalingYear !== '') {
+        foalingYear = Number(entry.foalingYear);
+        if (!Number.isInteger(foalingYear) || foalingYear < 1700 || foalingYear > currentYear) {
+          throw new Error(`Invalid pedigree: foalingYear of the ${this.describePosition(entry.position)}`);
+        }
+      }
+
+      const optional = value => (value === undefined || value === null ? null : String(value).trim() || null);
+
+      return {
+        position: entry.position,
+        name,
+        registrationNumber: optional(entry.registrationNumber),
+        breed: optional(entry.breed),
+        color: optional(entry.color),
+        foalingYear
+      };
+    });
+  }
+
+  /**
+   * Describe a pedigree position in words, e.g. 'sd' -> "sire's dam"
+   * @param {string} position - Pedigree position
+   * @returns {string}
+   */
+  describePosition(position) {
+    return position.split('').map(step => (step === 's' ? 'sire' : 'dam')).join("'s ");
+  }
+}
+
+module.exports = HorseService;
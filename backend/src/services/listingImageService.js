@@ -0,0 +1,159 @@
+// backend/src/services/listingImageService.js
+const ListingImage = require('../models/listingImage');
+const ListingRepository = require('../repositories/listingRepository');
+const ListingImageRepository = require('../repositories/listingImageRepository');
+const { IMAGE_CONFIG, RENDITIONS, createRenditions } = require('../utils/imageProcessor');
+const { getStorage } = require('../utils/storage');
+
+class ListingImageService {
+  constructor() {
+    this.listingRepository = new ListingRepository();
+    this.listingImageRepository = new ListingImageRepository();
+    this.storage = getStorage();
+  }
+
+  /**
+   * Get the images of a listing in display order
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<ListingImage[]>}
+   */
+  async getImages(listingId) {
+    return await this.listingImageRepository.findByListingId(listingId);
+  }
+
+  /**
+   * Process and store uploaded images, appending them to the listing's gallery
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user uploading
+   * @param {Object[]} files - Multer files (buffer, mimetype, size)
+   * @returns {Promise<ListingImage[]>} - All images for the listing
+   */
+  async uploadImages(listingId, userId, files = []) {
+    await this.checkOwnership(listingId, userId);
+
+    if (files.length === 0) {
+      throw new Error('At least one image is required');
+    }
+
+    const existingCount = await this.listingImageRepository.countByListingId(listingId);
+    if (existingCount + files.length > IMAGE_CONFIG.maxImagesPerListing) {
+      throw new Error(`Listings can have at most ${IMAGE_CONFIG.maxImagesPerListing} images`);
+    }
+
+    const images = [];
+    const storedKeys = [];
+
+    try {
+      for (const file of files) {
+        if (!IMAGE_CONFIG.allowedMimeTypes.includes(file.mimetype)) {
+          throw new Error('Invalid image type');
+        }
+
+        const { width, height, renditions } = await createRenditions(file.buffer);
+        const image = new ListingImage({ listingId });
+        image.storageKey = `listings/${listingId}/${image.id}`;
+
+        const urls = {};
+        for (const [name, body] of Object.entries(renditions)) {
+          const key = `${image.storageKey}/${name}.jpg`;
+          const stored = await this.storage.put(key, body, 'image/jpeg');
+          storedKeys.push(key);
+          urls[name] = stored.url;
+        }
+
+        image.imageUrl = urls.large;
+        image.mediumUrl = urls.medium;
+        image.thumbnailUrl = urls.thumbnail;
+        image.contentType = 'image/jpeg';
+        image.sizeBytes = renditions.large.length;
+        image.width = width;
+        image.height = height;
+        images.push(image);
+      }
+
+      return await this.listingImageRepository.createMany(listingId, images);
+    } catch (error) {
+      // Don't leave orphaned files behind when processing or the insert fails
+      await Promise.all(storedKeys.map(key => this.storage.delete(key).catch(() => {})));
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder a listing's images
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @param {string[]} imageIds - Every image ID of the listing, in the new order
+   * @returns {Promise<ListingImage[]>}
+   */
+  async reorderImages(listingId, userId, imageIds) {
+    await this.checkOwnership(listingId, userId);
+
+    if (!Array.isArray(imageIds) || new Set(imageIds).size !== imageIds.length) {
+      throw new Error('Invalid image order');
+    }
+
+    const images = await this.listingImageRepository.reorder(listingId, imageIds);
+    if (!images) {
+      throw new Error('Invalid image order');
+    }
+
+    return images;
+  }
+
+  /**
+   * Delete an image and its stored renditions
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @param {string} imageId - Image ID
+   * @returns {Promise<ListingImage[]>} - Remaining images
+   */
+  async deleteImage(listingId, userId, imageId) {
+    await this.checkOwnership(listingId, userId);
+
+    const image = await this.listingImageRepository.delete(listingId, imageId);
+    if (!image) {
+      throw new Error('Image not found');
+    }
+
+    await this.deleteFiles(image);
+
+    return await this.listingImageRepository.findByListingId(listingId);
+  }
+
+  /**
+   * Delete the stored renditions of an image
+   * @param {ListingImage} image - Image whose files should be deleted
+   * @returns {Promise<void>}
+   */
+  async deleteFiles(image) {
+    if (!image.storageKey) {
+      return;
+    }
+
+    await Promise.all(
+      Object.keys(RENDITIONS).map(name => this.storage.delete(`${image.storageKey}/${name}.jpg`))
+    );
+  }
+
+  /**
+   * Check that a listing exists, is owned by the user and can still be edited
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - User ID
+   * @throws {Error} - If the listing doesn't exist, isn't owned by the user or is sold
+   */
+  async checkOwnership(listingId, userId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    if (!listing.isOwnedBy(userId)) {
+      throw new Error('Not authorized to modify this listing');
+    }
+    if (listing.status === 'sold') {
+      throw new Error('Cannot edit a sold listing');
+    }
+  }
+}
+
+module.exports = ListingImageService;
@@ -0,0 +1,938 @@
+// backend/src/services/listingService.js
+const Listing = require('../models/listing');
+const ListingRepository = require('../repositories/listingRepository');
+const GazetteerRepository = require('../repositories/gazetteerRepository');
+const ListingImageService = require('./listingImageService');
+const HorseRepository = require('../repositories/horseRepository');
+const UserRepository = require('../repositories/userRepository');
+const HorseService = require('./horseService');
+const EmailOutboxService = require('./emailOutboxService');
+const eventBus = require('../utils/eventBus');
+
+/**
+ * Largest search radius accepted, in kilometres
+ */
+const MAX_RADIUS_KM = 1000;
+
+/**
+ * Latest a draft can be scheduled to publish, in days from now
+ */
+const MAX_SCHEDULE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields updateListing never copies from the request: ownership and identity,
+ * details (saved separately) and publishAt (validated first)
+ */
+const PROTECTED_UPDATE_FIELDS = ['id', 'userId', 'listingType', 'details', 'createdAt', 'publishAt'];
+
+/**
+ * Read a number of days from the environment, where 0 is a valid setting
+ * @param {string} value - Raw value
+ * @param {number} fallback - Used when the value is missing or not a number
+ * @returns {number}
+ */
+function parseDays(value, fallback) {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? fallback : Math.max(days, 0);
+}
+
+/**
+ * Listing gender for each horse profile sex; listings only use the adult terms
+ */
+const GENDER_FOR_SEX = {
+  mare: 'mare',
+  filly: 'mare',
+  gelding: 'gelding',
+  stallion: 'stallion',
+  colt: 'stallion'
+};
+
+class ListingService {
+  /**
+   * @param {Object} options - Optional dependencies
+   * @param {Object} options.gazetteer - Place resolver with a resolve(query, state) method
+   */
+  constructor({ gazetteer } = {}) {
+    this.listingRepository = new ListingRepository();
+    this.gazetteer = gazetteer || new GazetteerRepository();
+    this.listingImageService = new ListingImageService();
+    this.horseRepository = new HorseRepository();
+    this.userRepository = new UserRepository();
+    this.horseService = new HorseService();
+    this.emailOutbox = new EmailOutboxService();
+    this.durationDays = parseInt(process.env.LISTING_DURATION_DAYS, 10) || 60;
+    this.renewalReminderDays = parseInt(process.env.LISTING_RENEWAL_REMINDER_DAYS, 10) || 3;
+    this.soldVisibleDays = parseDays(process.env.SOLD_LISTING_VISIBLE_DAYS, 30);
+    this.reviewRequired = process.env.LISTING_REVIEW_REQUIRED !== 'false';
+  }
+
+  /**
+   * Create a new listing for a seller. It's submitted straight away unless
+   * it's saved as a draft or scheduled to publish later.
+   * @param {string} userId - ID of the owning seller
+   * @param {Object} listingData - Listing data including type-specific details,
+   *   plus draft (true to keep it a draft) and publishAt (submit automatically then)
+   * @returns {Promise<Listing>}
+   */
+  async createListing(userId, listingData) {
+    const details = await this.applyHorseProfile(userId, listingData.listingType, listingData.details);
+    this.validateListing({ ...listingData, details });
+
+    const publishAt = this.parsePublishAt(listingData.publishAt);
+
+    const listing = new Listing({
+      ...listingData,
+      userId,
+      status: 'draft',
+      isActive: false,
+      expiresAt: null,
+      publishAt,
+      details: this.pickDetails(listingData.listingType, details)
+    });
+
+    const created = await this.listingRepository.create(listing);
+
+    if (listingData.draft === true || publishAt) {
+      return created;
+    }
+
+    return await this.submit(created);
+  }
+
+  /**
+   * Get a listing by ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async getListing(listingId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return listing;
+  }
+
+  /**
+   * Get a listing as shown to the public: listings on the market, and sold
+   * ones for a while after the sale. Listings hidden by moderators, unpublished,
+   * expired or withdrawn aren't found.
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async getPublicListing(listingId) {
+    const listing = await this.getListing(listingId);
+    if (listing.hiddenAt || !this.isPubliclyVisible(listing)) {
+      throw new Error('Listing not found');
+    }
+    listing.horse = await this.getListingHorse(listing);
+    return listing;
+  }
+
+  /**
+   * Get the horse profile a horse listing is linked to
+   * @param {Listing} listing - Listing
+   * @returns {Promise<Horse|null>} - The horse, with its pedigree, or null if not linked
+   */
+  async getListingHorse(listing) {
+    if (listing.listingType !== 'horse' || !listing.details.horseId) {
+      return null;
+    }
+    return await this.horseRepository.findById(listing.details.horseId);
+  }
+
+  /**
+   * Warn a seller when the linked horse's microchip is on another seller's active listing
+   * @param {Listing} listing - Listing just created or updated
+   * @returns {Promise<string[]>} - Warning messages
+   */
+  async getListingWarnings(listing) {
+    const horse = await this.getListingHorse(listing);
+    return horse ? await this.horseService.getMicrochipWarnings(horse) : [];
+  }
+
+  /**
+   * List listings with optional filters and pagination
+   * @param {Object} filters - Filters (userId, listingType, isActive, status, isHidden, q)
+   * @param {Object} pagination - Pagination options
+   * @param {number} pagination.page - Page number (1-based)
+   * @param {number} pagination.limit - Page size
+   * @returns {Promise<{listings: Listing[], total: number, page: number, limit: number}>}
+   */
+  async listListings(filters, { page = 1, limit = 20 } = {}) {
+    if (filters.listingType && !Listing.TYPES.includes(filters.listingType)) {
+      throw new Error('Invalid listing type');
+    }
+
+    const { status, ...rest } = filters;
+    if (status && !Listing.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be one of ${Listing.STATUSES.join(', ')}`);
+    }
+
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { listings, total } = await this.listingRepository.findAll({
+      ...rest,
+      statuses: status ? [status] : undefined,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { listings, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Search listings with base and type-specific filters, returning facet counts.
+   * When an origin is given (lat/lng or a postcode/suburb in "near"), results
+   * carry a distanceKm and can be limited to a radius in km.
+   * @param {Object} query - Raw query string parameters
+   * @param {Object} window - Creation time window, used to re-run saved searches incrementally
+   * @param {Date} window.createdAfter - Only listings published after this time (optional)
+   * @param {Date} window.createdBefore - Only listings published at or before this time (optional)
+   * @returns {Promise<{listings: Listing[], total: number, page: number, limit: number, facets: Object, ranges: Object, origin: Object|null}>}
+   */
+  async searchListings(query, { createdAfter, createdBefore } = {}) {
+    const criteria = {
+      ...this.parseSearchCriteria(query),
+      createdAfter,
+      createdBefore,
+      soldVisibleDays: this.soldVisibleDays
+    };
+    const origin = await this.resolveOrigin(query);
+
+    if (origin) {
+      criteria.geo = { ...origin, radiusKm: criteria.radiusKm };
+      if (!query.sort) {
+        criteria.sort = 'distance';
+      }
+    } else if (criteria.radiusKm || criteria.sort === 'distance') {
+      throw new Error('Invalid location: radius and distance sort need lat/lng or near');
+    }
+
+    const result = await this.listingRepository.search(criteria);
+
+    return {
+      ...result,
+      page: criteria.page,
+      limit: criteria.limit,
+      origin
+    };
+  }
+
+  /**
+   * Resolve the search origin from lat/lng or a postcode/suburb
+   * @param {Object} query - Raw query string parameters
+   * @returns {Promise<Object|null>} - Origin point or null when none was given
+   * @throws {Error} - If the coordinates are invalid or the place is unknown
+   */
+  async resolveOrigin(query) {
+    if (query.lat !== undefined || query.lng !== undefined) {
+      const latitude = Number(query.lat);
+      const longitude = Number(query.lng);
+
+      if (
+        query.lat === '' || query.lng === '' ||
+        isNaN(latitude) || isNaN(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180
+      ) {
+        throw new Error('Invalid coordinates');
+      }
+
+      return { latitude, longitude, label: null };
+    }
+
+    if (query.near) {
+      const place = await this.gazetteer.resolve(query.near, query.state);
+      if (!place) {
+        throw new Error(`Invalid location: no match for "${query.near}"`);
+      }
+
+      return {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        label: [place.suburb, place.state, place.postcode].filter(Boolean).join(' ')
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn raw query string parameters into validated search criteria
+   * @param {Object} query - Raw query string parameters
+   * @returns {Object} - Search criteria for ListingRepository.search
+   * @throws {Error} - If a parameter is invalid
+   */
+  parseSearchCriteria(query = {}) {
+    const facets = {};
+    const ranges = {};
+
+    for (const [name, facet] of Object.entries(ListingRepository.SEARCH_FACETS)) {
+      if (query[name] === undefined || query[name] === '') {
+        continue;
+      }
+
+      facets[name] = facet.boolean
+        ? this.parseBoolean(query[name], name)
+        : this.parseList(query[name]);
+    }
+
+    if (facets.listingType && facets.listingType.some(type => !Listing.TYPES.includes(type))) {
+      throw new Error('Invalid listing type');
+    }
+
+    for (const name of Object.keys(ListingRepository.SEARCH_RANGES)) {
+      if (query[name] === undefined || query[name] === '') {
+        continue;
+      }
+
+      const value = Number(query[name]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`Invalid ${name}`);
+      }
+      ranges[name] = value;
+    }
+
+    const sort = query.sort || 'newest';
+    if (!ListingRepository.SEARCH_SORTS[sort]) {
+      throw new Error('Invalid sort');
+    }
+
+    let radiusKm;
+    if (query.radius !== undefined && query.radius !== '') {
+      radiusKm = Number(query.radius);
+      if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw new Error('Invalid radius');
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    return {
+      radiusKm,
+      q: query.q ? String(query.q).trim() : undefined,
+      facets,
+      ranges,
+      sort,
+      page,
+      limit,
+      offset: (page - 1) * limit
+    };
+  }
+
+  /**
+   * Parse a multi-value query parameter (repeated or comma separated)
+   * @param {string|string[]} value - Raw parameter value
+   * @returns {string[]} - Non-empty values
+   */
+  parseList(value) {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse a boolean query parameter
+   * @param {string} value - Raw parameter value
+   * @param {string} name - Parameter name for error messages
+   * @returns {boolean}
+   * @throws {Error} - If the value isn't "true" or "false"
+   */
+  parseBoolean(value, name) {
+    if (value === true || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+    throw new Error(`Invalid ${name}`);
+  }
+
+  /**
+   * Update a listing owned by the given user
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @param {Object} updates - Listing updates including type-specific details
+   * @returns {Promise<Listing>}
+   */
+  async updateListing(listingId, userId, updates) {
+    const listing = await this.getOwnedListing(listingId, userId);
+    this.assertEditable(listing);
+
+    if (updates.listingType && updates.listingType !== listing.listingType) {
+      throw new Error('Listing type cannot be changed');
+    }
+
+    // Profile defaults are only filled into fields that are still empty after the update
+    const details = updates.details && updates.details.horseId
+      ? await this.applyHorseProfile(userId, listing.listingType, { ...listing.details, ...updates.details })
+      : updates.details;
+
+    this.validateListing({ ...listing, ...updates, details: { ...listing.details, ...details } });
+
+    // Don't allow changing ownership or identity fields; status and expiry only change through transitions
+    const safeUpdates = { ...updates };
+    PROTECTED_UPDATE_FIELDS.forEach(field => delete safeUpdates[field]);
+
+    if (updates.publishAt !== undefined) {
+      if (listing.status !== 'draft') {
+        throw new Error(`Cannot schedule a listing that is ${listing.status}`);
+      }
+      safeUpdates.publishAt = this.parsePublishAt(updates.publishAt);
+    }
+
+    const updated = await this.listingRepository.update(
+      listingId,
+      safeUpdates,
+      this.pickDetails(listing.listingType, details)
+    );
+
+    if (
+      updated.isAvailable() &&
+      listing.price !== null && updated.price !== null &&
+      updated.price < listing.price
+    ) {
+      eventBus.emit('listing:price-dropped', { listing: updated, previousPrice: listing.price });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Submit a draft (or relist a withdrawn listing) for review. When review
+   * isn't required it goes straight on the market.
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Listing>}
+   */
+  async submitListing(listingId, userId) {
+    const listing = await this.getOwnedListing(listingId, userId);
+    return await this.submit(listing);
+  }
+
+  /**
+   * Withdraw a listing owned by the given user from the market
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Listing>}
+   */
+  async withdrawListing(listingId, userId) {
+    const current = await this.getOwnedListing(listingId, userId);
+    const listing = await this.transition(current, 'withdrawn', { publishAt: null });
+
+    eventBus.emit('listing:withdrawn', { listing });
+
+    return listing;
+  }
+
+  /**
+   * Mark a listing owned by the given user as sold
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Listing>}
+   * @throws {Error} - If the listing is already off the market
+   */
+  async markListingSold(listingId, userId) {
+    const current = await this.getOwnedListing(listingId, userId);
+    if (!current.canTransitionTo('sold')) {
+      throw new Error('Only active listings can be marked as sold');
+    }
+
+    const listing = await this.transition(current, 'sold', { soldAt: new Date() });
+
+    eventBus.emit('listing:sold', { listing });
+
+    return listing;
+  }
+
+  /**
+   * Take a listing off the market while a buyer's payment is held. Listings
+   * sold through an accepted offer are already under offer.
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async reserveListing(listingId) {
+    const listing = await this.getListing(listingId);
+    if (listing.status === 'under_offer') {
+      return listing;
+    }
+
+    return await this.transition(listing, 'under_offer', { underOfferAt: new Date() });
+  }
+
+  /**
+   * Put a listing that was under offer back on the market, e.g. when the
+   * buyer's payment was refunded
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async reopenListing(listingId) {
+    const listing = await this.getListing(listingId);
+    return await this.transition(listing, 'active');
+  }
+
+  /**
+   * Renew a listing: an expired one goes back on the market, and an active
+   * one has its expiry pushed back once the renewal reminder window opens
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Listing>}
+   */
+  async renewListing(listingId, userId) {
+    const listing = await this.getOwnedListing(listingId, userId);
+
+    if (listing.status === 'expired') {
+      return await this.transition(listing, 'active', {
+        expiresAt: this.nextExpiry(),
+        renewalReminderSentAt: null
+      });
+    }
+
+    if (listing.status !== 'active') {
+      throw new Error(`Cannot renew a listing that is ${listing.status}`);
+    }
+
+    const renewableFrom = new Date(listing.expiresAt).getTime() - this.renewalReminderDays * DAY_MS;
+    if (listing.expiresAt && Date.now() < renewableFrom) {
+      throw new Error(
+        `Cannot renew yet: this listing runs until ${new Date(listing.expiresAt).toISOString().slice(0, 10)}`
+      );
+    }
+
+    const renewed = await this.listingRepository.extendExpiry(listing.id, this.nextExpiry());
+    if (!renewed) {
+      throw new Error('Cannot renew: the listing was changed by someone else');
+    }
+    return renewed;
+  }
+
+  /**
+   * Approve a listing waiting for review and put it on the market
+   * @param {string} listingId - Listing ID
+   * @param {Object} client - Transaction client the seller's email is queued on (optional)
+   * @returns {Promise<Listing>}
+   */
+  async approveListing(listingId, client) {
+    const listing = await this.getListing(listingId);
+    if (listing.status !== 'pending_review') {
+      throw new Error(`Cannot approve a listing that is ${listing.status}`);
+    }
+
+    const approved = await this.publish(listing, client);
+
+    await this.notifySeller(approved, 'listingReviewed', { approved: true, note: null }, client);
+
+    return approved;
+  }
+
+  /**
+   * Send a listing waiting for review back to its seller as a draft
+   * @param {string} listingId - Listing ID
+   * @param {string} reason - What the seller needs to change
+   * @param {Object} client - Transaction client the seller's email is queued on (optional)
+   * @returns {Promise<Listing>}
+   */
+  async rejectListing(listingId, reason, client) {
+    const listing = await this.getListing(listingId);
+    if (listing.status !== 'pending_review') {
+      throw new Error(`Cannot reject a listing that is ${listing.status}`);
+    }
+
+    const rejected = await this.transition(listing, 'draft', { reviewNote: reason }, client);
+
+    await this.notifySeller(rejected, 'listingReviewed', {
+      approved: false,
+      note: reason
+    }, client);
+
+    return rejected;
+  }
+
+  /**
+   * Submit scheduled drafts, remind sellers of listings about to expire and
+   * expire the ones past their date. Run by the listing-lifecycle job.
+   * @returns {Promise<{published: number, reminded: number, expired: number}>}
+   */
+  async runLifecycleTasks() {
+    return {
+      published: (await this.publishScheduled()).length,
+      reminded: await this.sendRenewalReminders(),
+      expired: (await this.expireListings()).length
+    };
+  }
+
+  /**
+   * Submit drafts whose scheduled publish time has passed
+   * @returns {Promise<Listing[]>} - Listings submitted by this run
+   */
+  async publishScheduled() {
+    const due = await this.listingRepository.claimDueToPublish();
+    const submitted = [];
+
+    for (const listing of due) {
+      try {
+        submitted.push(await this.submit(listing));
+      } catch (error) {
+        console.error(`Failed to publish scheduled listing ${listing.id}:`, error);
+      }
+    }
+
+    return submitted;
+  }
+
+  /**
+   * Email sellers whose listings expire within the reminder window
+   * @returns {Promise<number>} - Sellers reminded
+   */
+  async sendRenewalReminders() {
+    const listings = await this.listingRepository.claimRenewalReminders(
+      new Date(Date.now() + this.renewalReminderDays * DAY_MS)
+    );
+
+    for (const listing of listings) {
+      await this.notifySeller(listing, 'listingRenewalReminder', {
+        expiresOn: new Date(listing.expiresAt).toISOString().slice(0, 10),
+        actionUrl: `${process.env.FRONTEND_URL}/listings/${listing.id}/renew`
+      });
+    }
+
+    return listings.length;
+  }
+
+  /**
+   * Take listings past their expiry date off the market
+   * @returns {Promise<Listing[]>} - Listings expired by this run
+   */
+  async expireListings() {
+    const listings = await this.listingRepository.expireDue();
+
+    for (const listing of listings) {
+      eventBus.emit('listing:expired', { listing });
+    }
+
+    return listings;
+  }
+
+  /**
+   * Delete a listing owned by the given user
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<boolean>}
+   */
+  async deleteListing(listingId, userId) {
+    await this.getOwnedListing(listingId, userId);
+    const images = await this.listingImageService.getImages(listingId);
+
+    try {
+      const deleted = await this.listingRepository.delete(listingId);
+
+      await Promise.all(images.map(image => this.listingImageService.deleteFiles(image)));
+
+      return deleted;
+    } catch (error) {
+      // Foreign key violation: other records (e.g. messages) still reference the listing
+      if (error.code === '23503') {
+        throw new Error('Listing has related records and cannot be deleted; withdraw it instead');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a draft or withdrawn listing for review, or publish it when review is off
+   * @param {Listing} listing - Listing as last read
+   * @returns {Promise<Listing>}
+   */
+  async submit(listing) {
+    const pending = await this.transition(listing, 'pending_review', { publishAt: null, reviewNote: null });
+    return this.reviewRequired ? pending : await this.publish(pending);
+  }
+
+  /**
+   * Put a reviewed listing on the market with a fresh expiry date
+   * @param {Listing} listing - Listing waiting for review
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Listing>}
+   */
+  async publish(listing, client) {
+    return await this.transition(listing, 'active', {
+      publishedAt: new Date(),
+      expiresAt: this.nextExpiry(),
+      renewalReminderSentAt: null,
+      reviewNote: null
+    }, client);
+  }
+
+  /**
+   * Move a listing along its lifecycle, checking the move is allowed
+   * @param {Listing} listing - Listing as last read
+   * @param {string} status - New status
+   * @param {Object} changes - Other columns to set (see ListingRepository.transition)
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Listing>}
+   * @throws {Error} - If the move isn't allowed or someone changed the listing first
+   */
+  async transition(listing, status, changes = {}, client) {
+    if (!listing.canTransitionTo(status)) {
+      throw new Error(`Cannot change a listing that is ${listing.status} to ${status}`);
+    }
+
+    const updated = await this.listingRepository.transition(listing.id, [listing.status], status, changes, client);
+    if (!updated) {
+      throw new Error('Cannot update the listing: it was changed by someone else');
+    }
+    return updated;
+  }
+
+  /**
+   * Check whether the public can see a listing: on the market, or sold
+   * within the read-only period
+   * @param {Listing} listing - Listing
+   * @returns {boolean}
+   */
+  isPubliclyVisible(listing) {
+    if (Listing.LIVE_STATUSES.includes(listing.status)) {
+      return true;
+    }
+
+    return listing.status === 'sold' &&
+      Boolean(listing.soldAt) &&
+      Date.now() - new Date(listing.soldAt).getTime() < this.soldVisibleDays * DAY_MS;
+  }
+
+  /**
+   * Sold listings are kept read-only as a record of the sale
+   * @param {Listing} listing - Listing
+   * @throws {Error} - If the listing is sold
+   */
+  assertEditable(listing) {
+    if (listing.status === 'sold') {
+      throw new Error('Cannot edit a sold listing');
+    }
+  }
+
+  /**
+   * @returns {Date} - Expiry for a listing going on the market now
+   */
+  nextExpiry() {
+    return new Date(Date.now() + this.durationDays * DAY_MS);
+  }
+
+  /**
+   * Validate a scheduled publish time
+   * @param {*} value - ISO date and time, or empty to publish on submit
+   * @returns {Date|null}
+   */
+  parsePublishAt(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid publishAt: expected an ISO 8601 date and time');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('Invalid publishAt: must be in the future');
+    }
+    if (date.getTime() > Date.now() + MAX_SCHEDULE_DAYS * DAY_MS) {
+      throw new Error(`Invalid publishAt: at most ${MAX_SCHEDULE_DAYS} days ahead`);
+    }
+    return date;
+  }
+
+  /**
+   * Email a listing's seller. Inside a transaction the email commits with the
+   * change; otherwise failures are logged, not thrown.
+   * @param {Listing} listing - Listing
+   * @param {string} template - Template name
+   * @param {Object} data - Template data besides firstName and title; actionUrl
+   *   defaults to the seller's dashboard
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<void>}
+   */
+  async notifySeller(listing, template, data, client) {
+    const message = async () => {
+      const seller = await this.userRepository.findById(listing.userId);
+      if (!seller) {
+        return;
+      }
+
+      await this.emailOutbox.queue({
+        to: seller.email,
+        template,
+        data: {
+          firstName: seller.firstName,
+          title: listing.title,
+          actionUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          ...data
+        }
+      }, client);
+    };
+
+    if (client) {
+      return await message();
+    }
+
+    try {
+      await message();
+    } catch (error) {
+      console.error(`Failed to send ${template} email for listing ${listing.id}:`, error);
+    }
+  }
+
+  /**
+   * Find a listing and check that the user owns it
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Listing>}
+   * @throws {Error} - If the listing doesn't exist or isn't owned by the user
+   */
+  async getOwnedListing(listingId, userId) {
+    const listing = await this.getListing(listingId);
+    if (!listing.isOwnedBy(userId)) {
+      throw new Error('Not authorized to modify this listing');
+    }
+    return listing;
+  }
+
+  /**
+   * Check the horse profile a horse listing links to and fill the listing's
+   * breed, gender, colour and age from it where the seller left them empty
+   * @param {string} userId - Seller creating or updating the listing
+   * @param {string} listingType - Listing type
+   * @param {Object} details - Raw details, possibly with a horseId
+   * @returns {Promise<Object>} - Details with profile defaults applied
+   * @throws {Error} - If the horse doesn't exist or belongs to someone else
+   */
+  async applyHorseProfile(userId, listingType, details = {}) {
+    if (listingType !== 'horse' || !details || !details.horseId) {
+      return details;
+    }
+
+    const horse = await this.horseRepository.findById(details.horseId);
+    if (!horse || !horse.isOwnedBy(userId)) {
+      throw new Error('Invalid horseId: not one of your horses');
+    }
+
+    const isEmpty = value => value === undefined || value === null || value === '';
+    const defaults = {
+      breed: horse.breed,
+      gender: GENDER_FOR_SEX[horse.sex],
+      color: horse.color,
+      age: horse.getAge()
+    };
+
+    const applied = { ...details };
+    for (const [field, value] of Object.entries(defaults)) {
+      if (isEmpty(applied[field]) && !isEmpty(value)) {
+        applied[field] = value;
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Keep only the details fields that belong to the listing type
+   * @param {string} listingType - Listing type
+   * @param {Object} details - Raw details
+   * @returns {Object} - Filtered details
+   */
+  pickDetails(listingType, details = {}) {
+    const subtype = Listing.getSubtype(listingType);
+    const picked = {};
+
+    for (const field of Object.keys(subtype.fields)) {
+      if (details[field] !== undefined) {
+        picked[field] = details[field];
+      }
+    }
+
+    return picked;
+  }
+
+  /**
+   * Validate listing data
+   * @param {Object} data - Listing data
+   * @throws {Error} - If listing data is invalid
+   */
+  validateListing(data) {
+    for (const field of ['title', 'description', 'priceType', 'listingType']) {
+      if (!data[field]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+
+    const subtype = Listing.getSubtype(data.listingType);
+    if (!subtype) {
+      throw new Error('Invalid listing type');
+    }
+
+    const details = data.details || {};
+    for (const field of subtype.required) {
+      if (details[field] === undefined || details[field] === null || details[field] === '') {
+        throw new Error(`details.${field} is required`);
+      }
+    }
+
+    if (data.price !== undefined && data.price !== null) {
+      if (isNaN(Number(data.price)) || Number(data.price) < 0) {
+        throw new Error('Invalid price');
+      }
+    }
+
+    if (data.latitude !== undefined && data.latitude !== null) {
+      if (isNaN(Number(data.latitude)) || Math.abs(Number(data.latitude)) > 90) {
+        throw new Error('Invalid latitude');
+      }
+    }
+
+    if (data.longitude !== undefined && data.longitude !== null) {
+      if (isNaN(Number(data.longitude)) || Math.abs(Number(data.longitude)) > 180) {
+        throw new Error('Invalid longitude');
+      }
+    }
+
+    if (data.listingType === 'service') {
+      this.validateServiceArea(data);
+    }
+  }
+
+  /**
+   * Validate a service listing's structured area: a radius around the
+   * listing's coordinates, or a list of postcodes. Bookings are checked against it.
+   * @param {Object} data - Listing data
+   * @throws {Error} - If the area is incomplete
+   */
+  validateServiceArea(data) {
+    const { serviceAreaType, serviceRadiusKm, servicePostcodes } = data.details || {};
+
+    if (serviceAreaType === undefined || serviceAreaType === null) {
+      return;
+    }
+
+    if (serviceAreaType === 'radius') {
+      const radius = Number(serviceRadiusKm);
+      if (!serviceRadiusKm || isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+        throw new Error(`Invalid serviceRadiusKm: must be more than 0 and at most ${MAX_RADIUS_KM}`);
+      }
+      if (data.latitude === undefined || data.latitude === null || data.longitude === undefined || data.longitude === null) {
+        throw new Error('Invalid service area: a radius needs the listing latitude and longitude');
+      }
+    } else if (serviceAreaType === 'postcodes') {
+      if (!Array.isArray(servicePostcodes) || servicePostcodes.length === 0) {
+        throw new Error('Invalid servicePostcodes: expected a list of postcodes');
+      }
+      if (servicePostcodes.some(postcode => !/^\d{4}$/.test(String(postcode)))) {
+        throw new Error('Invalid servicePostcodes: postcodes have 4 digits');
+      }
+    } else {
+      throw new Error('Invalid serviceAreaType; must be radius or postcodes');
+    }
+  }
+}
+
+module.exports = ListingService;
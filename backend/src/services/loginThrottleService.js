@@ -0,0 +1,190 @@
+// backend/src/services/loginThrottleService.js
+const crypto = require('crypto');
+const { getRateLimitStore } = require('../utils/rateLimit');
+
+/**
+ * Failed attempts allowed before progressive delays start
+ */
+const FREE_ATTEMPTS = 3;
+
+/**
+ * Upper bound for the delay between attempts on one account
+ */
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Tracks failed logins per account and per IP address.
+ *
+ * After FREE_ATTEMPTS failures an account has to wait before the next attempt,
+ * doubling each time up to MAX_DELAY_MS. Reaching LOGIN_MAX_ATTEMPTS within the
+ * window locks the account for LOGIN_LOCKOUT_MINUTES and issues an unlock token.
+ * Separately, an IP address with LOGIN_IP_MAX_ATTEMPTS failures is blocked until
+ * its window ends. State lives in the rate limit store so it is shared the same
+ * way rate limits are.
+ */
+class LoginThrottleService {
+  /**
+   * @param {Object} options - Throttle options
+   * @param {Object} options.store - Store to use (default: the configured rate limit store)
+   */
+  constructor({ store } = {}) {
+    this.store = store || null;
+    this.windowMs = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+    this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+    this.maxIpAttempts = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 50;
+  }
+
+  /**
+   * Get the backing store
+   * @returns {Object} - Rate limit store
+   */
+  getStore() {
+    return this.store || getRateLimitStore();
+  }
+
+  /**
+   * Check that a login attempt may go ahead
+   * @param {string} email - Email the attempt is for
+   * @param {string} ipAddress - Client IP address
+   * @throws {Error} - 'Account temporarily locked' or 'Too many failed login attempts',
+   *   with retryAfter (seconds) set on the error
+   */
+  async assertCanAttempt(email, ipAddress) {
+    const store = this.getStore();
+    const account = this.normalizeEmail(email);
+
+    const lock = await store.get(`login:lock:${account}`);
+    if (lock) {
+      throw this.throttledError('Account temporarily locked', lock.resetAt);
+    }
+
+    if (ipAddress) {
+      const ipFailures = await store.get(`login:ip:${ipAddress}`);
+      if (ipFailures && Number(ipFailures.value) >= this.maxIpAttempts) {
+        throw this.throttledError('Too many failed login attempts', ipFailures.resetAt);
+      }
+    }
+
+    const delay = await store.get(`login:delay:${account}`);
+    if (delay) {
+      throw this.throttledError('Too many failed login attempts', delay.resetAt);
+    }
+  }
+
+  /**
+   * Record a failed login attempt
+   * @param {string} email - Email the attempt was for
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<{locked: boolean, unlockToken: string|null, lockoutMinutes: number}>}
+   */
+  async recordFailure(email, ipAddress) {
+    const store = this.getStore();
+    const account = this.normalizeEmail(email);
+    const lockoutMinutes = Math.round(this.lockoutMs / 60000);
+
+    if (ipAddress) {
+      await store.increment(`login:ip:${ipAddress}`, this.windowMs);
+    }
+
+    const { count } = await store.increment(`login:fail:${account}`, this.windowMs);
+
+    if (count >= this.maxAttempts) {
+      const unlockToken = crypto.randomBytes(32).toString('hex');
+
+      await store.set(`login:lock:${account}`, '1', this.lockoutMs);
+      await store.set(`login:unlock:${this.hashToken(unlockToken)}`, account, this.lockoutMs);
+      await store.delete(`login:fail:${account}`);
+      await store.delete(`login:delay:${account}`);
+
+      return { locked: true, unlockToken, lockoutMinutes };
+    }
+
+    if (count >= FREE_ATTEMPTS) {
+      const delayMs = Math.min(1000 * 2 ** (count - FREE_ATTEMPTS), MAX_DELAY_MS);
+      await store.set(`login:delay:${account}`, String(count), delayMs);
+    }
+
+    return { locked: false, unlockToken: null, lockoutMinutes };
+  }
+
+  /**
+   * Reset an account's failure count after a successful login
+   * @param {string} email - Email that logged in
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    const store = this.getStore();
+    const account = this.normalizeEmail(email);
+
+    await store.delete(`login:fail:${account}`);
+    await store.delete(`login:delay:${account}`);
+  }
+
+  /**
+   * Lift a lockout using the token from the unlock email
+   * @param {string} token - Unlock token
+   * @returns {Promise<string>} - Email of the unlocked account
+   * @throws {Error} - If the token is invalid or expired
+   */
+  async unlock(token) {
+    const store = this.getStore();
+    const unlockKey = `login:unlock:${this.hashToken(token || '')}`;
+    const entry = await store.get(unlockKey);
+
+    if (!entry) {
+      throw new Error('Invalid or expired unlock token');
+    }
+
+    await store.delete(unlockKey);
+    await this.clear(entry.value);
+
+    return entry.value;
+  }
+
+  /**
+   * Clear all lockout state for an account (e.g. after a password reset)
+   * @param {string} email - Account email
+   * @returns {Promise<void>}
+   */
+  async clear(email) {
+    const store = this.getStore();
+    const account = this.normalizeEmail(email);
+
+    await store.delete(`login:lock:${account}`);
+    await store.delete(`login:fail:${account}`);
+    await store.delete(`login:delay:${account}`);
+  }
+
+  /**
+   * Build an error for a throttled attempt
+   * @param {string} message - Error message
+   * @param {number} resetAt - When the attempt may be retried (ms timestamp)
+   * @returns {Error}
+   */
+  throttledError(message, resetAt) {
+    const error = new Error(message);
+    error.retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    return error;
+  }
+
+  /**
+   * Normalize an email for use as a key
+   * @param {string} email - Email
+   * @returns {string}
+   */
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Hash an unlock token for storage
+   * @param {string} token - Token
+   * @returns {string} - Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = LoginThrottleService;
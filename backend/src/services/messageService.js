@@ -0,0 +1,211 @@
+// backend/src/services/messageService.js
+const Message = require('../models/message');
+const MessageRepository = require('../repositories/messageRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const UserRepository = require('../repositories/userRepository');
+const eventBus = require('../utils/eventBus');
+
+/**
+ * Longest message accepted, in characters
+ */
+const MAX_MESSAGE_LENGTH = 5000;
+
+class MessageService {
+  constructor() {
+    this.messageRepository = new MessageRepository();
+    this.listingRepository = new ListingRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  /**
+   * Send a message about a listing.
+   * Buyers message the listing owner; the owner can only reply to users
+   * who have already messaged them about the listing.
+   * @param {string} senderId - Sending user ID
+   * @param {Object} data - Message data
+   * @param {string} data.listingId - Listing ID
+   * @param {string} data.recipientId - Recipient ID (required when the owner replies)
+   * @param {string} data.content - Message text
+   * @returns {Promise<Message>}
+   */
+  async sendMessage(senderId, { listingId, recipientId, content }) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!listingId || !text) {
+      throw new Error('Listing and message content are required');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const targetId = await this.resolveRecipient(senderId, listingId, recipientId);
+
+    const message = new Message({
+      listingId,
+      senderId,
+      recipientId: targetId,
+      content: text
+    });
+
+    const savedMessage = await this.messageRepository.create(message);
+
+    eventBus.emit('message:created', savedMessage.toJSON());
+
+    return savedMessage;
+  }
+
+  /**
+   * Check whether a user may message another user about a listing
+   * @param {string} senderId - Sending user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} recipientId - Recipient user ID
+   * @returns {Promise<boolean>}
+   */
+  async canMessage(senderId, listingId, recipientId) {
+    try {
+      const targetId = await this.resolveRecipient(senderId, listingId, recipientId);
+      return targetId === recipientId;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Work out who a message about a listing goes to, enforcing the messaging rules
+   * @param {string} senderId - Sending user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} recipientId - Requested recipient (required when the owner replies)
+   * @returns {Promise<string>} - Recipient user ID
+   * @throws {Error} - If the message isn't allowed
+   */
+  async resolveRecipient(senderId, listingId, recipientId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    if (!listing.isActive) {
+      throw new Error('Cannot send messages about an inactive listing');
+    }
+
+    const isOwner = listing.isOwnedBy(senderId);
+    const targetId = isOwner ? recipientId : listing.userId;
+
+    if (!targetId) {
+      throw new Error('Recipient is required');
+    }
+    if (targetId === senderId) {
+      throw new Error('You cannot message yourself');
+    }
+    if (!isOwner && recipientId && recipientId !== listing.userId) {
+      throw new Error('Messages must be sent to the listing owner');
+    }
+
+    if (isOwner) {
+      const hasConversation = await this.messageRepository.conversationExists(
+        listingId,
+        senderId,
+        targetId
+      );
+      if (!hasConversation) {
+        throw new Error('You can only reply to users who have messaged you about this listing');
+      }
+    } else {
+      const recipient = await this.userRepository.findById(targetId);
+      if (!recipient) {
+        throw new Error('Recipient not found');
+      }
+    }
+
+    return targetId;
+  }
+
+  /**
+   * List the current user's conversations
+   * @param {string} userId - User ID
+   * @param {Object} pagination - Pagination options (page, limit)
+   * @returns {Promise<{conversations: Object[], total: number, page: number, limit: number}>}
+   */
+  async getConversations(userId, { page, limit } = {}) {
+    const { safePage, safeLimit } = this.parsePagination(page, limit, 20);
+
+    const { conversations, total } = await this.messageRepository.findConversations(
+      userId,
+      safeLimit,
+      (safePage - 1) * safeLimit
+    );
+
+    return { conversations, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get the message history between the current user and a counterpart about a listing
+   * @param {string} userId - Current user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} counterpartId - Other user ID
+   * @param {Object} pagination - Pagination options (page, limit)
+   * @returns {Promise<{messages: Message[], total: number, page: number, limit: number}>}
+   */
+  async getConversation(userId, listingId, counterpartId, { page, limit } = {}) {
+    const { safePage, safeLimit } = this.parsePagination(page, limit, 50);
+
+    const { messages, total } = await this.messageRepository.findConversationMessages(
+      listingId,
+      userId,
+      counterpartId,
+      safeLimit,
+      (safePage - 1) * safeLimit
+    );
+
+    return { messages, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Mark the messages received from a counterpart about a listing as read
+   * @param {string} userId - Reading user ID
+   * @param {string} listingId - Listing ID
+   * @param {string} counterpartId - Other user ID
+   * @returns {Promise<string[]>} - IDs of the messages marked read
+   */
+  async markConversationRead(userId, listingId, counterpartId) {
+    const messageIds = await this.messageRepository.markConversationRead(
+      listingId,
+      userId,
+      counterpartId
+    );
+
+    if (messageIds.length) {
+      eventBus.emit('message:read', {
+        listingId,
+        readerId: userId,
+        senderId: counterpartId,
+        messageIds
+      });
+    }
+
+    return messageIds;
+  }
+
+  /**
+   * Count the current user's unread messages
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    return await this.messageRepository.countUnread(userId);
+  }
+
+  /**
+   * Clamp page and limit query parameters
+   * @param {string|number} page - Requested page
+   * @param {string|number} limit - Requested page size
+   * @param {number} defaultLimit - Page size when none is given
+   * @returns {{safePage: number, safeLimit: number}}
+   */
+  parsePagination(page, limit, defaultLimit) {
+    return {
+      safePage: Math.max(parseInt(page, 10) || 1, 1),
+      safeLimit: Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), 100)
+    };
+  }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,81 @@
+// backend/src/services/notificationService.js
+const Notification = require('../models/notification');
+const NotificationRepository = require('../repositories/notificationRepository');
+const eventBus = require('../utils/eventBus');
+
+class NotificationService {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Create an in-app notification and announce it for real-time delivery
+   * @param {string} userId - Recipient user ID
+   * @param {string} type - Notification type (see Notification.TYPES)
+   * @param {Object} content - Notification content
+   * @param {string} content.title - Short headline
+   * @param {string} content.body - Longer description (optional)
+   * @param {Object} content.data - Type-specific payload (optional)
+   * @returns {Promise<Notification>}
+   */
+  async notify(userId, type, { title, body, data }) {
+    if (!Notification.TYPES.includes(type)) {
+      throw new Error('Invalid notification type');
+    }
+
+    const notification = await this.notificationRepository.create(
+      new Notification({ userId, type, title, body, data })
+    );
+
+    eventBus.emit('notification:created', notification.toJSON());
+
+    return notification;
+  }
+
+  /**
+   * List a user's notifications with their unread count
+   * @param {string} userId - User ID
+   * @param {Object} options - Options (page, limit, unreadOnly)
+   * @returns {Promise<Object>} - notifications, total, unreadCount, page, limit
+   */
+  async listNotifications(userId, { page, limit, unreadOnly } = {}) {
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [{ notifications, total }, unreadCount] = await Promise.all([
+      this.notificationRepository.findByUser(userId, {
+        unreadOnly: unreadOnly === true || unreadOnly === 'true',
+        limit: safeLimit,
+        offset: (safePage - 1) * safeLimit
+      }),
+      this.notificationRepository.countUnread(userId)
+    ]);
+
+    return { notifications, total, unreadCount, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - Owning user ID
+   * @returns {Promise<void>}
+   * @throws {Error} - If the notification doesn't exist or belongs to someone else
+   */
+  async markRead(notificationId, userId) {
+    const updated = await this.notificationRepository.markRead(notificationId, userId);
+    if (!updated) {
+      throw new Error('Notification not found');
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of notifications marked
+   */
+  async markAllRead(userId) {
+    return await this.notificationRepository.markAllRead(userId);
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,493 @@
+// backend/src/services/offerService.js
+const Offer = require('../models/offer');
+const OfferRepository = require('../repositories/offerRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const UserRepository = require('../repositories/userRepository');
+const EmailOutboxService = require('./emailOutboxService');
+const eventBus = require('../utils/eventBus');
+
+/**
+ * How long an offer stays open when no expiry is given, in hours
+ */
+const DEFAULT_EXPIRY_HOURS = 48;
+
+/**
+ * Longest an offer can stay open, in hours
+ */
+const MAX_EXPIRY_HOURS = 14 * 24;
+
+/**
+ * Longest note accepted with an offer, in characters
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+class OfferService {
+  constructor() {
+    this.offerRepository = new OfferRepository();
+    this.listingRepository = new ListingRepository();
+    this.userRepository = new UserRepository();
+    this.emailOutbox = new EmailOutboxService();
+  }
+
+  /**
+   * Make an offer on a negotiable listing
+   * @param {string} buyerId - Buyer making the offer
+   * @param {Object} data - Offer data
+   * @param {string} data.listingId - Listing ID
+   * @param {number} data.amount - Offered price
+   * @param {number} data.expiresInHours - How long the seller has to answer (optional)
+   * @param {string} data.message - Note to the seller (optional)
+   * @returns {Promise<Offer>}
+   */
+  async makeOffer(buyerId, { listingId, amount, expiresInHours, message }) {
+    if (!listingId) {
+      throw new Error('Listing is required');
+    }
+
+    const terms = this.validateTerms({ amount, expiresInHours, message });
+
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.isOwnedBy(buyerId)) {
+      throw new Error('You cannot make an offer on your own listing');
+    }
+
+    this.assertListingOpen(listing);
+
+    if (await this.offerRepository.hasPending(listingId, buyerId)) {
+      throw new Error('You already have a pending offer on this listing');
+    }
+
+    const offer = new Offer({
+      listingId,
+      buyerId,
+      sellerId: listing.userId,
+      proposedBy: 'buyer',
+      ...terms
+    });
+
+    let savedOffer;
+    try {
+      savedOffer = await this.offerRepository.create(offer);
+    } catch (error) {
+      // Unique violation: a concurrent request opened the negotiation first
+      if (error.code === '23505') {
+        throw new Error('You already have a pending offer on this listing');
+      }
+      throw error;
+    }
+
+    await this.notify(savedOffer.sellerId, `New offer on ${savedOffer.listingTitle}`, [
+      `${savedOffer.buyerName} offered ${this.formatAmount(savedOffer.amount)}.`,
+      this.describeExpiry(savedOffer)
+    ], savedOffer);
+
+    return savedOffer;
+  }
+
+  /**
+   * Answer a pending offer with a counter-offer
+   * @param {string} offerId - Offer being countered
+   * @param {string} userId - User countering (must be the recipient)
+   * @param {Object} data - Counter-offer terms (amount, expiresInHours, message)
+   * @returns {Promise<Offer>} - The new counter-offer
+   */
+  async counterOffer(offerId, userId, { amount, expiresInHours, message }) {
+    const offer = await this.getOfferForRecipient(offerId, userId);
+    await this.assertTransition(offer, 'countered', 'counter');
+
+    const terms = this.validateTerms({ amount, expiresInHours, message });
+
+    const listing = await this.listingRepository.findById(offer.listingId);
+    this.assertListingOpen(listing);
+
+    const counter = await this.offerRepository.counter(offer.id, new Offer({
+      listingId: offer.listingId,
+      buyerId: offer.buyerId,
+      sellerId: offer.sellerId,
+      proposedBy: offer.proposedBy === 'buyer' ? 'seller' : 'buyer',
+      parentOfferId: offer.id,
+      ...terms
+    }));
+
+    if (!counter) {
+      throw await this.staleOfferError(offer.id, 'counter');
+    }
+
+    await this.notify(counter.getRecipientId(), `Counter-offer on ${counter.listingTitle}`, [
+      `Your offer of ${this.formatAmount(offer.amount)} was countered with ${this.formatAmount(counter.amount)}.`,
+      this.describeExpiry(counter)
+    ], counter);
+
+    return counter;
+  }
+
+  /**
+   * Accept a pending offer. The listing goes under offer and every other
+   * pending offer on it is closed.
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User accepting (must be the recipient)
+   * @returns {Promise<Offer>}
+   */
+  async acceptOffer(offerId, userId) {
+    const offer = await this.getOfferForRecipient(offerId, userId);
+    await this.assertTransition(offer, 'accepted', 'accept');
+
+    const listing = await this.listingRepository.findById(offer.listingId);
+    this.assertListingOpen(listing);
+
+    const result = await this.offerRepository.accept(offer.id);
+    if (!result) {
+      throw await this.staleOfferError(offer.id, 'accept');
+    }
+
+    const accepted = result.offer;
+    const lines = [
+      `The offer of ${this.formatAmount(accepted.amount)} on ${accepted.listingTitle} has been accepted.`,
+      'The listing is now under offer. Use your messages to arrange the sale.'
+    ];
+
+    await this.notify(accepted.buyerId, `Offer accepted: ${accepted.listingTitle}`, lines, accepted);
+    await this.notify(accepted.sellerId, `Offer accepted: ${accepted.listingTitle}`, lines, accepted);
+    await this.notifyClosed(result.closed, 'The seller accepted another offer.');
+
+    return accepted;
+  }
+
+  /**
+   * Decline a pending offer
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User declining (must be the recipient)
+   * @returns {Promise<Offer>}
+   */
+  async declineOffer(offerId, userId) {
+    const offer = await this.getOfferForRecipient(offerId, userId);
+    await this.assertTransition(offer, 'declined', 'decline');
+
+    const declined = await this.offerRepository.transition(offer.id, 'pending', 'declined');
+    if (!declined) {
+      throw await this.staleOfferError(offer.id, 'decline');
+    }
+
+    await this.notify(declined.getProposerId(), `Offer declined: ${declined.listingTitle}`, [
+      `Your offer of ${this.formatAmount(declined.amount)} was declined.`
+    ], declined);
+
+    return declined;
+  }
+
+  /**
+   * Withdraw a pending offer before it is answered
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User withdrawing (must be the proposer)
+   * @returns {Promise<Offer>}
+   */
+  async withdrawOffer(offerId, userId) {
+    const offer = await this.getOffer(offerId, userId);
+
+    if (offer.getProposerId() !== userId) {
+      throw new Error('Only the party who made this offer can withdraw it');
+    }
+
+    await this.assertTransition(offer, 'withdrawn', 'withdraw');
+
+    const withdrawn = await this.offerRepository.transition(offer.id, 'pending', 'withdrawn');
+    if (!withdrawn) {
+      throw await this.staleOfferError(offer.id, 'withdraw');
+    }
+
+    await this.notify(withdrawn.getRecipientId(), `Offer withdrawn: ${withdrawn.listingTitle}`, [
+      `The offer of ${this.formatAmount(withdrawn.amount)} was withdrawn.`
+    ], withdrawn);
+
+    return withdrawn;
+  }
+
+  /**
+   * Record that an accepted offer fell through. The listing goes back on the
+   * market so it can take new offers.
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - Buyer or seller of the accepted offer
+   * @returns {Promise<Offer>}
+   */
+  async fallThrough(offerId, userId) {
+    const offer = await this.getOffer(offerId, userId);
+    await this.assertTransition(offer, 'fell_through', 'cancel');
+
+    const cancelled = await this.offerRepository.fallThrough(offer.id);
+    if (!cancelled) {
+      throw await this.staleOfferError(offer.id, 'cancel');
+    }
+
+    const by = userId === cancelled.buyerId ? 'buyer' : 'seller';
+    const lines = [
+      `The sale of ${cancelled.listingTitle} at ${this.formatAmount(cancelled.amount)} was called off by the ${by}.`,
+      'The listing is back on the market and open to new offers.'
+    ];
+
+    await this.notify(cancelled.buyerId, `Sale fell through: ${cancelled.listingTitle}`, lines, cancelled);
+    await this.notify(cancelled.sellerId, `Sale fell through: ${cancelled.listingTitle}`, lines, cancelled);
+
+    return cancelled;
+  }
+
+  /**
+   * Get an offer the user is part of
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Offer>}
+   * @throws {Error} - If the offer doesn't exist or the user isn't the buyer or seller
+   */
+  async getOffer(offerId, userId) {
+    const offer = await this.offerRepository.findById(offerId);
+    // Don't reveal other people's negotiations
+    if (!offer || !offer.involves(userId)) {
+      throw new Error('Offer not found');
+    }
+    return offer;
+  }
+
+  /**
+   * List the offers a user made or received
+   * @param {string} userId - User ID
+   * @param {Object} options - Options (role, status, page, limit)
+   * @returns {Promise<{offers: Offer[], total: number, page: number, limit: number}>}
+   */
+  async listMyOffers(userId, { role, status, page, limit } = {}) {
+    if (role !== undefined && !['buyer', 'seller'].includes(role)) {
+      throw new Error('Invalid role; must be buyer or seller');
+    }
+
+    if (status !== undefined && !Offer.STATUSES.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { offers, total } = await this.offerRepository.findByUser(userId, {
+      role,
+      status,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { offers, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get the offer history of a listing. The seller sees every negotiation,
+   * anyone else only their own.
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Offer[]>}
+   */
+  async getListingOffers(listingId, userId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    return await this.offerRepository.findByListing(
+      listingId,
+      listing.isOwnedBy(userId) ? null : userId
+    );
+  }
+
+  /**
+   * Expire pending offers that weren't answered in time
+   * @returns {Promise<Offer[]>} - Offers expired by this run
+   */
+  async expireOffers() {
+    const expired = await this.offerRepository.expireDue();
+
+    for (const offer of expired) {
+      await this.notify(offer.getProposerId(), `Offer expired: ${offer.listingTitle}`, [
+        `Your offer of ${this.formatAmount(offer.amount)} expired without an answer.`
+      ], offer);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Close open negotiations when a listing leaves the market
+   */
+  subscribe() {
+    const closeFor = reason => ({ listing }) => {
+      this.offerRepository.closePendingForListing(listing.id)
+        .then(closed => this.notifyClosed(closed, reason))
+        .catch(error => {
+          console.error('Close offers error:', error);
+        });
+    };
+
+    eventBus.on('listing:sold', closeFor('The listing has been sold.'));
+    eventBus.on('listing:expired', closeFor('The listing has expired.'));
+    eventBus.on('listing:withdrawn', closeFor('The seller has withdrawn the listing.'));
+  }
+
+  /**
+   * Get an offer and check that the user is the one who has to answer it
+   * @param {string} offerId - Offer ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Offer>}
+   */
+  async getOfferForRecipient(offerId, userId) {
+    const offer = await this.getOffer(offerId, userId);
+
+    if (offer.getRecipientId() !== userId) {
+      throw new Error('Only the other party can respond to this offer');
+    }
+
+    return offer;
+  }
+
+  /**
+   * Check that an offer may move to a status, expiring it first if it lapsed
+   * @param {Offer} offer - Offer
+   * @param {string} status - Target status
+   * @param {string} verb - Action for the error message
+   * @throws {Error} - If the offer lapsed or the transition isn't allowed
+   */
+  async assertTransition(offer, status, verb) {
+    if (offer.hasLapsed()) {
+      await this.offerRepository.transition(offer.id, 'pending', 'expired');
+      throw new Error('Offer has expired');
+    }
+
+    if (!offer.canTransitionTo(status)) {
+      throw new Error(`Cannot ${verb} an offer that is ${offer.status}`);
+    }
+  }
+
+  /**
+   * Build the error for an offer whose status changed under us
+   * @param {string} offerId - Offer ID
+   * @param {string} verb - Action for the error message
+   * @returns {Promise<Error>}
+   */
+  async staleOfferError(offerId, verb) {
+    const current = await this.offerRepository.findById(offerId);
+    return new Error(`Cannot ${verb} an offer that is ${current ? current.status : 'gone'}`);
+  }
+
+  /**
+   * Check that a listing can still be negotiated on
+   * @param {Listing} listing - Listing
+   * @throws {Error} - If the listing isn't negotiable, active or free
+   */
+  assertListingOpen(listing) {
+    if (!listing || !listing.isAvailable()) {
+      throw new Error('Listing is no longer available');
+    }
+
+    if (listing.priceType !== 'negotiable') {
+      throw new Error('Offers can only be made on negotiable listings');
+    }
+
+    if (listing.status === 'under_offer') {
+      throw new Error('Listing is already under offer');
+    }
+  }
+
+  /**
+   * Validate offer terms
+   * @param {Object} terms - Raw terms (amount, expiresInHours, message)
+   * @returns {{amount: number, expiresAt: Date, message: string|null}}
+   */
+  validateTerms({ amount, expiresInHours, message }) {
+    if (amount === undefined || amount === null || amount === '') {
+      throw new Error('Amount is required');
+    }
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0 || parsedAmount >= 1e8) {
+      throw new Error('Invalid amount');
+    }
+
+    const hours = expiresInHours === undefined || expiresInHours === null || expiresInHours === ''
+      ? DEFAULT_EXPIRY_HOURS
+      : Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+      throw new Error(`Invalid expiry; must be between 1 and ${MAX_EXPIRY_HOURS} hours`);
+    }
+
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`Invalid message; must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    return {
+      amount: Math.round(parsedAmount * 100) / 100,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      message: text || null
+    };
+  }
+
+  /**
+   * Email the buyers whose offers were closed
+   * @param {Offer[]} offers - Closed offers
+   * @param {string} reason - Why they were closed
+   * @returns {Promise<void>}
+   */
+  async notifyClosed(offers, reason) {
+    for (const offer of offers) {
+      await this.notify(offer.buyerId, `Offer closed: ${offer.listingTitle}`, [
+        `The negotiation at ${this.formatAmount(offer.amount)} was closed. ${reason}`
+      ], offer);
+    }
+  }
+
+  /**
+   * Email one party about an offer. Failures are logged, not thrown, so the
+   * offer change itself still succeeds.
+   * @param {string} userId - Recipient user ID
+   * @param {string} subject - Email subject
+   * @param {string[]} lines - Paragraphs of the email
+   * @param {Offer} offer - Offer the email is about
+   * @returns {Promise<void>}
+   */
+  async notify(userId, subject, lines, offer) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        return;
+      }
+
+      const listingUrl = `${process.env.FRONTEND_URL}/listings/${offer.listingId}`;
+      const paragraphs = lines.filter(Boolean);
+
+      await this.emailOutbox.queue({
+        to: user.email,
+        template: 'offerUpdate',
+        data: { firstName: user.firstName, subject, paragraphs, listingUrl }
+      });
+    } catch (error) {
+      console.error(`Failed to send offer email to ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Describe when an offer lapses
+   * @param {Offer} offer - Offer
+   * @returns {string}
+   */
+  describeExpiry(offer) {
+    return `It expires on ${new Date(offer.expiresAt).toUTCString()} unless answered.`;
+  }
+
+  /**
+   * Format an offer amount for emails
+   * @param {number} amount - Amount
+   * @returns {string}
+   */
+  formatAmount(amount) {
+    return `$${Number(amount).toLocaleString('en-AU')}`;
+  }
+}
+
+module.exports = OfferService;
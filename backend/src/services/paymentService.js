@@ -0,0 +1,732 @@
+// backend/src/services/paymentService.js
+const Payment = require('../models/payment');
+const PaymentRepository = require('../repositories/paymentRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const OfferRepository = require('../repositories/offerRepository');
+const UserRepository = require('../repositories/userRepository');
+const ListingService = require('./listingService');
+const EmailOutboxService = require('./emailOutboxService');
+const { getPaymentProvider } = require('../utils/payments');
+const { withTransaction } = require('../utils/db');
+
+class PaymentService {
+  /**
+   * @param {Object} options - Optional dependencies
+   * @param {Object} options.provider - Payment provider (defaults to the configured one)
+   */
+  constructor({ provider } = {}) {
+    this.paymentRepository = new PaymentRepository();
+    this.listingRepository = new ListingRepository();
+    this.offerRepository = new OfferRepository();
+    this.userRepository = new UserRepository();
+    this.listingService = new ListingService();
+    this.emailOutbox = new EmailOutboxService();
+    this.provider = provider || null;
+    this.currency = (process.env.PAYMENT_CURRENCY || 'AUD').toUpperCase();
+    this.disputeWindowDays = parseFloat(process.env.PAYMENT_DISPUTE_WINDOW_DAYS) || 3;
+    this.unpaidTimeoutMinutes = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 60;
+  }
+
+  /**
+   * Get the payment provider, resolved lazily so tests can swap it first
+   * @returns {Object}
+   */
+  getProvider() {
+    return this.provider || getPaymentProvider();
+  }
+
+  /**
+   * Start paying for a listing, either at the price of an accepted offer or
+   * at the listing's fixed price
+   * @param {string} buyerId - Paying buyer
+   * @param {Object} data - Payment data
+   * @param {string} data.offerId - Accepted offer to pay (optional)
+   * @param {string} data.listingId - Fixed price listing to pay (when no offer is given)
+   * @returns {Promise<{payment: Payment, clientSecret: string}>} - The client secret lets the
+   *   frontend complete the charge with the provider
+   */
+  async createPayment(buyerId, { offerId, listingId }) {
+    const terms = offerId
+      ? await this.getOfferTerms(buyerId, offerId)
+      : await this.getFixedPriceTerms(buyerId, listingId);
+
+    const provider = this.getProvider();
+
+    let payment;
+    try {
+      payment = await this.paymentRepository.create(new Payment({
+        ...terms,
+        buyerId,
+        currency: this.currency,
+        provider: provider.name
+      }));
+    } catch (error) {
+      // Unique violation: the listing already has a payment in flight or completed
+      if (error.code === '23505') {
+        throw new Error('Listing already has a payment in progress');
+      }
+      throw error;
+    }
+
+    try {
+      const charge = await provider.createCharge({
+        amount: payment.amount,
+        currency: payment.currency,
+        metadata: { paymentId: payment.id, listingId: payment.listingId }
+      });
+
+      const updated = await this.paymentRepository.update(payment.id, {
+        providerReference: charge.reference
+      });
+
+      return { payment: updated, clientSecret: charge.clientSecret };
+    } catch (error) {
+      // Free the listing for another attempt
+      await this.paymentRepository.update(payment.id, {
+        status: 'failed',
+        failureReason: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out what an accepted offer costs
+   * @param {string} buyerId - Paying buyer
+   * @param {string} offerId - Offer ID
+   * @returns {Promise<Object>} - listingId, offerId, sellerId, amount
+   */
+  async getOfferTerms(buyerId, offerId) {
+    const offer = await this.offerRepository.findById(offerId);
+    if (!offer || offer.buyerId !== buyerId) {
+      throw new Error('Offer not found');
+    }
+
+    if (offer.status !== 'accepted') {
+      throw new Error('Only accepted offers can be paid');
+    }
+
+    return {
+      listingId: offer.listingId,
+      offerId: offer.id,
+      sellerId: offer.sellerId,
+      amount: offer.amount
+    };
+  }
+
+  /**
+   * Work out what a fixed price listing costs
+   * @param {string} buyerId - Paying buyer
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} - listingId, sellerId, amount
+   */
+  async getFixedPriceTerms(buyerId, listingId) {
+    if (!listingId) {
+      throw new Error('Listing or offer is required');
+    }
+
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.isOwnedBy(buyerId)) {
+      throw new Error('You cannot pay for your own listing');
+    }
+
+    if (!listing.isAvailable() || listing.status === 'under_offer') {
+      throw new Error('Listing is no longer available');
+    }
+
+    if (listing.priceType !== 'fixed' || listing.price === null) {
+      throw new Error('Only fixed price listings can be bought outright; make an offer instead');
+    }
+
+    return {
+      listingId: listing.id,
+      sellerId: listing.userId,
+      amount: listing.price
+    };
+  }
+
+  /**
+   * Handle a webhook from the payment provider
+   * @param {string} providerName - Provider named in the webhook URL
+   * @param {Buffer|string} rawBody - Raw request body, as signed
+   * @param {Object} headers - Request headers
+   * @returns {Promise<{received: boolean, duplicate: boolean}>}
+   * @throws {Error} - If the provider is unknown or the signature is invalid
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider();
+    if (provider.name !== providerName) {
+      throw new Error('Unknown payment provider');
+    }
+
+    const event = provider.parseWebhook(rawBody, headers);
+
+    const isNew = await this.paymentRepository.recordWebhookEvent(provider.name, event.id, event.type);
+    if (!isNew) {
+      return { received: true, duplicate: true };
+    }
+
+    switch (event.type) {
+      case 'charge.succeeded':
+        await this.holdFunds(provider, event.data.reference);
+        break;
+
+      case 'charge.failed':
+        await this.failPayment(provider, event.data.reference, event.data.failureReason);
+        break;
+
+      default:
+        // Providers send many event types we don't act on; acknowledge them so they aren't retried
+        break;
+    }
+
+    await this.paymentRepository.markWebhookProcessed(provider.name, event.id);
+
+    return { received: true, duplicate: false };
+  }
+
+  /**
+   * Record a successful charge: funds are held until released or refunded.
+   * A charge that succeeds after the payment was cancelled is refunded straight away.
+   * @param {Object} provider - Payment provider
+   * @param {string} reference - Charge reference
+   * @returns {Promise<void>}
+   */
+  async holdFunds(provider, reference) {
+    const payment = await withTransaction(async client => {
+      const current = await this.paymentRepository.findByProviderReference(provider.name, reference, client, true);
+      if (!current) {
+        console.warn(`Payment event for unknown charge ${reference}`);
+        return null;
+      }
+
+      if (current.status === 'canceled' || current.status === 'failed') {
+        await this.paymentRepository.addLedgerEntry({
+          paymentId: current.id,
+          entryType: 'charge',
+          amount: current.amount,
+          currency: current.currency,
+          providerReference: reference,
+          note: `Charge succeeded after the payment was ${current.status}`
+        }, client);
+
+        const refund = await provider.refund({ reference, amount: current.amount });
+
+        await this.paymentRepository.addLedgerEntry({
+          paymentId: current.id,
+          entryType: 'refund',
+          amount: -current.amount,
+          currency: current.currency,
+          providerReference: refund.reference,
+          note: 'Automatic refund of late charge'
+        }, client);
+
+        await this.paymentRepository.update(current.id, { refundedAmount: current.amount }, client);
+        return null;
+      }
+
+      if (!current.canTransitionTo('held')) {
+        return null;
+      }
+
+      const heldAt = new Date();
+      const held = await this.paymentRepository.update(current.id, {
+        status: 'held',
+        heldAt,
+        releaseAfter: new Date(heldAt.getTime() + this.disputeWindowDays * 24 * 60 * 60 * 1000)
+      }, client);
+
+      await this.paymentRepository.addLedgerEntry({
+        paymentId: held.id,
+        entryType: 'charge',
+        amount: held.amount,
+        currency: held.currency,
+        providerReference: reference
+      }, client);
+
+      return held;
+    });
+
+    if (!payment) {
+      return;
+    }
+
+    // The sale isn't final until the funds are released; a refund puts the listing back on the market
+    try {
+      await this.listingService.reserveListing(payment.listingId);
+    } catch (error) {
+      console.error(`Could not put listing ${payment.listingId} under offer:`, error);
+    }
+
+    const amount = this.formatAmount(payment, payment.amount);
+    const releaseDate = new Date(payment.releaseAfter).toUTCString();
+
+    await this.notify(payment.buyerId, 'Payment received', [
+      `Your payment of ${amount} is held securely.`,
+      `Confirm you've received the item to release it to the seller, or raise a dispute before ${releaseDate}. After that the funds are released automatically.`
+    ]);
+    await this.notify(payment.sellerId, 'Buyer has paid', [
+      `The buyer paid ${amount}, which is held until they confirm receipt or ${releaseDate} passes without a dispute.`
+    ]);
+  }
+
+  /**
+   * Record a failed charge
+   * @param {Object} provider - Payment provider
+   * @param {string} reference - Charge reference
+   * @param {string} reason - Failure reason from the provider
+   * @returns {Promise<void>}
+   */
+  async failPayment(provider, reference, reason) {
+    const payment = await withTransaction(async client => {
+      const current = await this.paymentRepository.findByProviderReference(provider.name, reference, client, true);
+      if (!current || !current.canTransitionTo('failed')) {
+        return null;
+      }
+
+      return this.paymentRepository.update(current.id, {
+        status: 'failed',
+        failureReason: reason || 'Payment failed'
+      }, client);
+    });
+
+    if (payment) {
+      await this.notify(payment.buyerId, 'Payment failed', [
+        `Your payment of ${this.formatAmount(payment, payment.amount)} didn't go through: ${payment.failureReason}.`,
+        'You can try again from the listing.'
+      ]);
+    }
+  }
+
+  /**
+   * Buyer confirms they received the item; held funds go to the seller
+   * @param {string} paymentId - Payment ID
+   * @param {string} buyerId - Confirming buyer
+   * @returns {Promise<Payment>}
+   */
+  async confirmReceipt(paymentId, buyerId) {
+    const payment = await this.getPayment(paymentId, buyerId);
+
+    if (payment.buyerId !== buyerId) {
+      throw new Error('Only the buyer can confirm receipt');
+    }
+
+    if (payment.status !== 'held') {
+      throw new Error(`Cannot confirm a payment that is ${payment.status}`);
+    }
+
+    return await this.releaseFunds(paymentId, buyerId, 'Buyer confirmed receipt');
+  }
+
+  /**
+   * Buyer disputes a held payment within the dispute window
+   * @param {string} paymentId - Payment ID
+   * @param {string} buyerId - Disputing buyer
+   * @param {string} reason - What went wrong
+   * @returns {Promise<Payment>}
+   */
+  async openDispute(paymentId, buyerId, reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (!text) {
+      throw new Error('Dispute reason is required');
+    }
+
+    const payment = await withTransaction(async client => {
+      const current = await this.paymentRepository.findById(paymentId, client, true);
+      if (!current || !current.involves(buyerId)) {
+        throw new Error('Payment not found');
+      }
+
+      if (current.buyerId !== buyerId) {
+        throw new Error('Only the buyer can dispute a payment');
+      }
+
+      if (!current.canTransitionTo('disputed') || current.status !== 'held') {
+        throw new Error(`Cannot dispute a payment that is ${current.status}`);
+      }
+
+      if (new Date(current.releaseAfter) <= new Date()) {
+        throw new Error('Cannot dispute a payment after the dispute window has closed');
+      }
+
+      return this.paymentRepository.update(current.id, {
+        status: 'disputed',
+        disputedAt: new Date(),
+        disputeReason: text.slice(0, 2000)
+      }, client);
+    });
+
+    await this.notify(payment.sellerId, 'Payment disputed', [
+      `The buyer disputed their payment of ${this.formatAmount(payment, payment.amount)}: "${payment.disputeReason}".`,
+      'The funds stay held until our team resolves the dispute.'
+    ]);
+
+    return payment;
+  }
+
+  /**
+   * Refund some or all of a held or disputed payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} actor - User issuing the refund
+   * @param {string} actor.id - User ID
+   * @param {boolean} actor.isAdmin - Admins can refund any payment
+   * @param {Object} options - Refund options
+   * @param {number} options.amount - Amount to refund (defaults to everything still held)
+   * @param {string} options.reason - Note for the ledger (optional)
+   * @returns {Promise<Payment>}
+   */
+  async refundPayment(paymentId, actor, { amount, reason } = {}) {
+    const payment = await withTransaction(async client => {
+      const current = await this.paymentRepository.findById(paymentId, client, true);
+      if (!current || (!actor.isAdmin && !current.involves(actor.id))) {
+        throw new Error('Payment not found');
+      }
+
+      if (!actor.isAdmin && current.sellerId !== actor.id) {
+        throw new Error('Only the seller or an admin can refund a payment');
+      }
+
+      if (!current.canTransitionTo('refunded')) {
+        throw new Error(`Cannot refund a payment that is ${current.status}`);
+      }
+
+      const held = current.getHeldAmount();
+      const refundAmount = amount === undefined || amount === null || amount === ''
+        ? held
+        : Math.round(Number(amount) * 100) / 100;
+
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > held) {
+        throw new Error(`Invalid amount; must be more than 0 and at most ${held}`);
+      }
+
+      const refund = await this.getProvider().refund({
+        reference: current.providerReference,
+        amount: refundAmount,
+        metadata: { paymentId: current.id }
+      });
+
+      const refundedAmount = Math.round((current.refundedAmount + refundAmount) * 100) / 100;
+
+      await this.paymentRepository.addLedgerEntry({
+        paymentId: current.id,
+        entryType: 'refund',
+        amount: -refundAmount,
+        currency: current.currency,
+        providerReference: refund.reference,
+        actorId: actor.id,
+        note: reason
+      }, client);
+
+      return this.paymentRepository.update(current.id, {
+        refundedAmount,
+        status: refundedAmount >= current.amount ? 'refunded' : undefined
+      }, client);
+    });
+
+    if (payment.status === 'refunded') {
+      await this.reopenListing(payment);
+    }
+
+    await this.notify(payment.buyerId, 'Payment refunded', [
+      `${this.formatAmount(payment, payment.refundedAmount)} of your ${this.formatAmount(payment, payment.amount)} payment has been refunded.`
+    ]);
+
+    return payment;
+  }
+
+  /**
+   * Put the listing of a fully refunded payment back on the market. A sale
+   * agreed through an offer falls through, so the listing can take new offers.
+   * Failures are logged, not thrown, so the refund itself still succeeds.
+   * @param {Payment} payment - Refunded payment
+   * @returns {Promise<void>}
+   */
+  async reopenListing(payment) {
+    try {
+      if (payment.offerId) {
+        await this.offerRepository.fallThrough(payment.offerId);
+      } else {
+        await this.listingService.reopenListing(payment.listingId);
+      }
+    } catch (error) {
+      console.error(`Could not put listing ${payment.listingId} back on the market:`, error);
+    }
+  }
+
+  /**
+   * Admin settles a disputed payment by releasing or refunding it
+   * @param {string} paymentId - Payment ID
+   * @param {string} adminId - Resolving admin
+   * @param {string} outcome - "release" or "refund"
+   * @returns {Promise<Payment>}
+   */
+  async resolveDispute(paymentId, adminId, outcome) {
+    const payment = await this.paymentRepository.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.status !== 'disputed') {
+      throw new Error(`Cannot resolve a payment that is ${payment.status}`);
+    }
+
+    if (outcome === 'release') {
+      return await this.releaseFunds(paymentId, adminId, 'Dispute resolved in favour of the seller');
+    }
+
+    if (outcome === 'refund') {
+      return await this.refundPayment(paymentId, { id: adminId, isAdmin: true }, {
+        reason: 'Dispute resolved in favour of the buyer'
+      });
+    }
+
+    throw new Error('Invalid outcome; must be release or refund');
+  }
+
+  /**
+   * Pay out everything still held to the seller
+   * @param {string} paymentId - Payment ID
+   * @param {string} actorId - User releasing, or null for the system
+   * @param {string} note - Ledger note
+   * @returns {Promise<Payment>}
+   */
+  async releaseFunds(paymentId, actorId, note) {
+    const payment = await withTransaction(async client => {
+      const current = await this.paymentRepository.findById(paymentId, client, true);
+      if (!current) {
+        throw new Error('Payment not found');
+      }
+
+      if (!current.canTransitionTo('released')) {
+        throw new Error(`Cannot release a payment that is ${current.status}`);
+      }
+
+      const amount = current.getHeldAmount();
+      const transfer = await this.getProvider().release({
+        reference: current.providerReference,
+        amount,
+        metadata: { paymentId: current.id, sellerId: current.sellerId }
+      });
+
+      await this.paymentRepository.addLedgerEntry({
+        paymentId: current.id,
+        entryType: 'release',
+        amount: -amount,
+        currency: current.currency,
+        providerReference: transfer.reference,
+        actorId,
+        note
+      }, client);
+
+      return this.paymentRepository.update(current.id, {
+        status: 'released',
+        releasedAt: new Date()
+      }, client);
+    });
+
+    try {
+      await this.listingService.markListingSold(payment.listingId, payment.sellerId);
+    } catch (error) {
+      console.error(`Could not mark listing ${payment.listingId} sold:`, error);
+    }
+
+    await this.notify(payment.sellerId, 'Funds released', [
+      `${this.formatAmount(payment, payment.getHeldAmount())} has been released to you.`
+    ]);
+
+    return payment;
+  }
+
+  /**
+   * Release held payments whose dispute window passed without a dispute
+   * @returns {Promise<number>} - Number of payments released
+   */
+  async releaseDuePayments() {
+    const ids = await this.paymentRepository.findReleaseDue();
+    let released = 0;
+
+    for (const id of ids) {
+      try {
+        await this.releaseFunds(id, null, 'Dispute window passed');
+        released++;
+      } catch (error) {
+        console.error(`Failed to release payment ${id}:`, error);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Cancel payments the buyer never completed, freeing the listing
+   * @returns {Promise<number>} - Number of payments cancelled
+   */
+  async cancelUnpaidPayments() {
+    const cutoff = new Date(Date.now() - this.unpaidTimeoutMinutes * 60 * 1000);
+    const ids = await this.paymentRepository.findUnpaidBefore(cutoff);
+    let canceled = 0;
+
+    for (const id of ids) {
+      try {
+        const payment = await withTransaction(async client => {
+          const current = await this.paymentRepository.findById(id, client, true);
+          if (!current || current.status !== 'requires_payment') {
+            return null;
+          }
+          return this.paymentRepository.update(id, { status: 'canceled' }, client);
+        });
+
+        if (payment) {
+          if (payment.providerReference) {
+            await this.getProvider().cancel({ reference: payment.providerReference });
+          }
+          canceled++;
+        }
+      } catch (error) {
+        console.error(`Failed to cancel payment ${id}:`, error);
+      }
+    }
+
+    return canceled;
+  }
+
+  /**
+   * Run the scheduled payment housekeeping
+   * @returns {Promise<{released: number, canceled: number}>}
+   */
+  async runScheduledTasks() {
+    return {
+      released: await this.releaseDuePayments(),
+      canceled: await this.cancelUnpaidPayments()
+    };
+  }
+
+  /**
+   * Get a payment the user is part of
+   * @param {string} paymentId - Payment ID
+   * @param {string} userId - User ID
+   * @param {boolean} isAdmin - Admins can see every payment
+   * @returns {Promise<Payment>}
+   */
+  async getPayment(paymentId, userId, isAdmin = false) {
+    const payment = await this.paymentRepository.findById(paymentId);
+    if (!payment || (!isAdmin && !payment.involves(userId))) {
+      throw new Error('Payment not found');
+    }
+    return payment;
+  }
+
+  /**
+   * Get a payment with its ledger
+   * @param {string} paymentId - Payment ID
+   * @param {string} userId - User ID
+   * @param {boolean} isAdmin - Admins can see every payment
+   * @returns {Promise<{payment: Payment, ledger: Object[]}>}
+   */
+  async getPaymentWithLedger(paymentId, userId, isAdmin = false) {
+    const payment = await this.getPayment(paymentId, userId, isAdmin);
+    const ledger = await this.paymentRepository.findLedger(payment.id);
+    return { payment, ledger };
+  }
+
+  /**
+   * List payments a user made or receives
+   * @param {string} userId - User ID
+   * @param {Object} options - Options (role, page, limit)
+   * @returns {Promise<{payments: Payment[], total: number, page: number, limit: number}>}
+   */
+  async listMyPayments(userId, { role, page, limit } = {}) {
+    if (role !== undefined && !['buyer', 'seller'].includes(role)) {
+      throw new Error('Invalid role; must be buyer or seller');
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { payments, total } = await this.paymentRepository.findByUser(userId, {
+      role,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { payments, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * List disputed payments for admins to resolve
+   * @returns {Promise<Payment[]>}
+   */
+  async listDisputes() {
+    return await this.paymentRepository.findByStatus('disputed');
+  }
+
+  /**
+   * Have the provider send the webhook a real gateway would (development only).
+   * Only works with providers that can simulate events, such as the fake provider.
+   * @param {string} paymentId - Payment ID
+   * @param {string} buyerId - Buyer of the payment
+   * @param {string} outcome - "succeeded" or "failed"
+   * @returns {Promise<Payment>}
+   */
+  async simulateCharge(paymentId, buyerId, outcome) {
+    const provider = this.getProvider();
+    if (process.env.NODE_ENV === 'production' || typeof provider.simulateEvent !== 'function') {
+      throw new Error('Payment simulation is not available');
+    }
+
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      throw new Error('Invalid outcome; must be succeeded or failed');
+    }
+
+    const payment = await this.getPayment(paymentId, buyerId);
+    if (payment.buyerId !== buyerId) {
+      throw new Error('Payment not found');
+    }
+
+    const { body, headers } = provider.simulateEvent(payment.providerReference, `charge.${outcome}`);
+    await this.handleWebhook(provider.name, body, headers);
+
+    return await this.paymentRepository.findById(payment.id);
+  }
+
+  /**
+   * Email one party about a payment. Failures are logged, not thrown, so
+   * the payment change itself still succeeds.
+   * @param {string} userId - Recipient user ID
+   * @param {string} subject - Email subject
+   * @param {string[]} lines - Paragraphs of the email
+   * @returns {Promise<void>}
+   */
+  async notify(userId, subject, lines) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        return;
+      }
+
+      await this.emailOutbox.queue({
+        to: user.email,
+        template: 'paymentUpdate',
+        data: { firstName: user.firstName, subject, paragraphs: lines }
+      });
+    } catch (error) {
+      console.error(`Failed to send payment email to ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Format an amount in the payment's currency
+   * @param {Payment} payment - Payment
+   * @param {number} amount - Amount
+   * @returns {string}
+   */
+  formatAmount(payment, amount) {
+    return `${payment.currency} ${Number(amount).toFixed(2)}`;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,335 @@
+// backend/src/services/reportService.js
+const Report = require('../models/report');
+const ReportRepository = require('../repositories/reportRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const UserRepository = require('../repositories/userRepository');
+const AdminService = require('./adminService');
+const EmailOutboxService = require('./emailOutboxService');
+const { withTransaction } = require('../utils/db');
+
+/**
+ * Longest description a reporter can give
+ */
+const MAX_DETAILS_LENGTH = 2000;
+
+/**
+ * Emailed to the reporter when a moderator closes their report
+ */
+const OUTCOME_MESSAGES = {
+  actioned: "We've reviewed it and taken action under our community rules.",
+  dismissed: "We've reviewed it and found it doesn't break our rules, so no action was taken this time."
+};
+
+/**
+ * User reports of listings and users, and the moderation queue they feed.
+ * A listing reported by enough different people is hidden until a moderator reviews it.
+ */
+class ReportService {
+  constructor() {
+    this.reportRepository = new ReportRepository();
+    this.listingRepository = new ListingRepository();
+    this.userRepository = new UserRepository();
+    this.adminService = new AdminService();
+    this.emailOutbox = new EmailOutboxService();
+    this.autoHideThreshold = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 3;
+  }
+
+  /**
+   * Report a listing or user
+   * @param {string} reporterId - Reporting user
+   * @param {Object} data - Report data
+   * @param {string} data.targetType - "listing" or "user"
+   * @param {string} data.targetId - Listing or user ID
+   * @param {string} data.category - One of Report.CATEGORIES
+   * @param {string} data.details - What's wrong (optional)
+   * @returns {Promise<Report>}
+   */
+  async createReport(reporterId, { targetType, targetId, category, details }) {
+    if (!Report.TARGET_TYPES.includes(targetType)) {
+      throw new Error('Invalid target type; must be listing or user');
+    }
+
+    if (!targetId) {
+      throw new Error('Target is required');
+    }
+
+    if (!Report.CATEGORIES.includes(category)) {
+      throw new Error(`Invalid category; must be one of ${Report.CATEGORIES.join(', ')}`);
+    }
+
+    const text = typeof details === 'string' ? details.trim() : '';
+    if (text.length > MAX_DETAILS_LENGTH) {
+      throw new Error(`Invalid details; must be at most ${MAX_DETAILS_LENGTH} characters`);
+    }
+
+    await this.assertReportable(reporterId, targetType, targetId);
+
+    let report;
+    try {
+      report = await this.reportRepository.create(new Report({
+        reporterId,
+        targetType,
+        targetId,
+        category,
+        details: text || null
+      }));
+    } catch (error) {
+      // Unique violation: this reporter already has a pending report on the target
+      if (error.code === '23505') {
+        throw new Error('You have already reported this');
+      }
+      throw error;
+    }
+
+    if (targetType === 'listing') {
+      await this.autoHideIfNeeded(targetId);
+    }
+
+    return report;
+  }
+
+  /**
+   * Check the target exists and isn't the reporter's own
+   * @param {string} reporterId - Reporting user
+   * @param {string} targetType - "listing" or "user"
+   * @param {string} targetId - Target ID
+   * @returns {Promise<void>}
+   */
+  async assertReportable(reporterId, targetType, targetId) {
+    if (targetType === 'listing') {
+      const listing = await this.listingRepository.findById(targetId);
+      if (!listing) {
+        throw new Error('Listing not found');
+      }
+      if (listing.isOwnedBy(reporterId)) {
+        throw new Error('You cannot report your own listing');
+      }
+      return;
+    }
+
+    if (targetId === reporterId) {
+      throw new Error('You cannot report yourself');
+    }
+
+    if (!(await this.userRepository.findById(targetId))) {
+      throw new Error('User not found');
+    }
+  }
+
+  /**
+   * Hide a listing once enough different users have a pending report on it
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<boolean>} - True if the listing was hidden by this call
+   */
+  async autoHideIfNeeded(listingId) {
+    const reporters = await this.reportRepository.countPendingReporters('listing', listingId);
+    if (reporters < this.autoHideThreshold) {
+      return false;
+    }
+
+    // The hidden reason is the moderation record; admins see it in the listings console
+    return await this.listingRepository.setHidden(listingId, {
+      hidden: true,
+      reason: `Hidden automatically after ${reporters} reports, pending review`
+    });
+  }
+
+  /**
+   * List reports the user made
+   * @param {string} reporterId - Reporting user
+   * @param {Object} options - Options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>}
+   */
+  async listMyReports(reporterId, { page, limit } = {}) {
+    const { safePage, safeLimit } = this.adminService.paginate(page, limit);
+
+    const { reports, total } = await this.reportRepository.findByReporter(reporterId, {
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    // Moderators' notes are internal
+    return {
+      reports: reports.map(report => new Report({ ...report, resolutionNote: null, resolvedBy: null })),
+      total,
+      page: safePage,
+      limit: safeLimit
+    };
+  }
+
+  /**
+   * List the moderation queue. Pending (open and triaged) reports by default.
+   * @param {Object} query - Filters (status, targetType, category, targetId, page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>}
+   */
+  async listQueue({ status, targetType, category, targetId, page, limit } = {}) {
+    if (status && status !== 'all' && !Report.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be all or one of ${Report.STATUSES.join(', ')}`);
+    }
+
+    if (targetType && !Report.TARGET_TYPES.includes(targetType)) {
+      throw new Error('Invalid target type; must be listing or user');
+    }
+
+    if (category && !Report.CATEGORIES.includes(category)) {
+      throw new Error(`Invalid category; must be one of ${Report.CATEGORIES.join(', ')}`);
+    }
+
+    let statuses = ['open', 'triaged'];
+    if (status === 'all') {
+      statuses = null;
+    } else if (status) {
+      statuses = [status];
+    }
+
+    const { safePage, safeLimit } = this.adminService.paginate(page, limit);
+
+    const { reports, total } = await this.reportRepository.findQueue({
+      statuses,
+      targetType,
+      category,
+      targetId,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { reports, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Get a report with every other report on the same target
+   * @param {string} reportId - Report ID
+   * @returns {Promise<{report: Report, related: Report[]}>}
+   */
+  async getReport(reportId) {
+    const report = await this.findReport(reportId);
+
+    const { reports } = await this.reportRepository.findQueue({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      limit: 100
+    });
+
+    return { report, related: reports.filter(other => other.id !== report.id) };
+  }
+
+  /**
+   * Move a report through the moderation queue. Closing it (actioned or
+   * dismissed) emails the reporter the outcome; dismissing the reports that
+   * auto-hid a listing shows it again.
+   * @param {string} adminId - Moderating admin
+   * @param {string} reportId - Report ID
+   * @param {string} status - "triaged", "actioned" or "dismissed"
+   * @param {string} reason - Moderator's note, kept internal
+   * @returns {Promise<Report>}
+   */
+  async moderateReport(adminId, reportId, status, reason) {
+    const text = this.adminService.requireReason(reason);
+    const report = await this.findReport(reportId);
+
+    if (!report.canTransitionTo(status)) {
+      throw new Error(`Cannot mark a report that is ${report.status} as ${status}`);
+    }
+
+    await withTransaction(async client => {
+      const changed = await this.reportRepository.transition(report.id, report.status, status, {
+        note: text,
+        resolvedBy: adminId
+      }, client);
+
+      if (!changed) {
+        throw new Error('Cannot update a report another moderator just changed; reload and try again');
+      }
+
+      await this.adminService.audit(client, adminId, `report_${status}`, 'report', report.id, text, {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        category: report.category
+      });
+
+      if (status === 'dismissed' && report.targetType === 'listing') {
+        await this.restoreIfCleared(client, adminId, report.targetId, text);
+      }
+    });
+
+    if (OUTCOME_MESSAGES[status]) {
+      await this.notifyReporter(report, status);
+    }
+
+    return await this.findReport(report.id);
+  }
+
+  /**
+   * Unhide a listing that was hidden automatically once too few pending reports remain
+   * @param {Object} client - Transaction client
+   * @param {string} adminId - Moderating admin
+   * @param {string} listingId - Listing ID
+   * @param {string} reason - Moderator's note
+   * @returns {Promise<void>}
+   */
+  async restoreIfCleared(client, adminId, listingId, reason) {
+    const listing = await this.listingRepository.findById(listingId, client);
+    if (!listing || !listing.hiddenAt || listing.hiddenBy) {
+      return;
+    }
+
+    const reporters = await this.reportRepository.countPendingReporters('listing', listingId, client);
+    if (reporters >= this.autoHideThreshold) {
+      return;
+    }
+
+    if (await this.listingRepository.setHidden(listingId, { hidden: false }, client)) {
+      await this.adminService.audit(client, adminId, 'listing_unhidden', 'listing', listingId, reason, {
+        hiddenReason: listing.hiddenReason,
+        automatic: true
+      });
+    }
+  }
+
+  /**
+   * Email the reporter the outcome of their report. Failures are logged, not thrown.
+   * @param {Report} report - Closed report
+   * @param {string} status - "actioned" or "dismissed"
+   * @returns {Promise<void>}
+   */
+  async notifyReporter(report, status) {
+    try {
+      const reporter = await this.userRepository.findById(report.reporterId);
+      if (!reporter) {
+        return;
+      }
+
+      const subject = report.targetType === 'listing'
+        ? `the listing "${report.targetLabel || 'that was removed'}"`
+        : 'a member';
+      const lines = [
+        `Thanks for reporting ${subject}.`,
+        OUTCOME_MESSAGES[status],
+        'Reports like yours help keep the marketplace safe for buyers, sellers and horses.'
+      ];
+
+      await this.emailOutbox.queue({
+        to: reporter.email,
+        template: 'reportOutcome',
+        data: { firstName: reporter.firstName, paragraphs: lines }
+      });
+    } catch (error) {
+      console.error(`Failed to email report outcome to ${report.reporterId}:`, error);
+    }
+  }
+
+  /**
+   * Find a report or throw
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Report>}
+   */
+  async findReport(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    return report;
+  }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,168 @@
+// backend/src/services/reviewService.js
+const Review = require('../models/review');
+const ReviewRepository = require('../repositories/reviewRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const MessageRepository = require('../repositories/messageRepository');
+
+/**
+ * Longest review or reply accepted, in characters
+ */
+const MAX_REVIEW_LENGTH = 2000;
+
+class ReviewService {
+  constructor() {
+    this.reviewRepository = new ReviewRepository();
+    this.listingRepository = new ListingRepository();
+    this.messageRepository = new MessageRepository();
+  }
+
+  /**
+   * Review the seller of a listing.
+   * Only buyers who exchanged messages with the seller about the listing
+   * (both ways) can review, once per listing.
+   * @param {string} reviewerId - Reviewing user ID
+   * @param {Object} data - Review data
+   * @param {string} data.listingId - Listing the review is about
+   * @param {number} data.rating - Rating from 1 to 5
+   * @param {string} data.body - Review text
+   * @returns {Promise<Review>}
+   */
+  async createReview(reviewerId, { listingId, rating, body }) {
+    if (!listingId) {
+      throw new Error('Listing is required');
+    }
+
+    const parsedRating = Number(rating);
+    if (
+      !Number.isInteger(parsedRating) ||
+      parsedRating < Review.MIN_RATING ||
+      parsedRating > Review.MAX_RATING
+    ) {
+      throw new Error(`Invalid rating; must be a whole number from ${Review.MIN_RATING} to ${Review.MAX_RATING}`);
+    }
+
+    const text = this.validateText(body, 'Review');
+
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.userId === reviewerId) {
+      throw new Error('You cannot review yourself');
+    }
+
+    const hasInteracted = await this.messageRepository.hasTwoWayConversation(
+      listingId,
+      reviewerId,
+      listing.userId
+    );
+    if (!hasInteracted) {
+      throw new Error('You can only review sellers you have dealt with');
+    }
+
+    if (await this.reviewRepository.existsForListing(reviewerId, listingId)) {
+      throw new Error('You have already reviewed this listing');
+    }
+
+    const review = new Review({
+      sellerId: listing.userId,
+      reviewerId,
+      listingId,
+      rating: parsedRating,
+      body: text
+    });
+
+    try {
+      const savedReview = await this.reviewRepository.create(review);
+      // Reload with reviewer name and listing title
+      return await this.reviewRepository.findById(savedReview.id);
+    } catch (error) {
+      // Unique violation: a concurrent request created the review first
+      if (error.code === '23505') {
+        throw new Error('You have already reviewed this listing');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post the seller's public reply to a review (one per review)
+   * @param {string} sellerId - Replying seller ID
+   * @param {string} reviewId - Review ID
+   * @param {string} reply - Reply text
+   * @returns {Promise<Review>}
+   */
+  async replyToReview(sellerId, reviewId, reply) {
+    const text = this.validateText(reply, 'Reply');
+
+    const review = await this.reviewRepository.findById(reviewId);
+    if (!review) {
+      throw new Error('Review not found');
+    }
+
+    if (review.sellerId !== sellerId) {
+      throw new Error('Only the seller can reply to this review');
+    }
+
+    if (review.reply) {
+      throw new Error('Review already has a reply');
+    }
+
+    const updated = await this.reviewRepository.setReply(reviewId, sellerId, text);
+    if (!updated) {
+      throw new Error('Review already has a reply');
+    }
+
+    return await this.reviewRepository.findById(reviewId);
+  }
+
+  /**
+   * List a seller's reviews with their reputation
+   * @param {string} sellerId - Seller ID
+   * @param {Object} pagination - Pagination options (page, limit)
+   * @returns {Promise<Object>} - reviews, total, page, limit, averageRating, reviewCount
+   */
+  async getSellerReviews(sellerId, { page, limit } = {}) {
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [{ reviews, total }, reputation] = await Promise.all([
+      this.reviewRepository.findBySeller(sellerId, safeLimit, (safePage - 1) * safeLimit),
+      this.getReputation(sellerId)
+    ]);
+
+    return { reviews, total, page: safePage, limit: safeLimit, ...reputation };
+  }
+
+  /**
+   * Get a seller's aggregate rating and review count
+   * @param {string} sellerId - Seller ID
+   * @returns {Promise<{averageRating: number|null, reviewCount: number}>}
+   */
+  async getReputation(sellerId) {
+    return await this.reviewRepository.getAggregate(sellerId);
+  }
+
+  /**
+   * Trim and check review or reply text
+   * @param {string} value - Submitted text
+   * @param {string} label - Field name for error messages
+   * @returns {string} - Trimmed text
+   */
+  validateText(value, label) {
+    const text = typeof value === 'string' ? value.trim() : '';
+
+    if (!text) {
+      throw new Error(`${label} text is required`);
+    }
+
+    if (text.length > MAX_REVIEW_LENGTH) {
+      throw new Error(`Invalid ${label.toLowerCase()}; must be at most ${MAX_REVIEW_LENGTH} characters`);
+    }
+
+    return text;
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,274 @@
+// backend/src/services/savedSearchService.js
+const SavedSearch = require('../models/savedSearch');
+const SavedSearchRepository = require('../repositories/savedSearchRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const ListingService = require('./listingService');
+const EmailOutboxService = require('./emailOutboxService');
+
+/**
+ * Query parameters of GET /api/listings/search that can be saved.
+ * Paging is left out; alerts always look at the newest matches.
+ */
+const SEARCH_PARAMS = [
+  'q', 'near', 'state', 'lat', 'lng', 'radius', 'sort',
+  ...Object.keys(ListingRepository.SEARCH_FACETS),
+  ...Object.keys(ListingRepository.SEARCH_RANGES)
+];
+
+/**
+ * Most saved searches a user can keep
+ */
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Most listings included in one alert email
+ */
+const DIGEST_LISTING_LIMIT = 10;
+
+/**
+ * Due searches handled per run of the alerts job; the rest wait for the next run
+ */
+const SEARCHES_PER_RUN = 200;
+
+class SavedSearchService {
+  /**
+   * @param {Object} options - Optional dependencies
+   * @param {ListingService} options.listingService - Used to validate and run searches
+   */
+  constructor({ listingService } = {}) {
+    this.savedSearchRepository = new SavedSearchRepository();
+    this.listingService = listingService || new ListingService();
+    this.emailOutbox = new EmailOutboxService();
+  }
+
+  /**
+   * Save a search for a user
+   * @param {string} userId - User ID
+   * @param {Object} data - Saved search data
+   * @param {string} data.name - Display name
+   * @param {Object} data.criteria - Search query parameters
+   * @param {string} data.frequency - Alert frequency (defaults to daily)
+   * @returns {Promise<SavedSearch>}
+   */
+  async createSavedSearch(userId, { name, criteria, frequency = 'daily' }) {
+    const savedSearch = new SavedSearch({
+      userId,
+      name: this.validateName(name),
+      criteria: await this.normalizeCriteria(criteria),
+      frequency: this.validateFrequency(frequency)
+    });
+
+    const count = await this.savedSearchRepository.countByUser(userId);
+    if (count >= MAX_SAVED_SEARCHES) {
+      throw new Error(`You can save at most ${MAX_SAVED_SEARCHES} searches`);
+    }
+
+    return await this.savedSearchRepository.create(savedSearch);
+  }
+
+  /**
+   * List a user's saved searches
+   * @param {string} userId - User ID
+   * @returns {Promise<SavedSearch[]>}
+   */
+  async listSavedSearches(userId) {
+    return await this.savedSearchRepository.findByUser(userId);
+  }
+
+  /**
+   * Update the name, criteria or frequency of a user's saved search
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - ID of the user making the change
+   * @param {Object} updates - Fields to update (name, criteria, frequency)
+   * @returns {Promise<SavedSearch>}
+   */
+  async updateSavedSearch(savedSearchId, userId, { name, criteria, frequency }) {
+    await this.getOwnedSavedSearch(savedSearchId, userId);
+
+    return await this.savedSearchRepository.update(savedSearchId, {
+      name: name === undefined ? undefined : this.validateName(name),
+      criteria: criteria === undefined ? undefined : await this.normalizeCriteria(criteria),
+      frequency: frequency === undefined ? undefined : this.validateFrequency(frequency)
+    });
+  }
+
+  /**
+   * Delete a user's saved search
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<boolean>}
+   */
+  async deleteSavedSearch(savedSearchId, userId) {
+    await this.getOwnedSavedSearch(savedSearchId, userId);
+    return await this.savedSearchRepository.delete(savedSearchId);
+  }
+
+  /**
+   * Find a saved search and check that the user owns it
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @returns {Promise<SavedSearch>}
+   * @throws {Error} - If the search doesn't exist or belongs to someone else
+   */
+  async getOwnedSavedSearch(savedSearchId, userId) {
+    const savedSearch = await this.savedSearchRepository.findById(savedSearchId);
+    // Don't reveal other users' searches
+    if (!savedSearch || savedSearch.userId !== userId) {
+      throw new Error('Saved search not found');
+    }
+    return savedSearch;
+  }
+
+  /**
+   * Re-run every search that is due and email the owners about new matches.
+   * Each run only looks at listings created since the search was last checked.
+   * @returns {Promise<{checked: number, notified: number}>}
+   */
+  async runDueSearches() {
+    const due = await this.savedSearchRepository.findDue(SEARCHES_PER_RUN);
+    let notified = 0;
+
+    for (const { search, user } of due) {
+      try {
+        if (await this.runSavedSearch(search, user)) {
+          notified++;
+        }
+      } catch (error) {
+        console.error(`Saved search ${search.id} failed:`, error);
+      }
+    }
+
+    return { checked: due.length, notified };
+  }
+
+  /**
+   * Check one saved search for listings created since its last run
+   * @param {SavedSearch} search - Saved search
+   * @param {Object} user - Owner contact details (email, firstName)
+   * @returns {Promise<boolean>} - True if an alert was sent
+   */
+  async runSavedSearch(search, user) {
+    const checkedAt = new Date();
+
+    const { listings, total } = await this.listingService.searchListings(
+      { ...search.criteria, page: 1, limit: DIGEST_LISTING_LIMIT },
+      { createdAfter: search.lastCheckedAt, createdBefore: checkedAt }
+    );
+
+    if (total > 0) {
+      await this.sendDigest(search, user, listings, total);
+    }
+
+    await this.savedSearchRepository.markChecked(search.id, checkedAt, total > 0);
+
+    return total > 0;
+  }
+
+  /**
+   * Email a user the new matches for one of their saved searches
+   * @param {SavedSearch} search - Saved search
+   * @param {Object} user - Recipient (email, firstName)
+   * @param {Listing[]} listings - Newest matches, at most DIGEST_LISTING_LIMIT
+   * @param {number} total - Total number of new matches
+   * @returns {Promise<void>}
+   */
+  async sendDigest(search, user, listings, total) {
+    const frontendUrl = process.env.FRONTEND_URL;
+    const searchUrl = `${frontendUrl}/search?${this.toQueryString(search.criteria)}`;
+    const formatPrice = price => (price !== null ? `$${price.toLocaleString('en-AU')}` : 'POA');
+
+    await this.emailOutbox.queue({
+      to: user.email,
+      template: 'savedSearchDigest',
+      data: {
+        firstName: user.firstName,
+        searchName: search.name,
+        total,
+        searchUrl,
+        dashboardUrl: `${frontendUrl}/dashboard`,
+        listings: listings.map(listing => ({
+          title: listing.title,
+          price: formatPrice(listing.price),
+          url: `${frontendUrl}/listings/${listing.id}`
+        }))
+      }
+    });
+  }
+
+  /**
+   * Keep only saveable search parameters and check they form a valid search
+   * @param {Object} criteria - Raw search query parameters
+   * @returns {Promise<Object>} - Criteria without empty or unknown parameters
+   * @throws {Error} - If the criteria are missing or invalid
+   */
+  async normalizeCriteria(criteria) {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      throw new Error('Search criteria is required');
+    }
+
+    const normalized = {};
+    for (const param of SEARCH_PARAMS) {
+      const value = criteria[param];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      normalized[param] = Array.isArray(value) ? value.map(String) : String(value);
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new Error('Search criteria is required');
+    }
+
+    // Throws the same errors the search endpoint would
+    this.listingService.parseSearchCriteria(normalized);
+    await this.listingService.resolveOrigin(normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Check a saved search name
+   * @param {string} name - Submitted name
+   * @returns {string} - Trimmed name
+   */
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed) {
+      throw new Error('Name is required');
+    }
+
+    if (trimmed.length > 100) {
+      throw new Error('Invalid name; must be at most 100 characters');
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Check an alert frequency
+   * @param {string} frequency - Submitted frequency
+   * @returns {string}
+   */
+  validateFrequency(frequency) {
+    if (!SavedSearch.FREQUENCIES.includes(frequency)) {
+      throw new Error(`Invalid frequency; must be one of ${SavedSearch.FREQUENCIES.join(', ')}`);
+    }
+    return frequency;
+  }
+
+  /**
+   * Turn saved criteria back into a search page query string
+   * @param {Object} criteria - Saved criteria
+   * @returns {string}
+   */
+  toQueryString(criteria) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(criteria)) {
+      (Array.isArray(value) ? value : [value]).forEach(item => params.append(name, item));
+    }
+    return params.toString();
+  }
+}
+
+module.exports = SavedSearchService;
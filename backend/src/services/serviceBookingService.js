@@ -0,0 +1,894 @@
+// backend/src/services/serviceBookingService.js
+const ServiceAppointment = require('../models/serviceAppointment');
+const ServiceSchedule = require('../models/serviceSchedule');
+const ServiceBookingRepository = require('../repositories/serviceBookingRepository');
+const ListingRepository = require('../repositories/listingRepository');
+const GazetteerRepository = require('../repositories/gazetteerRepository');
+const EmailOutboxService = require('./emailOutboxService');
+const { buildCalendar } = require('../utils/ical');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, formatZoned } = require('../utils/timeZone');
+const { withTransaction } = require('../utils/db');
+
+/**
+ * Longest range of slots returned at once, in days
+ */
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * Slot range when none is given, in days from today
+ */
+const DEFAULT_SLOT_RANGE_DAYS = 14;
+
+/**
+ * Most availability rules and blackouts a schedule can have
+ */
+const MAX_RULES = 50;
+
+/**
+ * Limits on schedule settings: [min, max]
+ */
+const SCHEDULE_LIMITS = {
+  slotMinutes: [5, 480],
+  minNoticeHours: [0, 24 * 14],
+  horizonDays: [1, 365],
+  cancelCutoffHours: [0, 24 * 14],
+  maxReschedules: [0, 20]
+};
+
+/**
+ * Appointments reminded per job run
+ */
+const REMINDER_BATCH_SIZE = 100;
+
+/**
+ * Bookable appointments with service providers. Providers set weekly
+ * availability in their own time zone; clients book a free slot inside the
+ * provider's service area, and both get calendar invites that follow
+ * reschedules and cancellations.
+ */
+class ServiceBookingService {
+  constructor() {
+    this.serviceBookingRepository = new ServiceBookingRepository();
+    this.listingRepository = new ListingRepository();
+    this.gazetteerRepository = new GazetteerRepository();
+    this.emailOutbox = new EmailOutboxService();
+    this.defaultTimeZone = process.env.SERVICE_DEFAULT_TIME_ZONE || 'Australia/Sydney';
+    this.reminderHours = parseInt(process.env.APPOINTMENT_REMINDER_HOURS, 10) || 24;
+  }
+
+  /**
+   * A provider's schedule; listings without one aren't bookable yet
+   * @param {string} listingId - Service listing ID
+   * @returns {Promise<ServiceSchedule>}
+   */
+  async getSchedule(listingId) {
+    const listing = await this.getServiceListing(listingId);
+    if (listing.hiddenAt) {
+      throw new Error('Listing not found');
+    }
+
+    const schedule = await this.serviceBookingRepository.findSchedule(listingId);
+    if (!schedule) {
+      throw new Error('This provider does not take bookings yet');
+    }
+    return schedule;
+  }
+
+  /**
+   * Create or replace a provider's schedule settings and weekly rules
+   * @param {string} listingId - Service listing ID
+   * @param {string} userId - Provider
+   * @param {Object} data - timeZone, slotMinutes, minNoticeHours, horizonDays,
+   *   cancelCutoffHours, maxReschedules, rules [{ weekday, startTime, endTime }]
+   * @returns {Promise<ServiceSchedule>}
+   */
+  async updateSchedule(listingId, userId, data) {
+    await this.getOwnedServiceListing(listingId, userId);
+    const existing = await this.serviceBookingRepository.findSchedule(listingId);
+
+    const timeZone = data.timeZone || (existing && existing.timeZone) || this.defaultTimeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error('Invalid timeZone: expected an IANA time zone such as Australia/Sydney');
+    }
+
+    const settings = {};
+    for (const [field, [min, max]] of Object.entries(SCHEDULE_LIMITS)) {
+      const value = data[field] !== undefined ? data[field] : existing && existing[field];
+
+      if (value === undefined || value === null) {
+        if (field === 'slotMinutes') {
+          throw new Error('slotMinutes is required');
+        }
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid ${field}: must be a whole number from ${min} to ${max}`);
+      }
+      settings[field] = number;
+    }
+
+    const rules = data.rules !== undefined ? this.parseRules(data.rules) : (existing ? existing.rules : []);
+
+    return await this.serviceBookingRepository.saveSchedule(new ServiceSchedule({
+      listingId,
+      timeZone,
+      ...settings,
+      rules
+    }));
+  }
+
+  /**
+   * Block out days, e.g. holidays; existing appointments are kept
+   * @param {string} listingId - Service listing ID
+   * @param {string} userId - Provider
+   * @param {Object} data - startDate, endDate (YYYY-MM-DD, inclusive), reason
+   * @returns {Promise<Object>} - The blackout
+   */
+  async addBlackout(listingId, userId, data) {
+    await this.getOwnedServiceListing(listingId, userId);
+
+    const schedule = await this.serviceBookingRepository.findSchedule(listingId);
+    if (!schedule) {
+      throw new Error('Cannot add a blackout before setting availability');
+    }
+
+    if (schedule.blackouts.length >= MAX_RULES) {
+      throw new Error(`Cannot add more than ${MAX_RULES} blackouts`);
+    }
+
+    const startDate = this.parseDay(data.startDate, 'startDate');
+    const endDate = data.endDate ? this.parseDay(data.endDate, 'endDate') : startDate;
+    if (endDate < startDate) {
+      throw new Error('Invalid date range: the end is before the start');
+    }
+
+    return await this.serviceBookingRepository.createBlackout(listingId, {
+      startDate,
+      endDate,
+      reason: data.reason ? String(data.reason).trim().slice(0, 200) : null
+    });
+  }
+
+  /**
+   * Remove a blackout
+   * @param {string} listingId - Service listing ID
+   * @param {string} blackoutId - Blackout ID
+   * @param {string} userId - Provider
+   * @returns {Promise<void>}
+   */
+  async removeBlackout(listingId, blackoutId, userId) {
+    await this.getOwnedServiceListing(listingId, userId);
+
+    const deleted = await this.serviceBookingRepository.deleteBlackout(listingId, blackoutId);
+    if (!deleted) {
+      throw new Error('Blackout not found');
+    }
+  }
+
+  /**
+   * Free slots for a range of days in the provider's time zone
+   * @param {string} listingId - Service listing ID
+   * @param {Object} query - Range (from, to as YYYY-MM-DD; defaults to the next 14 days)
+   * @returns {Promise<Object>} - listingId, timeZone, slotMinutes, from, to, slots
+   */
+  async getSlots(listingId, { from, to } = {}) {
+    const schedule = await this.getSchedule(listingId);
+
+    const start = from ? this.parseDay(from, 'from') : getZonedParts(new Date(), schedule.timeZone).date;
+    const end = to ? this.parseDay(to, 'to') : this.addDays(start, DEFAULT_SLOT_RANGE_DAYS - 1);
+    if (end < start) {
+      throw new Error('Invalid date range: the end is before the start');
+    }
+    if (this.addDays(start, MAX_SLOT_RANGE_DAYS - 1) < end) {
+      throw new Error(`Invalid date range: at most ${MAX_SLOT_RANGE_DAYS} days`);
+    }
+
+    // Pad by a day either side; the range is in the provider's zone, the query in UTC
+    const booked = await this.serviceBookingRepository.findBookedBetween(
+      listingId,
+      new Date(`${this.addDays(start, -1)}T00:00:00Z`),
+      new Date(`${this.addDays(end, 2)}T00:00:00Z`)
+    );
+
+    return {
+      listingId,
+      timeZone: schedule.timeZone,
+      slotMinutes: schedule.slotMinutes,
+      from: start,
+      to: end,
+      slots: this.buildSlots(schedule, start, end, booked)
+    };
+  }
+
+  /**
+   * Book a slot with a service provider
+   * @param {string} listingId - Service listing ID
+   * @param {string} userId - Client booking
+   * @param {Object} data - startsAt (ISO instant of an offered slot), address,
+   *   postcode, latitude, longitude, notes
+   * @returns {Promise<ServiceAppointment>}
+   * @throws {Error} - If the slot isn't free or the address is outside the service area
+   */
+  async bookAppointment(listingId, userId, data) {
+    const listing = await this.getServiceListing(listingId);
+
+    if (!listing.isAvailable()) {
+      throw new Error('Cannot book: this listing is no longer available');
+    }
+
+    if (listing.isOwnedBy(userId)) {
+      throw new Error('Cannot book your own service');
+    }
+
+    const schedule = await this.getSchedule(listingId);
+    const startsAt = this.parseInstant(data.startsAt, 'startsAt');
+    const endsAt = new Date(startsAt.getTime() + schedule.slotMinutes * 60 * 1000);
+
+    const location = this.parseLocation(data);
+    await this.checkServiceArea(listing, location);
+
+    const appointment = new ServiceAppointment({
+      listingId,
+      clientId: userId,
+      startsAt,
+      endsAt,
+      ...location,
+      address: data.address ? String(data.address).trim().slice(0, 500) : null,
+      notes: data.notes ? String(data.notes).trim().slice(0, 1000) : null
+    });
+
+    let saved;
+    try {
+      saved = await withTransaction(async client => {
+        await this.serviceBookingRepository.lockSchedule(listingId, client);
+        await this.checkSlotOpen(schedule, startsAt, endsAt, null, client, 'Cannot book');
+
+        const created = await this.serviceBookingRepository.createAppointment(appointment, client);
+        await this.notifyBoth(created, 'booked', client);
+        return created;
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Cannot book: that slot was just taken');
+      }
+      throw error;
+    }
+
+    return saved;
+  }
+
+  /**
+   * Move an appointment to another free slot. Clients must do it before the
+   * cancellation cutoff and within their reschedule allowance; the provider can
+   * move it at any time.
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - Client or provider
+   * @param {Object} data - startsAt (ISO instant of an offered slot)
+   * @returns {Promise<ServiceAppointment>}
+   */
+  async rescheduleAppointment(appointmentId, userId, data) {
+    const appointment = await this.getAppointment(appointmentId, userId);
+    const schedule = await this.getSchedule(appointment.listingId);
+    const byClient = appointment.clientId === userId;
+
+    if (appointment.status !== 'booked') {
+      throw new Error('Cannot reschedule a cancelled appointment');
+    }
+
+    if (byClient) {
+      if (!appointment.isBeforeCutoff(schedule.cancelCutoffHours)) {
+        throw new Error(
+          `Cannot reschedule within ${schedule.cancelCutoffHours} hours of the appointment; contact the provider`
+        );
+      }
+      if (appointment.rescheduleCount >= schedule.maxReschedules) {
+        throw new Error(`Cannot reschedule more than ${schedule.maxReschedules} times; contact the provider`);
+      }
+    }
+
+    const startsAt = this.parseInstant(data.startsAt, 'startsAt');
+    const endsAt = new Date(startsAt.getTime() + schedule.slotMinutes * 60 * 1000);
+
+    if (startsAt.getTime() === new Date(appointment.startsAt).getTime()) {
+      throw new Error('Invalid startsAt: the appointment is already at that time');
+    }
+
+    try {
+      return await withTransaction(async client => {
+        await this.serviceBookingRepository.lockSchedule(appointment.listingId, client);
+        await this.checkSlotOpen(schedule, startsAt, endsAt, appointment.id, client, 'Cannot reschedule');
+
+        const moved = await this.serviceBookingRepository.reschedule(
+          appointment.id,
+          { startsAt, endsAt, countsTowardsLimit: byClient },
+          client
+        );
+        if (!moved) {
+          throw new Error('Cannot reschedule: the appointment was changed by someone else');
+        }
+
+        const updated = await this.serviceBookingRepository.findAppointmentById(appointment.id, client);
+        await this.notifyBoth(updated, 'rescheduled', client, appointment.startsAt);
+        return updated;
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Cannot reschedule: that slot was just taken');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an appointment. Clients must do it before the cancellation cutoff;
+   * the provider can cancel at any time.
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - Client or provider
+   * @param {string} reason - Reason (optional)
+   * @returns {Promise<ServiceAppointment>}
+   */
+  async cancelAppointment(appointmentId, userId, reason) {
+    const appointment = await this.getAppointment(appointmentId, userId);
+
+    if (appointment.status !== 'booked') {
+      throw new Error('Cannot cancel an appointment that is already cancelled');
+    }
+
+    if (appointment.clientId === userId) {
+      const schedule = await this.getSchedule(appointment.listingId);
+      if (!appointment.isBeforeCutoff(schedule.cancelCutoffHours)) {
+        throw new Error(
+          `Cannot cancel within ${schedule.cancelCutoffHours} hours of the appointment; contact the provider`
+        );
+      }
+    }
+
+    const cancelled = await this.serviceBookingRepository.cancel(appointment.id, {
+      cancelledBy: userId,
+      reason: reason ? String(reason).trim().slice(0, 1000) || null : null
+    });
+    if (!cancelled) {
+      throw new Error('Cannot cancel: the appointment was changed by someone else');
+    }
+
+    const updated = await this.serviceBookingRepository.findAppointmentById(appointment.id);
+    await this.notifyBoth(updated, 'cancelled');
+    return updated;
+  }
+
+  /**
+   * Find an appointment the user is the client or provider of
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - User ID
+   * @returns {Promise<ServiceAppointment>}
+   */
+  async getAppointment(appointmentId, userId) {
+    const appointment = await this.serviceBookingRepository.findAppointmentById(appointmentId);
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+    if (!appointment.involves(userId)) {
+      throw new Error('Not authorized to view this appointment');
+    }
+    return appointment;
+  }
+
+  /**
+   * The current calendar invite for an appointment
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - Client or provider
+   * @returns {Promise<{fileName: string, body: string}>}
+   */
+  async getInvite(appointmentId, userId) {
+    const appointment = await this.getAppointment(appointmentId, userId);
+    return {
+      fileName: `appointment-${appointment.id}.ics`,
+      body: this.buildInvite(appointment, 'PUBLISH')
+    };
+  }
+
+  /**
+   * List a provider's appointments (provider)
+   * @param {string} listingId - Service listing ID
+   * @param {string} userId - Provider
+   * @param {Object} query - Filters (status, from, to as ISO instants or days, page, limit)
+   * @returns {Promise<Object>} - appointments, total, page, limit
+   */
+  async listProviderAppointments(listingId, userId, { status, from, to, page, limit } = {}) {
+    await this.getOwnedServiceListing(listingId, userId);
+
+    if (status && !ServiceAppointment.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be one of ${ServiceAppointment.STATUSES.join(', ')}`);
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { appointments, total } = await this.serviceBookingRepository.findAppointmentsByListing(listingId, {
+      statuses: status ? [status] : undefined,
+      from: from ? this.parseInstant(from, 'from') : new Date(),
+      to: to ? this.parseInstant(to, 'to') : undefined,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { appointments, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * List the appointments a client has booked
+   * @param {string} userId - Client
+   * @param {Object} query - Filters (status, page, limit)
+   * @returns {Promise<Object>} - appointments, total, page, limit
+   */
+  async listMyAppointments(userId, { status, page, limit } = {}) {
+    if (status && !ServiceAppointment.STATUSES.includes(status)) {
+      throw new Error(`Invalid status; must be one of ${ServiceAppointment.STATUSES.join(', ')}`);
+    }
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const { appointments, total } = await this.serviceBookingRepository.findAppointmentsByClient(userId, {
+      statuses: status ? [status] : undefined,
+      limit: safeLimit,
+      offset: (safePage - 1) * safeLimit
+    });
+
+    return { appointments, total, page: safePage, limit: safeLimit };
+  }
+
+  /**
+   * Email both parties about appointments starting within the reminder
+   * window. Run by the appointment-reminders job.
+   * @returns {Promise<number>} - Appointments reminded
+   */
+  async sendDueReminders() {
+    const before = new Date(Date.now() + this.reminderHours * 60 * 60 * 1000);
+
+    return await withTransaction(async client => {
+      const due = await this.serviceBookingRepository.claimDueReminders(before, REMINDER_BATCH_SIZE, client);
+
+      for (const appointment of due) {
+        await this.notifyBoth(appointment, 'reminder', client);
+      }
+
+      return due.length;
+    });
+  }
+
+  /**
+   * Every slot in a day range that the rules allow and nothing blocks
+   * @param {ServiceSchedule} schedule - Schedule
+   * @param {string} from - First day, in the schedule's time zone
+   * @param {string} to - Last day
+   * @param {Object[]} booked - Booked appointments around the range
+   * @param {Date} now - Current time
+   * @returns {Object[]} - { startsAt, endsAt, date, time } in start order
+   */
+  buildSlots(schedule, from, to, booked, now = new Date()) {
+    const earliest = now.getTime() + schedule.minNoticeHours * 60 * 60 * 1000;
+    const latest = now.getTime() + schedule.horizonDays * 24 * 60 * 60 * 1000;
+    const slotMs = schedule.slotMinutes * 60 * 1000;
+    const slots = new Map();
+
+    for (let day = from; day <= to; day = this.addDays(day, 1)) {
+      if (schedule.isBlackedOut(day)) {
+        continue;
+      }
+
+      const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+
+      for (const rule of schedule.getRulesFor(weekday)) {
+        const ruleEnd = this.toMinutes(rule.endTime);
+
+        for (let minute = this.toMinutes(rule.startTime); minute + schedule.slotMinutes <= ruleEnd; minute += schedule.slotMinutes) {
+          const start = zonedTimeToUtc(day, this.fromMinutes(minute), schedule.timeZone);
+          const end = new Date(start.getTime() + slotMs);
+
+          if (start.getTime() < earliest || start.getTime() > latest) {
+            continue;
+          }
+
+          const clashes = booked.some(appointment => (
+            new Date(appointment.startsAt) < end && new Date(appointment.endsAt) > start
+          ));
+
+          // Skipped DST times resolve onto a real time; keep one slot per instant
+          if (!clashes && !slots.has(start.getTime())) {
+            slots.set(start.getTime(), {
+              startsAt: start,
+              endsAt: end,
+              date: day,
+              time: getZonedParts(start, schedule.timeZone).time
+            });
+          }
+        }
+      }
+    }
+
+    return [...slots.values()].sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Check a start time is one of the schedule's free slots, under the schedule lock
+   * @param {ServiceSchedule} schedule - Schedule
+   * @param {Date} startsAt - Requested start
+   * @param {Date} endsAt - Requested end
+   * @param {string|null} excludeId - Appointment being moved, whose own time doesn't count
+   * @param {Object} client - Transaction client
+   * @param {string} prefix - Error message prefix
+   * @throws {Error} - If the slot isn't offered or is taken
+   */
+  async checkSlotOpen(schedule, startsAt, endsAt, excludeId, client, prefix) {
+    const { date } = getZonedParts(startsAt, schedule.timeZone);
+    const offered = this.buildSlots(schedule, date, date, []);
+
+    if (!offered.some(slot => slot.startsAt.getTime() === startsAt.getTime())) {
+      throw new Error(`${prefix}: ${formatZoned(startsAt, schedule.timeZone)} is not an available slot`);
+    }
+
+    const clashes = await this.serviceBookingRepository.findBookedBetween(
+      schedule.listingId,
+      startsAt,
+      endsAt,
+      { excludeId },
+      client
+    );
+    if (clashes.length > 0) {
+      throw new Error(`${prefix}: ${formatZoned(startsAt, schedule.timeZone)} is already booked`);
+    }
+  }
+
+  /**
+   * Check the appointment address is somewhere the provider works. Listings
+   * without a structured service area take bookings from anywhere.
+   * @param {Listing} listing - Service listing
+   * @param {Object} location - postcode, latitude, longitude
+   * @throws {Error} - If the address is outside the area
+   */
+  async checkServiceArea(listing, { postcode, latitude, longitude }) {
+    const { serviceAreaType, serviceRadiusKm, servicePostcodes } = listing.details;
+
+    if (serviceAreaType === 'postcodes') {
+      if (!postcode) {
+        throw new Error('postcode is required');
+      }
+      if (!(servicePostcodes || []).map(String).includes(postcode)) {
+        throw new Error(`Cannot book: this provider does not service postcode ${postcode}`);
+      }
+      return;
+    }
+
+    if (serviceAreaType !== 'radius') {
+      return;
+    }
+
+    let point = latitude !== null && longitude !== null ? { latitude, longitude } : null;
+    if (!point) {
+      if (!postcode) {
+        throw new Error('postcode is required');
+      }
+      point = await this.gazetteerRepository.findByPostcode(postcode);
+      if (!point) {
+        throw new Error(`Invalid postcode: ${postcode} was not found`);
+      }
+    }
+
+    const distance = this.distanceKm(listing, point);
+    const radius = Number(serviceRadiusKm);
+    if (distance > radius) {
+      throw new Error(
+        `Cannot book: the address is ${Math.round(distance)} km away; this provider travels up to ${radius} km`
+      );
+    }
+  }
+
+  /**
+   * Great-circle distance between two points
+   * @param {Object} a - { latitude, longitude }
+   * @param {Object} b - { latitude, longitude }
+   * @returns {number} - Kilometres
+   */
+  distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(Number(b.latitude) - Number(a.latitude));
+    const dLon = toRadians(Number(b.longitude) - Number(a.longitude));
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(Number(a.latitude))) * Math.cos(toRadians(Number(b.latitude))) * Math.sin(dLon / 2) ** 2;
+
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Validate the appointment location fields
+   * @param {Object} data - postcode, latitude, longitude
+   * @returns {Object} - postcode, latitude, longitude (null when not given)
+   */
+  parseLocation({ postcode, latitude, longitude }) {
+    const location = { postcode: null, latitude: null, longitude: null };
+
+    if (postcode !== undefined && postcode !== null && postcode !== '') {
+      location.postcode = String(postcode).trim();
+      if (!/^\d{4}$/.test(location.postcode)) {
+        throw new Error('Invalid postcode: postcodes have 4 digits');
+      }
+    }
+
+    const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+    const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+    if (hasLatitude !== hasLongitude) {
+      throw new Error('Invalid location: give both latitude and longitude');
+    }
+
+    if (hasLatitude) {
+      location.latitude = Number(latitude);
+      location.longitude = Number(longitude);
+      if (isNaN(location.latitude) || Math.abs(location.latitude) > 90) {
+        throw new Error('Invalid latitude');
+      }
+      if (isNaN(location.longitude) || Math.abs(location.longitude) > 180) {
+        throw new Error('Invalid longitude');
+      }
+    }
+
+    return location;
+  }
+
+  /**
+   * Validate weekly availability rules
+   * @param {Object[]} rules - { weekday (0 = Sunday), startTime, endTime (HH:MM) }
+   * @returns {Object[]}
+   */
+  parseRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid rules: expected a list');
+    }
+    if (rules.length > MAX_RULES) {
+      throw new Error(`Invalid rules: at most ${MAX_RULES}`);
+    }
+
+    const parsed = rules.map(rule => {
+      const weekday = Number(rule && rule.weekday);
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        throw new Error('Invalid weekday: must be 0 (Sunday) to 6 (Saturday)');
+      }
+
+      const startTime = this.parseTime(rule.startTime, 'startTime');
+      const endTime = this.parseTime(rule.endTime, 'endTime');
+      if (endTime <= startTime) {
+        throw new Error(`Invalid rule: ${startTime} to ${endTime} ends before it starts`);
+      }
+
+      return { weekday, startTime, endTime };
+    });
+
+    parsed.sort((a, b) => a.weekday - b.weekday || a.startTime.localeCompare(b.startTime));
+    for (let i = 1; i < parsed.length; i++) {
+      if (parsed[i].weekday === parsed[i - 1].weekday && parsed[i].startTime < parsed[i - 1].endTime) {
+        throw new Error(`Invalid rules: ${parsed[i - 1].startTime}-${parsed[i - 1].endTime} and ${parsed[i].startTime}-${parsed[i].endTime} overlap`);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * @param {string} value - Time, HH:MM (24 hour)
+   * @param {string} field - Field name for error messages
+   * @returns {string}
+   */
+  parseTime(value, field) {
+    if (!value) {
+      throw new Error(`${field} is required`);
+    }
+
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+    if (!match) {
+      throw new Error(`Invalid ${field}: expected HH:MM`);
+    }
+    return String(value);
+  }
+
+  /**
+   * Validate a calendar day
+   * @param {string} value - Day, YYYY-MM-DD
+   * @param {string} field - Field name for error messages
+   * @returns {string}
+   * @throws {Error} - If it's missing or not a real date
+   */
+  parseDay(value, field) {
+    if (!value) {
+      throw new Error(`${field} is required`);
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+    if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw new Error(`Invalid ${field}: expected YYYY-MM-DD`);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * @param {string} value - ISO 8601 instant, e.g. 2026-11-02T09:00:00+11:00
+   * @param {string} field - Field name for error messages
+   * @returns {Date}
+   */
+  parseInstant(value, field) {
+    if (!value) {
+      throw new Error(`${field} is required`);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${field}: expected an ISO 8601 date and time`);
+    }
+    return date;
+  }
+
+  /**
+   * @param {string} day - Day, YYYY-MM-DD
+   * @param {number} count - Days to add (may be negative)
+   * @returns {string}
+   */
+  addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {string} time - HH:MM
+   * @returns {number} - Minutes after midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} - HH:MM
+   */
+  fromMinutes(minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Find a service listing
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Listing>}
+   */
+  async getServiceListing(listingId) {
+    const listing = await this.listingRepository.findById(listingId);
+    if (!listing || listing.listingType !== 'service') {
+      throw new Error('Listing not found');
+    }
+    return listing;
+  }
+
+  /**
+   * Find a service listing and check the user owns it
+   * @param {string} listingId - Listing ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Listing>}
+   */
+  async getOwnedServiceListing(listingId, userId) {
+    const listing = await this.getServiceListing(listingId);
+    if (!listing.isOwnedBy(userId)) {
+      throw new Error('Not authorized to manage this listing');
+    }
+    return listing;
+  }
+
+  /**
+   * The appointment as an iCalendar document. Both parties get the same
+   * UID, and the sequence goes up on every change, so calendar clients
+   * update or remove the event they already have.
+   * @param {ServiceAppointment} appointment - Appointment with joined fields
+   * @param {string} method - REQUEST, CANCEL or PUBLISH
+   * @returns {string}
+   */
+  buildInvite(appointment, method) {
+    return buildCalendar({
+      name: appointment.listingTitle,
+      method,
+      events: [{
+        uid: `appointment-${appointment.id}@equestrian-marketplace`,
+        start: appointment.startsAt,
+        end: appointment.endsAt,
+        summary: `${appointment.listingTitle}: ${appointment.clientName}`,
+        description: [
+          `${appointment.listingTitle} with ${appointment.providerName} for ${appointment.clientName}`,
+          appointment.notes ? `Notes: ${appointment.notes}` : null,
+          `${process.env.FRONTEND_URL}/dashboard`
+        ].filter(Boolean).join('\n'),
+        location: [appointment.address, appointment.postcode].filter(Boolean).join(' ') || undefined,
+        status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        sequence: appointment.sequence,
+        updatedAt: appointment.updatedAt,
+        organizer: { name: appointment.providerName, email: appointment.providerEmail },
+        attendees: [{ name: appointment.clientName, email: appointment.clientEmail }]
+      }]
+    });
+  }
+
+  /**
+   * Email the client and provider about an appointment, with the calendar
+   * invite attached. Inside a transaction the emails commit with the change;
+   * otherwise failures are logged, not thrown, so the change still succeeds.
+   * @param {ServiceAppointment} appointment - Appointment with joined fields
+   * @param {string} event - booked, rescheduled, cancelled or reminder
+   * @param {Object} client - Transaction client (optional)
+   * @param {Date} previousStart - Old start, for reschedules
+   * @returns {Promise<void>}
+   */
+  async notifyBoth(appointment, event, client, previousStart) {
+    const timeZone = appointment.timeZone || this.defaultTimeZone;
+    const when = formatZoned(appointment.startsAt, timeZone);
+    const title = appointment.listingTitle;
+
+    const subjects = {
+      booked: `Appointment booked: ${title}, ${when}`,
+      rescheduled: `Appointment moved: ${title}, ${when}`,
+      cancelled: `Appointment cancelled: ${title}, ${when}`,
+      reminder: `Reminder: ${title}, ${when}`
+    };
+
+    const summary = {
+      booked: `${title} is booked for ${when}.`,
+      rescheduled: `${title} has moved from ${formatZoned(previousStart || appointment.startsAt, timeZone)} to ${when}.`,
+      cancelled: `${title} on ${when} has been cancelled.`,
+      reminder: `${title} is coming up on ${when}.`
+    }[event];
+
+    const calendarEvent = event === 'reminder'
+      ? undefined
+      : this.buildInvite(appointment, event === 'cancelled' ? 'CANCEL' : 'REQUEST');
+
+    const recipients = [
+      { email: appointment.clientEmail, name: appointment.clientName, other: `With: ${appointment.providerName}` },
+      { email: appointment.providerEmail, name: appointment.providerName, other: `Client: ${appointment.clientName}` }
+    ];
+
+    for (const recipient of recipients) {
+      const message = {
+        to: recipient.email,
+        template: 'serviceAppointmentUpdate',
+        data: {
+          firstName: recipient.name.split(' ')[0],
+          subject: subjects[event],
+          paragraphs: [
+            summary,
+            recipient.other,
+            appointment.address ? `Where: ${[appointment.address, appointment.postcode].filter(Boolean).join(' ')}` : null,
+            event === 'cancelled' && appointment.cancellationReason ? `Reason: "${appointment.cancellationReason}"` : null,
+            event !== 'cancelled' && appointment.notes ? `Notes: "${appointment.notes}"` : null
+          ].filter(Boolean),
+          actionUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          actionLabel: 'View appointment'
+        },
+        calendarEvent
+      };
+
+      if (client) {
+        await this.emailOutbox.queue(message, client);
+        continue;
+      }
+
+      try {
+        await this.emailOutbox.queue(message);
+      } catch (error) {
+        console.error(`Failed to send appointment email to ${recipient.email}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = ServiceBookingService;
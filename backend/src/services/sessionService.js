@@ -0,0 +1,217 @@
+// backend/src/services/sessionService.js
+const crypto = require('crypto');
+const Session = require('../models/session');
+const SessionRepository = require('../repositories/sessionRepository');
+
+/**
+ * How long a rotated-out refresh token is tolerated before reuse counts as theft.
+ * Covers two tabs refreshing at the same moment.
+ */
+const REUSE_GRACE_MS = 10000;
+
+class SessionService {
+  constructor() {
+    this.sessionRepository = new SessionRepository();
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {string} userId - User ID
+   * @param {Object} meta - Client details (userAgent, ipAddress)
+   * @returns {Promise<{session: Session, refreshToken: string}>}
+   */
+  async createSession(userId, meta = {}) {
+    const secret = this.generateSecret();
+
+    const session = new Session({
+      userId,
+      refreshTokenHash: this.hashSecret(secret),
+      userAgent: this.truncate(meta.userAgent, 255),
+      ipAddress: this.truncate(meta.ipAddress, 45),
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    const savedSession = await this.sessionRepository.create(session);
+
+    return {
+      session: savedSession,
+      refreshToken: this.formatRefreshToken(savedSession.id, secret)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (rotation).
+   * Presenting a refresh token that was already rotated out revokes the whole
+   * session, since it means the token was copied.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} meta - Client details (userAgent, ipAddress)
+   * @returns {Promise<{session: Session, refreshToken: string}>}
+   * @throws {Error} - If the token is invalid, expired or reused
+   */
+  async rotateSession(refreshToken, meta = {}) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+    const session = await this.sessionRepository.findById(sessionId);
+
+    if (!session || !session.isActive()) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const presentedHash = this.hashSecret(secret);
+
+    if (!this.hashesMatch(presentedHash, session.refreshTokenHash)) {
+      const isPrevious = session.previousTokenHash &&
+        this.hashesMatch(presentedHash, session.previousTokenHash);
+      const withinGrace = session.rotatedAt &&
+        Date.now() - new Date(session.rotatedAt).getTime() < REUSE_GRACE_MS;
+
+      if (isPrevious && !withinGrace) {
+        await this.sessionRepository.revoke(session.id);
+        throw new Error('Refresh token reuse detected');
+      }
+
+      throw new Error('Invalid refresh token');
+    }
+
+    const newSecret = this.generateSecret();
+    const rotated = await this.sessionRepository.rotate(
+      session.id,
+      presentedHash,
+      this.hashSecret(newSecret),
+      {
+        userAgent: this.truncate(meta.userAgent, 255),
+        ipAddress: this.truncate(meta.ipAddress, 45)
+      }
+    );
+
+    // Another request rotated this token first
+    if (!rotated) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return {
+      session: rotated,
+      refreshToken: this.formatRefreshToken(rotated.id, newSecret)
+    };
+  }
+
+  /**
+   * Check whether a session is still active
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    const session = await this.sessionRepository.findById(sessionId);
+    return Boolean(session && session.isActive());
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} - True if a session was revoked
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+    const session = await this.sessionRepository.findById(sessionId);
+
+    if (!session || !this.hashesMatch(this.hashSecret(secret), session.refreshTokenHash)) {
+      return false;
+    }
+
+    return await this.sessionRepository.revoke(session.id);
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Owning user ID
+   * @returns {Promise<boolean>} - True if a session was revoked
+   */
+  async revokeSession(sessionId, userId) {
+    return await this.sessionRepository.revoke(sessionId, userId);
+  }
+
+  /**
+   * Revoke all of a user's sessions ("sign out all devices")
+   * @param {string} userId - User ID
+   * @param {string} exceptSessionId - Session to keep signed in (optional)
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    return await this.sessionRepository.revokeAllForUser(userId, exceptSessionId);
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Session[]>}
+   */
+  async listSessions(userId) {
+    return await this.sessionRepository.findActiveByUserId(userId);
+  }
+
+  /**
+   * Split a refresh token into its session ID and secret
+   * @param {string} refreshToken - Refresh token ("<sessionId>.<secret>")
+   * @returns {{sessionId: string, secret: string}}
+   * @throws {Error} - If the token is malformed
+   */
+  parseRefreshToken(refreshToken) {
+    const match = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]+)$/.exec(refreshToken || '');
+    if (!match) {
+      throw new Error('Invalid refresh token');
+    }
+    return { sessionId: match[1], secret: match[2] };
+  }
+
+  /**
+   * Build a refresh token from a session ID and secret
+   * @param {string} sessionId - Session ID
+   * @param {string} secret - Random secret
+   * @returns {string} - Refresh token
+   */
+  formatRefreshToken(sessionId, secret) {
+    return `${sessionId}.${secret}`;
+  }
+
+  /**
+   * Generate a random refresh token secret
+   * @returns {string} - URL-safe secret
+   */
+  generateSecret() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   * @param {string} secret - Secret
+   * @returns {string} - Hex SHA-256 digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Compare two hex digests in constant time
+   * @param {string} a - First digest
+   * @param {string} b - Second digest
+   * @returns {boolean}
+   */
+  hashesMatch(a, b) {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Truncate an optional string to a column length
+   * @param {string} value - Value
+   * @param {number} length - Maximum length
+   * @returns {string|null}
+   */
+  truncate(value, length) {
+    return value ? String(value).slice(0, length) : null;
+  }
+}
+
+module.exports = SessionService;
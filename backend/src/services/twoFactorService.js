@@ -0,0 +1,291 @@
+// backend/src/services/twoFactorService.js
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/user');
+const UserRepository = require('../repositories/userRepository');
+const BackupCodeRepository = require('../repositories/backupCodeRepository');
+const TwoFactorPolicyRepository = require('../repositories/twoFactorPolicyRepository');
+const totp = require('../utils/totp');
+
+/**
+ * Number of backup codes issued at a time
+ */
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * How long policies are cached; changes on other instances show up within this time
+ */
+const POLICY_CACHE_MS = 60000;
+
+/**
+ * Policies cached per process, shared by every TwoFactorService instance
+ */
+let policyCache = null;
+
+class TwoFactorService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.backupCodeRepository = new BackupCodeRepository();
+    this.policyRepository = new TwoFactorPolicyRepository();
+    this.issuer = process.env.TOTP_ISSUER || 'Equestrian Marketplace';
+  }
+
+  /**
+   * Get a user's two-factor status
+   * @param {string} userId - User ID
+   * @returns {Promise<{enabled: boolean, required: boolean, backupCodesRemaining: number}>}
+   */
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      required: await this.isRequiredFor(user.userType),
+      backupCodesRemaining: user.twoFactorEnabled
+        ? await this.backupCodeRepository.countRemaining(userId)
+        : 0
+    };
+  }
+
+  /**
+   * Start enrolment by generating a new secret.
+   * The secret is stored but not active until confirmed with enable().
+   * @param {string} userId - User ID
+   * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>} - qrCode is a PNG data URL
+   */
+  async beginSetup(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await this.userRepository.update(userId, { twoFactorSecret: secret });
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: this.issuer
+    });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  /**
+   * Finish enrolment by confirming a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} - Backup codes, shown to the user once
+   */
+  async enable(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await this.userRepository.update(userId, {
+      twoFactorEnabled: true,
+      twoFactorLastStep: step
+    });
+
+    return await this.generateBackupCodes(userId);
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP or backup code
+   * @returns {Promise<boolean>}
+   */
+  async disable(userId, password, code) {
+    const user = await this.getUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (await this.isRequiredFor(user.userType)) {
+      throw new Error('Two-factor authentication is required for your account type');
+    }
+
+    if (!(await user.verifyPassword(password || ''))) {
+      throw new Error('Invalid password');
+    }
+
+    if (!(await this.verify(user, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await this.userRepository.update(userId, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorLastStep: null
+    });
+    await this.backupCodeRepository.deleteForUser(userId);
+
+    return true;
+  }
+
+  /**
+   * Replace a user's backup codes
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code proving possession of the authenticator
+   * @returns {Promise<string[]>} - New backup codes
+   */
+  async regenerateBackupCodes(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null || !(await this.userRepository.claimTwoFactorStep(userId, step))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    return await this.generateBackupCodes(userId);
+  }
+
+  /**
+   * Check a TOTP or backup code for a user with 2FA enabled.
+   * TOTP codes are single-use; backup codes are consumed.
+   * @param {User} user - User
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>}
+   */
+  async verify(user, code) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+      return false;
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      return await this.userRepository.claimTwoFactorStep(user.id, step);
+    }
+
+    return await this.backupCodeRepository.consume(user.id, this.hashBackupCode(code));
+  }
+
+  /**
+   * Check whether 2FA is required for a user type
+   * @param {string} userType - User type
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredFor(userType) {
+    const policies = await this.getCachedPolicies();
+    return Boolean(policies[userType]);
+  }
+
+  /**
+   * List the policy for every user type
+   * @returns {Promise<Object[]>} - Policies ({userType, required, updatedBy, updatedAt})
+   */
+  async listPolicies() {
+    const stored = await this.policyRepository.findAll();
+
+    return User.TYPES.map(userType => (
+      stored.find(policy => policy.userType === userType) ||
+      { userType, required: false, updatedBy: null, updatedAt: null }
+    ));
+  }
+
+  /**
+   * Require or stop requiring 2FA for a user type
+   * @param {string} userType - User type
+   * @param {boolean} required - Whether 2FA is required
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} - Saved policy
+   */
+  async setPolicy(userType, required, adminId) {
+    if (!User.TYPES.includes(userType)) {
+      throw new Error('Invalid user type');
+    }
+
+    if (typeof required !== 'boolean') {
+      throw new Error('Invalid value for required');
+    }
+
+    const policy = await this.policyRepository.upsert(userType, required, adminId);
+    policyCache = null;
+
+    return policy;
+  }
+
+  /**
+   * Get policies keyed by user type, cached for POLICY_CACHE_MS
+   * @returns {Promise<Object>} - userType -> required
+   */
+  async getCachedPolicies() {
+    if (!policyCache || policyCache.expiresAt <= Date.now()) {
+      const policies = await this.policyRepository.findAll();
+
+      policyCache = {
+        expiresAt: Date.now() + POLICY_CACHE_MS,
+        byType: Object.fromEntries(policies.map(policy => [policy.userType, policy.required]))
+      };
+    }
+
+    return policyCache.byType;
+  }
+
+  /**
+   * Issue a fresh set of backup codes, replacing any old ones
+   * @param {string} userId - User ID
+   * @returns {Promise<string[]>} - Codes formatted as xxxxx-xxxxx
+   */
+  async generateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.backupCodeRepository.replaceForUser(
+      userId,
+      codes.map(code => this.hashBackupCode(code))
+    );
+
+    return codes;
+  }
+
+  /**
+   * Hash a backup code for storage, ignoring case and separators
+   * @param {string} code - Backup code
+   * @returns {string} - Hex SHA-256 digest
+   */
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Load a user or throw
+   * @param {string} userId - User ID
+   * @returns {Promise<User>}
+   */
+  async getUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+}
+
+module.exports = TwoFactorService;
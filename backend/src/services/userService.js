@@ -3,13 +3,23 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
 const UserRepository = require('../repositories/userRepository');
-const { sendEmail } = require('../utils/emailService');
+const SessionService = require('./sessionService');
+const LoginThrottleService = require('./loginThrottleService');
+const TwoFactorService = require('./twoFactorService');
+const EmailOutboxService = require('./emailOutboxService');
+const { withTransaction } = require('../utils/db');
 
 class UserService {
   constructor() {
     this.userRepository = new UserRepository();
+    this.sessionService = new SessionService();
+    this.loginThrottle = new LoginThrottleService();
+    this.twoFactorService = new TwoFactorService();
+    this.emailOutbox = new EmailOutboxService();
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
-    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1d';
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.verificationTtlMs = (parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.verificationCooldownMs = (parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_MINUTES, 10) || 2) * 60 * 1000;
   }
 
   /**
@@ -27,21 +37,25 @@ class UserService {
     // Validate password strength
     this.validatePassword(userData.password);
 
-    // Generate verification token
+    // Generate verification token; only its hash is stored
     const verificationToken = this.generateToken();
 
     // Create user with verification token
     const user = await User.create({
       ...userData,
-      verificationToken,
+      verificationTokenHash: this.hashToken(verificationToken),
+      verificationTokenExpires: new Date(Date.now() + this.verificationTtlMs),
+      verificationSentAt: new Date(),
       isVerified: false
     });
 
-    // Save user to database
-    const savedUser = await this.userRepository.create(user);
-
-    // Send verification email
-    await this.sendVerificationEmail(savedUser);
+    // Save the user and queue the verification email together, so a mail
+    // outage can't leave a half-registered account behind
+    const savedUser = await withTransaction(async client => {
+      const created = await this.userRepository.create(user, client);
+      await this.sendVerificationEmail(created, verificationToken, client);
+      return created;
+    });
 
     return {
       user: savedUser,
@@ -50,21 +64,30 @@ class UserService {
   }
 
   /**
-   * Login a user
+   * Login a user.
+   * Users with 2FA enabled get { twoFactorRequired, challengeToken } instead of tokens
+   * and finish with completeTwoFactorLogin().
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<{user: User, token: string}>}
+   * @param {Object} meta - Client details for the session (userAgent, ipAddress)
+   * @returns {Promise<Object>} - Session tokens, or a two-factor challenge
+   * @throws {Error} - Invalid credentials, or a throttling error with retryAfter set
    */
-  async loginUser(email, password) {
+  async loginUser(email, password, meta = {}) {
+    // Refuse locked accounts and throttled clients before checking the password
+    await this.loginThrottle.assertCanAttempt(email, meta.ipAddress);
+
     // Find user by email
     const user = await this.userRepository.findByEmail(email);
     if (!user) {
+      await this.handleFailedLogin(email, meta.ipAddress, null);
       throw new Error('Invalid email or password');
     }
 
     // Verify password
     const isPasswordValid = await user.verifyPassword(password);
     if (!isPasswordValid) {
+      await this.handleFailedLogin(email, meta.ipAddress, user);
       throw new Error('Invalid email or password');
     }
 
@@ -73,28 +96,207 @@ class UserService {
       throw new Error('Please verify your email before logging in');
     }
 
-    // Generate JWT token
-    const token = this.generateJWT(user);
+    if (user.isSuspended()) {
+      throw new Error('Your account has been suspended');
+    }
+
+    // Password alone isn't enough; failures stay counted until the second step passes
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.generateTwoFactorChallenge(user)
+      };
+    }
+
+    await this.loginThrottle.recordSuccess(email);
+
+    return await this.startSession(user, meta);
+  }
+
+  /**
+   * Second login step for users with 2FA enabled
+   * @param {string} challengeToken - Token from the first step
+   * @param {string} code - TOTP or backup code
+   * @param {Object} meta - Client details for the session (userAgent, ipAddress)
+   * @returns {Promise<{user: Object, token: string, refreshToken: string}>}
+   * @throws {Error} - Invalid challenge or code, or a throttling error with retryAfter set
+   */
+  async completeTwoFactorLogin(challengeToken, code, meta = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, this.jwtSecret);
+    } catch {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    const user = await this.userRepository.findById(decoded.sub);
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    if (user.isSuspended()) {
+      throw new Error('Your account has been suspended');
+    }
+
+    await this.loginThrottle.assertCanAttempt(user.email, meta.ipAddress);
+
+    if (!(await this.twoFactorService.verify(user, code))) {
+      await this.handleFailedLogin(user.email, meta.ipAddress, user);
+      throw new Error('Invalid two-factor code');
+    }
+
+    await this.loginThrottle.recordSuccess(user.email);
+
+    return await this.startSession(user, meta);
+  }
+
+  /**
+   * Start a server-side session and issue a short-lived access token
+   * @param {User} user - Authenticated user
+   * @param {Object} meta - Client details for the session (userAgent, ipAddress)
+   * @returns {Promise<Object>} - user, token, refreshToken and twoFactorSetupRequired
+   */
+  async startSession(user, meta) {
+    const { session, refreshToken } = await this.sessionService.createSession(user.id, meta);
+    const token = this.generateJWT(user, session.id);
+
+    // Tells the client to send the user to enrolment when an admin requires 2FA
+    const twoFactorSetupRequired = !user.twoFactorEnabled &&
+      await this.twoFactorService.isRequiredFor(user.userType);
 
     return {
       user: user.toJSON(), // Return sanitized user data
-      token
+      token,
+      refreshToken,
+      twoFactorSetupRequired
     };
   }
 
+  /**
+   * Record a failed login and email the owner if the account got locked
+   * @param {string} email - Email the attempt was for
+   * @param {string} ipAddress - Client IP address
+   * @param {User|null} user - Matching user, if the email exists
+   * @returns {Promise<void>}
+   */
+  async handleFailedLogin(email, ipAddress, user) {
+    const { locked, unlockToken, lockoutMinutes } = await this.loginThrottle.recordFailure(
+      email,
+      ipAddress
+    );
+
+    if (locked && user) {
+      try {
+        await this.sendUnlockEmail(user, unlockToken, lockoutMinutes);
+      } catch (error) {
+        // The lock expires on its own, so don't fail the request over the email
+        console.error('Failed to send unlock email:', error);
+      }
+    }
+  }
+
+  /**
+   * Lift a login lockout using the token from the unlock email
+   * @param {string} token - Unlock token
+   * @returns {Promise<boolean>}
+   */
+  async unlockAccount(token) {
+    await this.loginThrottle.unlock(token);
+    return true;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} meta - Client details (userAgent, ipAddress)
+   * @returns {Promise<{user: Object, token: string, refreshToken: string}>}
+   */
+  async refreshSession(refreshToken, meta = {}) {
+    const { session, refreshToken: newRefreshToken } = await this.sessionService.rotateSession(
+      refreshToken,
+      meta
+    );
+
+    const user = await this.userRepository.findById(session.userId);
+    if (!user || !user.isVerified || user.isSuspended()) {
+      await this.sessionService.revokeSession(session.id, session.userId);
+      throw new Error('Invalid refresh token');
+    }
+
+    return {
+      user: user.toJSON(),
+      token: this.generateJWT(user, session.id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  /**
+   * Log out by revoking the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>}
+   */
+  async logout(refreshToken) {
+    return await this.sessionService.revokeByRefreshToken(refreshToken);
+  }
+
+  /**
+   * Sign a user out of every device
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async logoutAll(userId) {
+    return await this.sessionService.revokeAllSessions(userId);
+  }
+
   /**
    * Verify user email
    * @param {string} token - Verification token
    * @returns {Promise<User>}
    */
   async verifyEmail(token) {
-    const user = await this.userRepository.verifyEmail(token);
+    const user = await this.userRepository.verifyEmail(this.hashToken(token));
     if (!user) {
       throw new Error('Invalid or expired verification token');
     }
     return user;
   }
 
+  /**
+   * Send a fresh verification link, replacing the old one.
+   * Quietly does nothing for unknown or verified addresses, and while the
+   * last link is newer than the cooldown, so it can't be used to probe accounts.
+   * @param {string} email - Email of the unverified account
+   * @returns {Promise<boolean>}
+   */
+  async resendVerificationEmail(email) {
+    const user = await this.userRepository.findByEmail(email);
+    if (!user || user.isVerified) {
+      return true;
+    }
+
+    const verificationToken = this.generateToken();
+
+    await withTransaction(async client => {
+      const replaced = await this.userRepository.replaceVerificationToken(
+        user.id,
+        this.hashToken(verificationToken),
+        new Date(Date.now() + this.verificationTtlMs),
+        this.verificationCooldownMs,
+        client
+      );
+
+      if (replaced) {
+        await this.sendVerificationEmail(user, verificationToken, client);
+      }
+    });
+
+    return true;
+  }
+
   /**
    * Request password reset
    * @param {string} email - User email
@@ -111,22 +313,19 @@ class UserService {
     const resetToken = this.generateToken();
     const resetExpires = new Date(Date.now() + 3600000); // 1 hour
 
-    // Update user with reset token
-    await this.userRepository.update(user.id, {
-      resetPasswordToken: resetToken,
-      resetPasswordExpires: resetExpires
-    });
-
-    // Send password reset email
+    // Save the reset token and queue the email in one transaction
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    await sendEmail({
-      to: user.email,
-      subject: 'Password Reset Request',
-      html: `
-        <p>You requested a password reset. Please click the link below to reset your password:</p>
-        <a href="${resetUrl}">${resetUrl}</a>
-        <p>This link will expire in 1 hour.</p>
-      `
+    await withTransaction(async client => {
+      await this.userRepository.update(user.id, {
+        resetPasswordToken: resetToken,
+        resetPasswordExpires: resetExpires
+      }, client);
+
+      await this.emailOutbox.queue({
+        to: user.email,
+        template: 'passwordReset',
+        data: { firstName: user.firstName, resetUrl, expiresInMinutes: 60 }
+      }, client);
     });
 
     return true;
@@ -163,6 +362,12 @@ class UserService {
       resetPasswordExpires: null
     });
     
+    // Sign out everywhere: whoever had the old password may hold a session
+    await this.sessionService.revokeAllSessions(user.id);
+    
+    // Proving ownership of the email also lifts any login lockout
+    await this.loginThrottle.clear(user.email);
+    
     return true;
   }
 
@@ -193,16 +398,27 @@ class UserService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Hash a token for storage; tokens are random, so an unsalted SHA-256 is enough
+   * @param {string} token - Token
+   * @returns {string} - Hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   /**
    * Generate a JWT for a user
    * @param {User} user - User to generate token for
+   * @param {string} sessionId - Session the token belongs to
    * @returns {string} - JWT token
    */
-  generateJWT(user) {
+  generateJWT(user, sessionId) {
     const payload = {
       id: user.id,
       email: user.email,
-      userType: user.userType
+      userType: user.userType,
+      sid: sessionId
     };
     
     return jwt.sign(payload, this.jwtSecret, {
@@ -210,6 +426,18 @@ class UserService {
     });
   }
 
+  /**
+   * Generate the short-lived token linking the two login steps.
+   * It carries a purpose claim and no id, so it can't be used as an access token.
+   * @param {User} user - User who passed the password step
+   * @returns {string} - JWT
+   */
+  generateTwoFactorChallenge(user) {
+    return jwt.sign({ sub: user.id, purpose: '2fa' }, this.jwtSecret, {
+      expiresIn: '5m'
+    });
+  }
+
   /**
    * Validate password strength
    * @param {string} password - Password to validate
@@ -225,21 +453,40 @@ class UserService {
   }
 
   /**
-   * Send verification email to user
+   * Queue the verification email for a user
    * @param {User} user - User to send email to
+   * @param {string} verificationToken - Plaintext token; only its hash is stored
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user, verificationToken, client) {
+    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    
+    await this.emailOutbox.queue({
+      to: user.email,
+      template: 'verifyEmail',
+      data: {
+        firstName: user.firstName,
+        verificationUrl,
+        expiresInHours: Math.round(this.verificationTtlMs / (60 * 60 * 1000))
+      }
+    }, client);
+  }
+
+  /**
+   * Queue an account unlock email after a lockout
+   * @param {User} user - Locked user
+   * @param {string} unlockToken - Unlock token
+   * @param {number} lockoutMinutes - How long the lock lasts
    * @returns {Promise<void>}
    */
-  async sendVerificationEmail(user) {
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${user.verificationToken}`;
+  async sendUnlockEmail(user, unlockToken, lockoutMinutes) {
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
     
-    await sendEmail({
+    await this.emailOutbox.queue({
       to: user.email,
-      subject: 'Verify Your Email',
-      html: `
-        <h1>Welcome to Equestrian Marketplace!</h1>
-        <p>Please verify your email by clicking the link below:</p>
-        <a href="${verificationUrl}">${verificationUrl}</a>
-      `
+      template: 'accountLocked',
+      data: { firstName: user.firstName, unlockUrl, lockoutMinutes }
     });
   }
 }
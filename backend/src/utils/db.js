@@ -0,0 +1,70 @@
+// backend/src/utils/db.js
+const { Pool, types } = require('pg');
+
+/**
+ * Read DATE columns as the YYYY-MM-DD string Postgres sends. The default
+ * parser makes a Date at local midnight, which shifts a day when serialised
+ * as UTC.
+ */
+types.setTypeParser(types.builtins.DATE, value => value);
+
+/**
+ * The connection pool shared by every repository and the job runner, so the
+ * API process never holds more than DB_POOL_MAX connections to Postgres.
+ * Created on first use, after dotenv has loaded DATABASE_URL.
+ */
+let pool = null;
+
+/**
+ * Get the shared pool
+ * @returns {Pool}
+ */
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: parseInt(process.env.DB_POOL_MAX, 10) || 10
+    });
+  }
+
+  return pool;
+}
+
+/**
+ * Run a callback inside a database transaction
+ * @param {Function} callback - Receives a connected client, returns a promise
+ * @returns {Promise<*>} - Result of the callback
+ */
+async function withTransaction(callback) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close the shared pool, for scripts that exit when they're done
+ * @returns {Promise<void>}
+ */
+async function closePool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
+
+module.exports = {
+  getPool,
+  withTransaction,
+  closePool
+};
@@ -1,56 +1,43 @@
 // backend/src/utils/emailService.js
-const nodemailer = require('nodemailer');
+const { getEmailTransport } = require('./emailTransports');
 
 /**
- * Configuration for different environments
- */
-const config = {
-  development: {
-    host: 'smtp.mailtrap.io',
-    port: 2525,
-    auth: {
-      user: process.env.MAILTRAP_USER || 'your-mailtrap-user',
-      pass: process.env.MAILTRAP_PASS || 'your-mailtrap-password'
-    }
-  },
-  production: {
-    service: process.env.EMAIL_SERVICE || 'SendGrid',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  }
-};
-
-/**
- * Send an email
+ * Send an email straight away through the configured transport.
+ * Application code queues email with EmailOutboxService instead; this is
+ * what the outbox worker calls to deliver it.
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text content
  * @param {string} options.html - HTML content
- * @returns {Promise<Object>} - Nodemailer send result
+ * @param {string} options.calendarEvent - iCalendar invite, sent as a calendar part (optional)
+ * @returns {Promise<{transport: string, messageId: string}>}
  */
-async function sendEmail({ to, subject, text, html }) {
-  const env = process.env.NODE_ENV || 'development';
-  const transportConfig = config[env];
-  
-  // Create transporter
-  const transporter = nodemailer.createTransport(transportConfig);
-  
-  // Set up email options
-  const mailOptions = {
+async function sendEmail({ to, subject, text, html, calendarEvent }) {
+  const transport = getEmailTransport();
+  const message = {
     from: process.env.EMAIL_FROM || 'noreply@equestrianmarketplace.com',
     to,
     subject,
     text,
     html
   };
-  
-  // Send email
-  return await transporter.sendMail(mailOptions);
+
+  if (calendarEvent) {
+    // Nodemailer's calendar part: clients show it as an invite with accept/decline
+    const method = /^METHOD:(\w+)/m.exec(calendarEvent);
+    message.icalEvent = {
+      method: method ? method[1] : 'PUBLISH',
+      filename: 'invite.ics',
+      content: calendarEvent
+    };
+  }
+
+  const { messageId } = await transport.send(message);
+
+  return { transport: transport.name, messageId };
 }
 
 module.exports = {
   sendEmail
-};
\ No newline at end of file
+};
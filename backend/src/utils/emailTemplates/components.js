@@ -0,0 +1,65 @@
+// backend/src/utils/emailTemplates/components.js
+const { html, safeUrl } = require('./html');
+
+/**
+ * Shared building blocks for template bodies, so every email looks the same
+ */
+
+/**
+ * @param {string} firstName - Recipient's first name
+ * @returns {SafeHtml}
+ */
+function greeting(firstName) {
+  return html`<p style="margin:0 0 16px;">Hi ${firstName},</p>`;
+}
+
+/**
+ * @param {string[]} lines - Plain-text paragraphs; empty ones are skipped
+ * @returns {SafeHtml}
+ */
+function paragraphs(lines) {
+  return html`${lines.filter(Boolean).map(line => html`<p style="margin:0 0 16px;">${line}</p>`)}`;
+}
+
+/**
+ * Call-to-action link styled as a button, with the URL repeated underneath
+ * for clients that block styled links
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ * @returns {SafeHtml}
+ */
+function button(url, label) {
+  const href = safeUrl(url);
+
+  return html`<p style="margin:24px 0;">
+<a href="${href}" style="display:inline-block;padding:12px 24px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;font-weight:bold;">${label}</a>
+</p>
+<p style="margin:0 0 16px;font-size:12px;color:#6b7280;word-break:break-all;">${href}</p>`;
+}
+
+/**
+ * @param {string} url - Link target
+ * @param {string} label - Link text
+ * @returns {SafeHtml}
+ */
+function link(url, label) {
+  return html`<a href="${safeUrl(url)}" style="color:#2563eb;">${label}</a>`;
+}
+
+/**
+ * Plain-text equivalent of a greeting and paragraphs
+ * @param {string} firstName - Recipient's first name
+ * @param {string[]} lines - Paragraphs; empty ones are skipped
+ * @returns {string}
+ */
+function textBody(firstName, lines) {
+  return [`Hi ${firstName},`, ...lines.filter(Boolean)].join('\n\n');
+}
+
+module.exports = {
+  greeting,
+  paragraphs,
+  button,
+  link,
+  textBody
+};
@@ -0,0 +1,100 @@
+// backend/src/utils/emailTemplates/html.js
+
+/**
+ * Markup that is already safe to insert into an email. Only the html tag
+ * and raw() create it, so anything else interpolated into html`` is escaped.
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} value - Value to escape; null and undefined become ''
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Render one interpolated value: safe markup as is, arrays item by item,
+ * everything else escaped
+ * @param {*} value - Interpolated value
+ * @returns {string}
+ */
+function renderValue(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+
+  if (value === false) {
+    return '';
+  }
+
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template for email markup. Interpolated values are escaped unless
+ * they came from another html`` or raw(), so user data can't inject markup.
+ * @example html`<p>Hi ${user.firstName}</p>`
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, index) => {
+    result += renderValue(value) + strings[index + 1];
+  });
+
+  return new SafeHtml(result);
+}
+
+/**
+ * Mark trusted markup as safe. Never pass user data to this.
+ * @param {string} markup - Trusted markup
+ * @returns {SafeHtml}
+ */
+function raw(markup) {
+  return new SafeHtml(markup);
+}
+
+/**
+ * Only allow http(s) links, so a crafted URL can't become javascript: etc.
+ * @param {string} url - URL to link to
+ * @returns {string} - The URL, or '#' if it isn't http(s)
+ */
+function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url || '')) ? url : '#';
+}
+
+module.exports = {
+  SafeHtml,
+  html,
+  raw,
+  escapeHtml,
+  safeUrl
+};
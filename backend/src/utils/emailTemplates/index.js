@@ -0,0 +1,71 @@
+// backend/src/utils/emailTemplates/index.js
+const { renderHtmlLayout, renderTextLayout } = require('./layout');
+const { html, raw, escapeHtml } = require('./html');
+
+/**
+ * Email templates by name. Every template implements:
+ *   subject(data) -> string
+ *   html(data) -> SafeHtml (build it with the html tag so values are escaped)
+ *   text(data) -> string
+ *   footer(data) -> string (optional, shown in both variants)
+ *   sample -> data used by the dev preview route
+ * Both variants are wrapped in the shared layout by renderEmail.
+ */
+const templates = {
+  ...require('./templates/account'),
+  ...require('./templates/marketplace')
+};
+
+/**
+ * Render a template to a subject and HTML and plain-text bodies
+ * @param {string} name - Template name
+ * @param {Object} data - Template variables
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} - If the template doesn't exist
+ */
+function renderEmail(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  // Line breaks in a subject would end up in the mail headers
+  const subject = String(template.subject(data)).replace(/\s+/g, ' ').trim();
+  const footer = template.footer ? template.footer(data) : null;
+
+  return {
+    subject,
+    html: renderHtmlLayout({ subject, body: template.html(data), footer }),
+    text: renderTextLayout({ body: template.text(data), footer })
+  };
+}
+
+/**
+ * Render a template with its sample data, for previews
+ * @param {string} name - Template name
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderSample(name) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return renderEmail(name, template.sample || {});
+}
+
+/**
+ * @returns {string[]} - Names of all templates
+ */
+function listTemplates() {
+  return Object.keys(templates);
+}
+
+module.exports = {
+  renderEmail,
+  renderSample,
+  listTemplates,
+  html,
+  raw,
+  escapeHtml
+};
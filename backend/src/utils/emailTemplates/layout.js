@@ -0,0 +1,61 @@
+// backend/src/utils/emailTemplates/layout.js
+const { html } = require('./html');
+
+const SITE_NAME = 'Equestrian Marketplace';
+
+/**
+ * Wrap a template's HTML body in the shared email layout.
+ * Styles are inline because most mail clients drop <style> blocks.
+ * @param {Object} options
+ * @param {string} options.subject - Email subject, used as the document title
+ * @param {SafeHtml} options.body - Rendered template body
+ * @param {string} [options.footer] - Why the recipient is getting this email
+ * @returns {string}
+ */
+function renderHtmlLayout({ subject, body, footer }) {
+  const frontendUrl = process.env.FRONTEND_URL || '';
+
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${subject}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:20px 32px;background:#1e3a8a;border-radius:8px 8px 0 0;">
+<a href="${frontendUrl}" style="color:#ffffff;font-size:20px;font-weight:bold;text-decoration:none;">${SITE_NAME}</a>
+</td></tr>
+<tr><td style="padding:32px;font-size:15px;line-height:1.6;">
+${body}
+</td></tr>
+<tr><td style="padding:16px 32px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">
+${footer ? html`<p style="margin:0 0 8px;">${footer}</p>` : ''}
+<p style="margin:0;">${SITE_NAME}</p>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`.toString();
+}
+
+/**
+ * Wrap a template's plain-text body in the shared text layout
+ * @param {Object} options
+ * @param {string} options.body - Rendered template text
+ * @param {string} [options.footer] - Why the recipient is getting this email
+ * @returns {string}
+ */
+function renderTextLayout({ body, footer }) {
+  return [body.trim(), '--', footer, SITE_NAME].filter(Boolean).join('\n\n') + '\n';
+}
+
+module.exports = {
+  SITE_NAME,
+  renderHtmlLayout,
+  renderTextLayout
+};
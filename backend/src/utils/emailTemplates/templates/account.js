@@ -0,0 +1,75 @@
+// backend/src/utils/emailTemplates/templates/account.js
+const { html } = require('../html');
+const { greeting, paragraphs, button, textBody } = require('../components');
+
+/**
+ * Emails about the user's own account: sign-up, password reset and lockouts
+ */
+module.exports = {
+  verifyEmail: {
+    subject: () => 'Verify Your Email',
+    html: ({ firstName, verificationUrl, expiresInHours }) => html`
+      <h1 style="margin:0 0 16px;font-size:22px;">Welcome to Equestrian Marketplace!</h1>
+      ${greeting(firstName)}
+      ${paragraphs(['Please verify your email address to finish setting up your account.'])}
+      ${button(verificationUrl, 'Verify email')}
+      ${paragraphs([`This link will expire in ${expiresInHours} hours. You can ask for a new one from the sign in page.`])}
+    `,
+    text: ({ firstName, verificationUrl, expiresInHours }) => textBody(firstName, [
+      'Welcome to Equestrian Marketplace! Please verify your email address to finish setting up your account:',
+      verificationUrl,
+      `This link will expire in ${expiresInHours} hours. You can ask for a new one from the sign in page.`
+    ]),
+    footer: () => "If you didn't create an account, you can ignore this email.",
+    sample: {
+      firstName: 'Jane',
+      verificationUrl: 'http://localhost:3001/verify-email?token=sample-token',
+      expiresInHours: 24
+    }
+  },
+
+  passwordReset: {
+    subject: () => 'Password Reset Request',
+    html: ({ firstName, resetUrl, expiresInMinutes }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(['You requested a password reset. Use the button below to choose a new password.'])}
+      ${button(resetUrl, 'Reset password')}
+      ${paragraphs([`This link will expire in ${expiresInMinutes} minutes.`])}
+    `,
+    text: ({ firstName, resetUrl, expiresInMinutes }) => textBody(firstName, [
+      'You requested a password reset. Open this link to choose a new password:',
+      resetUrl,
+      `This link will expire in ${expiresInMinutes} minutes.`
+    ]),
+    footer: () => "If you didn't ask to reset your password, you can ignore this email.",
+    sample: {
+      firstName: 'Jane',
+      resetUrl: 'http://localhost:3001/reset-password?token=sample-token',
+      expiresInMinutes: 60
+    }
+  },
+
+  accountLocked: {
+    subject: () => 'Your Account Has Been Locked',
+    html: ({ firstName, unlockUrl, lockoutMinutes }) => html`
+      ${greeting(firstName)}
+      ${paragraphs([
+        'We locked your account after too many failed login attempts.',
+        `It will unlock automatically in ${lockoutMinutes} minutes. If this was you, you can unlock it now:`
+      ])}
+      ${button(unlockUrl, 'Unlock account')}
+      ${paragraphs(["If this wasn't you, we recommend resetting your password."])}
+    `,
+    text: ({ firstName, unlockUrl, lockoutMinutes }) => textBody(firstName, [
+      'We locked your account after too many failed login attempts.',
+      `It will unlock automatically in ${lockoutMinutes} minutes. If this was you, you can unlock it now:`,
+      unlockUrl,
+      "If this wasn't you, we recommend resetting your password."
+    ]),
+    sample: {
+      firstName: 'Jane',
+      unlockUrl: 'http://localhost:3001/unlock-account?token=sample-token',
+      lockoutMinutes: 15
+    }
+  }
+};
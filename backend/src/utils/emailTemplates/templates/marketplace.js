@@ -0,0 +1,220 @@
+// backend/src/utils/emailTemplates/templates/marketplace.js
+const { html } = require('../html');
+const { greeting, paragraphs, button, link, textBody } = require('../components');
+
+/**
+ * Emails about marketplace activity: listing reviews and renewals, watchlist
+ * alerts, saved search digests, offers, payments, reports, health record
+ * requests, agistment bookings and service appointments
+ */
+module.exports = {
+  listingReviewed: {
+    subject: ({ title, approved }) => (approved ? `Your listing is live: ${title}` : `Changes needed: ${title}`),
+    html: ({ firstName, title, approved, note, actionUrl }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(approved
+        ? [`"${title}" has been approved and is now on the market.`]
+        : [`"${title}" needs some changes before it can go on the market:`, note, 'Edit the listing and submit it again.'])}
+      ${button(actionUrl, approved ? 'View your listings' : 'Edit your listing')}
+    `,
+    text: ({ firstName, title, approved, note, actionUrl }) => textBody(firstName, approved
+      ? [`"${title}" has been approved and is now on the market.`, actionUrl]
+      : [`"${title}" needs some changes before it can go on the market:`, note, 'Edit the listing and submit it again.', actionUrl]),
+    sample: {
+      firstName: 'Jane',
+      title: '8yo Warmblood gelding',
+      approved: false,
+      note: 'Please add a photo of the horse & remove the phone number from the description.',
+      actionUrl: 'http://localhost:3001/dashboard'
+    }
+  },
+
+  listingRenewalReminder: {
+    subject: ({ title }) => `Your listing expires soon: ${title}`,
+    html: ({ firstName, title, expiresOn, actionUrl }) => html`
+      ${greeting(firstName)}
+      ${paragraphs([
+        `"${title}" comes off the market on ${expiresOn}.`,
+        'Still selling? Renew it to keep it listed.'
+      ])}
+      ${button(actionUrl, 'Renew your listing')}
+    `,
+    text: ({ firstName, title, expiresOn, actionUrl }) => textBody(firstName, [
+      `"${title}" comes off the market on ${expiresOn}.`,
+      `Still selling? Renew it to keep it listed: ${actionUrl}`
+    ]),
+    sample: {
+      firstName: 'Jane',
+      title: '8yo Warmblood gelding',
+      expiresOn: '2026-11-02',
+      actionUrl: 'http://localhost:3001/listings/sample/renew'
+    }
+  },
+
+  watchlistAlert: {
+    subject: ({ title }) => title,
+    html: ({ firstName, body, listingTitle, listingUrl }) => html`
+      ${greeting(firstName)}
+      ${paragraphs([body])}
+      ${button(listingUrl, listingTitle)}
+    `,
+    text: ({ firstName, body, listingUrl }) => textBody(firstName, [body, listingUrl]),
+    footer: () => "You're receiving this because the listing is on your watchlist.",
+    sample: {
+      firstName: 'Jane',
+      title: 'Price drop: 8yo Warmblood gelding',
+      body: 'Now $18,500, down from $21,000.',
+      listingTitle: '8yo Warmblood gelding',
+      listingUrl: 'http://localhost:3001/listings/sample'
+    }
+  },
+
+  savedSearchDigest: {
+    subject: ({ searchName, total }) => (total === 1
+      ? `1 new listing for "${searchName}"`
+      : `${total} new listings for "${searchName}"`),
+    html: ({ firstName, searchName, listings, total, searchUrl }) => html`
+      ${greeting(firstName)}
+      ${paragraphs([`New listings match your saved search "${searchName}":`])}
+      <ul style="margin:0 0 16px;padding-left:20px;">
+        ${listings.map(listing => html`<li style="margin-bottom:8px;">${link(listing.url, listing.title)} - ${listing.price}</li>`)}
+      </ul>
+      ${button(searchUrl, `See all ${total} matches`)}
+    `,
+    text: ({ firstName, searchName, listings, searchUrl }) => textBody(firstName, [
+      `New listings match your saved search "${searchName}":`,
+      listings.map(listing => `${listing.title} - ${listing.price}\n${listing.url}`).join('\n\n'),
+      `See all matches: ${searchUrl}`
+    ]),
+    footer: ({ dashboardUrl }) =>
+      `You can change how often you hear about this search from your dashboard: ${dashboardUrl}`,
+    sample: {
+      firstName: 'Jane',
+      searchName: 'Ponies near Bendigo',
+      total: 2,
+      searchUrl: 'http://localhost:3001/search?category=horse&q=pony',
+      dashboardUrl: 'http://localhost:3001/dashboard',
+      listings: [
+        { title: 'Welsh pony, 12.2hh', price: '$6,000', url: 'http://localhost:3001/listings/sample-1' },
+        { title: 'Kids pony <great temperament>', price: 'POA', url: 'http://localhost:3001/listings/sample-2' }
+      ]
+    }
+  },
+
+  offerUpdate: {
+    subject: ({ subject }) => subject,
+    html: ({ firstName, paragraphs: lines, listingUrl }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+      ${button(listingUrl, 'View the listing')}
+    `,
+    text: ({ firstName, paragraphs: lines, listingUrl }) => textBody(firstName, [...lines, listingUrl]),
+    sample: {
+      firstName: 'Jane',
+      subject: 'New offer on 8yo Warmblood gelding',
+      paragraphs: [
+        'Sam made an offer of AUD 17,000.00.',
+        'Message: "Can collect next weekend & pay the deposit today."',
+        'It expires on Mon, 19 Oct 2026 10:00:00 GMT unless answered.'
+      ],
+      listingUrl: 'http://localhost:3001/listings/sample'
+    }
+  },
+
+  paymentUpdate: {
+    subject: ({ subject }) => subject,
+    html: ({ firstName, paragraphs: lines }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+    `,
+    text: ({ firstName, paragraphs: lines }) => textBody(firstName, lines),
+    sample: {
+      firstName: 'Jane',
+      subject: 'Payment received',
+      paragraphs: [
+        'We received your payment of AUD 17,000.00 for "8yo Warmblood gelding".',
+        'The funds are held until you confirm you have received the horse.'
+      ]
+    }
+  },
+
+  reportOutcome: {
+    subject: () => 'Update on your report',
+    html: ({ firstName, paragraphs: lines }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+    `,
+    text: ({ firstName, paragraphs: lines }) => textBody(firstName, lines),
+    sample: {
+      firstName: 'Jane',
+      paragraphs: [
+        'Thanks for reporting the listing "8yo Warmblood gelding".',
+        "We've reviewed it and taken action under our community rules.",
+        'Reports like yours help keep the marketplace safe for buyers, sellers and horses.'
+      ]
+    }
+  },
+
+  documentAccessUpdate: {
+    subject: ({ subject }) => subject,
+    html: ({ firstName, paragraphs: lines, actionUrl, actionLabel }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+      ${button(actionUrl, actionLabel)}
+    `,
+    text: ({ firstName, paragraphs: lines, actionUrl }) => textBody(firstName, [...lines, actionUrl]),
+    sample: {
+      firstName: 'Jane',
+      subject: "Request to see Bella's health records",
+      paragraphs: [
+        'Sam Smith asked to see the health records for Bella.',
+        'Message: "Could I see the pre-purchase x-rays before we book a trial?"',
+        'Nothing is shared until you grant access, and you choose how long it lasts.'
+      ],
+      actionUrl: 'http://localhost:3001/dashboard',
+      actionLabel: 'Review the request'
+    }
+  },
+
+  agistmentBookingUpdate: {
+    subject: ({ subject }) => subject,
+    html: ({ firstName, paragraphs: lines, actionUrl, actionLabel }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+      ${button(actionUrl, actionLabel)}
+    `,
+    text: ({ firstName, paragraphs: lines, actionUrl }) => textBody(firstName, [...lines, actionUrl]),
+    sample: {
+      firstName: 'Jane',
+      subject: 'Agistment request: Hilltop Farm, 40 acres with arena',
+      paragraphs: [
+        'Sam Smith would like 2 stalls from 2026-11-01 to 2026-11-30.',
+        'Message: "Two quiet geldings, both shod & up to date with vaccinations."'
+      ],
+      actionUrl: 'http://localhost:3001/dashboard',
+      actionLabel: 'Review the request'
+    }
+  },
+
+  serviceAppointmentUpdate: {
+    subject: ({ subject }) => subject,
+    html: ({ firstName, paragraphs: lines, actionUrl, actionLabel }) => html`
+      ${greeting(firstName)}
+      ${paragraphs(lines)}
+      ${button(actionUrl, actionLabel)}
+    `,
+    text: ({ firstName, paragraphs: lines, actionUrl }) => textBody(firstName, [...lines, actionUrl]),
+    sample: {
+      firstName: 'Jane',
+      subject: 'Appointment booked: Farrier, trims & shoeing, Mon 2 Nov 2026, 9:00 am AEDT',
+      paragraphs: [
+        'Farrier, trims & shoeing is booked for Mon 2 Nov 2026, 9:00 am AEDT.',
+        'With: Sam Smith',
+        'Where: 12 Paddock Lane, Kenthurst 2156',
+        'Notes: "Two horses, front shoes only."'
+      ],
+      actionUrl: 'http://localhost:3001/dashboard',
+      actionLabel: 'View appointment'
+    }
+  }
+};
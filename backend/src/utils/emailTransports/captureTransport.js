@@ -0,0 +1,113 @@
+// backend/src/utils/emailTransports/captureTransport.js
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Transport that writes each message to a JSON file instead of sending it,
+ * for tests and offline development. Captured mail is browsable at
+ * /dev/mailbox (see src/index.js).
+ */
+class CaptureTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.dir - Directory messages are written to
+   */
+  constructor({ dir }) {
+    this.name = 'capture';
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * Capture a message
+   * @param {Object} message - from, to, subject, text, html, icalEvent (optional)
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    const captured = {
+      id: uuidv4(),
+      capturedAt: new Date().toISOString(),
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      calendarEvent: message.icalEvent ? message.icalEvent.content : null
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    // Timestamp prefix keeps the files in capture order
+    await fs.writeFile(this.filePath(captured), JSON.stringify(captured, null, 2));
+
+    return { messageId: captured.id };
+  }
+
+  /**
+   * List captured messages, newest first, without their bodies
+   * @param {number} limit - Most messages to return
+   * @returns {Promise<Object[]>}
+   */
+  async list(limit = 100) {
+    const files = await this.listFiles();
+    const newest = files.sort().reverse().slice(0, limit);
+
+    return Promise.all(newest.map(async file => {
+      const summary = await this.readFile(file);
+      delete summary.html;
+      delete summary.text;
+      return summary;
+    }));
+  }
+
+  /**
+   * Get one captured message
+   * @param {string} id - Captured message ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const file = (await this.listFiles()).find(name => name.endsWith(`-${id}.json`));
+    return file ? this.readFile(file) : null;
+  }
+
+  /**
+   * Delete every captured message
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const files = await this.listFiles();
+    await Promise.all(files.map(file => fs.unlink(path.join(this.dir, file))));
+  }
+
+  /**
+   * @returns {Promise<string[]>} - Captured message file names
+   */
+  async listFiles() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files.filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} file - File name inside the capture directory
+   * @returns {Promise<Object>}
+   */
+  async readFile(file) {
+    return JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+  }
+
+  /**
+   * @param {Object} captured - Captured message
+   * @returns {string}
+   */
+  filePath(captured) {
+    return path.join(this.dir, `${captured.capturedAt.replace(/[:.]/g, '-')}-${captured.id}.json`);
+  }
+}
+
+module.exports = CaptureTransport;
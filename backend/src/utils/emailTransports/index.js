@@ -0,0 +1,68 @@
+// backend/src/utils/emailTransports/index.js
+const SmtpTransport = require('./smtpTransport');
+const CaptureTransport = require('./captureTransport');
+
+/**
+ * Email transports by name. Every transport implements:
+ *   name -> string, recorded in the send history
+ *   send({from, to, subject, text, html}) -> Promise<{messageId}>
+ * It throws when the message couldn't be handed over, and the outbox retries it.
+ */
+const transports = {
+  // Mailtrap in development, the configured service in production
+  smtp: () => new SmtpTransport(process.env.NODE_ENV === 'production'
+    ? {
+      service: process.env.EMAIL_SERVICE || 'SendGrid',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    }
+    : {
+      host: 'smtp.mailtrap.io',
+      port: 2525,
+      auth: {
+        user: process.env.MAILTRAP_USER || 'your-mailtrap-user',
+        pass: process.env.MAILTRAP_PASS || 'your-mailtrap-password'
+      }
+    }),
+  capture: () => new CaptureTransport({
+    dir: process.env.EMAIL_CAPTURE_DIR || 'captured-emails'
+  })
+};
+
+let instance = null;
+
+/**
+ * Get the configured email transport
+ * @returns {Object} - Transport instance
+ */
+function getEmailTransport() {
+  if (!instance) {
+    const name = process.env.EMAIL_TRANSPORT || 'smtp';
+    const createTransport = transports[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+
+    instance = createTransport();
+  }
+
+  return instance;
+}
+
+/**
+ * Replace the email transport, e.g. with a stub in tests
+ * @param {Object} transport - Transport instance
+ */
+function setEmailTransport(transport) {
+  instance = transport;
+}
+
+module.exports = {
+  getEmailTransport,
+  setEmailTransport,
+  SmtpTransport,
+  CaptureTransport
+};
@@ -0,0 +1,28 @@
+// backend/src/utils/emailTransports/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+/**
+ * Delivers email over SMTP (or a nodemailer well-known service).
+ * One transporter is kept for the life of the process so connections are reused.
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - Nodemailer transport options
+   */
+  constructor(options) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - from, to, subject, text, html, icalEvent (optional)
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
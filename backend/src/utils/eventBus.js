@@ -0,0 +1,14 @@
+// backend/src/utils/eventBus.js
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for domain events (e.g. "message:created").
+ * Services emit events here; delivery channels such as the WebSocket
+ * server subscribe without the services knowing about them.
+ */
+const eventBus = new EventEmitter();
+
+// Every connected delivery channel adds listeners; don't warn on many subscribers
+eventBus.setMaxListeners(50);
+
+module.exports = eventBus;
@@ -0,0 +1,154 @@
+// backend/src/utils/ical.js
+
+/**
+ * PRODID written into every calendar
+ */
+const PRODUCT_ID = '-//Equestrian Marketplace//Bookings//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote a parameter value such as CN; quotes aren't allowed inside it
+ * @param {string} value - Parameter value
+ * @returns {string}
+ */
+function escapeParam(value) {
+  return `"${String(value || '').replace(/"/g, "'")}"`;
+}
+
+/**
+ * Fold a content line to at most 75 octets per line, continuing with a space.
+ * Splits between characters so multi-byte characters stay whole.
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+
+    current += char;
+    size += charSize;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a YYYY-MM-DD day as an iCalendar DATE
+ * @param {string} day - Day, YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDate(day) {
+  return String(day).replace(/-/g, '');
+}
+
+/**
+ * Format an instant as an iCalendar UTC DATE-TIME
+ * @param {Date|string} date - Instant
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar (.ics) document
+ * @param {Object} calendar - Calendar
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {string} calendar.method - iTIP method (optional, default PUBLISH)
+ * @param {Object[]} calendar.events - Events:
+ *   { uid, summary, description, location, url, status (CONFIRMED|TENTATIVE|CANCELLED),
+ *     sequence, updatedAt, organizer: {name, email}, attendees: [{name, email}],
+ *     and either allDay with start/end days (YYYY-MM-DD, end inclusive)
+ *     or start/end instants }
+ * @returns {string} - Calendar text with CRLF line endings
+ */
+function buildCalendar({ name, method = 'PUBLISH', events }) {
+  const now = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${now}`);
+
+    if (event.allDay) {
+      // DTEND is exclusive for all-day events, so it's the day after the last day
+      const end = new Date(`${event.end}T00:00:00Z`);
+      end.setUTCDate(end.getUTCDate() + 1);
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+        `DTEND;VALUE=DATE:${formatDate(end.toISOString().slice(0, 10))}`
+      );
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+    if (event.sequence !== undefined) {
+      lines.push(`SEQUENCE:${event.sequence}`);
+    }
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+    }
+    if (event.organizer) {
+      lines.push(`ORGANIZER;CN=${escapeParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+    }
+    for (const attendee of event.attendees || []) {
+      lines.push(`ATTENDEE;CN=${escapeParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,63 @@
+// backend/src/utils/imageProcessor.js
+const sharp = require('sharp');
+
+/**
+ * Upload limits and accepted formats for listing images
+ */
+const IMAGE_CONFIG = {
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  allowedFormats: ['jpeg', 'png', 'webp'],
+  maxFileSize: parseInt(process.env.MAX_IMAGE_SIZE_BYTES, 10) || 10 * 1024 * 1024,
+  maxFilesPerRequest: 10,
+  maxImagesPerListing: 20
+};
+
+/**
+ * Renditions generated for every upload. Sizes are in pixels.
+ * "fit: inside" keeps the aspect ratio, "fit: cover" crops to fill.
+ */
+const RENDITIONS = {
+  large: { width: 1600, height: 1600, fit: 'inside' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  thumbnail: { width: 240, height: 240, fit: 'cover' }
+};
+
+/**
+ * Check the decoded image format and generate JPEG renditions.
+ * Images are auto-rotated from EXIF and re-encoded, which strips metadata such as GPS.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<{width: number, height: number, renditions: Object<string, Buffer>}>}
+ * @throws {Error} - If the file isn't a supported image
+ */
+async function createRenditions(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new Error('Invalid image file');
+  }
+
+  // Don't trust the client's MIME type: check what the bytes decode as
+  if (!IMAGE_CONFIG.allowedFormats.includes(metadata.format)) {
+    throw new Error('Invalid image type');
+  }
+
+  const renditions = {};
+  for (const [name, { width, height, fit }] of Object.entries(RENDITIONS)) {
+    renditions[name] = await sharp(buffer)
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer();
+  }
+
+  const { width, height } = await sharp(renditions.large).metadata();
+
+  return { width, height, renditions };
+}
+
+module.exports = {
+  IMAGE_CONFIG,
+  RENDITIONS,
+  createRenditions
+};
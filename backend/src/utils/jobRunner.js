@@ -0,0 +1,139 @@
+// backend/src/utils/jobRunner.js
+const crypto = require('crypto');
+const { getPool } = require('./db');
+
+/**
+ * Runs recurring background jobs inside the API process.
+ *
+ * Each run takes a Postgres advisory lock named after the job, so when several
+ * API instances are running only one of them executes a given job at a time;
+ * the others skip that tick. A job never overlaps with itself in one process.
+ */
+class JobRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Object} options.pool - pg Pool used for the advisory locks (default: the shared pool)
+   */
+  constructor({ pool } = {}) {
+    this.pool = pool || getPool();
+    this.jobs = new Map();
+    this.timers = [];
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name, also the lock name
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} handler - Async function doing the work
+   * @returns {JobRunner} - The runner, for chaining
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      running: false,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    return this;
+  }
+
+  /**
+   * Start running every registered job on its interval.
+   * Timers don't keep the process alive on their own.
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      const timer = setInterval(() => this.run(job.name), job.intervalMs);
+      timer.unref();
+      this.timers.push(timer);
+    }
+  }
+
+  /**
+   * Stop scheduling jobs; runs already in progress finish
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Run a job now unless it's already running here or on another instance
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} - True if the job ran
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      return false;
+    }
+
+    job.running = true;
+    let client;
+
+    try {
+      client = await this.pool.connect();
+
+      const lockId = this.lockId(name);
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [lockId]);
+      if (!lock.rows[0].acquired) {
+        return false;
+      }
+
+      try {
+        await job.handler();
+        job.lastError = null;
+      } finally {
+        job.lastRunAt = new Date();
+        await client.query('SELECT pg_advisory_unlock($1)', [lockId]);
+      }
+
+      return true;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job ${name} failed:`, error);
+      return false;
+    } finally {
+      if (client) {
+        client.release();
+      }
+      job.running = false;
+    }
+  }
+
+  /**
+   * Get the state of every registered job
+   * @returns {Array<{name: string, intervalMs: number, running: boolean, lastRunAt: Date|null, lastError: string|null}>}
+   */
+  status() {
+    return [...this.jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name,
+      intervalMs,
+      running,
+      lastRunAt,
+      lastError
+    }));
+  }
+
+  /**
+   * Derive a stable advisory lock key from a job name
+   * @param {string} name - Job name
+   * @returns {string} - Signed 64-bit key as a string
+   */
+  lockId(name) {
+    return crypto.createHash('sha256').update(`job:${name}`).digest().readBigInt64BE(0).toString();
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,378 @@
+// backend/src/utils/migrator.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Advisory lock key held while migrating, so two deploys can't migrate at once
+ */
+const MIGRATION_LOCK_ID = 72947361;
+
+const JS_TEMPLATE = `// backend/src/migrations/{{file}}
+
+/**
+ * Migration to {{description}}
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function up(client) {
+  await client.query('');
+}
+
+/**
+ * Migration to revert {{description}}
+ * @param {Object} client - Database client; the runner wraps this in a transaction
+ */
+async function down(client) {
+  await client.query('');
+}
+
+module.exports = {
+  up,
+  down
+};
+`;
+
+/**
+ * Runs migrations from backend/src/migrations.
+ *
+ * A migration is either NNN_name.js exporting up(client) and down(client), or a
+ * NNN_name.up.sql / NNN_name.down.sql pair. Each migration runs together with
+ * its row in the migrations table inside one transaction on a shared client,
+ * so a failure leaves neither a half-applied schema nor a stale bookkeeping row.
+ * SQL files must not contain their own BEGIN/COMMIT.
+ */
+class Migrator {
+  /**
+   * @param {Object} options - Migrator options
+   * @param {Object} options.pool - pg Pool (default: one for DATABASE_URL)
+   * @param {string} options.directory - Migrations directory
+   * @param {Object} options.logger - Logger with log and warn
+   */
+  constructor({ pool, directory = MIGRATIONS_DIR, logger = console } = {}) {
+    this.pool = pool || new Pool({ connectionString: process.env.DATABASE_URL });
+    this.directory = directory;
+    this.logger = logger;
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - Options
+   * @param {string} options.to - Stop after this migration (inclusive)
+   * @returns {Promise<string[]>} - Names of applied migrations
+   */
+  async up({ to } = {}) {
+    return this.withClient(async client => {
+      const migrations = this.loadMigrations();
+      const applied = await this.getApplied(client);
+
+      this.assertKnown(migrations, to);
+      await this.checkChecksums(client, migrations, applied);
+
+      const pending = migrations.filter(migration =>
+        !applied.has(migration.name) && (!to || migration.name <= to)
+      );
+
+      if (pending.length === 0) {
+        this.logger.log('No pending migrations');
+      }
+
+      for (const migration of pending) {
+        this.logger.log(`Executing migration: ${migration.name}`);
+
+        await this.inTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO migrations (name, checksum) VALUES ($1, $2)',
+            [migration.name, migration.checksum]
+          );
+        });
+
+        this.logger.log(`Completed migration: ${migration.name}`);
+      }
+
+      return pending.map(migration => migration.name);
+    });
+  }
+
+  /**
+   * Roll back applied migrations, newest first.
+   * Without a target only the latest migration is rolled back.
+   * @param {Object} options - Options
+   * @param {string} options.to - Roll back everything after this migration (it stays applied)
+   * @returns {Promise<string[]>} - Names of rolled back migrations
+   */
+  async down({ to } = {}) {
+    return this.withClient(async client => {
+      const migrations = this.loadMigrations();
+      const applied = await this.getApplied(client);
+
+      this.assertKnown(migrations, to);
+
+      const appliedNames = [...applied.keys()].sort().reverse();
+      const targets = to
+        ? appliedNames.filter(name => name > to)
+        : appliedNames.slice(0, 1);
+
+      if (targets.length === 0) {
+        this.logger.log('Nothing to roll back');
+      }
+
+      for (const name of targets) {
+        const migration = migrations.find(candidate => candidate.name === name);
+        if (!migration) {
+          throw new Error(`Migration file missing for applied migration: ${name}`);
+        }
+
+        this.logger.log(`Rolling back migration: ${name}`);
+
+        await this.inTransaction(client, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM migrations WHERE name = $1', [name]);
+        });
+
+        this.logger.log(`Rolled back migration: ${name}`);
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Report which migrations are applied, pending, changed or missing
+   * @returns {Promise<Object[]>} - Rows of {name, state, executedAt, changed}
+   */
+  async status() {
+    return this.withClient(async client => {
+      const migrations = this.loadMigrations();
+      const applied = await this.getApplied(client);
+
+      const rows = migrations.map(migration => {
+        const record = applied.get(migration.name);
+        return {
+          name: migration.name,
+          state: record ? 'applied' : 'pending',
+          executedAt: record ? record.executedAt : null,
+          changed: Boolean(record && record.checksum && record.checksum !== migration.checksum)
+        };
+      });
+
+      // Applied migrations whose files were deleted or renamed
+      for (const [name, record] of applied) {
+        if (!migrations.some(migration => migration.name === name)) {
+          rows.push({ name, state: 'missing', executedAt: record.executedAt, changed: false });
+        }
+      }
+
+      return rows.sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }
+
+  /**
+   * Scaffold a new migration with the next number
+   * @param {string} name - Migration name, e.g. "add reviews table"
+   * @param {Object} options - Options
+   * @param {boolean} options.sql - Create .up.sql/.down.sql files instead of a .js file
+   * @returns {string[]} - Paths of created files
+   */
+  create(name, { sql = false } = {}) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const numbers = this.loadMigrations().map(migration => parseInt(migration.name, 10) || 0);
+    const next = String(Math.max(-1, ...numbers) + 1).padStart(3, '0');
+    const baseName = `${next}_${slug}`;
+    const description = slug.replace(/_/g, ' ');
+
+    const files = sql
+      ? {
+        [`${baseName}.up.sql`]: `-- ${baseName}: ${description}\n`,
+        [`${baseName}.down.sql`]: `-- Revert ${baseName}: ${description}\n`
+      }
+      : {
+        [`${baseName}.js`]: JS_TEMPLATE
+          .replace(/{{file}}/g, `${baseName}.js`)
+          .replace(/{{description}}/g, description)
+      };
+
+    return Object.entries(files).map(([file, content]) => {
+      const filePath = path.join(this.directory, file);
+      fs.writeFileSync(filePath, content, { flag: 'wx' });
+      return filePath;
+    });
+  }
+
+  /**
+   * Find migrations on disk, sorted by name
+   * @returns {Object[]} - Migrations ({name, checksum, up(client), down(client)})
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.directory);
+    const migrations = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+
+      if (file.endsWith('.js')) {
+        migrations.push({
+          name: file.slice(0, -'.js'.length),
+          checksum: this.checksum(filePath),
+          up: client => require(filePath).up(client),
+          down: client => require(filePath).down(client)
+        });
+      } else if (file.endsWith('.up.sql')) {
+        const name = file.slice(0, -'.up.sql'.length);
+        const downPath = path.join(this.directory, `${name}.down.sql`);
+
+        migrations.push({
+          name,
+          checksum: this.checksum(filePath),
+          up: client => client.query(fs.readFileSync(filePath, 'utf8')),
+          down: client => {
+            if (!fs.existsSync(downPath)) {
+              throw new Error(`No down migration for ${name}`);
+            }
+            return client.query(fs.readFileSync(downPath, 'utf8'));
+          }
+        });
+      }
+    }
+
+    migrations.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].name === migrations[i - 1].name) {
+        throw new Error(`Duplicate migration name: ${migrations[i].name}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Check out a client, take the migration lock and make sure the migrations table exists
+   * @param {Function} fn - Called with the client
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withClient(fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS migrations (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            executed_at TIMESTAMP NOT NULL DEFAULT NOW()
+          );
+        `);
+        await client.query('ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);');
+
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a function inside a transaction on the client
+   * @param {Object} client - Database client
+   * @param {Function} fn - Work to run
+   * @returns {Promise<void>}
+   */
+  async inTransaction(client, fn) {
+    await client.query('BEGIN');
+
+    try {
+      await fn();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Load applied migrations
+   * @param {Object} client - Database client
+   * @returns {Promise<Map<string, Object>>} - name -> {checksum, executedAt}
+   */
+  async getApplied(client) {
+    const { rows } = await client.query(
+      'SELECT name, checksum, executed_at FROM migrations ORDER BY id'
+    );
+
+    return new Map(rows.map(row => [
+      row.name,
+      { checksum: row.checksum, executedAt: row.executed_at }
+    ]));
+  }
+
+  /**
+   * Warn about applied migrations whose files changed, and record checksums
+   * for migrations applied before checksums were tracked
+   * @param {Object} client - Database client
+   * @param {Object[]} migrations - Migrations on disk
+   * @param {Map<string, Object>} applied - Applied migrations
+   * @returns {Promise<void>}
+   */
+  async checkChecksums(client, migrations, applied) {
+    for (const migration of migrations) {
+      const record = applied.get(migration.name);
+      if (!record) {
+        continue;
+      }
+
+      if (!record.checksum) {
+        await client.query(
+          'UPDATE migrations SET checksum = $2 WHERE name = $1',
+          [migration.name, migration.checksum]
+        );
+      } else if (record.checksum !== migration.checksum) {
+        this.logger.warn(
+          `Warning: migration ${migration.name} has changed since it was applied; ` +
+          'changes to applied migrations are not re-run'
+        );
+      }
+    }
+  }
+
+  /**
+   * Throw if a target migration doesn't exist
+   * @param {Object[]} migrations - Migrations on disk
+   * @param {string} name - Target name (optional)
+   */
+  assertKnown(migrations, name) {
+    if (name && !migrations.some(migration => migration.name === name)) {
+      throw new Error(`Unknown migration: ${name}`);
+    }
+  }
+
+  /**
+   * Hash a migration file
+   * @param {string} filePath - File path
+   * @returns {string} - Hex SHA-256 digest
+   */
+  checksum(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  /**
+   * Close the pool
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pool.end();
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,56 @@
+// backend/src/utils/payments/index.js
+const FakePaymentProvider = require('./fakeProvider');
+const { signPayload, verifySignature } = require('./webhookSignature');
+
+/**
+ * Payment providers by name. Every provider implements:
+ *   createCharge({amount, currency, metadata}) -> Promise<{reference, clientSecret}>
+ *   release({reference, amount, metadata}) -> Promise<{reference}>
+ *   refund({reference, amount, metadata}) -> Promise<{reference}>
+ *   cancel({reference}) -> Promise<void>
+ *   parseWebhook(rawBody, headers) -> {id, type, data: {reference, failureReason}}
+ * Webhook event types are "charge.succeeded" and "charge.failed". A real
+ * gateway adapter maps its own events onto these and is registered here.
+ */
+const providers = {
+  fake: () => new FakePaymentProvider({
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret'
+  })
+};
+
+let instance = null;
+
+/**
+ * Get the configured payment provider
+ * @returns {Object} - Provider instance
+ */
+function getPaymentProvider() {
+  if (!instance) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    const createProvider = providers[name];
+
+    if (!createProvider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    instance = createProvider();
+  }
+
+  return instance;
+}
+
+/**
+ * Replace the payment provider, e.g. with a stub in tests
+ * @param {Object} provider - Provider instance
+ */
+function setPaymentProvider(provider) {
+  instance = provider;
+}
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  FakePaymentProvider,
+  signPayload,
+  verifySignature
+};
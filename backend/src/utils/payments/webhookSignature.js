@@ -0,0 +1,67 @@
+// backend/src/utils/payments/webhookSignature.js
+const crypto = require('crypto');
+
+/**
+ * How old a signed webhook may be before it's rejected as a replay, in seconds
+ */
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a webhook payload.
+ * The header has the form "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<payload>">".
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix time in seconds (defaults to now)
+ * @returns {string} - Signature header value
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a webhook signature header against the raw payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} header - Signature header value
+ * @param {string} secret - Shared webhook secret
+ * @param {number} toleranceSeconds - Maximum age of the signature
+ * @throws {Error} - If the header is missing, malformed, stale or doesn't match
+ */
+function verifySignature(payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!secret) {
+    throw new Error('Webhook secret is not configured');
+  }
+
+  const parts = {};
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      parts[key.trim()] = value.trim();
+    }
+  }
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    throw new Error('Invalid webhook signature: timestamp outside tolerance');
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const presented = Buffer.from(parts.v1, 'hex');
+
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    throw new Error('Invalid webhook signature');
+  }
+}
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,53 @@
+// backend/src/utils/rateLimit/index.js
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+
+/**
+ * Rate limit stores by name. Every store implements:
+ *   increment(key, windowMs) -> Promise<{count, resetAt}>
+ *   get(key) -> Promise<{value, resetAt}|null>
+ *   set(key, value, ttlMs) -> Promise<void>
+ *   delete(key) -> Promise<void>
+ * resetAt is a timestamp in milliseconds. Stores that need a client (such as
+ * RedisStore) are registered at startup with setRateLimitStore().
+ */
+const stores = {
+  memory: () => new MemoryStore()
+};
+
+let instance = null;
+
+/**
+ * Get the configured rate limit store
+ * @returns {Object} - Store instance
+ */
+function getRateLimitStore() {
+  if (!instance) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const createStore = stores[name];
+
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    instance = createStore();
+  }
+
+  return instance;
+}
+
+/**
+ * Replace the rate limit store, e.g. with a RedisStore shared between instances.
+ * Must be called before the first request is handled.
+ * @param {Object} store - Store instance
+ */
+function setRateLimitStore(store) {
+  instance = store;
+}
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore,
+  MemoryStore,
+  RedisStore
+};
@@ -0,0 +1,87 @@
+// backend/src/utils/rateLimit/memoryStore.js
+
+/**
+ * Interval between sweeps of expired entries
+ */
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * In-process rate limit store. Counters are lost on restart and aren't shared
+ * between instances, so multi-instance deployments should plug in a shared store.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // key -> { value, resetAt }
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Increment a counter, starting a new window if it has expired
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length for a new counter
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { value: 1, resetAt: now + windowMs };
+      this.entries.set(key, fresh);
+      return { count: 1, resetAt: fresh.resetAt };
+    }
+
+    entry.value = Number(entry.value) + 1;
+    return { count: entry.value, resetAt: entry.resetAt };
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<{value: string, resetAt: number}|null>}
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.resetAt <= Date.now()) {
+      return null;
+    }
+
+    return { value: String(entry.value), resetAt: entry.resetAt };
+  }
+
+  /**
+   * Set a value that expires after ttlMs
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttlMs - Time to live
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value: String(value), resetAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired entries
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,82 @@
+// backend/src/utils/rateLimit/redisStore.js
+
+/**
+ * Rate limit store backed by Redis, for sharing counters between instances.
+ * Takes an already connected client with the ioredis command API
+ * (incr, pexpire, pttl, get, set, del) so this module has no Redis dependency
+ * of its own; register it at startup with setRateLimitStore().
+ */
+class RedisStore {
+  /**
+   * @param {Object} client - Connected Redis client
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Prefix for every key (default 'rl:')
+   */
+  constructor(client, { prefix = 'rl:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Increment a counter, starting a new window if it has expired
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length for a new counter
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async increment(key, windowMs) {
+    const redisKey = this.prefix + key;
+    const count = await this.client.incr(redisKey);
+
+    if (count === 1) {
+      await this.client.pexpire(redisKey, windowMs);
+    }
+
+    let ttl = await this.client.pttl(redisKey);
+    // A crash between INCR and PEXPIRE leaves a key without expiry
+    if (ttl < 0) {
+      await this.client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<{value: string, resetAt: number}|null>}
+   */
+  async get(key) {
+    const redisKey = this.prefix + key;
+    const value = await this.client.get(redisKey);
+
+    if (value === null) {
+      return null;
+    }
+
+    const ttl = await this.client.pttl(redisKey);
+    return { value, resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  /**
+   * Set a value that expires after ttlMs
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttlMs - Time to live
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, String(value), 'PX', ttlMs);
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,217 @@
+// backend/src/utils/realtimeServer.js
+const { WebSocketServer } = require('ws');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const eventBus = require('./eventBus');
+
+/**
+ * Interval between heartbeat pings; connections that miss one are dropped
+ */
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * WebSocket server pushing message events to connected users.
+ *
+ * Clients connect to WS_PATH with the same JWT the REST API uses, passed as
+ * ?token=<jwt> because browsers can't set headers on WebSocket requests.
+ * Frames are JSON objects of the form { type, payload }.
+ *
+ * Server -> client: message:new, message:read, typing, notification:new
+ * Client -> server: typing { listingId, recipientId, isTyping }
+ */
+class RealtimeServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.messageService - Used to check who may receive typing indicators
+   */
+  constructor({ messageService } = {}) {
+    this.messageService = messageService;
+    this.connections = new Map(); // userId -> Set<WebSocket>
+    this.wss = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Attach the WebSocket server to an HTTP server
+   * @param {Object} server - Node HTTP server
+   * @param {string} path - Upgrade path
+   */
+  attach(server, path = process.env.WS_PATH || '/ws') {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        socket.destroy();
+        return;
+      }
+
+      this.authenticate(url.searchParams.get('token'))
+        .then(({ user, decoded }) => {
+          this.wss.handleUpgrade(req, socket, head, ws => this.onConnection(ws, user, decoded));
+        })
+        .catch(() => {
+          socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          socket.destroy();
+        });
+    });
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    eventBus.on('message:created', message => {
+      this.sendToUser(message.recipientId, 'message:new', message);
+      // Keep the sender's other tabs and devices in sync
+      this.sendToUser(message.senderId, 'message:new', message);
+    });
+
+    eventBus.on('message:read', ({ listingId, readerId, senderId, messageIds }) => {
+      const payload = { listingId, readerId, messageIds };
+      this.sendToUser(senderId, 'message:read', payload);
+      // The reader's other tabs and devices update their unread counts too
+      this.sendToUser(readerId, 'message:read', payload);
+    });
+
+    eventBus.on('notification:created', notification => {
+      this.sendToUser(notification.userId, 'notification:new', notification);
+    });
+  }
+
+  /**
+   * Verify the connection token
+   * @param {string} token - JWT access token
+   * @returns {Promise<{user: Object, decoded: Object}>}
+   */
+  async authenticate(token) {
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return authenticateToken(token);
+  }
+
+  /**
+   * Register an authenticated connection
+   * @param {WebSocket} ws - Connection
+   * @param {Object} user - Authenticated user
+   * @param {Object} decoded - Decoded JWT payload
+   */
+  onConnection(ws, user, decoded) {
+    ws.userId = user.id;
+    ws.isAlive = true;
+
+    if (!this.connections.has(user.id)) {
+      this.connections.set(user.id, new Set());
+    }
+    this.connections.get(user.id).add(ws);
+
+    // Close the socket when the access token expires; the client reconnects with a fresh one
+    if (decoded.exp) {
+      // setTimeout overflows above ~24.8 days, so clamp long-lived tokens
+      const expiresIn = Math.min(Math.max(decoded.exp * 1000 - Date.now(), 0), 2147483647);
+      ws.expiryTimer = setTimeout(() => ws.close(4001, 'Token expired'), expiresIn);
+    }
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', data => {
+      this.onClientMessage(ws, data).catch(error => {
+        console.error('Realtime message error:', error);
+      });
+    });
+
+    ws.on('close', () => {
+      clearTimeout(ws.expiryTimer);
+      const sockets = this.connections.get(user.id);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) {
+          this.connections.delete(user.id);
+        }
+      }
+    });
+
+    this.send(ws, 'connected', { userId: user.id });
+  }
+
+  /**
+   * Handle a frame sent by a client
+   * @param {WebSocket} ws - Connection
+   * @param {Buffer} data - Raw frame
+   */
+  async onClientMessage(ws, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch {
+      this.send(ws, 'error', { message: 'Invalid frame' });
+      return;
+    }
+
+    if (frame.type === 'typing') {
+      const { listingId, recipientId, isTyping } = frame.payload || {};
+      if (!listingId || !recipientId) {
+        this.send(ws, 'error', { message: 'listingId and recipientId are required' });
+        return;
+      }
+
+      const allowed = await this.messageService.canMessage(ws.userId, listingId, recipientId);
+      if (!allowed) {
+        return;
+      }
+
+      this.sendToUser(recipientId, 'typing', {
+        listingId,
+        userId: ws.userId,
+        isTyping: Boolean(isTyping)
+      });
+      return;
+    }
+
+    this.send(ws, 'error', { message: `Unknown frame type: ${frame.type}` });
+  }
+
+  /**
+   * Send an event to every connection of a user
+   * @param {string} userId - User ID
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload
+   */
+  sendToUser(userId, type, payload) {
+    const sockets = this.connections.get(userId);
+    if (!sockets) {
+      return;
+    }
+    for (const ws of sockets) {
+      this.send(ws, type, payload);
+    }
+  }
+
+  /**
+   * Send an event to a single connection
+   * @param {WebSocket} ws - Connection
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload
+   */
+  send(ws, type, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type, payload }));
+    }
+  }
+
+  /**
+   * Ping every connection and drop the ones that didn't answer the previous ping
+   */
+  checkHeartbeats() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+}
+
+module.exports = RealtimeServer;
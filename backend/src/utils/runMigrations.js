@@ -1,101 +1,120 @@
 // backend/src/utils/runMigrations.js
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const { Pool } = require('pg');
+const Migrator = require('./migrator');
+
+const USAGE = `Usage: node src/utils/runMigrations.js [command] [options]
+
+Commands:
+  up               Apply pending migrations (default)
+  down             Roll back the latest migration
+  status           List applied, pending, changed and missing migrations
+  create <name>    Scaffold the next migration (add --sql for .up.sql/.down.sql files)
+
+Options:
+  --to <name>      up: stop after <name>; down: roll back everything after <name>
+  --down           Same as the down command`;
 
 /**
- * Run all migrations in order
- * @param {boolean} down - Whether to run migrations down (rollback) instead of up
+ * Run migrations up or down
+ * @param {boolean} down - Whether to roll back instead of applying
+ * @param {Object} options - Options
+ * @param {string} options.to - Target migration
+ * @returns {Promise<string[]>} - Names of migrations run
  */
-async function runMigrations(down = false) {
+async function runMigrations(down = false, { to } = {}) {
   console.log(`Running migrations ${down ? 'down' : 'up'}...`);
 
-  const pool = new Pool({
-    connectionString: process.env.DATABASE_URL
-  });
+  const migrator = new Migrator();
 
   try {
-    // Ensure migrations table exists
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        executed_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    // Get all migration files
-    const migrationsDir = path.join(__dirname, '..', 'migrations');
-    const migrationFiles = fs.readdirSync(migrationsDir)
-      .filter(file => file.endsWith('.js'))
-      .sort(); // Sort to ensure order
-
-    if (down) {
-      // Run migrations in reverse order for down
-      migrationFiles.reverse();
-    }
+    const names = down ? await migrator.down({ to }) : await migrator.up({ to });
+    console.log('All migrations completed successfully');
+    return names;
+  } finally {
+    await migrator.close();
+  }
+}
 
-    // Get already executed migrations
-    const { rows: executedMigrations } = await pool.query(
-      'SELECT name FROM migrations'
-    );
-    const executedMigrationNames = executedMigrations.map(m => m.name);
-
-    // Process each migration
-    for (const file of migrationFiles) {
-      const migrationName = file.replace('.js', '');
-      const migrationPath = path.join(migrationsDir, file);
-      const migration = require(migrationPath);
-
-      if (down) {
-        // Only run down for executed migrations
-        if (executedMigrationNames.includes(migrationName)) {
-          console.log(`Rolling back migration: ${migrationName}`);
-          await migration.down();
-          await pool.query(
-            'DELETE FROM migrations WHERE name = $1',
-            [migrationName]
-          );
-          console.log(`Rolled back migration: ${migrationName}`);
-        }
-      } else {
-        // Only run migrations that haven't been executed yet
-        if (!executedMigrationNames.includes(migrationName)) {
-          console.log(`Executing migration: ${migrationName}`);
-          await migration.up();
-          await pool.query(
-            'INSERT INTO migrations (name) VALUES ($1)',
-            [migrationName]
-          );
-          console.log(`Completed migration: ${migrationName}`);
-        } else {
-          console.log(`Skipping already executed migration: ${migrationName}`);
-        }
-      }
+/**
+ * Print migration status
+ * @returns {Promise<void>}
+ */
+async function printStatus() {
+  const migrator = new Migrator();
+
+  try {
+    const rows = await migrator.status();
+
+    for (const row of rows) {
+      const executedAt = row.executedAt ? new Date(row.executedAt).toISOString() : '';
+      const flags = row.changed ? ' (changed since applied)' : '';
+      console.log(`${row.state.padEnd(8)} ${row.name.padEnd(50)} ${executedAt}${flags}`);
     }
 
-    console.log('All migrations completed successfully');
-  } catch (error) {
-    console.error('Migration error:', error);
-    process.exit(1);
+    const pending = rows.filter(row => row.state === 'pending').length;
+    console.log(`\n${rows.length} migrations, ${pending} pending`);
   } finally {
-    await pool.end();
+    await migrator.close();
   }
 }
 
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, name: string, to: string, sql: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { command: 'up', name: null, to: null, sql: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') {
+      args.to = argv[++i];
+    } else if (argv[i] === '--down') {
+      args.command = 'down';
+    } else if (argv[i] === '--sql') {
+      args.sql = true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional.length > 0) {
+    args.command = positional[0];
+    args.name = positional.slice(1).join(' ') || null;
+  }
+
+  return args;
+}
+
 // When run directly from command line
 if (require.main === module) {
-  const down = process.argv.includes('--down');
-  runMigrations(down)
+  const args = parseArgs(process.argv.slice(2));
+
+  const commands = {
+    up: () => runMigrations(false, { to: args.to }),
+    down: () => runMigrations(true, { to: args.to }),
+    status: () => printStatus(),
+    create: async () => {
+      const files = new Migrator().create(args.name, { sql: args.sql });
+      files.forEach(file => console.log(`Created ${file}`));
+    }
+  };
+
+  const command = commands[args.command];
+  if (!command) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  command()
     .then(() => {
-      console.log('Migration process completed');
       process.exit(0);
     })
     .catch(error => {
-      console.error('Migration process failed:', error);
+      console.error('Migration process failed:', error.message);
       process.exit(1);
     });
 }
 
-module.exports = runMigrations;
\ No newline at end of file
+module.exports = runMigrations;
@@ -0,0 +1,68 @@
+// backend/src/utils/seedGazetteer.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const GazetteerRepository = require('../repositories/gazetteerRepository');
+const { closePool } = require('./db');
+
+/**
+ * Load gazetteer places from a CSV file with the header
+ * postcode,suburb,state,latitude,longitude
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Object[]} - Parsed places
+ */
+function readPlaces(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const header = lines.shift().split(',').map(column => column.trim());
+
+  return lines.map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const place = {};
+    header.forEach((column, index) => {
+      place[column] = cells[index];
+    });
+
+    return {
+      ...place,
+      latitude: Number(place.latitude),
+      longitude: Number(place.longitude)
+    };
+  }).filter(place => place.suburb && !isNaN(place.latitude) && !isNaN(place.longitude));
+}
+
+/**
+ * Seed the gazetteer table from a CSV file
+ * @param {string} filePath - Path to the CSV file
+ */
+async function seedGazetteer(filePath) {
+  const gazetteerRepository = new GazetteerRepository();
+
+  try {
+    const places = readPlaces(filePath);
+    console.log(`Seeding ${places.length} gazetteer places from ${filePath}...`);
+
+    const count = await gazetteerRepository.upsertMany(places);
+    console.log(`Seeded ${count} gazetteer places`);
+  } finally {
+    await closePool();
+  }
+}
+
+// When run directly from command line
+if (require.main === module) {
+  const filePath = process.argv[2] || path.join(__dirname, '..', 'seeds', 'gazetteer.csv');
+  seedGazetteer(filePath)
+    .then(() => {
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Gazetteer seed failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = seedGazetteer;
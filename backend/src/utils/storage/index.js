@@ -0,0 +1,77 @@
+// backend/src/utils/storage/index.js
+const LocalStorageDriver = require('./localStorageDriver');
+
+/**
+ * Storage drivers by name. Every driver implements:
+ *   put(key, body, contentType) -> Promise<{key, url}>
+ *   delete(key) -> Promise<void>
+ *   getUrl(key) -> string
+ * Private drivers also implement:
+ *   getSignedUrl(key, expiresInSeconds, context) -> string
+ *   verifySignedUrl(key, expires, signature, context) -> boolean
+ * An S3-compatible driver can be registered here and selected with STORAGE_DRIVER.
+ */
+const drivers = {
+  local: () => new LocalStorageDriver({
+    rootDir: process.env.UPLOAD_DIR || 'uploads',
+    baseUrl: process.env.UPLOAD_BASE_URL || '/uploads'
+  })
+};
+
+/**
+ * Drivers for files that are never publicly readable (health documents).
+ * They're only reachable through short-lived signed URLs.
+ */
+const privateDrivers = {
+  local: () => new LocalStorageDriver({
+    rootDir: process.env.PRIVATE_UPLOAD_DIR || 'private-uploads',
+    baseUrl: process.env.PRIVATE_FILE_BASE_URL || '/private-files',
+    signingSecret: process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key'
+  })
+};
+
+let instance = null;
+let privateInstance = null;
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} - Storage driver instance
+ */
+function getStorage() {
+  if (!instance) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    instance = createDriver();
+  }
+
+  return instance;
+}
+
+/**
+ * Get the configured private storage driver
+ * @returns {Object} - Storage driver instance
+ */
+function getPrivateStorage() {
+  if (!privateInstance) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = privateDrivers[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown private storage driver: ${name}`);
+    }
+
+    privateInstance = createDriver();
+  }
+
+  return privateInstance;
+}
+
+module.exports = {
+  getStorage,
+  getPrivateStorage
+};
@@ -0,0 +1,108 @@
+// backend/src/utils/storage/localStorageDriver.js
+const fs = require('fs/promises');
+const path = require('path');
+const { signKey, verifyKey } = require('./urlSigner');
+
+/**
+ * Storage driver that keeps files on the local filesystem.
+ * Public files are served by express.static from the same directory; private
+ * files only through signed URLs checked by privateFileRoutes (see src/index.js).
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.rootDir - Directory files are written to
+   * @param {string} options.baseUrl - Public URL prefix the directory is served from
+   * @param {string} options.signingSecret - Secret for signed URLs (private storage only)
+   */
+  constructor({ rootDir, baseUrl, signingSecret = null }) {
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.signingSecret = signingSecret;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key (relative path using forward slashes)
+   * @param {Buffer} body - File contents
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async put(key, body) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get the public URL for a key
+   * @param {string} key - Storage key
+   * @returns {string} - Public URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Get a URL that opens a private file until it expires
+   * @param {string} key - Storage key
+   * @param {number} expiresInSeconds - How long the URL works
+   * @param {string} context - Value carried in the URL and covered by the signature (optional)
+   * @returns {string} - Signed URL
+   */
+  getSignedUrl(key, expiresInSeconds, context = null) {
+    if (!this.signingSecret) {
+      throw new Error('Storage driver has no signing secret');
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const signature = signKey(key, expires, this.signingSecret, context || '');
+    const url = `${this.getUrl(key)}?expires=${expires}&signature=${signature}`;
+
+    return context ? `${url}&context=${encodeURIComponent(context)}` : url;
+  }
+
+  /**
+   * Check the expiry, signature and context from a signed URL
+   * @param {string} key - Storage key
+   * @param {string} expires - "expires" query value
+   * @param {string} signature - "signature" query value
+   * @param {string} context - "context" query value (optional)
+   * @returns {boolean}
+   */
+  verifySignedUrl(key, expires, signature, context = null) {
+    return Boolean(this.signingSecret) && verifyKey(key, expires, signature, this.signingSecret, context || '');
+  }
+
+  /**
+   * Resolve a key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   * @throws {Error} - If the key escapes the root directory
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalStorageDriver;
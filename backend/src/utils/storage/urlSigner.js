@@ -0,0 +1,45 @@
+// backend/src/utils/storage/urlSigner.js
+const crypto = require('crypto');
+
+/**
+ * Sign a storage key for access until a given time.
+ * The signature is the hex HMAC-SHA256 of "<key>:<expires>", or
+ * "<key>:<expires>:<context>" when a context is given.
+ * @param {string} key - Storage key
+ * @param {number} expires - Unix time in seconds when the signature stops working
+ * @param {string} secret - Signing secret
+ * @param {string} context - Value carried alongside the key, e.g. who the URL was issued to (optional)
+ * @returns {string} - Signature
+ */
+function signKey(key, expires, secret, context = '') {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(context ? `${key}:${expires}:${context}` : `${key}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Check a signature made by signKey
+ * @param {string} key - Storage key
+ * @param {string|number} expires - Expiry from the URL
+ * @param {string} signature - Signature from the URL
+ * @param {string} secret - Signing secret
+ * @param {string} context - Context from the URL (optional)
+ * @returns {boolean} - Whether the signature matches and hasn't expired
+ */
+function verifyKey(key, expires, signature, secret, context = '') {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signKey(key, expiresAt, secret, String(context || '')), 'hex');
+  const presented = Buffer.from(String(signature || ''), 'hex');
+
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+}
+
+module.exports = {
+  signKey,
+  verifyKey
+};
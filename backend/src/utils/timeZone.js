@@ -0,0 +1,132 @@
+// backend/src/utils/timeZone.js
+
+/**
+ * Formatters by time zone; building one is much slower than using it
+ */
+const formatters = new Map();
+
+/**
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check that a string names a time zone the runtime knows
+ * @param {string} timeZone - IANA time zone, e.g. "Australia/Sydney"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(String(timeZone));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date, time and weekday of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, time: string, weekday: number}} - YYYY-MM-DD, HH:MM, 0 (Sunday) to 6
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number}
+ */
+function getOffsetMs(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const wallClock = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone. Times skipped by a
+ * daylight saving change resolve to the same wall time on the earlier offset.
+ * @param {string} day - Day, YYYY-MM-DD
+ * @param {string} time - Time, HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(day, time, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, date, hour, minute);
+
+  // The offset at the guess can differ from the offset at the answer across a DST change
+  const firstGuess = asUtc - getOffsetMs(new Date(asUtc), timeZone);
+  const offset = getOffsetMs(new Date(firstGuess), timeZone);
+
+  return new Date(asUtc - offset);
+}
+
+/**
+ * Human-readable date and time in a time zone, for emails
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. "Mon 2 Nov 2026, 9:00 am AEDT"
+ */
+function formatZoned(date, timeZone) {
+  return new Date(date).toLocaleString('en-AU', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatZoned
+};
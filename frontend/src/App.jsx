@@ -8,9 +8,13 @@ import Login from './components/auth/Login';
 import ForgotPassword from './components/auth/ForgotPassword';
 import ResetPassword from './components/auth/ResetPassword';
 import VerifyEmail from './components/auth/VerifyEmail';
+import UnlockAccount from './components/auth/UnlockAccount';
 import Dashboard from './components/dashboard/Dashboard';
 import Profile from './components/user/Profile';
 import ChangePassword from './components/user/ChangePassword';
+import Search from './components/search/Search';
+import RenewListing from './components/listings/RenewListing';
+import AdminConsole from './components/admin/AdminConsole';
 import PrivateRoute from './components/routing/PrivateRoute';
 import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
@@ -31,12 +35,20 @@ const App = () => {
               <Route path="/forgot-password" element={<ForgotPassword />} />
               <Route path="/reset-password" element={<ResetPassword />} />
               <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/unlock-account" element={<UnlockAccount />} />
+              <Route path="/search" element={<Search />} />
               
               {/* Protected Routes */}
               <Route element={<PrivateRoute />}>
                 <Route path="/dashboard" element={<Dashboard />} />
                 <Route path="/profile" element={<Profile />} />
                 <Route path="/change-password" element={<ChangePassword />} />
+                <Route path="/listings/:listingId/renew" element={<RenewListing />} />
+              </Route>
+              
+              {/* Admin Routes */}
+              <Route element={<PrivateRoute roles={['admin']} />}>
+                <Route path="/admin" element={<AdminConsole />} />
               </Route>
               
               {/* 404 Route */}
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const AdminAuditLog = () => {
+  const [result, setResult] = useState({ entries: [], total: 0, page: 1, limit: 20 });
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/admin/audit-log`,
+          { params: { page } }
+        );
+        setResult(response.data);
+      } catch (err) {
+        console.error('Error fetching audit log:', err);
+        setError('Failed to load the audit log.');
+      }
+    };
+
+    fetchEntries();
+  }, [page]);
+
+  const totalPages = Math.max(Math.ceil(result.total / result.limit), 1);
+
+  return (
+    <div>
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">{error}</div>}
+
+      <ul className="divide-y divide-gray-200">
+        {result.entries.map(entry => (
+          <li key={entry.id} className="py-3">
+            <p className="text-sm text-gray-500">
+              {new Date(entry.createdAt).toLocaleString()} · {entry.adminName}
+            </p>
+            <p className="font-medium">
+              {entry.action.replace(/_/g, ' ')}
+              <span className="text-gray-500 font-normal"> {entry.targetType} {entry.targetId}</span>
+            </p>
+            {entry.details?.from && (
+              <p className="text-sm text-gray-600">{entry.details.from} → {entry.details.to}</p>
+            )}
+            {entry.details?.title && (
+              <p className="text-sm text-gray-600">{entry.details.title}</p>
+            )}
+            <p className="text-sm text-gray-700">Reason: {entry.reason}</p>
+          </li>
+        ))}
+      </ul>
+
+      {result.entries.length === 0 && !error && (
+        <p className="text-gray-500">No admin actions yet.</p>
+      )}
+
+      {totalPages > 1 && (
+        <div className="mt-4 flex items-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import AdminUsers from './AdminUsers';
+import AdminListings from './AdminListings';
+import AdminAuditLog from './AdminAuditLog';
+import AdminReports from './AdminReports';
+
+const TABS = [
+  { key: 'reports', label: 'Reports', component: AdminReports },
+  { key: 'users', label: 'Users', component: AdminUsers },
+  { key: 'listings', label: 'Listings', component: AdminListings },
+  { key: 'audit', label: 'Audit log', component: AdminAuditLog }
+];
+
+/**
+ * AdminConsole component
+ * Moderation tools for admins; the route is restricted to userType 'admin'
+ */
+const AdminConsole = () => {
+  const [activeTab, setActiveTab] = useState('reports');
+
+  const ActiveComponent = TABS.find(tab => tab.key === activeTab).component;
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white p-8 rounded-lg shadow-md">
+      <h2 className="text-2xl font-bold mb-6">Admin</h2>
+
+      <div className="flex space-x-6 border-b border-gray-200 mb-6">
+        {TABS.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => setActiveTab(tab.key)}
+            className={`${activeTab === tab.key ? 'border-blue-500 text-blue-700' : 'border-transparent text-gray-500 hover:text-blue-700'} pb-2 border-b-2 text-sm font-medium`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <ActiveComponent />
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import ReasonForm from './ReasonForm';
+
+const STATUS_LABELS = {
+  draft: 'draft',
+  pending_review: 'awaiting review',
+  active: 'active',
+  under_offer: 'under offer',
+  sold: 'sold',
+  expired: 'expired',
+  withdrawn: 'withdrawn'
+};
+
+const AdminListings = () => {
+  const [filters, setFilters] = useState({ q: '', status: '' });
+  const [result, setResult] = useState({ listings: [], total: 0, page: 1, limit: 20 });
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const apiUrl = `${process.env.REACT_APP_API_URL}/api/admin/listings`;
+
+  const fetchListings = useCallback(async () => {
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value) {
+          params[name] = value;
+        }
+      });
+
+      const response = await axios.get(apiUrl, { params });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error fetching listings:', err);
+      setError(err.response?.data?.message || 'Failed to load listings.');
+    }
+  }, [apiUrl, filters, page]);
+
+  useEffect(() => {
+    fetchListings();
+  }, [fetchListings]);
+
+  const handleFilterChange = e => {
+    setPage(1);
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const startAction = (kind, listing) => {
+    setError('');
+    setMessage('');
+    setAction({ kind, listing });
+  };
+
+  const runAction = async reason => {
+    const { kind, listing } = action;
+    const requests = {
+      approve: () => axios.post(`${apiUrl}/${listing.id}/approve`, { reason }),
+      reject: () => axios.post(`${apiUrl}/${listing.id}/reject`, { reason }),
+      hide: () => axios.post(`${apiUrl}/${listing.id}/hide`, { reason }),
+      unhide: () => axios.post(`${apiUrl}/${listing.id}/unhide`, { reason }),
+      delete: () => axios.delete(`${apiUrl}/${listing.id}`, { data: { reason } })
+    };
+
+    try {
+      const response = await requests[kind]();
+      setMessage(response.data.message);
+      setAction(null);
+      fetchListings();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Action failed.');
+    }
+  };
+
+  const actionTitles = {
+    approve: 'Approve this listing and put it on the market?',
+    reject: 'Send this listing back to the seller? Your reason is emailed to them.',
+    hide: 'Hide this listing from search and its public page?',
+    unhide: 'Show this listing again?',
+    delete: 'Delete this listing permanently?'
+  };
+
+  const totalPages = Math.max(Math.ceil(result.total / result.limit), 1);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="search"
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search title or description"
+          className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">Any status</option>
+          <option value="pending_review">Awaiting review</option>
+          <option value="active">Active</option>
+          <option value="under_offer">Under offer</option>
+          <option value="sold">Sold</option>
+          <option value="expired">Expired</option>
+          <option value="withdrawn">Withdrawn</option>
+          <option value="draft">Draft</option>
+          <option value="inactive">Inactive</option>
+          <option value="hidden">Hidden</option>
+        </select>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">{error}</div>}
+      {message && <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-md">{message}</div>}
+
+      <p className="text-sm text-gray-500 mb-2">{result.total} listings</p>
+
+      <ul className="divide-y divide-gray-200">
+        {result.listings.map(listing => (
+          <li key={listing.id} className="py-3">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <p className="font-medium">{listing.title}</p>
+                <p className="text-sm text-gray-500">
+                  {listing.listingType}
+                  {listing.price !== null && ` · $${listing.price}`}
+                  {` · ${STATUS_LABELS[listing.status] || listing.status}`}
+                  {listing.hiddenAt && (
+                    <span className="text-red-600"> · hidden: {listing.hiddenReason}</span>
+                  )}
+                </p>
+              </div>
+
+              <div className="flex flex-wrap gap-2 text-sm">
+                {listing.status === 'pending_review' && (
+                  <>
+                    <button onClick={() => startAction('approve', listing)} className="text-green-700 hover:underline">
+                      Approve
+                    </button>
+                    <button onClick={() => startAction('reject', listing)} className="text-blue-600 hover:underline">
+                      Reject
+                    </button>
+                  </>
+                )}
+                {listing.hiddenAt ? (
+                  <button onClick={() => startAction('unhide', listing)} className="text-blue-600 hover:underline">
+                    Unhide
+                  </button>
+                ) : (
+                  <button onClick={() => startAction('hide', listing)} className="text-blue-600 hover:underline">
+                    Hide
+                  </button>
+                )}
+                <button onClick={() => startAction('delete', listing)} className="text-red-600 hover:underline">
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            {action?.listing.id === listing.id && (
+              <ReasonForm
+                title={actionTitles[action.kind]}
+                confirmLabel="Confirm"
+                danger={action.kind === 'delete'}
+                onSubmit={runAction}
+                onCancel={() => setAction(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {totalPages > 1 && (
+        <div className="mt-4 flex items-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminListings;
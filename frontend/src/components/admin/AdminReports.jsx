@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import ReasonForm from './ReasonForm';
+
+const CATEGORY_LABELS = {
+  scam: 'Scam',
+  animal_welfare: 'Animal welfare',
+  wrong_category: 'Wrong category',
+  offensive: 'Offensive'
+};
+
+const AdminReports = () => {
+  const [filters, setFilters] = useState({ status: '', targetType: '', category: '' });
+  const [result, setResult] = useState({ reports: [], total: 0, page: 1, limit: 20 });
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const apiUrl = `${process.env.REACT_APP_API_URL}/api/admin/reports`;
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value) {
+          params[name] = value;
+        }
+      });
+
+      const response = await axios.get(apiUrl, { params });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error fetching reports:', err);
+      setError(err.response?.data?.message || 'Failed to load reports.');
+    }
+  }, [apiUrl, filters, page]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const handleFilterChange = e => {
+    setPage(1);
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const startAction = (kind, report) => {
+    setError('');
+    setMessage('');
+    setAction({ kind, report });
+  };
+
+  const runAction = async reason => {
+    const { kind, report } = action;
+
+    try {
+      const response = await axios.post(`${apiUrl}/${report.id}/${kind}`, { reason });
+      setMessage(response.data.message);
+      setAction(null);
+      fetchReports();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Action failed.');
+    }
+  };
+
+  const actionTitles = {
+    triage: 'Mark this report as triaged?',
+    action: 'Close as actioned? The reporter is told action was taken.',
+    dismiss: 'Dismiss this report? The reporter is told no action was taken.'
+  };
+
+  const totalPages = Math.max(Math.ceil(result.total / result.limit), 1);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">Pending</option>
+          <option value="open">Open</option>
+          <option value="triaged">Triaged</option>
+          <option value="actioned">Actioned</option>
+          <option value="dismissed">Dismissed</option>
+          <option value="all">All</option>
+        </select>
+        <select
+          name="targetType"
+          value={filters.targetType}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">Listings and users</option>
+          <option value="listing">Listings</option>
+          <option value="user">Users</option>
+        </select>
+        <select
+          name="category"
+          value={filters.category}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">All categories</option>
+          {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">{error}</div>}
+      {message && <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-md">{message}</div>}
+
+      <p className="text-sm text-gray-500 mb-2">{result.total} reports</p>
+
+      <ul className="divide-y divide-gray-200">
+        {result.reports.map(report => (
+          <li key={report.id} className="py-3">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <p className="font-medium">
+                  {CATEGORY_LABELS[report.category]}: {report.targetType} &ldquo;{report.targetLabel || 'deleted'}&rdquo;
+                </p>
+                <p className="text-sm text-gray-500">
+                  {report.status} · reported by {report.reporterName} on {new Date(report.createdAt).toLocaleDateString()}
+                  {report.targetReportCount > 1 && (
+                    <span className="text-red-600"> · {report.targetReportCount} people reported this</span>
+                  )}
+                </p>
+                {report.details && <p className="text-sm text-gray-700 mt-1">{report.details}</p>}
+                {report.resolutionNote && (
+                  <p className="text-sm text-gray-500 mt-1">Note: {report.resolutionNote}</p>
+                )}
+              </div>
+
+              {(report.status === 'open' || report.status === 'triaged') && (
+                <div className="flex flex-wrap gap-2 text-sm">
+                  {report.status === 'open' && (
+                    <button onClick={() => startAction('triage', report)} className="text-blue-600 hover:underline">
+                      Triage
+                    </button>
+                  )}
+                  <button onClick={() => startAction('action', report)} className="text-red-600 hover:underline">
+                    Actioned
+                  </button>
+                  <button onClick={() => startAction('dismiss', report)} className="text-blue-600 hover:underline">
+                    Dismiss
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {action?.report.id === report.id && (
+              <ReasonForm
+                title={actionTitles[action.kind]}
+                confirmLabel="Confirm"
+                onSubmit={runAction}
+                onCancel={() => setAction(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {totalPages > 1 && (
+        <div className="mt-4 flex items-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminReports;
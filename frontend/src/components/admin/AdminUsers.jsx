@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import ReasonForm from './ReasonForm';
+
+const USER_TYPES = ['buyer', 'seller', 'admin'];
+
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [filters, setFilters] = useState({ q: '', userType: '', status: '' });
+  const [result, setResult] = useState({ users: [], total: 0, page: 1, limit: 20 });
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState(null);
+  const [newUserType, setNewUserType] = useState('buyer');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const apiUrl = `${process.env.REACT_APP_API_URL}/api/admin/users`;
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value) {
+          params[name] = value;
+        }
+      });
+
+      const response = await axios.get(apiUrl, { params });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      setError(err.response?.data?.message || 'Failed to load users.');
+    }
+  }, [apiUrl, filters, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleFilterChange = e => {
+    setPage(1);
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const startAction = (kind, user) => {
+    setError('');
+    setMessage('');
+    setNewUserType(user.userType);
+    setAction({ kind, user });
+  };
+
+  const runAction = async reason => {
+    const { kind, user } = action;
+    const requests = {
+      suspend: () => axios.post(`${apiUrl}/${user.id}/suspend`, { reason }),
+      unsuspend: () => axios.post(`${apiUrl}/${user.id}/unsuspend`, { reason }),
+      verify: () => axios.post(`${apiUrl}/${user.id}/verify-email`, { reason }),
+      userType: () => axios.put(`${apiUrl}/${user.id}/user-type`, { userType: newUserType, reason })
+    };
+
+    try {
+      const response = await requests[kind]();
+      setMessage(response.data.message);
+      setAction(null);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Action failed.');
+    }
+  };
+
+  const actionTitles = {
+    suspend: 'Suspend this account? The user is signed out everywhere.',
+    unsuspend: 'Lift this suspension?',
+    verify: "Mark this user's email as verified?",
+    userType: 'Change user type'
+  };
+
+  const totalPages = Math.max(Math.ceil(result.total / result.limit), 1);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="search"
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search name, email or business"
+          className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          name="userType"
+          value={filters.userType}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">All types</option>
+          {USER_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+          <option value="unverified">Unverified</option>
+        </select>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">{error}</div>}
+      {message && <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-md">{message}</div>}
+
+      <p className="text-sm text-gray-500 mb-2">{result.total} users</p>
+
+      <ul className="divide-y divide-gray-200">
+        {result.users.map(user => (
+          <li key={user.id} className="py-3">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <p className="font-medium">
+                  {user.firstName} {user.lastName}
+                  {user.businessName && <span className="text-gray-500"> ({user.businessName})</span>}
+                </p>
+                <p className="text-sm text-gray-600">{user.email}</p>
+                <p className="text-sm text-gray-500">
+                  {user.userType}
+                  {!user.isVerified && ' · unverified'}
+                  {user.suspendedAt && (
+                    <span className="text-red-600"> · suspended: {user.suspensionReason}</span>
+                  )}
+                </p>
+              </div>
+
+              {user.id !== currentUser?.id && (
+                <div className="flex flex-wrap gap-2 text-sm">
+                  {user.suspendedAt ? (
+                    <button onClick={() => startAction('unsuspend', user)} className="text-blue-600 hover:underline">
+                      Unsuspend
+                    </button>
+                  ) : (
+                    <button onClick={() => startAction('suspend', user)} className="text-red-600 hover:underline">
+                      Suspend
+                    </button>
+                  )}
+                  {!user.isVerified && (
+                    <button onClick={() => startAction('verify', user)} className="text-blue-600 hover:underline">
+                      Verify email
+                    </button>
+                  )}
+                  <button onClick={() => startAction('userType', user)} className="text-blue-600 hover:underline">
+                    Change type
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {action?.user.id === user.id && (
+              <ReasonForm
+                title={actionTitles[action.kind]}
+                confirmLabel="Confirm"
+                danger={action.kind === 'suspend'}
+                onSubmit={runAction}
+                onCancel={() => setAction(null)}
+              >
+                {action.kind === 'userType' && (
+                  <select
+                    value={newUserType}
+                    onChange={e => setNewUserType(e.target.value)}
+                    className="mb-3 px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    {USER_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                )}
+              </ReasonForm>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {totalPages > 1 && (
+        <div className="mt-4 flex items-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * ReasonForm component
+ * Confirms an admin action; every action needs a reason for the audit trail
+ * @param {string} title - What is about to happen
+ * @param {string} confirmLabel - Label of the confirm button
+ * @param {boolean} danger - Style the confirm button as destructive
+ * @param {React.ReactNode} children - Extra fields shown above the reason (optional)
+ * @param {Function} onSubmit - Called with the reason; returns a promise
+ * @param {Function} onCancel - Called when the admin backs out
+ */
+const ReasonForm = ({ title, confirmLabel, danger = false, children, onSubmit, onCancel }) => {
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    setSubmitting(true);
+    await onSubmit(reason.trim());
+    setSubmitting(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-4 bg-gray-50 border border-gray-200 rounded-md">
+      <p className="font-medium mb-2">{title}</p>
+
+      {children}
+
+      <label className="block text-sm text-gray-700 mb-1" htmlFor="admin-reason">
+        Reason (recorded in the audit log)
+      </label>
+      <textarea
+        id="admin-reason"
+        value={reason}
+        onChange={e => setReason(e.target.value)}
+        rows={2}
+        maxLength={1000}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        required
+      />
+
+      <div className="mt-3 flex space-x-2">
+        <button
+          type="submit"
+          disabled={submitting || !reason.trim()}
+          className={`${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'} text-white px-4 py-2 rounded-md disabled:opacity-50`}
+        >
+          {submitting ? 'Saving...' : confirmLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+ReasonForm.propTypes = {
+  title: PropTypes.string.isRequired,
+  confirmLabel: PropTypes.string.isRequired,
+  danger: PropTypes.bool,
+  children: PropTypes.node,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ReasonForm;
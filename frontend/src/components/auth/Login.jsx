@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import ResendVerification from './ResendVerification';
 
 const Login = () => {
   const navigate = useNavigate();
+  const { login, completeTwoFactorLogin } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
     password: ''
@@ -12,42 +14,121 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   
+  // Set when the account exists but its email isn't verified yet
+  const [verificationRequired, setVerificationRequired] = useState(false);
+  
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  
   const { email, password } = formData;
   
   const handleChange = e => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
     // Clear error when user starts typing again
     if (error) setError('');
+    if (verificationRequired) setVerificationRequired(false);
   };
   
   const handleSubmit = async e => {
     e.preventDefault();
     
-    try {
-      setLoading(true);
-      
-      // Make API request
-      const response = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/auth/login`, 
-        formData
-      );
-      
-      // Store token and user data in localStorage
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
-      
-      // Redirect to dashboard
+    setLoading(true);
+    
+    // Tokens are stored by the auth context
+    const result = await login(email, password);
+    
+    setLoading(false);
+    
+    if (result.success) {
+      // Send users who must enrol in 2FA to their profile, otherwise the dashboard
+      navigate(result.twoFactorSetupRequired ? '/profile' : '/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setError(result.error);
+      setVerificationRequired(result.verificationRequired);
+    }
+  };
+  
+  const handleCodeSubmit = async e => {
+    e.preventDefault();
+    
+    setLoading(true);
+    
+    const result = await completeTwoFactorLogin(challengeToken, code);
+    
+    setLoading(false);
+    
+    if (result.success) {
       navigate('/dashboard');
-      
-    } catch (err) {
-      // Handle error
-      const errorMessage = err.response?.data?.message || 'Login failed. Please check your credentials.';
-      setError(errorMessage);
-    } finally {
-      setLoading(false);
+    } else {
+      setError(result.error);
+      setCode('');
     }
   };
   
+  if (challengeToken) {
+    return (
+      <div className="max-w-md mx-auto p-6 bg-white rounded-lg shadow-md">
+        <h2 className="text-2xl font-bold mb-6 text-center">Two-Factor Authentication</h2>
+        
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+            {error}
+          </div>
+        )}
+        
+        <form onSubmit={handleCodeSubmit}>
+          <div className="mb-6">
+            <label className="block text-gray-700 mb-2" htmlFor="code">
+              Authentication Code
+            </label>
+            <input
+              type="text"
+              id="code"
+              name="code"
+              value={code}
+              onChange={e => {
+                setCode(e.target.value);
+                if (error) setError('');
+              }}
+              autoComplete="one-time-code"
+              autoFocus
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+            <p className="mt-2 text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your backup codes.
+            </p>
+          </div>
+          
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:bg-blue-300"
+            disabled={loading}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+        
+        <div className="mt-4 text-center">
+          <button
+            type="button"
+            onClick={() => {
+              setChallengeToken(null);
+              setCode('');
+              setError('');
+            }}
+            className="text-blue-600 hover:underline"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    );
+  }
+  
   return (
     <div className="max-w-md mx-auto p-6 bg-white rounded-lg shadow-md">
       <h2 className="text-2xl font-bold mb-6 text-center">Sign In</h2>
@@ -58,6 +139,12 @@ const Login = () => {
         </div>
       )}
       
+      {verificationRequired && (
+        <div className="mb-4">
+          <ResendVerification initialEmail={email} />
+        </div>
+      )}
+      
       <form onSubmit={handleSubmit}>
         <div className="mb-4">
           <label className="block text-gray-700 mb-2" htmlFor="email">
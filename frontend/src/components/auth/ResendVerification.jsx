@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+
+/**
+ * ResendVerification component
+ * Asks the API to email a new verification link
+ * @param {string} initialEmail - Address to prefill, e.g. from the login form
+ */
+const ResendVerification = ({ initialEmail = '' }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    try {
+      setSending(true);
+      setError('');
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/auth/resend-verification`,
+        { email }
+      );
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend verification email.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="p-3 bg-green-100 text-green-700 rounded-md text-left">
+        {message}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-gray-50 border border-gray-200 rounded-md text-left">
+      <p className="mb-3 text-sm text-gray-700">
+        Didn&apos;t get the email, or has the link expired? We can send you a new one.
+      </p>
+
+      {error && (
+        <div className="mb-3 p-2 bg-red-100 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      <label className="block text-gray-700 mb-2" htmlFor="resend-email">
+        Email Address
+      </label>
+      <input
+        type="email"
+        id="resend-email"
+        value={email}
+        onChange={e => setEmail(e.target.value)}
+        className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        required
+      />
+
+      <button
+        type="submit"
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:bg-blue-300"
+        disabled={sending}
+      >
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </button>
+    </form>
+  );
+};
+
+ResendVerification.propTypes = {
+  initialEmail: PropTypes.string
+};
+
+export default ResendVerification;
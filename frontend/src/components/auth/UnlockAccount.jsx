@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import axios from 'axios';
+
+const UnlockAccount = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  
+  // Extract token from URL query parameters and unlock the account on component mount
+  useEffect(() => {
+    const unlockAccount = async () => {
+      const params = new URLSearchParams(location.search);
+      const tokenParam = params.get('token');
+      
+      if (!tokenParam) {
+        setError('Unlock token is missing. Please check your unlock link.');
+        setLoading(false);
+        return;
+      }
+      
+      try {
+        await axios.get(`${process.env.REACT_APP_API_URL}/api/auth/unlock/${tokenParam}`);
+        
+        setSuccess(true);
+        
+        // Redirect to login after a delay
+        setTimeout(() => {
+          navigate('/login');
+        }, 3000);
+        
+      } catch (err) {
+        const errorMessage = err.response?.data?.message || 'Failed to unlock account. Please try again.';
+        setError(errorMessage);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    unlockAccount();
+  }, [location.search, navigate]);
+  
+  if (loading) {
+    return (
+      <div className="max-w-md mx-auto p-6 bg-white rounded-lg shadow-md text-center">
+        <h2 className="text-2xl font-bold mb-6">Unlocking Your Account</h2>
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="max-w-md mx-auto p-6 bg-white rounded-lg shadow-md text-center">
+      <h2 className="text-2xl font-bold mb-6">Unlock Account</h2>
+      
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+      
+      {success ? (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-md">
+          Your account has been unlocked! You will be redirected to the login page.
+        </div>
+      ) : (
+        <p className="mt-4">
+          Locked accounts unlock automatically after a short while, or you can{' '}
+          <Link to="/forgot-password" className="text-blue-600 hover:underline">
+            reset your password
+          </Link>
+          .
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import axios from 'axios';
+import ResendVerification from './ResendVerification';
 
 const VerifyEmail = () => {
   const navigate = useNavigate();
@@ -84,12 +85,12 @@ const VerifyEmail = () => {
         <div>
           {error && (
             <div className="mt-4">
-              <p>
-                If your verification link has expired, you can{' '}
+              <ResendVerification />
+              <p className="mt-4">
+                Already verified?{' '}
                 <Link to="/login" className="text-blue-600 hover:underline">
-                  log in
-                </Link>{' '}
-                to request a new verification email.
+                  Go to login
+                </Link>
               </p>
             </div>
           )}
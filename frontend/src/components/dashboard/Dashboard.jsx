@@ -1,9 +1,90 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
+import { useRealtime } from '../../context/useRealtime';
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const [favoritesCount, setFavoritesCount] = useState(0);
+  const [savedSearches, setSavedSearches] = useState([]);
+  
+  // Load unread message and favourite counts on component mount
+  useEffect(() => {
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/messages/unread-count`
+        );
+        setUnreadMessages(response.data.unreadCount);
+      } catch (err) {
+        console.error('Error fetching unread messages:', err);
+      }
+    };
+    
+    const fetchFavoritesCount = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/users/me/favorites`,
+          { params: { limit: 1 } }
+        );
+        setFavoritesCount(response.data.total);
+      } catch (err) {
+        console.error('Error fetching favorites:', err);
+      }
+    };
+    
+    const fetchSavedSearches = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/users/me/saved-searches`
+        );
+        setSavedSearches(response.data.savedSearches);
+      } catch (err) {
+        console.error('Error fetching saved searches:', err);
+      }
+    };
+    
+    fetchUnreadCount();
+    fetchFavoritesCount();
+    fetchSavedSearches();
+  }, []);
+  
+  // Rebuild the search page URL from saved criteria (arrays become repeated parameters)
+  const searchLink = criteria => {
+    const params = new URLSearchParams();
+    Object.entries(criteria).forEach(([name, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => params.append(name, item));
+    });
+    return `/search?${params.toString()}`;
+  };
+  
+  const deleteSavedSearch = async savedSearchId => {
+    try {
+      await axios.delete(
+        `${process.env.REACT_APP_API_URL}/api/users/me/saved-searches/${savedSearchId}`
+      );
+      setSavedSearches(searches => searches.filter(search => search.id !== savedSearchId));
+    } catch (err) {
+      console.error('Error deleting saved search:', err);
+    }
+  };
+  
+  // Keep the unread count live as messages arrive and are read
+  useRealtime({
+    onMessage: message => {
+      if (message.recipientId === user?.id) {
+        setUnreadMessages(count => count + 1);
+      }
+    },
+    onRead: ({ readerId, messageIds }) => {
+      // Another tab or device of this user read some messages
+      if (readerId === user?.id) {
+        setUnreadMessages(count => Math.max(count - messageIds.length, 0));
+      }
+    }
+  });
   
   return (
     <div className="max-w-6xl mx-auto">
@@ -39,11 +120,11 @@ const Dashboard = () => {
           <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-gray-600">Favorites</span>
-              <span className="font-medium">0</span>
+              <span className="font-medium">{favoritesCount}</span>
             </div>
             <div className="flex justify-between">
-              <span className="text-gray-600">Messages</span>
-              <span className="font-medium">0</span>
+              <span className="text-gray-600">Unread Messages</span>
+              <span className="font-medium">{unreadMessages}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Recent Views</span>
@@ -72,9 +153,31 @@ const Dashboard = () => {
         {user?.userType === 'buyer' && (
           <div className="bg-white rounded-lg shadow-md p-6">
             <h3 className="text-xl font-semibold mb-4">Recent Searches</h3>
-            <p className="text-gray-600 mb-4">
-              You haven't made any searches yet.
-            </p>
+            {savedSearches.length === 0 ? (
+              <p className="text-gray-600 mb-4">
+                You haven't saved any searches yet.
+              </p>
+            ) : (
+              <ul className="space-y-2 mb-4">
+                {savedSearches.map(search => (
+                  <li key={search.id} className="flex justify-between items-center">
+                    <Link to={searchLink(search.criteria)} className="text-blue-600 hover:underline">
+                      {search.name}
+                    </Link>
+                    <span className="flex items-center gap-2 text-sm text-gray-500">
+                      {search.frequency === 'never' ? 'no emails' : search.frequency}
+                      <button
+                        type="button"
+                        onClick={() => deleteSavedSearch(search.id)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
             <Link
               to="/search"
               className="text-blue-600 hover:underline"
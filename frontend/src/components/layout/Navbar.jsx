@@ -45,6 +45,14 @@ const Navbar = () => {
                   Create Listing
                 </Link>
               )}
+              {isAuthenticated && user?.userType === 'admin' && (
+                <Link
+                  to="/admin"
+                  className="border-transparent text-gray-500 hover:border-blue-500 hover:text-blue-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium"
+                >
+                  Admin
+                </Link>
+              )}
             </div>
           </div>
           
@@ -205,6 +213,15 @@ const Navbar = () => {
               Create Listing
             </Link>
           )}
+          {isAuthenticated && user?.userType === 'admin' && (
+            <Link
+              to="/admin"
+              className="text-gray-600 hover:bg-gray-50 hover:text-blue-700 block pl-3 pr-4 py-2 border-l-4 border-transparent text-base font-medium"
+              onClick={() => setMobileMenuOpen(false)}
+            >
+              Admin
+            </Link>
+          )}
         </div>
         
         {/* Mobile authentication links */}
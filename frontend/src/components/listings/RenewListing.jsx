@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+
+// Renewal is a button rather than a request on load, so link previews
+// and mail scanners opening the reminder email don't renew the listing
+const RenewListing = () => {
+  const { listingId } = useParams();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [listing, setListing] = useState(null);
+
+  const handleRenew = async () => {
+    setError('');
+
+    try {
+      setLoading(true);
+
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/listings/${listingId}/renew`
+      );
+
+      setListing(response.data.listing);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to renew listing. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto p-6 bg-white rounded-lg shadow-md text-center">
+      <h2 className="text-2xl font-bold mb-6">Renew Your Listing</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {listing ? (
+        <div>
+          <div className="mb-4 p-3 bg-green-100 text-green-700 rounded-md">
+            &quot;{listing.title}&quot; has been renewed and stays on the market until{' '}
+            {new Date(listing.expiresAt).toLocaleDateString()}.
+          </div>
+          <p className="mt-4">
+            <Link to="/dashboard" className="text-blue-600 hover:underline">
+              Go to dashboard
+            </Link>
+          </p>
+        </div>
+      ) : (
+        <div>
+          <p className="mb-6 text-gray-600">
+            Renewing keeps your listing on the market for another listing period.
+          </p>
+          <button
+            type="button"
+            onClick={handleRenew}
+            disabled={loading}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+          >
+            {loading ? 'Renewing...' : 'Renew listing'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RenewListing;
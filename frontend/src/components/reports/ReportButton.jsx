@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+
+const CATEGORIES = [
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'animal_welfare', label: 'Animal welfare concern' },
+  { value: 'wrong_category', label: 'Wrong category' },
+  { value: 'offensive', label: 'Offensive content' }
+];
+
+/**
+ * ReportButton component
+ * Lets a signed-in user report a listing or user to the moderators
+ * @param {string} targetType - "listing" or "user"
+ * @param {string} targetId - ID of the listing or user
+ */
+const ReportButton = ({ targetType, targetId }) => {
+  const [open, setOpen] = useState(false);
+  const [category, setCategory] = useState('scam');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/reports`,
+        { targetType, targetId, category, details }
+      );
+      setMessage(response.data.message);
+      setOpen(false);
+      setDetails('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit report.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (message) {
+    return <p className="text-sm text-green-700">{message}</p>;
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="text-sm text-gray-500 hover:text-red-600 hover:underline"
+      >
+        Report
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-4 bg-gray-50 border border-gray-200 rounded-md">
+      {error && <div className="mb-3 p-2 bg-red-100 text-red-700 rounded-md text-sm">{error}</div>}
+
+      <label className="block text-sm text-gray-700 mb-1" htmlFor={`report-category-${targetId}`}>
+        What&apos;s wrong?
+      </label>
+      <select
+        id={`report-category-${targetId}`}
+        value={category}
+        onChange={e => setCategory(e.target.value)}
+        className="mb-3 px-3 py-2 border border-gray-300 rounded-md"
+      >
+        {CATEGORIES.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <textarea
+        value={details}
+        onChange={e => setDetails(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="Anything that will help our moderators (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      <div className="mt-3 flex space-x-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 disabled:opacity-50"
+        >
+          {submitting ? 'Sending...' : 'Send report'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+ReportButton.propTypes = {
+  targetType: PropTypes.oneOf(['listing', 'user']).isRequired,
+  targetId: PropTypes.string.isRequired
+};
+
+export default ReportButton;
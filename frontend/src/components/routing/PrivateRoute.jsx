@@ -1,14 +1,17 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import { Navigate, Outlet } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 
 /**
  * PrivateRoute component
  * Protects routes that require authentication
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated,
+ * and to the dashboard if roles are given and the user has none of them
+ * @param {string[]} roles - User types allowed through (optional)
  */
-const PrivateRoute = () => {
-  const { isAuthenticated, loading } = useAuth();
+const PrivateRoute = ({ roles }) => {
+  const { user, isAuthenticated, loading } = useAuth();
   
   // Show loading spinner while checking authentication
   if (loading) {
@@ -24,8 +27,16 @@ const PrivateRoute = () => {
     return <Navigate to="/login" />;
   }
   
+  if (roles && !roles.includes(user?.userType)) {
+    return <Navigate to="/dashboard" />;
+  }
+  
   // Render child routes if authenticated
   return <Outlet />;
 };
 
+PrivateRoute.propTypes = {
+  roles: PropTypes.arrayOf(PropTypes.string)
+};
+
 export default PrivateRoute;
\ No newline at end of file
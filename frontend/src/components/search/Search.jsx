@@ -0,0 +1,425 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import ReportButton from '../reports/ReportButton';
+
+// Facet groups shown in the filter sidebar, in display order
+const FACET_GROUPS = [
+  { name: 'listingType', label: 'Listing Type' },
+  { name: 'priceType', label: 'Price Type' },
+  { name: 'breed', label: 'Breed', listingType: 'horse' },
+  { name: 'gender', label: 'Gender', listingType: 'horse' },
+  { name: 'color', label: 'Colour', listingType: 'horse' },
+  { name: 'discipline', label: 'Discipline', listingType: 'horse' },
+  { name: 'category', label: 'Category', listingType: 'equipment' },
+  { name: 'condition', label: 'Condition', listingType: 'equipment' },
+  { name: 'brand', label: 'Brand', listingType: 'equipment' },
+  { name: 'facilities', label: 'Facilities', listingType: 'agistment' },
+  { name: 'serviceType', label: 'Service Type', listingType: 'service' }
+];
+
+// Boolean facets rendered as yes/no checkboxes
+const BOOLEAN_FACETS = [
+  { name: 'arena', label: 'Arena', listingType: 'agistment' },
+  { name: 'feedIncluded', label: 'Feed Included', listingType: 'agistment' }
+];
+
+// Range filters rendered as min/max inputs
+const RANGE_FILTERS = [
+  { label: 'Price ($)', min: 'minPrice', max: 'maxPrice' },
+  { label: 'Age (years)', min: 'minAge', max: 'maxAge', listingType: 'horse' },
+  { label: 'Height (hh)', min: 'minHeight', max: 'maxHeight', listingType: 'horse' }
+];
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState({ listings: [], total: 0, facets: {}, page: 1, limit: 20 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [keyword, setKeyword] = useState(searchParams.get('q') || '');
+  const [near, setNear] = useState(searchParams.get('near') || '');
+  const { isAuthenticated } = useAuth();
+  const [saveForm, setSaveForm] = useState(null);
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const selectedTypes = searchParams.getAll('listingType');
+
+  // Re-run the search whenever the URL query changes
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/listings/search?${searchParams.toString()}`
+        );
+
+        setResults(response.data);
+      } catch (err) {
+        const errorMessage = err.response?.data?.message || 'Failed to load listings. Please try again.';
+        setError(errorMessage);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [searchParams]);
+
+  // Only show type-specific filters when that type is selected (or no type is selected)
+  const isVisible = filter =>
+    !filter.listingType || selectedTypes.length === 0 || selectedTypes.includes(filter.listingType);
+
+  const updateParams = update => {
+    const params = new URLSearchParams(searchParams);
+    update(params);
+    params.delete('page');
+    setSearchParams(params);
+  };
+
+  const toggleValue = (name, value) => {
+    updateParams(params => {
+      const values = params.getAll(name);
+      params.delete(name);
+
+      const nextValues = values.includes(value)
+        ? values.filter(item => item !== value)
+        : [...values, value];
+
+      nextValues.forEach(item => params.append(name, item));
+    });
+  };
+
+  const toggleBoolean = name => {
+    updateParams(params => {
+      if (params.get(name) === 'true') {
+        params.delete(name);
+      } else {
+        params.set(name, 'true');
+      }
+    });
+  };
+
+  const setParam = (name, value) => {
+    updateParams(params => {
+      if (value === '' || value === undefined) {
+        params.delete(name);
+      } else {
+        params.set(name, value);
+      }
+    });
+  };
+
+  const handleKeywordSubmit = e => {
+    e.preventDefault();
+    updateParams(params => {
+      [['q', keyword.trim()], ['near', near.trim()]].forEach(([name, value]) => {
+        if (value) {
+          params.set(name, value);
+        } else {
+          params.delete(name);
+        }
+      });
+
+      // Radius and distance sort only make sense with a location
+      if (!near.trim()) {
+        params.delete('radius');
+        if (params.get('sort') === 'distance') {
+          params.delete('sort');
+        }
+      }
+    });
+  };
+
+  const goToPage = page => {
+    const params = new URLSearchParams(searchParams);
+    params.set('page', page);
+    setSearchParams(params);
+  };
+
+  const openSaveForm = () => {
+    setSaveMessage('');
+    setSaveForm({ name: searchParams.get('q') || '', frequency: 'daily' });
+  };
+
+  const handleSaveSearch = async e => {
+    e.preventDefault();
+
+    // Repeated parameters (e.g. several breeds) are saved as arrays
+    const criteria = {};
+    for (const name of new Set(searchParams.keys())) {
+      if (name !== 'page') {
+        const values = searchParams.getAll(name);
+        criteria[name] = values.length > 1 ? values : values[0];
+      }
+    }
+
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/api/users/me/saved-searches`, {
+        name: saveForm.name,
+        frequency: saveForm.frequency,
+        criteria
+      });
+      setSaveMessage(saveForm.frequency === 'never'
+        ? 'Search saved.'
+        : 'Search saved. We\'ll email you when new listings match.');
+      setSaveForm(null);
+    } catch (err) {
+      setSaveMessage(err.response?.data?.message || 'Failed to save search. Please try again.');
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(results.total / results.limit), 1);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <form onSubmit={handleKeywordSubmit} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={keyword}
+          onChange={e => setKeyword(e.target.value)}
+          placeholder="Search horses, equipment, agistment and services"
+          className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="text"
+          value={near}
+          onChange={e => setNear(e.target.value)}
+          placeholder="Postcode or suburb"
+          className="w-48 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {searchParams.get('near') && (
+          <select
+            value={searchParams.get('radius') || ''}
+            onChange={e => setParam('radius', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any distance</option>
+            <option value="10">Within 10 km</option>
+            <option value="25">Within 25 km</option>
+            <option value="50">Within 50 km</option>
+            <option value="100">Within 100 km</option>
+            <option value="250">Within 250 km</option>
+          </select>
+        )}
+        <select
+          value={searchParams.get('sort') || (searchParams.get('near') ? 'distance' : 'newest')}
+          onChange={e => setParam('sort', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="newest">Newest</option>
+          <option value="oldest">Oldest</option>
+          <option value="price_asc">Price: low to high</option>
+          <option value="price_desc">Price: high to low</option>
+          {searchParams.get('near') && <option value="distance">Distance</option>}
+        </select>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+        >
+          Search
+        </button>
+      </form>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {/* Filters */}
+        <aside className="bg-white rounded-lg shadow-md p-6 space-y-6">
+          {RANGE_FILTERS.filter(isVisible).map(range => (
+            <div key={range.min}>
+              <h4 className="font-semibold mb-2">{range.label}</h4>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Min"
+                  defaultValue={searchParams.get(range.min) || ''}
+                  onBlur={e => setParam(range.min, e.target.value)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Max"
+                  defaultValue={searchParams.get(range.max) || ''}
+                  onBlur={e => setParam(range.max, e.target.value)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                />
+              </div>
+            </div>
+          ))}
+
+          {FACET_GROUPS.filter(isVisible).map(group => {
+            const counts = results.facets[group.name] || [];
+            const selected = searchParams.getAll(group.name);
+
+            if (counts.length === 0) {
+              return null;
+            }
+
+            return (
+              <div key={group.name}>
+                <h4 className="font-semibold mb-2">{group.label}</h4>
+                <ul className="space-y-1">
+                  {counts.map(({ value, count }) => (
+                    <li key={value}>
+                      <label className="flex items-center gap-2 text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(String(value))}
+                          onChange={() => toggleValue(group.name, String(value))}
+                        />
+                        <span>
+                          {value} ({count})
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+
+          {BOOLEAN_FACETS.filter(isVisible).map(facet => {
+            const yes = (results.facets[facet.name] || []).find(({ value }) => value === true);
+
+            return (
+              <label key={facet.name} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={searchParams.get(facet.name) === 'true'}
+                  onChange={() => toggleBoolean(facet.name)}
+                />
+                <span>
+                  {facet.label} ({yes ? yes.count : 0})
+                </span>
+              </label>
+            );
+          })}
+        </aside>
+
+        {/* Results */}
+        <section className="md:col-span-3">
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <div className="flex justify-between items-center mb-4">
+            <p className="text-gray-600">
+              {loading ? 'Searching...' : `${results.total} listing${results.total === 1 ? '' : 's'} found`}
+              {!loading && results.origin?.label && ` near ${results.origin.label}`}
+            </p>
+            {isAuthenticated && !saveForm && (
+              <button
+                type="button"
+                onClick={openSaveForm}
+                className="text-blue-600 hover:underline"
+              >
+                Save this search
+              </button>
+            )}
+          </div>
+
+          {saveForm && (
+            <form onSubmit={handleSaveSearch} className="flex flex-wrap gap-2 mb-4 bg-white rounded-lg shadow-md p-4">
+              <input
+                type="text"
+                value={saveForm.name}
+                onChange={e => setSaveForm({ ...saveForm, name: e.target.value })}
+                placeholder="Name this search"
+                maxLength={100}
+                required
+                className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={saveForm.frequency}
+                onChange={e => setSaveForm({ ...saveForm, frequency: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="instant">Email me instantly</option>
+                <option value="daily">Daily digest</option>
+                <option value="weekly">Weekly digest</option>
+                <option value="never">Don&apos;t email me</option>
+              </select>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setSaveForm(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {saveMessage && (
+            <div className="mb-4 p-3 bg-blue-50 text-blue-700 rounded-md">
+              {saveMessage}
+            </div>
+          )}
+
+          <div className="space-y-4">
+            {results.listings.map(listing => (
+              <div key={listing.id} className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg">
+                <Link to={`/listings/${listing.id}`} className="block">
+                  <div className="flex justify-between">
+                    <h3 className="text-xl font-semibold">{listing.title}</h3>
+                    <span className="font-medium">
+                      {listing.price !== null ? `$${listing.price.toLocaleString()}` : 'POA'}
+                      <span className="text-gray-500 text-sm ml-1">{listing.priceType}</span>
+                    </span>
+                  </div>
+                  <p className="text-gray-500 text-sm mb-2">
+                    {listing.listingType}
+                    {listing.location && ` · ${listing.location}`}
+                    {listing.distanceKm !== undefined && ` · ${listing.distanceKm.toFixed(1)} km away`}
+                  </p>
+                  <p className="text-gray-600 line-clamp-2">{listing.description}</p>
+                </Link>
+                {isAuthenticated && (
+                  <div className="mt-2 text-right">
+                    <ReportButton targetType="listing" targetId={listing.id} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {totalPages > 1 && (
+            <div className="flex justify-center gap-2 mt-6">
+              <button
+                type="button"
+                onClick={() => goToPage(results.page - 1)}
+                disabled={results.page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-1">
+                Page {results.page} of {totalPages}
+              </span>
+              <button
+                type="button"
+                onClick={() => goToPage(results.page + 1)}
+                disabled={results.page >= totalPages}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Search;
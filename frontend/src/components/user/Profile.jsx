@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const Profile = () => {
   const navigate = useNavigate();
+  const { logoutAllDevices } = useAuth();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -123,6 +126,17 @@ const Profile = () => {
     }
   };
   
+  // Revoke every session, including this one
+  const handleLogoutAll = async () => {
+    const result = await logoutAllDevices();
+    
+    if (result.success) {
+      navigate('/login');
+    } else {
+      setError(result.error);
+    }
+  };
+  
   // Show loading state
   if (loading) {
     return (
@@ -285,7 +299,16 @@ const Profile = () => {
             >
               Change Password
             </button>
+            
+            <button
+              onClick={handleLogoutAll}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+            >
+              Sign Out All Devices
+            </button>
           </div>
+          
+          <TwoFactorSettings />
         </div>
       )}
     </div>
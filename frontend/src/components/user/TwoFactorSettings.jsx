@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  
+  const apiUrl = `${process.env.REACT_APP_API_URL}/api/users/me/2fa`;
+  
+  // Load two-factor status on component mount
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get(apiUrl);
+        setStatus(response.data);
+      } catch (err) {
+        console.error('Error fetching two-factor status:', err);
+        setError('Failed to load two-factor settings.');
+      }
+    };
+    
+    fetchStatus();
+  }, [apiUrl]);
+  
+  // Run a request with shared submitting/error handling
+  const submit = async (request, fallbackMessage) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      return await request();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  const handleStartSetup = async () => {
+    const response = await submit(
+      () => axios.post(`${apiUrl}/setup`),
+      'Failed to start two-factor setup.'
+    );
+    
+    if (response) {
+      setSetup(response.data);
+      setBackupCodes(null);
+    }
+  };
+  
+  const handleEnable = async e => {
+    e.preventDefault();
+    
+    const response = await submit(
+      () => axios.post(`${apiUrl}/enable`, { code }),
+      'Failed to enable two-factor authentication.'
+    );
+    
+    setCode('');
+    
+    if (response) {
+      setSetup(null);
+      setBackupCodes(response.data.backupCodes);
+      setStatus({ ...status, enabled: true, backupCodesRemaining: response.data.backupCodes.length });
+    }
+  };
+  
+  const handleDisable = async e => {
+    e.preventDefault();
+    
+    const response = await submit(
+      () => axios.post(`${apiUrl}/disable`, { password, code }),
+      'Failed to disable two-factor authentication.'
+    );
+    
+    setCode('');
+    setPassword('');
+    
+    if (response) {
+      setIsDisabling(false);
+      setBackupCodes(null);
+      setStatus({ ...status, enabled: false, backupCodesRemaining: 0 });
+    }
+  };
+  
+  const handleRegenerate = async e => {
+    e.preventDefault();
+    
+    const response = await submit(
+      () => axios.post(`${apiUrl}/backup-codes`, { code }),
+      'Failed to generate backup codes.'
+    );
+    
+    setCode('');
+    
+    if (response) {
+      setBackupCodes(response.data.backupCodes);
+      setStatus({ ...status, backupCodesRemaining: response.data.backupCodes.length });
+    }
+  };
+  
+  if (!status) {
+    return error ? <p className="text-red-700">{error}</p> : null;
+  }
+  
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={e => setCode(e.target.value)}
+      placeholder="6-digit code"
+      autoComplete="one-time-code"
+      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      required
+    />
+  );
+  
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <h3 className="text-xl font-semibold mb-4">Two-Factor Authentication</h3>
+      
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+      
+      {status.required && !status.enabled && (
+        <div className="mb-4 p-3 bg-yellow-100 text-yellow-800 rounded-md">
+          Two-factor authentication is required for your account. Set it up to keep using seller and admin features.
+        </div>
+      )}
+      
+      {backupCodes && (
+        <div className="mb-4 p-4 bg-gray-100 rounded-md">
+          <p className="font-medium mb-2">
+            Your backup codes. Each works once; store them somewhere safe, they won&apos;t be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono">
+            {backupCodes.map(backupCode => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      {status.enabled ? (
+        <div>
+          <p className="mb-4 text-gray-700">
+            Two-factor authentication is <span className="font-medium text-green-700">on</span>.
+            {' '}{status.backupCodesRemaining} backup codes remaining.
+          </p>
+          
+          {isDisabling ? (
+            <form onSubmit={handleDisable} className="flex flex-wrap gap-2">
+              <input
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                placeholder="Current password"
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              {codeInput}
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-red-300"
+              >
+                Turn Off
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsDisabling(false)}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              <form onSubmit={handleRegenerate} className="flex gap-2">
+                {codeInput}
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                >
+                  New Backup Codes
+                </button>
+              </form>
+              {!status.required && (
+                <button
+                  onClick={() => setIsDisabling(true)}
+                  className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300"
+                >
+                  Turn Off Two-Factor
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ) : setup ? (
+        <div>
+          <p className="mb-4 text-gray-700">
+            Scan this QR code with your authenticator app, or enter the key manually.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="mb-4 w-48 h-48" />
+          <p className="mb-4 font-mono text-sm break-all">{setup.secret}</p>
+          <form onSubmit={handleEnable} className="flex gap-2">
+            {codeInput}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300"
+            >
+              Confirm
+            </button>
+          </form>
+        </div>
+      ) : (
+        <div>
+          <p className="mb-4 text-gray-700">
+            Protect your account with a code from an authenticator app when you sign in.
+          </p>
+          <button
+            onClick={handleStartSetup}
+            disabled={submitting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300"
+          >
+            Set Up Two-Factor
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
 import axios from 'axios';
 
 // Create Auth Context
@@ -11,6 +11,9 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
+  // Shared refresh request so concurrent 401s only trigger one refresh
+  const refreshPromise = useRef(null);
+  
   // Initialize auth state from localStorage
   useEffect(() => {
     const initializeAuth = () => {
@@ -32,6 +35,18 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
   
+  // Store the tokens and user from a successful login
+  const saveSession = ({ token: newToken, refreshToken, user: userData }) => {
+    // Save to state
+    setToken(newToken);
+    setUser(userData);
+    
+    // Save to localStorage
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+  };
+  
   // Login function
   const login = async (email, password) => {
     try {
@@ -43,19 +58,47 @@ export const AuthProvider = ({ children }) => {
         { email, password }
       );
       
-      const { token: newToken, user: userData } = response.data;
+      // Accounts with 2FA need a second step before tokens are issued
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+      
+      saveSession(response.data);
+      
+      return { success: true, twoFactorSetupRequired: response.data.twoFactorSetupRequired };
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Login failed. Please check your credentials.';
+      setError(errorMessage);
+      return {
+        success: false,
+        error: errorMessage,
+        verificationRequired: Boolean(err.response?.data?.verificationRequired)
+      };
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Second login step with a TOTP or backup code
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      setLoading(true);
+      setError(null);
       
-      // Save to state
-      setToken(newToken);
-      setUser(userData);
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/auth/login/2fa`,
+        { challengeToken, code }
+      );
       
-      // Save to localStorage
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('user', JSON.stringify(userData));
+      saveSession(response.data);
       
       return { success: true };
     } catch (err) {
-      const errorMessage = err.response?.data?.message || 'Login failed. Please check your credentials.';
+      const errorMessage = err.response?.data?.message || 'Verification failed. Please try again.';
       setError(errorMessage);
       return { success: false, error: errorMessage };
     } finally {
@@ -87,17 +130,80 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
-  // Logout function
-  const logout = () => {
-    // Clear auth state
+  // Clear auth state and localStorage
+  const clearAuth = useCallback(() => {
     setToken(null);
     setUser(null);
     
-    // Clear localStorage
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+  }, []);
+  
+  // Logout function
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearAuth();
+    
+    // Revoke the session server-side; local state is already cleared either way
+    if (refreshToken) {
+      try {
+        await axios.post(
+          `${process.env.REACT_APP_API_URL}/api/auth/logout`,
+          { refreshToken }
+        );
+      } catch (err) {
+        console.error('Error revoking session:', err);
+      }
+    }
+  };
+  
+  // Sign out of every device, including this one
+  const logoutAllDevices = async () => {
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/api/auth/logout-all`);
+      clearAuth();
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to sign out of all devices.';
+      return { success: false, error: errorMessage };
+    }
   };
   
+  // Exchange the refresh token for a new access token
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshPromise.current) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      
+      refreshPromise.current = (refreshToken
+        ? axios.post(`${process.env.REACT_APP_API_URL}/api/auth/refresh`, { refreshToken })
+        : Promise.reject(new Error('No refresh token'))
+      )
+        .then(response => {
+          const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
+          
+          setToken(newToken);
+          setUser(userData);
+          
+          localStorage.setItem('token', newToken);
+          localStorage.setItem('refreshToken', newRefreshToken);
+          localStorage.setItem('user', JSON.stringify(userData));
+          
+          return newToken;
+        })
+        .catch(() => {
+          // Session expired or was revoked; the user has to sign in again
+          clearAuth();
+          return null;
+        })
+        .finally(() => {
+          refreshPromise.current = null;
+        });
+    }
+    
+    return refreshPromise.current;
+  }, [clearAuth]);
+  
   // Update user profile function
   const updateProfile = async (userData) => {
     try {
@@ -136,8 +242,8 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     const interceptor = axios.interceptors.request.use(
       config => {
-        // Add token to Authorization header if it exists
-        if (token) {
+        // Add token to Authorization header if it exists (retries already carry a fresh one)
+        if (token && !config._retry) {
           config.headers.Authorization = `Bearer ${token}`;
         }
         return config;
@@ -153,6 +259,39 @@ export const AuthProvider = ({ children }) => {
     };
   }, [token]);
   
+  // Refresh the access token and retry once when a request comes back 401
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async error => {
+        const originalRequest = error.config;
+        
+        if (
+          error.response?.status !== 401 ||
+          !originalRequest ||
+          originalRequest._retry ||
+          originalRequest.url?.includes('/api/auth/')
+        ) {
+          return Promise.reject(error);
+        }
+        
+        originalRequest._retry = true;
+        const newToken = await refreshAccessToken();
+        
+        if (!newToken) {
+          return Promise.reject(error);
+        }
+        
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return axios(originalRequest);
+      }
+    );
+    
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, [refreshAccessToken]);
+  
   // Auth context value
   const value = {
     user,
@@ -160,8 +299,10 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    logoutAllDevices,
     updateProfile,
     isAuthenticated: !!token
   };
@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+
+// Longest wait between reconnect attempts
+const MAX_RECONNECT_DELAY = 30000;
+
+// Build the WebSocket URL from the API URL unless one is configured
+const getSocketUrl = token => {
+  const baseUrl =
+    process.env.REACT_APP_WS_URL ||
+    `${(process.env.REACT_APP_API_URL || '').replace(/^http/, 'ws')}/ws`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Subscribe to real-time message events for the signed-in user
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onMessage - Called with each new message
+ * @param {Function} handlers.onRead - Called with { listingId, readerId, messageIds }
+ * @param {Function} handlers.onTyping - Called with { listingId, userId, isTyping }
+ * @returns {{ connected: boolean, sendTyping: Function }}
+ */
+export const useRealtime = ({ onMessage, onRead, onTyping } = {}) => {
+  const { token } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const socketRef = useRef(null);
+
+  // Keep the latest handlers without reconnecting when they change
+  const handlersRef = useRef({ onMessage, onRead, onTyping });
+  handlersRef.current = { onMessage, onRead, onTyping };
+
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+
+    let reconnectTimer = null;
+    let attempts = 0;
+    let closedByUs = false;
+
+    const connect = () => {
+      const socket = new WebSocket(getSocketUrl(token));
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        attempts = 0;
+        setConnected(true);
+      };
+
+      socket.onmessage = event => {
+        let frame;
+        try {
+          frame = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+
+        const { onMessage, onRead, onTyping } = handlersRef.current;
+
+        if (frame.type === 'message:new' && onMessage) {
+          onMessage(frame.payload);
+        } else if (frame.type === 'message:read' && onRead) {
+          onRead(frame.payload);
+        } else if (frame.type === 'typing' && onTyping) {
+          onTyping(frame.payload);
+        }
+      };
+
+      socket.onclose = event => {
+        setConnected(false);
+        socketRef.current = null;
+
+        // 4001 means the token expired; a new token re-runs this effect
+        if (closedByUs || event.code === 4001) {
+          return;
+        }
+
+        // Reconnect with exponential backoff
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    // Close the socket on unmount or when the token changes
+    return () => {
+      closedByUs = true;
+      clearTimeout(reconnectTimer);
+      if (socketRef.current) {
+        socketRef.current.close();
+      }
+    };
+  }, [token]);
+
+  // Tell the other party whether the user is typing
+  const sendTyping = useCallback((listingId, recipientId, isTyping) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'typing', payload: { listingId, recipientId, isTyping } }));
+    }
+  }, []);
+
+  return { connected, sendTyping };
+};
+
+export default useRealtime;